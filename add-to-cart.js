@@ -24,10 +24,11 @@ document.addEventListener('DOMContentLoaded', () => {
                 const imageSrc = button.getAttribute('data-image-src');
                 const title = button.getAttribute('data-title') || 'Photo';
                 const productId = button.getAttribute('data-product-id');
+                const price = parseFloat(button.getAttribute('data-price')) || undefined; // Display only - checkout uses server price
                 
                 if (imageSrc && title) {
                     // Add item to cart with product ID (UUID)
-                    Cart.addItem(imageSrc, title, undefined, productId);
+                    Cart.addItem(imageSrc, title, price, productId);
                     
                     // Show visual feedback
                     button.textContent = 'Added!';
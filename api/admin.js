@@ -0,0 +1,212 @@
+/**
+ * Admin Functions
+ * Print fulfillment (see lib/fulfillment.js) and download access - requires Authorization: Bearer <ADMIN_API_KEY>
+ *
+ * Usage:
+ * - GET  /api/admin?action=listFulfillmentJobs[&status=queued]
+ * - GET  /api/admin?action=getFulfillmentJob&job_id=print_...
+ * - POST /api/admin?action=advanceFulfillmentJob (body: { job_id, status, tracking_number, carrier, note })
+ * - POST /api/admin?action=releaseDownloadAccess (body: { session_id })
+ *
+ * Supported actions:
+ * - listFulfillmentJobs: Print jobs, oldest first, optionally only one status ({ jobs })
+ * - getFulfillmentJob: One print job with its shipping address and history ({ job })
+ * - advanceFulfillmentJob: Move a job forward (queued -> sent_to_lab -> shipped -> delivered) and/or record its
+ *   tracking number - shipping requires one. The customer is emailed when the print ships ({ job })
+ *   409 if the job can't move to that status
+ * - releaseDownloadAccess: Let a customer download an order in another browser - with DOWNLOAD_BROWSER_CLAIM, the order's
+ *   downloads are claimed by the first browser that opened them (lib/downloadTokens.js), and the next one to open them
+ *   claims them instead ({ released })
+ */
+
+const db = require('./db');
+const fulfillment = require('../lib/fulfillment');
+const { authorizeAdmin } = require('../lib/adminAuth');
+
+// Helper: Get action from query or body
+function getAction(req) {
+    // Try query parameter first
+    if (req.query && req.query.action) {
+        return req.query.action;
+    }
+    // Try body
+    const body = parseBody(req);
+    return body.action || null;
+}
+
+// Helper: Parse request body
+function parseBody(req) {
+    if (typeof req.body === 'string') {
+        try {
+            return JSON.parse(req.body);
+        } catch (e) {
+            return {};
+        }
+    }
+    return req.body || {};
+}
+
+// Action: List print fulfillment jobs
+async function handleListFulfillmentJobs(req, res) {
+    if (req.method !== 'GET') {
+        return res.status(405).json({ error: 'Method not allowed', message: 'Only GET method is supported' });
+    }
+
+    const status = req.query.status || null;
+    if (status && !fulfillment.FULFILLMENT_STATUSES.includes(status)) {
+        return res.status(400).json({
+            error: 'Invalid status',
+            message: `status must be one of: ${fulfillment.FULFILLMENT_STATUSES.join(', ')}`
+        });
+    }
+
+    const jobs = await db.listFulfillmentJobs(status);
+    if (!jobs) {
+        return res.status(503).json({
+            error: 'Service unavailable',
+            message: 'Could not load fulfillment jobs. Please try again in a moment.'
+        });
+    }
+
+    return res.status(200).json({ jobs: jobs });
+}
+
+// Action: Get a print fulfillment job
+async function handleGetFulfillmentJob(req, res) {
+    if (req.method !== 'GET') {
+        return res.status(405).json({ error: 'Method not allowed', message: 'Only GET method is supported' });
+    }
+
+    const jobId = req.query.job_id;
+    if (!fulfillment.isJobId(jobId)) {
+        return res.status(400).json({ error: 'Invalid job ID', message: 'job_id must be a print job ID (print_...)' });
+    }
+
+    const job = await db.getFulfillmentJob(jobId);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found', message: `No fulfillment job ${jobId}` });
+    }
+
+    return res.status(200).json({ job: job });
+}
+
+// Action: Advance a print fulfillment job and/or record its tracking number
+async function handleAdvanceFulfillmentJob(req, res) {
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed', message: 'Only POST method is supported' });
+    }
+
+    const body = parseBody(req);
+    if (!fulfillment.isJobId(body.job_id)) {
+        return res.status(400).json({ error: 'Invalid job ID', message: 'job_id must be a print job ID (print_...)' });
+    }
+
+    const job = await db.getFulfillmentJob(body.job_id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found', message: `No fulfillment job ${body.job_id}` });
+    }
+
+    const result = fulfillment.advanceJob(job, {
+        status: body.status,
+        trackingNumber: body.tracking_number,
+        carrier: body.carrier,
+        note: body.note
+    });
+    if (result.error) {
+        return res.status(409).json({ error: 'Invalid transition', message: result.error, job: job });
+    }
+
+    if (!await db.saveFulfillmentJob(result.job)) {
+        return res.status(503).json({
+            error: 'Service unavailable',
+            message: 'Could not save the fulfillment job. Please try again in a moment.'
+        });
+    }
+
+    console.log(`📦 Fulfillment job ${job.jobId}: ${job.status} -> ${result.job.status}`, {
+        trackingNumber: result.job.trackingNumber
+    });
+
+    // Tell the customer once their print is on its way
+    if (result.job.status === fulfillment.FULFILLMENT_SHIPPED && job.status !== fulfillment.FULFILLMENT_SHIPPED && result.job.email) {
+        if (await fulfillment.sendShippedEmail(result.job)) {
+            console.log(`📧 Sent shipping email for ${job.jobId} to ${result.job.email}`);
+        } else {
+            console.warn(`⚠️ Could not send shipping email for ${job.jobId} - the order page still shows the tracking number`);
+        }
+    }
+
+    return res.status(200).json({ job: result.job });
+}
+
+// Action: Release an order's download claim (the customer moved to another browser or device)
+async function handleReleaseDownloadAccess(req, res) {
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed', message: 'Only POST method is supported' });
+    }
+
+    const body = parseBody(req);
+    const sessionId = body.session_id;
+    if (!sessionId || typeof sessionId !== 'string' || !/^(cs|gift|credit)_/.test(sessionId)) {
+        return res.status(400).json({
+            error: 'Invalid session ID',
+            message: 'session_id must be an order session ID (cs_...), a gift claim token (gift_...) or a credit redemption ID (credit_...)'
+        });
+    }
+
+    const released = await db.releaseDownloadAccess(sessionId);
+    if (released === null) {
+        return res.status(503).json({
+            error: 'Service unavailable',
+            message: 'Could not release the download claim. Please try again in a moment.'
+        });
+    }
+
+    console.log(`🔑 Download access released for ${sessionId}${released ? '' : ' (not claimed)'}`);
+    return res.status(200).json({ released: released });
+}
+
+// Main handler - routes to appropriate action
+async function handler(req, res) {
+    // Admin data includes customer addresses - never cache it
+    res.setHeader('Cache-Control', 'no-store');
+
+    try {
+        if (!authorizeAdmin(req, res)) return;
+
+        // Get action from query or body
+        const action = getAction(req);
+
+        if (!action) {
+            return res.status(400).json({
+                error: 'Missing action',
+                message: 'action parameter is required. Use ?action=<actionName>'
+            });
+        }
+
+        // Route to appropriate handler
+        switch (action) {
+            case 'listFulfillmentJobs':
+                return await handleListFulfillmentJobs(req, res);
+            case 'getFulfillmentJob':
+                return await handleGetFulfillmentJob(req, res);
+            case 'advanceFulfillmentJob':
+                return await handleAdvanceFulfillmentJob(req, res);
+            case 'releaseDownloadAccess':
+                return await handleReleaseDownloadAccess(req, res);
+            default:
+                return res.status(400).json({
+                    error: 'Invalid action',
+                    message: `Unknown action: ${action}. Supported actions: listFulfillmentJobs, getFulfillmentJob, advanceFulfillmentJob, releaseDownloadAccess`
+                });
+        }
+    } catch (error) {
+        console.error('❌ Error in admin function:', error);
+        return res.status(500).json({
+            error: 'Internal server error',
+            message: process.env.NODE_ENV === 'development' ? error.message : 'An error occurred while processing your request.'
+        });
+    }
+}
+
+module.exports = handler;
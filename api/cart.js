@@ -0,0 +1,369 @@
+/**
+ * Cart Sync Functions
+ * Persists the shopping cart in Redis so it follows the customer across devices
+ * Carts are keyed by an anonymous cart ID cookie (ifw_cart_id) - no account needed
+ *
+ * Usage:
+ * - GET  /api/cart?action=getCart
+ * - POST /api/cart?action=saveCart (body: { items, version })
+ * - POST /api/cart?action=sendRestoreLink (body: { email })
+ * - POST /api/cart?action=restoreCart (body: { token })
+ * - POST /api/cart?action=recoverCheckout (body: { token })
+ *
+ * Supported actions:
+ * - getCart: Get the saved cart ({ items, version, updatedAt }) - creates the cart ID cookie if missing
+ * - saveCart: Save the cart. version must match the saved cart (409 with the saved cart if another
+ *   device saved in between - the client merges and retries)
+ * - sendRestoreLink: Email a link that restores this cart on another device (valid 24 hours)
+ * - restoreCart: Switch this device to the cart from a restore link
+ * - recoverCheckout: Get the items of an abandoned (expired) checkout from a recovery email link
+ *   ({ items, currency, email, gift }) - the cart adds them and starts a new checkout
+ */
+
+const crypto = require('crypto');
+const db = require('./db');
+const mailer = require('../lib/mailer');
+const abandonedCheckouts = require('../lib/abandonedCheckouts');
+
+const CART_COOKIE = 'ifw_cart_id';
+const CART_COOKIE_MAX_AGE = 60 * 60 * 24 * 365; // 1 year
+const MAX_CART_ITEMS = 50;
+const RESTORE_LINK_TTL_SECONDS = 60 * 60 * 24; // 24 hours
+const MAX_RESTORE_LINKS_PER_HOUR = 5;
+const RESTORE_PAGE_URL = 'https://www.ifeelworld.com/cart.html';
+
+// Helper: Get action from query or body
+function getAction(req) {
+    // Try query parameter first
+    if (req.query && req.query.action) {
+        return req.query.action;
+    }
+    // Try body
+    if (req.body) {
+        const body = typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
+        if (body.action) {
+            return body.action;
+        }
+    }
+    return null;
+}
+
+// Helper: Parse request body
+function parseBody(req) {
+    if (typeof req.body === 'string') {
+        try {
+            return JSON.parse(req.body);
+        } catch (e) {
+            return {};
+        }
+    }
+    return req.body || {};
+}
+
+// Helper: Read the cart ID cookie (null if missing or malformed)
+function getCartIdFromCookie(req) {
+    const cookies = req.cookies || Object.fromEntries(
+        (req.headers?.cookie || '').split(';')
+            .map(part => part.trim().split('='))
+            .filter(([name]) => name)
+            .map(([name, ...value]) => [name, decodeURIComponent(value.join('='))])
+    );
+    const cartId = cookies[CART_COOKIE];
+    return isCartId(cartId) ? cartId : null;
+}
+
+// Helper: Check cart ID format (32 hex characters)
+function isCartId(cartId) {
+    return typeof cartId === 'string' && /^[a-f0-9]{32}$/.test(cartId);
+}
+
+// Helper: Set the cart ID cookie
+function setCartIdCookie(res, cartId) {
+    res.setHeader('Set-Cookie', `${CART_COOKIE}=${cartId}; Path=/; Max-Age=${CART_COOKIE_MAX_AGE}; HttpOnly; Secure; SameSite=Lax`);
+}
+
+// Helper: Get this device's cart ID, creating one (and its cookie) if needed
+function getOrCreateCartId(req, res) {
+    const cartId = getCartIdFromCookie(req);
+    if (cartId) return cartId;
+
+    const newCartId = crypto.randomBytes(16).toString('hex');
+    setCartIdCookie(res, newCartId);
+    return newCartId;
+}
+
+// Helper: Keep only known cart item fields (prices are display-only - checkout reprices from the catalog)
+function sanitizeItems(items) {
+    const text = (value, maxLength) => typeof value === 'string' ? value.substring(0, maxLength) : '';
+
+    return items
+        .filter(item => item && typeof item.id === 'string' && item.id)
+        .slice(0, MAX_CART_ITEMS)
+        .map(item => ({
+            id: text(item.id, 100),
+            title: text(item.title, 200),
+            imageSrc: text(item.imageSrc, 500),
+            imageHQ: text(item.imageHQ, 500),
+            license: text(item.license, 20),
+            ...(item.dimension ? { dimension: text(item.dimension, 20) } : {}), // Print size (digital download if omitted)
+            price: typeof item.price === 'number' && item.price >= 0 ? item.price : 0,
+            currency: text(item.currency, 3),
+            quantity: Math.min(10, Math.max(1, parseInt(item.quantity, 10) || 1))
+        }));
+}
+
+// Helper: Empty cart (version 0 means never saved)
+function emptyCart() {
+    return { items: [], version: 0, updatedAt: null };
+}
+
+// Action: Get the saved cart for this device
+async function handleGetCart(req, res) {
+    if (req.method !== 'GET') {
+        return res.status(405).json({ error: 'Method not allowed', message: 'Only GET method is supported' });
+    }
+
+    const cartId = getOrCreateCartId(req, res);
+    const cart = await db.getCart(cartId) || emptyCart();
+
+    return res.status(200).json({
+        items: cart.items,
+        version: cart.version,
+        updatedAt: cart.updatedAt
+    });
+}
+
+// Action: Save the cart for this device
+async function handleSaveCart(req, res) {
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed', message: 'Only POST method is supported' });
+    }
+
+    const body = parseBody(req);
+
+    if (!Array.isArray(body.items)) {
+        return res.status(400).json({
+            error: 'Invalid request',
+            message: 'items array is required'
+        });
+    }
+
+    const cartId = getOrCreateCartId(req, res);
+    const savedCart = await db.getCart(cartId) || emptyCart();
+
+    // Another device saved since this one last synced - send the saved cart back to merge
+    if (body.version !== savedCart.version) {
+        return res.status(409).json({
+            error: 'Cart changed',
+            message: 'The cart was updated on another device',
+            items: savedCart.items,
+            version: savedCart.version,
+            updatedAt: savedCart.updatedAt
+        });
+    }
+
+    const cart = {
+        items: sanitizeItems(body.items),
+        version: savedCart.version + 1,
+        updatedAt: new Date().toISOString()
+    };
+
+    const saved = await db.saveCart(cartId, cart);
+    if (!saved) {
+        return res.status(500).json({
+            error: 'Failed to save cart',
+            message: 'Your cart could not be saved. It is still available on this device.'
+        });
+    }
+
+    return res.status(200).json(cart);
+}
+
+// Action: Email a link that restores this cart on another device
+async function handleSendRestoreLink(req, res) {
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed', message: 'Only POST method is supported' });
+    }
+
+    const body = parseBody(req);
+    const email = typeof body.email === 'string' ? body.email.trim() : '';
+
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) || email.length > 254) {
+        return res.status(400).json({
+            error: 'Invalid email',
+            message: 'Please enter a valid email address'
+        });
+    }
+
+    const cartId = getCartIdFromCookie(req);
+    const cart = cartId ? await db.getCart(cartId) : null;
+
+    if (!cart || cart.items.length === 0) {
+        return res.status(404).json({
+            error: 'Cart not found',
+            message: 'Your cart is empty or has not been saved yet'
+        });
+    }
+
+    const redisClient = db.getRedis();
+
+    // Limit emails per cart so the endpoint can't be used to spam an address
+    const rateKey = `cart_restore_rate:${cartId}`;
+    const sent = await redisClient.incr(rateKey);
+    if (sent === 1) {
+        await redisClient.expire(rateKey, 60 * 60);
+    }
+    if (sent > MAX_RESTORE_LINKS_PER_HOUR) {
+        return res.status(429).json({
+            error: 'Too many requests',
+            message: 'Too many restore links requested. Please try again later.'
+        });
+    }
+
+    const token = crypto.randomBytes(24).toString('hex');
+    await redisClient.set(`cart_restore:${token}`, cartId, { ex: RESTORE_LINK_TTL_SECONDS });
+
+    const restoreUrl = `${RESTORE_PAGE_URL}?restore=${token}`;
+    const itemCount = cart.items.reduce((sum, item) => sum + item.quantity, 0);
+    const emailSent = await mailer.sendMail({
+        to: email,
+        subject: 'Your ifeelworld cart',
+        text: [
+            `Your cart with ${itemCount} ${itemCount === 1 ? 'item' : 'items'} is waiting for you.`,
+            '',
+            'Open this link on any device to continue where you left off (valid for 24 hours):',
+            restoreUrl,
+            '',
+            'ifeelworld'
+        ].join('\n')
+    });
+
+    if (!emailSent) {
+        return res.status(502).json({
+            error: 'Email not sent',
+            message: 'We could not send the email right now. Please try again later.'
+        });
+    }
+
+    console.log(`📧 Cart restore link sent for cart ${cartId}`);
+    return res.status(200).json({ sent: true });
+}
+
+// Action: Switch this device to the cart from a restore link
+async function handleRestoreCart(req, res) {
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed', message: 'Only POST method is supported' });
+    }
+
+    const body = parseBody(req);
+    const token = typeof body.token === 'string' ? body.token : '';
+
+    if (!/^[a-f0-9]{48}$/.test(token)) {
+        return res.status(400).json({
+            error: 'Invalid link',
+            message: 'This cart link is not valid'
+        });
+    }
+
+    const cartId = await db.getRedis().get(`cart_restore:${token}`);
+    const cart = isCartId(cartId) ? await db.getCart(cartId) : null;
+
+    if (!cart) {
+        return res.status(404).json({
+            error: 'Cart not found',
+            message: 'This cart link has expired. Please request a new one.'
+        });
+    }
+
+    setCartIdCookie(res, cartId);
+    console.log(`✅ Cart ${cartId} restored on another device`);
+
+    return res.status(200).json({
+        items: cart.items,
+        version: cart.version,
+        updatedAt: cart.updatedAt
+    });
+}
+
+// Action: Get the items of an abandoned checkout (recovery email link)
+async function handleRecoverCheckout(req, res) {
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed', message: 'Only POST method is supported' });
+    }
+
+    const body = parseBody(req);
+
+    if (!abandonedCheckouts.isRecoveryToken(body.token)) {
+        return res.status(400).json({
+            error: 'Invalid link',
+            message: 'This checkout link is not valid'
+        });
+    }
+
+    const checkout = await db.getAbandonedCheckoutByToken(body.token);
+
+    if (!checkout) {
+        return res.status(404).json({
+            error: 'Checkout not found',
+            message: 'This checkout link has expired. Your photos are still available in the gallery.'
+        });
+    }
+
+    if (!checkout.recoveredAt) {
+        checkout.recoveredAt = new Date().toISOString();
+        await db.saveAbandonedCheckout(checkout);
+        console.log(`✅ Abandoned checkout ${checkout.sessionId} recovered`);
+    }
+
+    return res.status(200).json({
+        items: abandonedCheckouts.toCartItems(checkout),
+        currency: checkout.currency,
+        email: checkout.email,
+        gift: checkout.gift
+    });
+}
+
+// Main handler - routes to appropriate action
+async function handler(req, res) {
+    // Responses are per-device (cart ID cookie) - never cache them
+    res.setHeader('Cache-Control', 'no-store');
+
+    try {
+        // Get action from query or body
+        const action = getAction(req);
+
+        if (!action) {
+            return res.status(400).json({
+                error: 'Missing action',
+                message: 'action parameter is required. Use ?action=<actionName>'
+            });
+        }
+
+        // Route to appropriate handler
+        switch (action) {
+            case 'getCart':
+                return await handleGetCart(req, res);
+            case 'saveCart':
+                return await handleSaveCart(req, res);
+            case 'sendRestoreLink':
+                return await handleSendRestoreLink(req, res);
+            case 'restoreCart':
+                return await handleRestoreCart(req, res);
+            case 'recoverCheckout':
+                return await handleRecoverCheckout(req, res);
+            default:
+                return res.status(400).json({
+                    error: 'Invalid action',
+                    message: `Unknown action: ${action}. Supported actions: getCart, saveCart, sendRestoreLink, restoreCart, recoverCheckout`
+                });
+        }
+    } catch (error) {
+        console.error('❌ Error in cart function:', error);
+        return res.status(500).json({
+            error: 'Internal server error',
+            message: process.env.NODE_ENV === 'development' ? error.message : 'An error occurred while processing your request.'
+        });
+    }
+}
+
+module.exports = handler;
@@ -1,31 +1,76 @@
 // Explicitly set Node.js runtime (required for accessing environment variables)
 // Edge runtime cannot access secure environment variables like STRIPE_SECRET_KEY
 
-// Note: Stripe instance is initialized inside the handler function
-// to dynamically select the correct key based on USE_TEST_STRIPE flag
-const stripe = require('stripe');
+// Note: The payment provider is created inside the handler function
+// (lib/paymentProvider.js - Stripe, with the key selected by the USE_TEST_STRIPE flag)
+const crypto = require('crypto');
+const db = require('./db');
+const catalog = require('../lib/catalog');
+const currency = require('../lib/currency');
+const fulfillment = require('../lib/fulfillment');
+const gifts = require('../lib/gifts');
+const memberships = require('../lib/memberships');
+const { getPaymentProvider } = require('../lib/paymentProvider');
 
 /**
  * Vercel Serverless Function
  * POST /api/create-checkout-session
  * Creates a Stripe Checkout session for digital photo downloads
+ * Prices are always taken from the catalog (data/images.json, data/bundles.json), never from the client
+ * A bundle is charged as a single line item; the webhook expands it into one entitlement per member photo
+ * A credit pack (data/credit-packs.json) is charged like a photo; the webhook adds its credits to the buyer's balance
+ * A membership plan (data/memberships.json) is checked out on its own as a subscription (mode "subscription")
+ * A photo with a print size (data/print-sizes.json) is charged the print price; its line item carries the dimension
+ * Checkout collects a shipping address when the cart has prints (lib/fulfillment SHIPPING_COUNTRIES)
  * 
  * Expected request body:
  * {
  *   "items": [
  *     {
- *       "name": "Product Name",
- *       "description": "Product Description",
- *       "price": 0.99, // Price in AUD
- *       "quantity": 1
+ *       "productId": "sydney-opera-house", // Must exist in the catalog (photo, bundle, credit pack or membership plan, e.g. "urban-collection")
+ *       "license": "personal", // License tier: personal (default), editorial or commercial
+ *       "dimension": "a4", // Optional: print size for a physical print of a photo ("digital" or omitted for a download)
+ *       "price": 1.00, // Optional: price shown in the cart (in "currency"), rejected if it differs from the catalog
+ *       "quantity": 1 // Optional: 1 (default) to 10
  *     }
  *   ],
+ *   "currency": "aud", // Optional: aud, usd or inr (selected by the customer)
+ *   "locale": "en-IN", // Optional: locale hint used when no currency is selected (falls back to Accept-Language, then AUD)
  *   "customer_email": "customer@example.com", // Used for both customer_email and receipt_email
+ *   "gift_recipient_email": "friend@example.com", // Optional: buy as a gift - the recipient gets their own claim link
+ *   "gift_message": "Happy birthday!", // Optional: shown to the recipient (max 500 characters)
  *   "success_url": "https://www.ifeelworld.com/payment-success.html",
- *   "cancel_url": "https://www.ifeelworld.com/payment-cancel.html"
+ *   "cancel_url": "https://www.ifeelworld.com/payment-cancel.html",
+ *   "idempotency_key": "3f9c..." // Optional: derived from the cart ID and cart contents - a repeated request
+ *                                // with the same key returns the existing session instead of creating another
  * }
+ * 
+ * Response:
+ * - 200: { id, currency, items: [{ productId, title, license, dimension, price, quantity }], total } - prices actually charged
+ *        (the same response as the first request when an idempotency key is repeated)
+ * - 400: Unknown products ({ unknownProducts }), invalid licenses ({ invalidLicenses }), print sizes that aren't offered ({ invalidDimensions }),
+ *        quantities that aren't whole numbers from 1 to 10 ({ invalidQuantities })
+ *        or the same photo more than once - under two licenses or also in a bundle ({ duplicateProducts }), unsupported currency,
+ *        invalid gift details (credit packs, memberships and prints can't be gifted), a membership with other items
+ * - 409: Cart prices differ from the catalog ({ prices }) - cart should update and retry
+ * - 422: Idempotency key was already used for a different checkout request
  */
 
+const IDEMPOTENCY_TTL_SECONDS = 60 * 15; // 15 minutes - covers double clicks and retries, not a later order
+// Carts stored for the webhook (temp_cart:...) - read when the session completes or expires (24 hours after it's
+// created, for abandoned checkout emails), so they're kept a day longer than that
+const TEMP_CART_TTL_SECONDS = 60 * 60 * 48;
+
+// Helper: Check idempotency key format (client sends a SHA-256 hex digest; allow any similar opaque key)
+function isIdempotencyKey(key) {
+    return typeof key === 'string' && /^[A-Za-z0-9_-]{16,128}$/.test(key);
+}
+
+// Helper: Hash a checkout request so a reused idempotency key can be matched to what it was first used for
+function getRequestFingerprint(request) {
+    return crypto.createHash('sha256').update(JSON.stringify(request)).digest('hex');
+}
+
 async function handler(req, res) {
     // Set CORS headers
     res.setHeader('Access-Control-Allow-Origin', '*');
@@ -46,34 +91,27 @@ async function handler(req, res) {
     }
 
     try {
-        // Determine which Stripe key to use based on USE_TEST_STRIPE flag
-        const useTestMode = process.env.USE_TEST_STRIPE === 'true';
-        const stripeSecretKey = useTestMode 
-            ? process.env.STRIPE_SECRET_KEY_TEST 
-            : process.env.STRIPE_SECRET_KEY;
-        
-        const mode = useTestMode ? 'TEST' : 'LIVE';
+        // Payment provider (Stripe live or test keys based on USE_TEST_STRIPE, or the local fake provider)
+        const paymentProvider = getPaymentProvider();
 
-        // Validate Stripe secret key is set
-        if (!stripeSecretKey) {
-            const expectedKey = useTestMode ? 'STRIPE_SECRET_KEY_TEST' : 'STRIPE_SECRET_KEY';
-            console.error(`${expectedKey} environment variable is not set`);
+        // Validate the provider's keys are set
+        const configError = paymentProvider.checkConfig();
+        if (configError) {
+            const expectedKey = configError.expectedKey;
+            console.error(`${configError.message} (${expectedKey})`);
             console.error('Available environment variables with "STRIPE":', 
                 Object.keys(process.env).filter(k => k.includes('STRIPE')));
             return res.status(500).json({
                 error: 'Server configuration error',
-                message: `Stripe secret key not configured. Please set ${expectedKey} environment variable in Vercel.`,
+                message: `${configError.message}. Please set ${expectedKey} environment variable in Vercel.`,
                 debug: {
-                    mode: mode,
+                    mode: paymentProvider.mode,
                     expectedKey: expectedKey,
                     hint: `Check that the variable name is exactly "${expectedKey}" (case-sensitive, no spaces)`,
                     availableStripeVars: Object.keys(process.env).filter(k => k.includes('STRIPE'))
                 }
             });
         }
-        
-        // Initialize Stripe with the correct key based on USE_TEST_STRIPE flag
-        const stripeInstance = stripe(stripeSecretKey);
 
         // Parse request body
         let body;
@@ -97,14 +135,133 @@ async function handler(req, res) {
 
         // Validate each item
         for (const item of body.items) {
-            if (!item.name || typeof item.price !== 'number' || item.price < 0) {
+            if (!item.productId && !item.id) {
+                return res.status(400).json({
+                    error: 'Invalid request',
+                    message: 'Each item must have a productId'
+                });
+            }
+            if (item.price !== undefined && (typeof item.price !== 'number' || item.price < 0)) {
                 return res.status(400).json({
                     error: 'Invalid request',
-                    message: 'Each item must have a name and a valid price (price must be 0 or greater)'
+                    message: 'Item price must be a number (0 or greater) when provided'
                 });
             }
         }
 
+        const idempotencyKey = body.idempotency_key || null;
+        if (idempotencyKey !== null && !isIdempotencyKey(idempotencyKey)) {
+            return res.status(400).json({
+                error: 'Invalid request',
+                message: 'idempotency_key must be 16-128 letters, digits, "-" or "_"'
+            });
+        }
+
+        // Gift details (optional) - stored with the cart so the webhook can create the recipient's entitlement
+        const giftRequest = gifts.parseGiftRequest(body);
+        if (giftRequest.error) {
+            return res.status(400).json({
+                error: 'Invalid gift',
+                message: giftRequest.error
+            });
+        }
+
+        // Resolve checkout currency (customer selection, then locale hint, then AUD)
+        const checkoutCurrency = currency.resolveCurrency(body.currency, body.locale || req.headers?.['accept-language']);
+        if (!checkoutCurrency) {
+            return res.status(400).json({
+                error: 'Unsupported currency',
+                message: `Currency "${body.currency}" is not supported. Supported currencies: ${Object.values(currency.CURRENCIES).map(c => c.code).join(', ')}`
+            });
+        }
+
+        // Price the cart from the catalog (server-authoritative)
+        const pricedCart = catalog.priceCart(body.items, checkoutCurrency);
+
+        if (pricedCart.unknownProducts.length > 0) {
+            console.warn('⚠️ Checkout rejected - unknown products:', pricedCart.unknownProducts);
+            return res.status(400).json({
+                error: 'Unknown products',
+                message: 'Some items in your cart are no longer available. Please remove them and try again.',
+                unknownProducts: pricedCart.unknownProducts
+            });
+        }
+
+        if (pricedCart.invalidLicenses.length > 0) {
+            console.warn('⚠️ Checkout rejected - invalid license tiers:', pricedCart.invalidLicenses);
+            return res.status(400).json({
+                error: 'Invalid license',
+                message: `Unknown license tier. Available licenses: ${Object.keys(catalog.LICENSE_TIERS).join(', ')}`,
+                invalidLicenses: pricedCart.invalidLicenses
+            });
+        }
+
+        if (pricedCart.invalidDimensions.length > 0) {
+            console.warn('⚠️ Checkout rejected - invalid print sizes:', pricedCart.invalidDimensions);
+            return res.status(400).json({
+                error: 'Invalid print size',
+                message: `Prints are available for single photos in these sizes: ${catalog.getPrintSizes().map(size => size.label).join(', ')}`,
+                invalidDimensions: pricedCart.invalidDimensions
+            });
+        }
+
+        if (pricedCart.invalidQuantities.length > 0) {
+            console.warn('⚠️ Checkout rejected - invalid quantities:', pricedCart.invalidQuantities);
+            return res.status(400).json({
+                error: 'Invalid quantity',
+                message: `Each item's quantity must be a whole number from 1 to ${catalog.MAX_QUANTITY}.`,
+                invalidQuantities: pricedCart.invalidQuantities
+            });
+        }
+
+        if (pricedCart.duplicateProducts.length > 0) {
+            return res.status(400).json({
+                error: 'Duplicate products',
+                message: 'Each photo can only be purchased once per order, under one license (on its own or as part of one bundle).',
+                duplicateProducts: pricedCart.duplicateProducts
+            });
+        }
+
+        if (pricedCart.priceMismatches.length > 0) {
+            console.warn('⚠️ Checkout rejected - cart prices differ from catalog:', pricedCart.priceMismatches);
+            return res.status(409).json({
+                error: 'Price mismatch',
+                message: 'Some prices in your cart have changed. Please review your cart and try again.',
+                prices: pricedCart.priceMismatches
+            });
+        }
+
+        // Credits are added to the buyer's own balance - they can't go to a gift recipient
+        if (giftRequest.gift && pricedCart.items.some(item => item.isCreditPack)) {
+            return res.status(400).json({
+                error: 'Invalid gift',
+                message: 'Download credit packs can\'t be bought as a gift. Please remove them or turn off the gift option.'
+            });
+        }
+
+        // Gift recipients get a claim link to download - prints are shipped to the buyer
+        if (giftRequest.gift && pricedCart.items.some(item => item.isPrint)) {
+            return res.status(400).json({
+                error: 'Invalid gift',
+                message: 'Prints can\'t be sent as a gift download. Please switch them to digital downloads or turn off the gift option.'
+            });
+        }
+
+        // Memberships are subscriptions - checked out on their own, for the buyer
+        const membershipItem = pricedCart.items.find(item => item.isMembership) || null;
+        if (membershipItem && giftRequest.gift) {
+            return res.status(400).json({
+                error: 'Invalid gift',
+                message: 'Memberships can\'t be bought as a gift. Please turn off the gift option.'
+            });
+        }
+        if (membershipItem && pricedCart.items.length > 1) {
+            return res.status(400).json({
+                error: 'Invalid request',
+                message: 'A membership has to be checked out on its own. Please buy your other items separately.'
+            });
+        }
+
         // Get success and cancel URLs (use production domain by default)
         const productionDomain = 'https://www.ifeelworld.com';
         const successUrl = body.success_url || `${productionDomain}/payment-success.html?session_id={CHECKOUT_SESSION_ID}`;
@@ -115,49 +272,131 @@ async function handler(req, res) {
             ? successUrl 
             : `${successUrl}${successUrl.includes('?') ? '&' : '?'}session_id={CHECKOUT_SESSION_ID}`;
 
-        // Convert items to Stripe line_items format
-        const lineItems = body.items.map(item => ({
+        // Convert priced items to Stripe line_items format
+        const lineItems = pricedCart.items.map(item => ({
             price_data: {
-                currency: 'aud', // Australian Dollars
+                currency: checkoutCurrency, // aud, usd or inr
                 product_data: {
-                    name: item.name,
-                    description: item.description || 'High-resolution digital photography print',
+                    name: item.isPrint ? `${item.title} - ${item.dimensionLabel}` : `${item.title} (${item.licenseLabel} License)`,
+                    description: item.isPrint
+                        ? `${catalog.getPrintSize(item.dimension)?.description || 'Photographic print'} - ${item.dimensionLabel}`
+                        : item.isBundle
+                        ? `Bundle of ${item.members.length} high-resolution photos - ${catalog.LICENSE_TIERS[item.license].summary}`
+                        : item.isCreditPack
+                            ? `${item.credits} prepaid photo downloads, redeemable on any photo - ${catalog.LICENSE_TIERS[item.license].summary}`
+                            : item.isMembership
+                                ? `${item.downloads} photo downloads of your choice every ${item.interval} - ${catalog.LICENSE_TIERS[item.license].summary}`
+                                : `High-resolution digital photography print - ${catalog.LICENSE_TIERS[item.license].summary}`,
+                    metadata: {
+                        productId: item.productId, // Lets the webhook match line items to cart items
+                        license: item.license,
+                        ...(item.isPrint ? { dimension: item.dimension } : {}),
+                        ...(item.isBundle ? { bundle: 'true' } : {}),
+                        ...(item.isCreditPack ? { credit_pack: 'true', credits: String(item.credits) } : {}),
+                        ...(item.isMembership ? { membership: 'true', downloads: String(item.downloads) } : {})
+                    }
                 },
-                unit_amount: Math.round(item.price * 100), // Convert to cents
+                unit_amount: item.unitAmount, // Catalog price in cents
+                ...(item.isMembership ? { recurring: { interval: item.interval } } : {}) // Charged every billing period
             },
-            quantity: item.quantity || 1,
+            quantity: item.quantity,
         }));
 
+        // Repeated checkout (double click, retry) - return the session created for this key while it is still open
+        const idempotencyRecordKey = idempotencyKey ? `checkout_idempotency:${idempotencyKey}` : null;
+        const fingerprint = getRequestFingerprint({
+            lineItems: lineItems,
+            gift: giftRequest.gift,
+            customerEmail: body.customer_email || null,
+            successUrl: finalSuccessUrl,
+            cancelUrl: cancelUrl
+        });
+        let stripeIdempotencyKey = idempotencyKey;
+
+        if (idempotencyRecordKey) {
+            let existing = null;
+            try {
+                existing = await db.getRedis().get(idempotencyRecordKey);
+            } catch (redisError) {
+                console.warn('⚠️ Could not read checkout idempotency record:', redisError);
+            }
+
+            if (existing && existing.fingerprint !== fingerprint) {
+                console.warn(`⚠️ Checkout rejected - idempotency key ${idempotencyKey} reused for a different request`);
+                return res.status(422).json({
+                    error: 'Idempotency key reused',
+                    message: 'This checkout key was already used for a different cart. Please refresh the page and try again.'
+                });
+            }
+
+            if (existing && existing.response) {
+                const existingSession = await paymentProvider.retrieveCheckoutSession(existing.response.id).catch(() => null);
+                if (existingSession && existingSession.status === 'open') {
+                    console.log(`🔁 Returning existing checkout session ${existing.response.id} for idempotency key ${idempotencyKey}`);
+                    return res.status(200).json(existing.response);
+                }
+                // Paid or expired - Stripe would replay the same session for this key, so use a new one
+                stripeIdempotencyKey = `${idempotencyKey}_${existing.response.id}`;
+            }
+        }
+
         // Store full cart items in Redis before creating session (for webhook access)
         // This avoids Stripe's 500-character metadata limit
-        const db = require('./db');
-        const fullCartItems = body.items.map(item => ({
-            name: item.name,
-            title: item.title || item.name,
+        // Image URLs come from the catalog so the client cannot point downloads elsewhere
+        const fullCartItems = pricedCart.items.map(item => ({
+            name: item.isPrint ? `${item.title} - ${item.dimensionLabel}` : `${item.title} (${item.licenseLabel} License)`, // Matches the Stripe line item name
+            title: item.title,
             imageSrc: item.imageSrc || '', // Low-res for display
             imageHQ: item.imageHQ || item.imageSrc || '', // High-quality for downloads
-            productId: item.productId || item.id || null,
-            quantity: item.quantity || 1
+            productId: item.productId,
+            license: item.license,
+            price: item.price,
+            currency: checkoutCurrency,
+            quantity: item.quantity,
+            // Prints keep the print size on sale at checkout
+            ...(item.isPrint ? { isPrint: true, dimension: item.dimension, dimensionLabel: item.dimensionLabel } : {}),
+            // Bundles keep their member photos so the order delivers what was on sale at checkout
+            ...(item.isBundle ? { isBundle: true, members: item.members } : {}),
+            // Credit packs and memberships keep the credits or allowance on sale at checkout
+            ...(item.isCreditPack ? { isCreditPack: true, credits: item.credits } : {}),
+            ...(item.isMembership ? { isMembership: true, downloads: item.downloads, interval: item.interval } : {})
         }));
         
         // Store cart items in Redis keyed by a temporary key first
-        const tempCartKey = `temp_cart:${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        // With an idempotency key the temp key is derived from it, so concurrent repeats send Stripe identical parameters
+        const tempCartKey = stripeIdempotencyKey
+            ? `temp_cart:idem_${crypto.createHash('sha256').update(stripeIdempotencyKey).digest('hex').substring(0, 32)}`
+            : `temp_cart:${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
         let cartStored = false;
         try {
-            await db.savePurchase(tempCartKey, { cartItems: fullCartItems }, 3600); // 1 hour expiry
-            cartStored = true;
-            console.log(`✅ Stored cart items in Redis with key: ${tempCartKey}`);
+            cartStored = await db.savePurchase(tempCartKey, { cartItems: fullCartItems, currency: checkoutCurrency, gift: giftRequest.gift }, TEMP_CART_TTL_SECONDS);
+            if (cartStored) {
+                console.log(`✅ Stored cart items in Redis with key: ${tempCartKey}`);
+            }
         } catch (redisError) {
             console.warn('⚠️ Could not store cart items in Redis, will use minimal metadata:', redisError);
         }
+
+        // Gift recipients only exist in the stored cart - never charge for a gift we can't deliver
+        if (giftRequest.gift && !cartStored) {
+            console.error('❌ Gift checkout aborted - cart could not be stored in Redis');
+            return res.status(503).json({
+                error: 'Service unavailable',
+                message: 'We could not save your gift details. Please try again in a moment.'
+            });
+        }
         
+        // Card, plus delayed payment methods (PayTo, bank debits) if enabled - the webhook records
+        // those purchases as pending until the payment settles. Memberships renew on the card
+        const paymentMethodTypes = membershipItem ? ['card'] : currency.getPaymentMethodTypes(checkoutCurrency);
+
         // Create Stripe Checkout Session
-        // Always include payment_intent_data with setup_future_usage to ensure card collection
+        // Always include setup_future_usage for cards to ensure card collection
         // This forces Stripe to show the card payment form even for $0.00 payments
-        const session = await stripeInstance.checkout.sessions.create({
-            payment_method_types: ['card'],
+        const session = await paymentProvider.createCheckoutSession({
+            payment_method_types: paymentMethodTypes,
             line_items: lineItems,
-            mode: 'payment', // For one-time payments
+            mode: membershipItem ? 'subscription' : 'payment', // Memberships renew every billing period, everything else is a one-time payment
             
             // Success and cancel URLs
             success_url: finalSuccessUrl,
@@ -172,10 +411,12 @@ async function handler(req, res) {
             metadata: {
                 order_type: 'digital_photo_download',
                 website: 'ifeelworld.com',
-                item_count: body.items.length.toString(),
+                currency: checkoutCurrency,
+                is_gift: giftRequest.gift ? 'true' : 'false',
+                item_count: pricedCart.items.length.toString(),
                 // Store only productIds (comma-separated) to minimize metadata size
                 // Full cart items with URLs are stored in Redis
-                product_ids: body.items.map(item => item.productId || item.id || '').filter(id => id).join(','),
+                product_ids: pricedCart.items.map(item => item.productId).join(','),
                 temp_cart_key: cartStored ? tempCartKey : '' // Key to retrieve full cart from Redis
             },
             
@@ -191,14 +432,31 @@ async function handler(req, res) {
             
             // Billing address collection - disabled (not required)
             billing_address_collection: 'auto',
+
+            // Prints are shipped - collect the shipping address (the webhook queues the prints for the lab with it)
+            ...(pricedCart.items.some(item => item.isPrint) ? {
+                shipping_address_collection: { allowed_countries: fulfillment.SHIPPING_COUNTRIES }
+            } : {}),
             
             // Payment intent data - ALWAYS include to force card collection
             // setup_future_usage: 'off_session' forces Stripe to collect card details
             // This ensures the card payment form is shown even for $0.00 payments
-            payment_intent_data: {
-                setup_future_usage: 'off_session'
-            },
-        });
+            // (set for cards only when other methods are offered - their mandates are set up by Stripe)
+            // Memberships: the subscription keeps the card, and carries the plan for its invoice and cancellation events
+            ...(membershipItem ? {
+                subscription_data: {
+                    metadata: memberships.buildSubscriptionMetadata(membershipItem)
+                }
+            } : paymentMethodTypes.length === 1 ? {
+                payment_intent_data: {
+                    setup_future_usage: 'off_session'
+                }
+            } : {
+                payment_method_options: {
+                    card: { setup_future_usage: 'off_session' }
+                }
+            }),
+        }, { idempotencyKey: stripeIdempotencyKey });
 
         // After session creation, move cart from temp key to session-based key for easier webhook access
         if (cartStored && tempCartKey) {
@@ -206,7 +464,7 @@ async function handler(req, res) {
                 const tempCartData = await db.getPurchase(tempCartKey);
                 if (tempCartData) {
                     // Store with session ID for webhook access
-                    await db.savePurchase(`temp_cart:${session.id}`, tempCartData, 3600);
+                    await db.savePurchase(`temp_cart:${session.id}`, tempCartData, TEMP_CART_TTL_SECONDS);
                     console.log(`✅ Moved cart to session key: temp_cart:${session.id}`);
                     // Clean up old temp key (optional, will expire anyway)
                     try {
@@ -221,10 +479,38 @@ async function handler(req, res) {
             }
         }
         
-        // Return the session ID for redirect
-        return res.status(200).json({
-            id: session.id
-        });
+        // Return the session ID for redirect, with the prices actually charged
+        const chargedItems = pricedCart.items.map(item => ({
+            productId: item.productId,
+            title: item.title,
+            license: item.license,
+            ...(item.isPrint ? { dimension: item.dimension } : {}),
+            price: item.price,
+            currency: item.currency,
+            quantity: item.quantity,
+            ...(item.isBundle ? { isBundle: true, productIds: item.members.map(member => member.productId) } : {}),
+            ...(item.isCreditPack ? { isCreditPack: true, credits: item.credits } : {}),
+            ...(item.isMembership ? { isMembership: true, downloads: item.downloads, interval: item.interval } : {})
+        }));
+
+        const response = {
+            id: session.id,
+            currency: checkoutCurrency,
+            gift: giftRequest.gift ? { recipientEmail: giftRequest.gift.recipientEmail } : null,
+            items: chargedItems,
+            total: currency.fromMinorUnits(pricedCart.items.reduce((sum, item) => sum + item.unitAmount * item.quantity, 0), checkoutCurrency)
+        };
+
+        // Remember the session for this idempotency key (Stripe's own idempotency still covers a failed write)
+        if (idempotencyRecordKey) {
+            try {
+                await db.getRedis().set(idempotencyRecordKey, { fingerprint: fingerprint, response: response }, { ex: IDEMPOTENCY_TTL_SECONDS });
+            } catch (redisError) {
+                console.warn('⚠️ Could not store checkout idempotency record:', redisError);
+            }
+        }
+
+        return res.status(200).json(response);
 
     } catch (error) {
         console.error('Error creating checkout session:', error);
@@ -237,6 +523,14 @@ async function handler(req, res) {
             });
         }
         
+        // Same Stripe idempotency key with different parameters
+        if (error.type === 'StripeIdempotencyError') {
+            return res.status(422).json({
+                error: 'Idempotency key reused',
+                message: 'This checkout key was already used for a different cart. Please refresh the page and try again.'
+            });
+        }
+
         if (error.type === 'StripeInvalidRequestError') {
             return res.status(400).json({
                 error: 'Invalid request',
@@ -0,0 +1,212 @@
+/**
+ * Download Credit Functions
+ * Balance and redemption of prepaid download credits (credit packs - see lib/credits.js)
+ * The balance belongs to the buyer's email; the session ID of any of their paid credit pack orders unlocks it
+ *
+ * Usage:
+ * - GET  /api/credits?action=getBalance&session_id=cs_...
+ * - POST /api/credits?action=redeem (body: { session_id, items: [{ productId, license, quantity }] })
+ *
+ * Supported actions:
+ * - getBalance: Credit balance ({ email, balance: { license: credits } })
+ * - redeem: Spend credits on photos (one credit per copy, under the photo's license). Debits the balance
+ *   and creates a purchase with the photos - download them with the returned sessionId (credit_...) like
+ *   any order: { sessionId, successUrl, credits, balance }
+ *   402 if the balance is too low ({ balance, required })
+ */
+
+const db = require('./db');
+const credits = require('../lib/credits');
+const disputes = require('../lib/disputes');
+
+const SUCCESS_PAGE_URL = 'https://www.ifeelworld.com/payment-success.html';
+
+// Helper: Get action from query or body
+function getAction(req) {
+    // Try query parameter first
+    if (req.query && req.query.action) {
+        return req.query.action;
+    }
+    // Try body
+    const body = parseBody(req);
+    return body.action || null;
+}
+
+// Helper: Parse request body
+function parseBody(req) {
+    if (typeof req.body === 'string') {
+        try {
+            return JSON.parse(req.body);
+        } catch (e) {
+            return {};
+        }
+    }
+    return req.body || {};
+}
+
+/**
+ * Helper: Find the balance a credit pack order unlocks
+ * Sends the error response and returns null if the order can't be used
+ * @returns {Promise<Object|null>} - { purchase, email }
+ */
+async function getCreditOwner(sessionId, res) {
+    if (!sessionId || typeof sessionId !== 'string' || !sessionId.startsWith('cs_')) {
+        res.status(400).json({
+            error: 'Invalid session ID',
+            message: 'session_id must be the session ID (cs_...) of a credit pack order'
+        });
+        return null;
+    }
+
+    const purchase = await db.getPurchase(sessionId);
+
+    if (!purchase || !(purchase.creditPacks || []).length) {
+        res.status(404).json({
+            error: 'Credit pack order not found',
+            message: 'No credit pack order was found for this session ID. If you just paid, please try again in a moment.'
+        });
+        return null;
+    }
+
+    if (purchase.refunded || disputes.isFrozen(purchase)) {
+        res.status(403).json({
+            error: 'Credits unavailable',
+            message: 'This credit pack order was refunded or is on hold. Please contact support.',
+            refunded: !!purchase.refunded,
+            disputed: disputes.isFrozen(purchase)
+        });
+        return null;
+    }
+
+    if (!purchase.creditsGrantedAt) {
+        res.status(403).json({
+            error: 'Payment pending',
+            message: 'Your credits will be available once the payment for this order has cleared.'
+        });
+        return null;
+    }
+
+    return { purchase: purchase, email: credits.normalizeEmail(purchase.customer_email || purchase.email) };
+}
+
+// Action: Get the credit balance
+async function handleGetBalance(req, res) {
+    if (req.method !== 'GET') {
+        return res.status(405).json({ error: 'Method not allowed', message: 'Only GET method is supported' });
+    }
+
+    const owner = await getCreditOwner(req.query.session_id, res);
+    if (!owner) return;
+
+    const balance = await db.getCreditBalance(owner.email);
+    if (!balance) {
+        return res.status(503).json({
+            error: 'Service unavailable',
+            message: 'We could not load your credits. Please try again in a moment.'
+        });
+    }
+
+    return res.status(200).json({ email: owner.email, balance: balance });
+}
+
+// Action: Redeem credits on photos
+async function handleRedeem(req, res) {
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed', message: 'Only POST method is supported' });
+    }
+
+    const body = parseBody(req);
+    const redeem = credits.parseRedeemItems(body.items);
+    if (redeem.error) {
+        return res.status(400).json({
+            error: 'Invalid request',
+            message: redeem.error
+        });
+    }
+
+    const owner = await getCreditOwner(body.session_id, res);
+    if (!owner) return;
+
+    // All or nothing - never spends credits the balance doesn't have, even with parallel requests
+    const debited = await db.debitCredits(owner.email, redeem.credits);
+    if (debited === null) {
+        return res.status(503).json({
+            error: 'Service unavailable',
+            message: 'We could not redeem your credits. Please try again in a moment.'
+        });
+    }
+    if (!debited) {
+        return res.status(402).json({
+            error: 'Not enough credits',
+            message: 'You don\'t have enough credits for these photos.',
+            balance: await db.getCreditBalance(owner.email),
+            required: redeem.credits
+        });
+    }
+
+    const redemptionId = credits.createRedemptionId();
+    const purchase = credits.buildRedemptionPurchase(redemptionId, {
+        email: owner.email,
+        products: redeem.products,
+        credits: redeem.credits,
+        creditSessionId: owner.purchase.session_id
+    });
+
+    if (!await db.savePurchase(redemptionId, purchase)) {
+        // Give the credits back - nothing was delivered
+        await db.addCredits(owner.email, redeem.credits, `${redemptionId}_restore`);
+        console.error(`❌ CRITICAL: Failed to save credit redemption ${redemptionId} - credits restored`);
+        return res.status(503).json({
+            error: 'Service unavailable',
+            message: 'We could not redeem your credits. Please try again in a moment.'
+        });
+    }
+
+    console.log(`🎟️ Redeemed credits for ${owner.email} (${redemptionId}):`, redeem.credits);
+
+    return res.status(200).json({
+        sessionId: redemptionId, // Use like an order's session ID for downloads
+        successUrl: `${SUCCESS_PAGE_URL}?session_id=${encodeURIComponent(redemptionId)}`,
+        credits: redeem.credits,
+        balance: await db.getCreditBalance(owner.email)
+    });
+}
+
+// Main handler - routes to appropriate action
+async function handler(req, res) {
+    // Balances are per customer - never cache them
+    res.setHeader('Cache-Control', 'no-store');
+
+    try {
+        // Get action from query or body
+        const action = getAction(req);
+
+        if (!action) {
+            return res.status(400).json({
+                error: 'Missing action',
+                message: 'action parameter is required. Use ?action=<actionName>'
+            });
+        }
+
+        // Route to appropriate handler
+        switch (action) {
+            case 'getBalance':
+                return await handleGetBalance(req, res);
+            case 'redeem':
+                return await handleRedeem(req, res);
+            default:
+                return res.status(400).json({
+                    error: 'Invalid action',
+                    message: `Unknown action: ${action}. Supported actions: getBalance, redeem`
+                });
+        }
+    } catch (error) {
+        console.error('❌ Error in credits function:', error);
+        return res.status(500).json({
+            error: 'Internal server error',
+            message: process.env.NODE_ENV === 'development' ? error.message : 'An error occurred while processing your request.'
+        });
+    }
+}
+
+module.exports = handler;
@@ -4,6 +4,10 @@
  */
 
 const { Redis } = require('@upstash/redis');
+const refunds = require('../lib/refunds');
+const disputes = require('../lib/disputes');
+const paymentStatus = require('../lib/paymentStatus');
+const downloadPolicies = require('../lib/downloadPolicies');
 
 // Initialize Redis client (uses environment variables)
 let redis = null;
@@ -43,7 +47,11 @@ async function getPurchase(sessionId) {
         if (purchase) {
             console.log(`✅ Purchase found in Redis for session: ${sessionId}`);
             console.log(`🔑 Redis key: ${key}`);
-            return purchase;
+            if (!purchase.products && !purchase.purchased_items) return purchase;
+
+            // Download counts are kept apart from the record (see consumeDownloads)
+            const downloads = await redisClient.hgetall(`purchase_downloads:${sessionId}`);
+            return downloads ? applyDownloadCounts(purchase, downloads) : purchase;
         } else {
             console.log(`⚠️ Purchase not found in Redis for session: ${sessionId}`);
             console.log(`🔑 Redis key checked: ${key}`);
@@ -57,8 +65,8 @@ async function getPurchase(sessionId) {
     }
 }
 
-// Save purchase
-async function savePurchase(sessionId, purchaseData) {
+// Save purchase (ttlSeconds: expire the key, e.g. for temp carts - purchases themselves are kept for good)
+async function savePurchase(sessionId, purchaseData, ttlSeconds) {
     try {
         const redisClient = getRedis();
         const key = `purchase:${sessionId}`; // Exact session ID as Redis key
@@ -71,7 +79,9 @@ async function savePurchase(sessionId, purchaseData) {
         
         // Store purchase data in Redis - AWAIT to guarantee it completes
         // Upstash Redis handles object serialization automatically
-        const result = await redisClient.set(key, purchaseData);
+        const result = ttlSeconds > 0
+            ? await redisClient.set(key, purchaseData, { ex: ttlSeconds })
+            : await redisClient.set(key, purchaseData);
         
         console.log(`📝 Redis SET result:`, result);
         
@@ -102,16 +112,49 @@ async function savePurchase(sessionId, purchaseData) {
     }
 }
 
-// Update purchase (for download tracking)
+// Purchase records are changed by read-modify-write (refunds, disputes and payment status often arrive together):
+// the new record is written only if the key still holds the JSON that was read (ARGV[1] - the Upstash client stores
+// values as JSON), keeping its TTL. A change that lost the race reads the record again instead of overwriting the other
+const SET_IF_UNCHANGED_SCRIPT = `
+if redis.call('GET', KEYS[1]) ~= ARGV[1] then return 0 end
+redis.call('SET', KEYS[1], ARGV[2], 'KEEPTTL')
+return 1`;
+const PURCHASE_CHANGE_ATTEMPTS = 5;
+
+/**
+ * Helper: Change a purchase record atomically (see SET_IF_UNCHANGED_SCRIPT)
+ * @param {Object} redisClient - Redis client
+ * @param {string} sessionId - Purchase session ID (or gift/redemption ID)
+ * @param {Function} change - Gets the record read and returns the changed record, or null to leave it as it is
+ * @returns {Promise<Object|null>} - The record as written (or left), null if there is no purchase - throws if the
+ *   record kept changing
+ */
+async function changePurchase(redisClient, sessionId, change) {
+    const key = `purchase:${sessionId}`;
+
+    for (let attempt = 1; attempt <= PURCHASE_CHANGE_ATTEMPTS; attempt++) {
+        const purchase = await redisClient.get(key);
+        if (!purchase) return null;
+
+        const read = JSON.stringify(purchase);
+        const changed = change(purchase);
+        if (!changed) return purchase;
+
+        const written = await redisClient.eval(SET_IF_UNCHANGED_SCRIPT, [key], [read, JSON.stringify(changed)]);
+        if (Number(written) === 1) return changed;
+        console.warn(`⚠️ Purchase ${sessionId} changed while it was being updated - trying again (attempt ${attempt})`);
+    }
+    throw new Error(`Purchase ${sessionId} kept changing - not updated after ${PURCHASE_CHANGE_ATTEMPTS} attempts`);
+}
+
+// Update purchase fields (atomic - see changePurchase)
 async function updatePurchase(sessionId, updates) {
     try {
         const redisClient = getRedis();
         const key = `purchase:${sessionId}`;
-        
-        const purchase = await redisClient.get(key);
-        if (purchase) {
-            const updated = { ...purchase, ...updates };
-            await redisClient.set(key, updated);
+
+        const updated = await changePurchase(redisClient, sessionId, purchase => ({ ...purchase, ...updates }));
+        if (updated) {
             console.log(`✅ Purchase updated in Redis: ${key}`);
             return true;
         }
@@ -122,60 +165,260 @@ async function updatePurchase(sessionId, updates) {
     }
 }
 
-// Mark item as downloaded (boolean flag - simple quantity-based tracking)
-// When user clicks download, item is marked as downloaded (downloaded = true)
-async function markItemAsDownloaded(sessionId, productId) {
+// Download counts of a purchase's photos (purchase_downloads:<purchase ID>, productId -> downloads used and
+// "<productId>:at" -> last downloaded at) - changed only by a Lua script, which Redis runs atomically, so two
+// parallel requests can never both use a photo's last download. A photo that then couldn't be delivered gets its
+// download back and "<productId>:failed" / "<productId>:error" set until its next download (see releaseDownloads).
+// getPurchase overlays them on the purchase record (download_uses, downloaded, downloaded_at, download_failures) -
+// the record itself is never rewritten to count a download
+const CONSUME_DOWNLOADS_SCRIPT = `
+local consumed = {}
+for i = 2, #ARGV, 3 do
+    local used = tonumber(redis.call('HGET', KEYS[1], ARGV[i]) or ARGV[i + 1])
+    if used < tonumber(ARGV[i + 2]) then
+        redis.call('HSET', KEYS[1], ARGV[i], used + 1, ARGV[i] .. ':at', ARGV[1])
+        redis.call('HDEL', KEYS[1], ARGV[i] .. ':failed', ARGV[i] .. ':error')
+        table.insert(consumed, ARGV[i])
+        table.insert(consumed, used + 1)
+    end
+end
+return consumed`;
+
+const RELEASE_DOWNLOADS_SCRIPT = `
+for i = 2, #ARGV, 2 do
+    local used = tonumber(redis.call('HGET', KEYS[1], ARGV[i]) or '0')
+    if used > 1 then
+        redis.call('HSET', KEYS[1], ARGV[i], used - 1)
+    elseif used == 1 then
+        redis.call('HSET', KEYS[1], ARGV[i], 0)
+        redis.call('HDEL', KEYS[1], ARGV[i] .. ':at')
+    end
+    redis.call('HSET', KEYS[1], ARGV[i] .. ':failed', ARGV[1], ARGV[i] .. ':error', ARGV[i + 1])
+end
+return 1`;
+
+// Helper: Overlay a purchase's download counts (purchase_downloads:) on its record
+function applyDownloadCounts(purchase, downloads) {
+    const items = purchase.products || purchase.purchased_items || [];
+    const updated = {
+        ...purchase,
+        download_uses: { ...(purchase.download_uses || {}) },
+        downloaded: { ...(purchase.downloaded || {}) },
+        downloaded_at: { ...(purchase.downloaded_at || {}) },
+        download_failures: { ...(purchase.download_failures || {}) },
+        download_count: { ...(purchase.download_count || {}) }, // Backward compatibility
+        quantity_downloaded: { ...(purchase.quantity_downloaded || {}) } // Backward compatibility
+    };
+
+    for (const item of items) {
+        const uses = parseInt(downloads[item.productId], 10);
+        if (isNaN(uses)) continue; // Not downloaded since download counts moved out of the record
+
+        updated.download_uses[item.productId] = uses;
+        if (uses > 0) {
+            const quantityPurchased = item.quantityPurchased || item.quantity || 1;
+            updated.downloaded[item.productId] = true;
+            updated.download_count[item.productId] = quantityPurchased;
+            updated.quantity_downloaded[item.productId] = quantityPurchased;
+        }
+        if (downloads[`${item.productId}:at`]) {
+            updated.downloaded_at[item.productId] = downloads[`${item.productId}:at`];
+        }
+        if (downloads[`${item.productId}:failed`]) {
+            updated.download_failures[item.productId] = {
+                failedAt: downloads[`${item.productId}:failed`],
+                error: String(downloads[`${item.productId}:error`] || 'Download failed')
+            };
+        }
+    }
+
+    if (purchase.downloadsUsed !== undefined) {
+        updated.downloadsUsed = Object.values(updated.download_uses).reduce((sum, uses) => sum + uses, 0);
+    }
+    return updated;
+}
+
+/**
+ * Use one download of each photo that has one left under its download policy (atomic)
+ * Refunds, disputes, payment status and the download period are checked by the caller
+ * @param {string} sessionId - Purchase session ID (or gift/redemption ID)
+ * @param {Object} purchase - Purchase record (from getPurchase)
+ * @param {Array} productIds - Photos to download
+ * @returns {Promise<Object|null>} - { productId: downloads used } for the photos that had a download left
+ *   (photos without one are left out), null on a Redis error
+ */
+async function consumeDownloads(sessionId, purchase, productIds) {
     try {
         const redisClient = getRedis();
-        const key = `purchase:${sessionId}`;
-        
-        const purchase = await redisClient.get(key);
-        if (purchase) {
-            // Initialize download tracking if it doesn't exist
-            if (!purchase.downloaded) {
-                purchase.downloaded = {}; // Map of productId -> boolean
-            }
-            
-            // Check if item exists in purchase
-            const items = purchase.products || purchase.purchased_items || [];
+        const items = purchase.products || purchase.purchased_items || [];
+
+        // productId, downloads used before counts moved out of the record, downloads allowed
+        const args = [new Date().toISOString()];
+        for (const productId of productIds) {
             const item = items.find(item => item.productId === productId);
             if (!item) {
                 console.error(`❌ Item not found for productId: ${productId}`);
-                return false;
-            }
-            
-            // Mark item as downloaded
-            purchase.downloaded[productId] = true;
-            
-            // Also update backward compatibility fields
-            if (!purchase.download_count) {
-                purchase.download_count = {};
-            }
-            if (!purchase.quantity_downloaded) {
-                purchase.quantity_downloaded = {};
+                continue;
             }
-            const quantityPurchased = item.quantityPurchased || item.quantity || 1;
-            purchase.download_count[productId] = quantityPurchased;
-            purchase.quantity_downloaded[productId] = quantityPurchased;
-            
-            // Update downloadsUsed
-            if (purchase.downloadsUsed !== undefined) {
-                purchase.downloadsUsed = Object.values(purchase.downloaded).filter(Boolean).length;
-            }
-            
-            await redisClient.set(key, purchase);
-            
-            console.log(`✅ Item marked as downloaded for ${productId}`);
-            console.log(`🔑 Redis key: ${key}`);
-            return true;
+            args.push(productId, String(downloadPolicies.getDownloadsUsed(purchase, productId)), String(downloadPolicies.getItemPolicy(item).downloads));
+        }
+        if (args.length === 1) return {};
+
+        const consumed = await redisClient.eval(CONSUME_DOWNLOADS_SCRIPT, [`purchase_downloads:${sessionId}`], args) || [];
+        const downloadsUsed = {};
+        for (let i = 0; i < consumed.length; i += 2) {
+            downloadsUsed[consumed[i]] = Number(consumed[i + 1]);
+        }
+
+        console.log(`✅ Downloads used for session ${sessionId}:`, downloadsUsed);
+        return downloadsUsed;
+    } catch (error) {
+        console.error(`❌ Error using downloads in Redis for ${sessionId}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Give back the downloads of photos that couldn't be delivered (e.g. failed to fetch for a ZIP), and record the
+ * failure until the photo's next download (purchase.download_failures, productId -> { failedAt, error })
+ * @param {string} sessionId - Purchase session ID (or gift/redemption ID)
+ * @param {Object} failures - { productId: error message } for photos consumeDownloads used a download of
+ * @returns {Promise<boolean>} - Success status
+ */
+async function releaseDownloads(sessionId, failures) {
+    try {
+        const productIds = Object.keys(failures);
+        if (productIds.length === 0) return true;
+
+        const redisClient = getRedis();
+        const args = [new Date().toISOString()];
+        for (const productId of productIds) {
+            args.push(productId, String(failures[productId] || 'Download failed'));
         }
+
+        await redisClient.eval(RELEASE_DOWNLOADS_SCRIPT, [`purchase_downloads:${sessionId}`], args);
+        console.log(`✅ Downloads given back for session ${sessionId}:`, productIds);
+        return true;
+    } catch (error) {
+        console.error(`❌ Error giving back downloads in Redis for ${sessionId}:`, error);
+        return false;
+    }
+}
+
+// Record a download of an item (one use of its download policy - see consumeDownloads)
+// Returns false if the item isn't in the purchase or has no downloads left
+async function markItemAsDownloaded(sessionId, productId) {
+    const purchase = await getPurchase(sessionId);
+    if (!purchase) return false;
+
+    const downloadsUsed = await consumeDownloads(sessionId, purchase, [productId]);
+    if (!downloadsUsed || downloadsUsed[productId] === undefined) return false;
+
+    console.log(`✅ Item marked as downloaded for ${productId} (download ${downloadsUsed[productId]})`);
+    return true;
+}
+
+// Download access claims (download_claim:<purchase ID> -> { accessId, claimedAt } of the browser that claimed it, see
+// lib/downloadTokens.js) - only that browser is issued download tokens for the purchase. Kept for good
+
+/**
+ * Claim a purchase's downloads for a browser (the first claim wins)
+ * @param {string} sessionId - Purchase ID (cs_..., gift_... or credit_...)
+ * @param {string} accessId - The browser's access ID
+ * @returns {Promise<boolean|null>} - true if claimed now or earlier by this browser, false if another browser
+ *   claimed it, null on a Redis error
+ */
+async function claimDownloadAccess(sessionId, accessId) {
+    try {
+        const redisClient = getRedis();
+        const key = `download_claim:${sessionId}`;
+        if (await redisClient.set(key, { accessId: accessId, claimedAt: new Date().toISOString() }, { nx: true })) return true;
+        const claim = await redisClient.get(key);
+        return !!claim && claim.accessId === accessId;
+    } catch (error) {
+        console.error(`❌ Error claiming download access in Redis for ${sessionId}:`, error);
+        return null;
+    }
+}
+
+// Release a purchase's download claim, so the next browser to ask claims it (support: the customer changed browsers)
+async function releaseDownloadAccess(sessionId) {
+    try {
+        const redisClient = getRedis();
+        return await redisClient.del(`download_claim:${sessionId}`) > 0;
+    } catch (error) {
+        console.error(`❌ Error releasing download access in Redis for ${sessionId}:`, error);
+        return null;
+    }
+}
+
+// Single-file transfers (download_transfer:<purchase ID>:<productId> -> { etag, size, startedAt, servedTo, resumes }) -
+// servedTo is the furthest byte offset the transfer has sent, and resumes how often it was continued. A Range request
+// that continues an unfinished transfer of the same file (ETag) from there doesn't use another download (see
+// handleStreamFile in api/download.js). Kept a day after the transfer starts
+const DOWNLOAD_TRANSFER_TTL_SECONDS = 60 * 60 * 24;
+
+// Get the open single-file transfer of a photo (null if none or on error)
+async function getDownloadTransfer(sessionId, productId) {
+    try {
+        const redisClient = getRedis();
+        return await redisClient.get(`download_transfer:${sessionId}:${productId}`) || null;
+    } catch (error) {
+        console.error(`❌ Error getting download transfer from Redis for ${sessionId}/${productId}:`, error);
+        return null;
+    }
+}
+
+// Save the single-file transfer of a photo (a new transfer replaces the previous one - expires a day after it started)
+async function saveDownloadTransfer(sessionId, productId, transfer) {
+    try {
+        const redisClient = getRedis();
+        const ttlSeconds = DOWNLOAD_TRANSFER_TTL_SECONDS - Math.floor((Date.now() - Date.parse(transfer.startedAt)) / 1000);
+        if (!(ttlSeconds > 0)) return true;
+
+        await redisClient.set(`download_transfer:${sessionId}:${productId}`, transfer, { ex: ttlSeconds });
+        return true;
+    } catch (error) {
+        console.error(`❌ Error saving download transfer to Redis for ${sessionId}/${productId}:`, error);
         return false;
+    }
+}
+
+// Forensic watermarks (watermark:<mark ID>, "<purchase ID>:<productId>" -> last delivered at) - the photos a mark ID
+// was embedded in (lib/watermark.js). Kept for good: leaks turn up long after the download. IDs are 32 bits, so two
+// purchases can share one - both are kept
+
+// Record that a photo was delivered with a mark
+async function saveWatermark(markId, sessionId, productId) {
+    try {
+        const redisClient = getRedis();
+        await redisClient.hset(`watermark:${markId}`, { [`${sessionId}:${productId}`]: new Date().toISOString() });
+        return true;
     } catch (error) {
-        console.error(`❌ Error marking item as downloaded for ${sessionId}/${productId}:`, error);
+        console.error(`❌ Error saving watermark ${markId} to Redis for ${sessionId}/${productId}:`, error);
         return false;
     }
 }
 
+// Get the photos delivered with a mark ([{ sessionId, productId, markedAt }] - empty if none, null on error)
+async function getWatermarkPurchases(markId) {
+    try {
+        const redisClient = getRedis();
+        const deliveries = await redisClient.hgetall(`watermark:${markId}`) || {};
+        return Object.entries(deliveries).map(([delivery, markedAt]) => {
+            const separator = delivery.indexOf(':'); // Purchase IDs never contain ":"
+            return {
+                sessionId: delivery.substring(0, separator),
+                productId: delivery.substring(separator + 1),
+                markedAt: markedAt
+            };
+        });
+    } catch (error) {
+        console.error(`❌ Error getting watermark ${markId} from Redis:`, error);
+        return null;
+    }
+}
+
 // Check if item has been downloaded (boolean check)
 async function isItemDownloaded(sessionId, productId) {
     try {
@@ -251,7 +494,7 @@ async function getQuantityPurchased(sessionId, productId) {
     }
 }
 
-// Check if download is allowed (quantity-based)
+// Check if download is allowed (downloads left and not expired under the item's download policy)
 async function canDownload(sessionId, productId) {
     try {
         const purchase = await getPurchase(sessionId);
@@ -261,18 +504,24 @@ async function canDownload(sessionId, productId) {
         const items = purchase.products || purchase.purchased_items || [];
         const item = items.find(item => item.productId === productId);
         if (!item) return false;
+
+        // Refunded items, unsettled payments (pending or failed) and purchases frozen by a dispute can't be downloaded
+        if (refunds.isItemRefunded(purchase, productId) || !paymentStatus.isPaymentSettled(purchase) || disputes.isFrozen(purchase)) return false;
         
-        const quantityDownloaded = await getDownloadCount(sessionId, productId);
-        const quantityPurchased = item.quantityPurchased || item.quantity || item.maxDownloads || item.max_downloads || 1;
-        
-        return quantityDownloaded < quantityPurchased;
+        return downloadPolicies.getEntitlement(purchase, item).remaining > 0;
     } catch (error) {
         console.error(`❌ Error checking download permission for ${sessionId}/${productId}:`, error);
         return false;
     }
 }
 
-// Get download status for a product (quantityPurchased, quantityDownloaded, remaining)
+/**
+ * Get download status for a product
+ * @param {string} sessionId - Purchase session ID (or gift/redemption ID)
+ * @param {string} productId - Photo productId
+ * @returns {Promise<Object>} - { quantityPurchased, quantityDownloaded, downloadsAllowed, downloadsUsed, remaining,
+ *   expiresAt, expired, canDownload, refunded, disputed, paymentPending } - remaining is downloads left (0 if blocked)
+ */
 async function getDownloadStatus(sessionId, productId) {
     try {
         const purchase = await getPurchase(sessionId);
@@ -298,13 +547,25 @@ async function getDownloadStatus(sessionId, productId) {
         
         const quantityPurchased = item.quantityPurchased || item.quantity || item.maxDownloads || item.max_downloads || 1;
         const quantityDownloaded = await getDownloadCount(sessionId, productId);
-        const remaining = Math.max(0, quantityPurchased - quantityDownloaded);
+        const entitlement = downloadPolicies.getEntitlement(purchase, item);
+        const refunded = refunds.isItemRefunded(purchase, productId);
+        const disputed = disputes.isFrozen(purchase);
+        const paymentPending = paymentStatus.isPaymentPending(purchase);
+        const blocked = refunded || disputed || !paymentStatus.isPaymentSettled(purchase);
+        const remaining = blocked ? 0 : entitlement.remaining;
         
         return {
             quantityPurchased: quantityPurchased,
             quantityDownloaded: quantityDownloaded,
+            downloadsAllowed: entitlement.downloadsAllowed,
+            downloadsUsed: entitlement.downloadsUsed,
             remaining: remaining,
-            canDownload: remaining > 0
+            expiresAt: entitlement.expiresAt,
+            expired: entitlement.expired,
+            canDownload: remaining > 0,
+            refunded: refunded,
+            disputed: disputed,
+            paymentPending: paymentPending
         };
     } catch (error) {
         console.error(`❌ Error getting download status for ${sessionId}/${productId}:`, error);
@@ -317,6 +578,469 @@ async function getDownloadStatus(sessionId, productId) {
     }
 }
 
+/**
+ * Record a refund and revoke the refunded items
+ * Safe to call again for the same refund (Stripe may deliver the webhook more than once)
+ * @param {string} sessionId - Purchase session ID (or gift claim token)
+ * @param {Object} refund - { refundId, chargeId, amount, currency, reason, productIds } - productIds null = whole purchase
+ * @returns {Promise<boolean>} - true if the purchase was updated (or already had this refund)
+ */
+async function markRefunded(sessionId, refund) {
+    try {
+        const redisClient = getRedis();
+
+        // Atomic - a dispute or payment status recorded meanwhile is kept (see changePurchase)
+        let alreadyRecorded = false;
+        const purchase = await changePurchase(redisClient, sessionId, (purchase) => {
+            purchase.refunds = purchase.refunds || [];
+            alreadyRecorded = purchase.refunds.some(existing => existing.refundId === refund.refundId);
+            if (alreadyRecorded) return null;
+
+            const refundedAt = new Date().toISOString();
+            purchase.refunds.push({ ...refund, refundedAt: refundedAt });
+
+            // Mark items in both arrays (products and purchased_items are read by different actions)
+            // A bundle ID covers every photo bought as part of that bundle
+            const revokes = item => refund.productIds === null ||
+                refund.productIds.includes(item.productId) ||
+                (item.bundleId && refund.productIds.includes(item.bundleId));
+            for (const items of [purchase.products, purchase.purchased_items]) {
+                for (const item of items || []) {
+                    if (!item.refunded && revokes(item)) {
+                        item.refunded = true;
+                        item.refundedAt = refundedAt;
+                    }
+                }
+            }
+
+            const items = purchase.products || purchase.purchased_items || [];
+            if (refund.productIds === null || (items.length > 0 && items.every(item => item.refunded))) {
+                purchase.refunded = true;
+                purchase.refundedAt = purchase.refundedAt || refundedAt;
+            }
+            return purchase;
+        });
+        if (!purchase) {
+            console.error(`❌ Purchase not found for refund ${refund.refundId}: ${sessionId}`);
+            return false;
+        }
+        if (alreadyRecorded) return true;
+
+        console.log(`✅ Refund ${refund.refundId} recorded for ${sessionId}`, {
+            wholePurchase: !!purchase.refunded,
+            productIds: refund.productIds
+        });
+        return true;
+    } catch (error) {
+        console.error(`❌ Error recording refund for ${sessionId}:`, error);
+        return false;
+    }
+}
+
+// Remember which checkout session a payment intent belongs to (refunds and disputes reference the charge)
+async function savePaymentIntentSession(paymentIntentId, sessionId) {
+    try {
+        const redisClient = getRedis();
+        await redisClient.set(`payment_intent:${paymentIntentId}`, sessionId);
+        return true;
+    } catch (error) {
+        console.error(`❌ Error saving payment intent ${paymentIntentId} for ${sessionId}:`, error);
+        return false;
+    }
+}
+
+// Get the checkout session ID for a payment intent (null if unknown)
+async function getSessionIdForPaymentIntent(paymentIntentId) {
+    try {
+        const redisClient = getRedis();
+        return await redisClient.get(`payment_intent:${paymentIntentId}`) || null;
+    } catch (error) {
+        console.error(`❌ Error getting session for payment intent ${paymentIntentId}:`, error);
+        return null;
+    }
+}
+
+// Webhook event ledger - kept longer than Stripe retries events (up to 3 days)
+const WEBHOOK_EVENT_TTL_SECONDS = 60 * 60 * 24 * 30;
+// A delivery still "processing" after this long is assumed to have crashed and can be processed again
+const WEBHOOK_EVENT_LOCK_SECONDS = 5 * 60;
+
+// Write a ledger entry only if the stored entry is still the one the claim was decided on (ARGV[2] status and
+// ARGV[3] attempts, both '' if there was none) - every claim adds an attempt, so two deliveries retrying the same
+// failed or stale event can't both claim it
+const CLAIM_WEBHOOK_EVENT_SCRIPT = `
+local current = redis.call('GET', KEYS[1])
+if current then
+    local entry = cjson.decode(current)
+    if tostring(entry.status) ~= ARGV[2] or tostring(entry.attempts) ~= ARGV[3] then return 0 end
+elseif ARGV[2] ~= '' then
+    return 0
+end
+redis.call('SET', KEYS[1], ARGV[1], 'EX', ARGV[4])
+return 1`;
+
+/**
+ * Claim a webhook event for processing (event ledger)
+ * @param {Object} event - Verified Stripe event
+ * @returns {Promise<Object|null>} - Ledger entry ({ eventId, type, status, receivedAt, attempts, error, processedAt }),
+ *   claimed: true if this delivery should process the event; null if Redis is unavailable
+ */
+async function claimWebhookEvent(event) {
+    try {
+        const redisClient = getRedis();
+        const key = `webhook_event:${event.id}`;
+        const now = new Date();
+
+        const existing = await redisClient.get(key);
+        const locked = existing && existing.status === 'processing' &&
+            now - new Date(existing.startedAt) < WEBHOOK_EVENT_LOCK_SECONDS * 1000;
+        if (existing && (existing.status === 'processed' || locked)) {
+            return { ...existing, claimed: false };
+        }
+
+        const entry = {
+            eventId: event.id,
+            type: event.type,
+            receivedAt: existing?.receivedAt || now.toISOString(), // First delivery
+            startedAt: now.toISOString(),
+            status: 'processing',
+            attempts: (existing?.attempts || 0) + 1,
+            error: existing?.error || null, // Last error until this attempt finishes
+            processedAt: null
+        };
+
+        // Only one concurrent delivery can create the entry or take over a failed / stale one
+        const claimed = await redisClient.eval(CLAIM_WEBHOOK_EVENT_SCRIPT, [key], [
+            JSON.stringify(entry),
+            existing ? String(existing.status) : '',
+            existing ? String(existing.attempts) : '',
+            String(WEBHOOK_EVENT_TTL_SECONDS)
+        ]);
+        if (claimed !== 1) {
+            return { ...entry, claimed: false };
+        }
+        return { ...entry, claimed: true };
+    } catch (error) {
+        console.error(`❌ Error claiming webhook event ${event.id}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Record the outcome of processing a webhook event
+ * @param {string} eventId - Stripe event ID
+ * @param {Object} outcome - { status: 'processed' | 'failed', error }
+ * @returns {Promise<boolean>}
+ */
+async function finishWebhookEvent(eventId, outcome) {
+    try {
+        const redisClient = getRedis();
+        const key = `webhook_event:${eventId}`;
+
+        const entry = await redisClient.get(key);
+        if (!entry) return false;
+
+        const now = new Date().toISOString();
+        await redisClient.set(key, {
+            ...entry,
+            status: outcome.status,
+            error: outcome.error || null,
+            processedAt: outcome.status === 'processed' ? now : null,
+            finishedAt: now
+        }, { ex: WEBHOOK_EVENT_TTL_SECONDS });
+        return true;
+    } catch (error) {
+        console.error(`❌ Error recording webhook event ${eventId}:`, error);
+        return false;
+    }
+}
+
+// Get a webhook event's ledger entry (null if never received or expired)
+async function getWebhookEvent(eventId) {
+    try {
+        const redisClient = getRedis();
+        return await redisClient.get(`webhook_event:${eventId}`) || null;
+    } catch (error) {
+        console.error(`❌ Error getting webhook event ${eventId}:`, error);
+        return null;
+    }
+}
+
+// Carts (cross-device sync) expire after 30 days without changes
+const CART_TTL_SECONDS = 60 * 60 * 24 * 30;
+
+// Get a saved cart by anonymous cart ID
+async function getCart(cartId) {
+    try {
+        const redisClient = getRedis();
+        return await redisClient.get(`cart:${cartId}`) || null;
+    } catch (error) {
+        console.error(`❌ Error getting cart from Redis for ${cartId}:`, error);
+        return null;
+    }
+}
+
+// Save a cart by anonymous cart ID (refreshes the expiry)
+async function saveCart(cartId, cart) {
+    try {
+        const redisClient = getRedis();
+        await redisClient.set(`cart:${cartId}`, cart, { ex: CART_TTL_SECONDS });
+        return true;
+    } catch (error) {
+        console.error(`❌ Error saving cart to Redis for ${cartId}:`, error);
+        return false;
+    }
+}
+
+// Abandoned checkouts (expired Stripe sessions) can be recovered for 7 days
+const ABANDONED_CHECKOUT_TTL_SECONDS = 60 * 60 * 24 * 7;
+
+// Get an abandoned checkout by the expired Stripe session ID
+async function getAbandonedCheckout(sessionId) {
+    try {
+        const redisClient = getRedis();
+        return await redisClient.get(`abandoned_checkout:${sessionId}`) || null;
+    } catch (error) {
+        console.error(`❌ Error getting abandoned checkout from Redis for ${sessionId}:`, error);
+        return null;
+    }
+}
+
+// Get an abandoned checkout by its recovery token (from the recovery email link)
+async function getAbandonedCheckoutByToken(token) {
+    try {
+        const redisClient = getRedis();
+        const sessionId = await redisClient.get(`checkout_recovery:${token}`);
+        return sessionId ? await getAbandonedCheckout(sessionId) : null;
+    } catch (error) {
+        console.error('❌ Error getting abandoned checkout by recovery token from Redis:', error);
+        return null;
+    }
+}
+
+// Save an abandoned checkout and its recovery token (both expire together)
+async function saveAbandonedCheckout(checkout) {
+    try {
+        const redisClient = getRedis();
+        await redisClient.set(`abandoned_checkout:${checkout.sessionId}`, checkout, { ex: ABANDONED_CHECKOUT_TTL_SECONDS });
+        await redisClient.set(`checkout_recovery:${checkout.recoveryToken}`, checkout.sessionId, { ex: ABANDONED_CHECKOUT_TTL_SECONDS });
+        return true;
+    } catch (error) {
+        console.error(`❌ Error saving abandoned checkout to Redis for ${checkout.sessionId}:`, error);
+        return false;
+    }
+}
+
+// Get the next tax invoice number from the sequence (null if Redis is unavailable)
+async function nextInvoiceSequence() {
+    try {
+        const redisClient = getRedis();
+        return await redisClient.incr('invoice:sequence');
+    } catch (error) {
+        console.error('❌ Error incrementing invoice sequence in Redis:', error);
+        return null;
+    }
+}
+
+// Download credit balances (credits:<email>, a count per license tier) - changed only by Lua scripts,
+// which Redis runs atomically, so two redemptions can never spend the same credit
+const ADD_CREDITS_SCRIPT = `
+if not redis.call('SET', KEYS[2], ARGV[1], 'NX') then return 0 end
+for i = 2, #ARGV, 2 do redis.call('HINCRBY', KEYS[1], ARGV[i], ARGV[i + 1]) end
+return 1`;
+const DEBIT_CREDITS_SCRIPT = `
+for i = 1, #ARGV, 2 do
+    if tonumber(redis.call('HGET', KEYS[1], ARGV[i]) or '0') < tonumber(ARGV[i + 1]) then return 0 end
+end
+for i = 1, #ARGV, 2 do redis.call('HINCRBY', KEYS[1], ARGV[i], -tonumber(ARGV[i + 1])) end
+return 1`;
+
+// Helper: Flatten { license: credits } into script arguments (license, credits, license, credits, ...)
+function toCreditArgs(credits) {
+    return Object.entries(credits).flatMap(([license, count]) => [license, String(count)]);
+}
+
+// Get the credit balance for an email ({ license: credits } - empty if none)
+async function getCreditBalance(email) {
+    try {
+        const redisClient = getRedis();
+        const balance = await redisClient.hgetall(`credits:${email}`) || {};
+        return Object.fromEntries(Object.entries(balance).map(([license, count]) => [license, parseInt(count, 10) || 0]));
+    } catch (error) {
+        console.error(`❌ Error getting credit balance from Redis for ${email}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Add credits to an email's balance, once per grant ID
+ * @param {string} email - Balance owner (normalized)
+ * @param {Object} credits - { license: credits }
+ * @param {string} grantId - Makes the grant idempotent (e.g. the credit pack order's session ID)
+ * @returns {Promise<boolean>} - true if added now or by an earlier call with the same grant ID, false on a Redis error
+ */
+async function addCredits(email, credits, grantId) {
+    try {
+        const redisClient = getRedis();
+        const grant = { email: email, credits: credits, grantedAt: new Date().toISOString() };
+        const added = await redisClient.eval(ADD_CREDITS_SCRIPT, [`credits:${email}`, `credit_grant:${grantId}`], [JSON.stringify(grant), ...toCreditArgs(credits)]);
+        if (Number(added) !== 1) {
+            console.log(`ℹ️ Credits for ${grantId} were already added`);
+        }
+        return true;
+    } catch (error) {
+        console.error(`❌ Error adding credits in Redis for ${email}:`, error);
+        return false;
+    }
+}
+
+/**
+ * Debit credits from an email's balance - all or nothing
+ * @param {string} email - Balance owner (normalized)
+ * @param {Object} credits - { license: credits }
+ * @returns {Promise<boolean|null>} - true if debited, false if the balance is too low, null on a Redis error
+ */
+async function debitCredits(email, credits) {
+    try {
+        const redisClient = getRedis();
+        const debited = await redisClient.eval(DEBIT_CREDITS_SCRIPT, [`credits:${email}`], toCreditArgs(credits));
+        return Number(debited) === 1;
+    } catch (error) {
+        console.error(`❌ Error debiting credits in Redis for ${email}:`, error);
+        return null;
+    }
+}
+
+// Get a membership by Stripe subscription ID
+async function getMembership(subscriptionId) {
+    try {
+        const redisClient = getRedis();
+        return await redisClient.get(`membership:${subscriptionId}`) || null;
+    } catch (error) {
+        console.error(`❌ Error getting membership from Redis for ${subscriptionId}:`, error);
+        return null;
+    }
+}
+
+// Save a membership (kept after it ends - its purchase still points to it)
+async function saveMembership(membership) {
+    try {
+        const redisClient = getRedis();
+        await redisClient.set(`membership:${membership.subscriptionId}`, membership);
+        return true;
+    } catch (error) {
+        console.error(`❌ Error saving membership to Redis for ${membership.subscriptionId}:`, error);
+        return false;
+    }
+}
+
+// Photos downloaded with a membership in one billing period (membership_downloads:<subscription ID>:<period start>,
+// productId -> downloaded at) - kept a little over a year, the longest billing period
+const MEMBERSHIP_DOWNLOADS_TTL_SECONDS = 60 * 60 * 24 * 400;
+const USE_MEMBERSHIP_DOWNLOAD_SCRIPT = `
+if redis.call('HEXISTS', KEYS[1], ARGV[1]) == 1 then return 1 end
+if redis.call('HLEN', KEYS[1]) >= tonumber(ARGV[2]) then return 0 end
+redis.call('HSET', KEYS[1], ARGV[1], ARGV[3])
+redis.call('EXPIRE', KEYS[1], ARGV[4])
+return 1`;
+
+// Get the photos downloaded with a membership in its current period ({ productId: downloadedAt }, null on error)
+async function getMembershipDownloads(membership) {
+    try {
+        const redisClient = getRedis();
+        return await redisClient.hgetall(`membership_downloads:${membership.subscriptionId}:${membership.periodStart}`) || {};
+    } catch (error) {
+        console.error(`❌ Error getting membership downloads from Redis for ${membership.subscriptionId}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Count a photo against a membership's allowance for the current period (atomic)
+ * A photo already downloaded this period is not counted again
+ * @param {Object} membership - Membership record
+ * @param {string} productId - Photo to download
+ * @returns {Promise<boolean|null>} - true if it can be delivered, false if the allowance is used up, null on a Redis error
+ */
+async function useMembershipDownload(membership, productId) {
+    try {
+        const redisClient = getRedis();
+        const used = await redisClient.eval(
+            USE_MEMBERSHIP_DOWNLOAD_SCRIPT,
+            [`membership_downloads:${membership.subscriptionId}:${membership.periodStart}`],
+            [productId, String(membership.downloadsPerPeriod), new Date().toISOString(), String(MEMBERSHIP_DOWNLOADS_TTL_SECONDS)]
+        );
+        return Number(used) === 1;
+    } catch (error) {
+        console.error(`❌ Error recording membership download in Redis for ${membership.subscriptionId}:`, error);
+        return null;
+    }
+}
+
+// Get a print fulfillment job by job ID
+async function getFulfillmentJob(jobId) {
+    try {
+        const redisClient = getRedis();
+        return await redisClient.get(`fulfillment_job:${jobId}`) || null;
+    } catch (error) {
+        console.error(`❌ Error getting fulfillment job from Redis for ${jobId}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Queue a print fulfillment job (kept after delivery - the order page still shows it)
+ * A job that already exists (redelivered webhook) is left as it is
+ * @param {Object} job - New job (lib/fulfillment buildFulfillmentJobs)
+ * @returns {Promise<boolean>} - true if the job is queued (now or before), false on a Redis error
+ */
+async function createFulfillmentJob(job) {
+    try {
+        const redisClient = getRedis();
+        const created = await redisClient.set(`fulfillment_job:${job.jobId}`, job, { nx: true });
+        if (created) {
+            await redisClient.hset('fulfillment_jobs', { [job.jobId]: job.status });
+        }
+        return true;
+    } catch (error) {
+        console.error(`❌ Error creating fulfillment job in Redis for ${job.jobId}:`, error);
+        return false;
+    }
+}
+
+// Save an updated print fulfillment job and its status in the fulfillment_jobs index
+async function saveFulfillmentJob(job) {
+    try {
+        const redisClient = getRedis();
+        await redisClient.set(`fulfillment_job:${job.jobId}`, job);
+        await redisClient.hset('fulfillment_jobs', { [job.jobId]: job.status });
+        return true;
+    } catch (error) {
+        console.error(`❌ Error saving fulfillment job to Redis for ${job.jobId}:`, error);
+        return false;
+    }
+}
+
+/**
+ * List print fulfillment jobs, oldest first
+ * @param {string} [status] - Only jobs with this status
+ * @returns {Promise<Array|null>} - Jobs, or null on a Redis error
+ */
+async function listFulfillmentJobs(status) {
+    try {
+        const redisClient = getRedis();
+        const index = await redisClient.hgetall('fulfillment_jobs') || {};
+        const jobIds = Object.keys(index).filter(jobId => !status || index[jobId] === status);
+        const jobs = await Promise.all(jobIds.map(jobId => redisClient.get(`fulfillment_job:${jobId}`)));
+        return jobs
+            .filter(Boolean)
+            .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+    } catch (error) {
+        console.error('❌ Error listing fulfillment jobs from Redis:', error);
+        return null;
+    }
+}
+
 // Get all purchases (for debugging - optional)
 async function getAllPurchases() {
     try {
@@ -334,7 +1058,15 @@ module.exports = {
     getPurchase,
     savePurchase,
     updatePurchase,
+    consumeDownloads,
+    releaseDownloads,
     markItemAsDownloaded,
+    claimDownloadAccess,
+    releaseDownloadAccess,
+    getDownloadTransfer,
+    saveDownloadTransfer,
+    saveWatermark,
+    getWatermarkPurchases,
     isItemDownloaded,
     markAllCopiesDownloaded, // Deprecated: use markItemAsDownloaded
     incrementDownloadCount, // Deprecated: use markItemAsDownloaded
@@ -342,5 +1074,28 @@ module.exports = {
     getQuantityPurchased,
     canDownload,
     getDownloadStatus,
-    getAllPurchases
+    getAllPurchases,
+    getCart,
+    saveCart,
+    getAbandonedCheckout,
+    getAbandonedCheckoutByToken,
+    saveAbandonedCheckout,
+    nextInvoiceSequence,
+    getCreditBalance,
+    addCredits,
+    debitCredits,
+    getMembership,
+    saveMembership,
+    getMembershipDownloads,
+    useMembershipDownload,
+    getFulfillmentJob,
+    createFulfillmentJob,
+    saveFulfillmentJob,
+    listFulfillmentJobs,
+    markRefunded,
+    savePaymentIntentSession,
+    getSessionIdForPaymentIntent,
+    claimWebhookEvent,
+    finishWebhookEvent,
+    getWebhookEvent
 };
@@ -4,24 +4,69 @@
  * 
  * Usage:
  * - GET /api/download?action=checkCartDownloadStatus&userId=...&itemId=...
- * - GET /api/download?action=downloadFile&session_id=...&productId=...
+ * - POST /api/download?action=issueDownloadToken (body: { session_id, productId })
+ * - GET /api/download?action=downloadFile&token=dt_...[&productId=...]
+ * - GET|HEAD /api/download?action=streamFile&token=dt_...[&productId=...] (Range: bytes=... to resume)
  * - GET /api/download?action=getDownloadLink&itemId=... or &imageSrc=...
- * - GET /api/download?action=getDownloadLinks&session_id=...
+ * - GET /api/download?action=getDownloadLinks&token=dt_...
+ * - GET /api/download?action=claimGift&gift=gift_...
+ * - GET /api/download?action=downloadInvoice&token=dt_...
+ * - POST /api/download?action=generatePurchaseDownload (body: { token, productId })
  * - POST /api/download?action=generateDownload (body: { itemId, quantity, imageSrc, title, userId })
  * 
  * Supported actions:
+ * - issueDownloadToken: Issue a short-lived download token for a purchase ({ token, expiresAt }) - for one photo
+ *   (productId) or the whole purchase. The only action that takes the purchase ID itself - with DOWNLOAD_BROWSER_CLAIM,
+ *   only for the browser that claimed the purchase's downloads (403 for other browsers)
  * - checkCartDownloadStatus: Check if a cart item has been downloaded
  * - downloadFile: Download file for purchased items (requires valid purchase)
+ * - streamFile: Download a purchased photo as the file itself (no ZIP) with Content-Length, ETag and Accept-Ranges -
+ *   Range requests are honoured, and resuming an unfinished transfer from where it stopped (same file, within a day)
+ *   doesn't use another download
+ * - generatePurchaseDownload: Download a purchased photo (or all of them) as a ZIP (MANIFEST.txt lists any photo that failed)
  * - generateDownload: Generate ZIP immediately for testing (bypasses Stripe)
  * - getDownloadLink: Get download link for testing (bypasses Stripe)
  * - getDownloadLinks: Get download links for purchased items (requires valid purchase)
+ * - claimGift: Claim a gift - returns the recipient's items (the gift token is then used as session_id)
+ * - downloadInvoice: Download the purchase's tax invoice as a PDF (buyer's session ID only)
+ * 
+ * Purchases are identified by the Stripe session ID (cs_...) or, for gift recipients, the gift claim token (gift_...)
+ * Photos redeemed with download credits are a purchase identified by the redemption ID (credit_...)
+ * downloadFile, getDownloadLinks, generatePurchaseDownload and downloadInvoice take a download token (dt_..., see
+ * lib/downloadTokens.js) issued for the purchase instead of its ID - 401 if it is missing, expired or issued to another client
+ * Each purchased photo can be downloaded as often, and for as long, as its download policy allows (lib/downloadPolicies.js) -
+ * 403 once the downloads are used up or the download period has ended
+ * downloadFile, streamFile and generatePurchaseDownload deliver photos watermarked for the purchase (lib/watermark.js)
+ * when WATERMARK_SECRET is set - downloadFile then sends CDN photos itself instead of redirecting to them
+ * Refunded items (or whole refunded purchases) are never delivered (403)
+ * Purchases with an open (or lost) payment dispute are frozen - nothing is delivered (403)
+ * Purchases paid with a delayed payment method are delivered once the payment settles (403 while pending or failed)
+ * Members download any photo with their membership's session ID (cs_...) while the membership is active,
+ * up to its allowance per billing period (403 when inactive or used up)
  */
 
 const db = require('./db');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const http = require('http');
+const https = require('https');
 const archiver = require('archiver');
 const IMAGE_MAPPING = require('./image-mapping');
+const catalog = require('../lib/catalog');
+const gifts = require('../lib/gifts');
+const credits = require('../lib/credits');
+const memberships = require('../lib/memberships');
+const refunds = require('../lib/refunds');
+const disputes = require('../lib/disputes');
+const paymentStatus = require('../lib/paymentStatus');
+const downloadTokens = require('../lib/downloadTokens');
+const downloadPolicies = require('../lib/downloadPolicies');
+const byteRanges = require('../lib/byteRanges');
+const purchaseArchive = require('../lib/purchaseArchive');
+const watermark = require('../lib/watermark');
+const { renderInvoicePdf } = require('../lib/invoicePdf');
 
 // Helper: Get action from query or body
 function getAction(req) {
@@ -51,6 +96,241 @@ function parseBody(req) {
     return req.body || {};
 }
 
+// Helper: Check purchase ID format (Stripe session ID, gift claim token or credit redemption ID)
+function isPurchaseId(sessionId) {
+    return sessionId.startsWith('cs_') || gifts.isGiftId(sessionId) || credits.isRedemptionId(sessionId);
+}
+
+/**
+ * Helper: Verify the download token sent with a request
+ * Sends the error response and returns null if the token can't be used
+ * @returns {Object|null} - { sessionId, productId } (productId null = any photo in the purchase)
+ */
+function verifyDownloadToken(req, res, token) {
+    if (!token) {
+        res.status(401).json({
+            error: 'Download token required',
+            message: 'Downloads need a download token. Reload your order page to get a new download link.',
+            tokenRequired: true
+        });
+        return null;
+    }
+
+    const claims = downloadTokens.verifyDownloadToken(token, req);
+    if (claims.error === 'unconfigured') {
+        console.error('❌ DOWNLOAD_TOKEN_SECRET is not set - downloads are disabled');
+        res.status(500).json({
+            error: 'Server configuration error',
+            message: 'Downloads are not available right now. Please contact support.'
+        });
+        return null;
+    }
+    if (claims.error) {
+        console.warn(`⚠️ Download token refused (${claims.error})`);
+        res.status(401).json({
+            error: claims.error === 'expired' ? 'Download link expired' : 'Invalid download token',
+            message: claims.error === 'expired'
+                ? 'This download link has expired. Reload your order page to get a new one.'
+                : claims.error === 'client'
+                    ? 'This download link was issued to another browser or device. Open your order page on this device to get a new one.'
+                    : 'This download link is not valid. Reload your order page to get a new one.',
+            tokenExpired: claims.error === 'expired'
+        });
+        return null;
+    }
+
+    return claims;
+}
+
+// Helper: Reject a token issued for a single photo where the whole purchase is needed (or for another photo)
+function respondTokenScope(res, message) {
+    return res.status(403).json({
+        error: 'Invalid download token',
+        message: message
+    });
+}
+
+// Helper: Reject downloads on the buyer's side of a gift (the photos belong to the recipient)
+function respondGiftedPurchase(res, purchase) {
+    return res.status(403).json({
+        error: 'Gift purchase',
+        message: `These photos were a gift to ${purchase.gift.recipientEmail}. They can be downloaded from the recipient's claim link.`,
+        gift: {
+            recipientEmail: purchase.gift.recipientEmail,
+            claimUrl: purchase.gift.claimUrl
+        }
+    });
+}
+
+// Helper: Reject downloads of refunded items (productId omitted = the whole purchase was refunded)
+function respondRefunded(res, purchase, productId) {
+    const item = productId ? (purchase.products || purchase.purchased_items || []).find(item => item.productId === productId) : null;
+    return res.status(403).json({
+        error: 'Refunded',
+        message: item && !purchase.refunded
+            ? `"${item.title}" was refunded and can no longer be downloaded.`
+            : 'This purchase was refunded and its photos can no longer be downloaded.',
+        refunded: true,
+        refundedAt: item?.refundedAt || purchase.refundedAt || null
+    });
+}
+
+// Helper: Reject downloads until a delayed payment (PayTo, bank debit) has settled
+function respondPaymentNotSettled(res, purchase) {
+    const failed = paymentStatus.isPaymentFailed(purchase);
+    return res.status(403).json({
+        error: failed ? 'Payment failed' : 'Payment pending',
+        message: failed
+            ? 'The payment for this purchase failed, so its photos can\'t be downloaded. Please place your order again.'
+            : 'Your payment is still being processed. Your photos can be downloaded as soon as it clears - bank payments usually take 1-3 business days.',
+        paymentStatus: purchase.payment_status
+    });
+}
+
+// Helper: Reject downloads of a purchase frozen by a payment dispute
+function respondDisputed(res, purchase) {
+    const lost = purchase.dispute.status === 'lost';
+    return res.status(403).json({
+        error: 'Purchase on hold',
+        message: lost
+            ? 'The payment for this purchase was reversed, so its photos can no longer be downloaded.'
+            : 'Downloads for this purchase are on hold while a payment dispute is reviewed. Please contact us if you have any questions.',
+        disputed: true
+    });
+}
+
+// Helper: Reject downloads of a photo whose downloads are used up
+function respondDownloadLimitReached(res, entitlement, quantityPurchased) {
+    return res.status(403).json({
+        error: 'Download limit reached',
+        message: `This item has already been downloaded ${entitlement.downloadsUsed} time(s) - the most this purchase allows.`,
+        quantityPurchased: quantityPurchased,
+        downloadsAllowed: entitlement.downloadsAllowed,
+        downloadsUsed: entitlement.downloadsUsed,
+        downloaded: true
+    });
+}
+
+// Helper: Reject downloads of a photo whose download period has ended
+function respondDownloadsExpired(res, entitlement) {
+    return res.status(403).json({
+        error: 'Downloads expired',
+        message: `The download period for this item ended on ${entitlement.expiresAt.substring(0, 10)}.`,
+        expiresAt: entitlement.expiresAt,
+        expired: true
+    });
+}
+
+// Helper: Reject membership downloads while the membership isn't active (first invoice pending, lapsed or canceled)
+function respondMembershipInactive(res, membership) {
+    const canceled = membership?.status === memberships.MEMBERSHIP_CANCELED;
+    return res.status(403).json({
+        error: membership ? 'Membership inactive' : 'Membership pending',
+        message: !membership
+            ? 'Your membership is being set up. Please try again in a moment.'
+            : canceled
+                ? 'Your membership has ended, so photos can no longer be downloaded with it.'
+                : 'Your membership payment for this period hasn\'t been received yet. Downloads open again once it is paid.',
+        membership: memberships.describeMembership(membership)
+    });
+}
+
+// Helper: Build the license certificate included with each purchased photo
+function buildLicenseText(item, purchase, sessionId) {
+    const license = catalog.getLicense(item.license) || catalog.getLicense(catalog.DEFAULT_LICENSE);
+    return [
+        'ifeelworld - Photo License',
+        '==========================',
+        '',
+        `Photo: ${item.title || item.fileName || item.productId}`,
+        `Product ID: ${item.productId}`,
+        ...(item.bundleId ? [`Bundle: ${item.bundleTitle || item.bundleId}`] : []),
+        `License: ${license.label} License`,
+        `Licensed to: ${purchase.customer_email || purchase.email || 'Customer'}`,
+        `Order: ${sessionId}`,
+        `Purchase date: ${purchase.timestamp || purchase.createdAt || ''}`,
+        '',
+        'Permitted use:',
+        license.terms,
+        '',
+        'Full terms: https://www.ifeelworld.com/photo-license-agreement.html',
+        ''
+    ].join('\n');
+}
+
+/**
+ * Helper: Claim a purchase's downloads for this browser (the first browser to ask claims them, see lib/downloadTokens.js)
+ * Sends the error response and returns false if another browser claimed them - always true without DOWNLOAD_BROWSER_CLAIM
+ * @returns {Promise<boolean>}
+ */
+async function claimDownloadAccess(req, res, sessionId) {
+    if (!downloadTokens.isBrowserClaimEnabled()) return true;
+
+    const claimed = await db.claimDownloadAccess(sessionId, downloadTokens.getAccessId(req, res));
+    if (claimed === null) {
+        res.status(500).json({
+            error: 'Download access check failed',
+            message: 'Could not check access to this order\'s downloads. Please try again.'
+        });
+        return false;
+    }
+    if (!claimed) {
+        console.warn(`⚠️ Download access refused for ${sessionId} (claimed by another browser)`);
+        res.status(403).json({
+            error: 'Downloads claimed by another browser',
+            message: 'This order\'s downloads were opened in another browser. Please use that browser, or contact us and we\'ll move them to this one.'
+        });
+        return false;
+    }
+    return true;
+}
+
+// Action: Issue a download token for a purchase (for one photo, or the whole purchase if productId is omitted)
+async function handleIssueDownloadToken(req, res) {
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed', message: 'Only POST method is supported' });
+    }
+
+    // Tokens are per client - never cache them
+    res.setHeader('Cache-Control', 'no-store');
+
+    const body = parseBody(req);
+    const sessionId = body.session_id || body.sessionId;
+    const productId = body.productId || null;
+
+    if (!sessionId || typeof sessionId !== 'string' || !isPurchaseId(sessionId)) {
+        return res.status(400).json({
+            error: 'Invalid session ID',
+            message: 'session_id must be the session ID of your order (cs_...), a gift claim token (gift_...) or a credit redemption ID (credit_...)'
+        });
+    }
+
+    const purchase = await db.getPurchase(sessionId);
+    if (!purchase) {
+        return res.status(404).json({
+            error: 'Purchase not found',
+            message: 'No purchase found for this session ID. If you just paid, please try again in a moment.'
+        });
+    }
+
+    // The purchase ID comes from a link - only the browser that claimed the downloads gets tokens
+    if (!await claimDownloadAccess(req, res, sessionId)) return;
+
+    const issued = downloadTokens.createDownloadToken(sessionId, productId, req);
+    if (!issued) {
+        return res.status(500).json({
+            error: 'Server configuration error',
+            message: 'Downloads are not available right now. Please contact support.'
+        });
+    }
+
+    return res.status(200).json({
+        token: issued.token,
+        expiresAt: issued.expiresAt,
+        productId: productId // null = any photo in the purchase
+    });
+}
+
 // Action: Check cart download status
 async function handleCheckCartDownloadStatus(req, res) {
     if (req.method !== 'GET') {
@@ -102,6 +382,390 @@ async function handleCheckCartDownloadStatus(req, res) {
     }
 }
 
+// Helper: Full path of a legacy local photo file (null if the path leaves the project - directory traversal)
+function getLocalFilePath(imageSrc) {
+    const cleanPath = imageSrc.startsWith('/') ? imageSrc.substring(1) : imageSrc;
+    const filePath = path.join(process.cwd(), cleanPath);
+
+    // Security: Prevent directory traversal attacks
+    const resolvedPath = path.resolve(filePath);
+    const projectRoot = path.resolve(process.cwd());
+    if (!resolvedPath.startsWith(projectRoot)) {
+        console.error(`🚫 Directory traversal attempt detected: ${filePath}`);
+        return null;
+    }
+    return filePath;
+}
+
+// Helper: Open a CDN photo, passing the request's Range and If-Range headers on so only the requested bytes are fetched
+function openRemotePhoto(imageUrl, req) {
+    return new Promise((resolve) => {
+        const client = new URL(imageUrl).protocol === 'https:' ? https : http;
+        const headers = {};
+        if (req.headers?.range) headers.Range = req.headers.range;
+        if (req.headers?.['if-range']) headers['If-Range'] = req.headers['if-range'];
+
+        const request = client.request(imageUrl, { method: req.method === 'HEAD' ? 'HEAD' : 'GET', headers: headers }, (response) => {
+            if (![200, 206, 416].includes(response.statusCode)) {
+                response.resume();
+                resolve({ error: `CDN responded with ${response.statusCode}`, status: response.statusCode === 404 ? 404 : 502 });
+                return;
+            }
+
+            const contentRange = response.headers['content-range'] || null;
+            const size = response.statusCode === 200 ? parseInt(response.headers['content-length'], 10) : byteRanges.getRangeTotal(contentRange);
+            const lastModified = response.headers['last-modified'] || null;
+            resolve({
+                status: response.statusCode,
+                size: size || null,
+                contentLength: response.headers['content-length'] || null,
+                contentRange: contentRange,
+                // The CDN's ETag, or one built from the size and modification date
+                etag: response.headers.etag || (size && lastModified ? `"${size.toString(16)}-${Date.parse(lastModified).toString(16)}"` : null),
+                lastModified: lastModified,
+                contentType: response.headers['content-type'] || 'image/jpeg',
+                open: () => response,
+                close: () => response.destroy()
+            });
+        });
+
+        request.on('error', (error) => resolve({ error: error.message, status: 502 }));
+        request.setTimeout(30000, () => request.destroy(new Error('Request timeout')));
+        request.end();
+    });
+}
+
+// Helper: Open a legacy local photo, serving the requested range (If-Range: only while the file is unchanged)
+function openLocalPhoto(imageSrc, req) {
+    const filePath = getLocalFilePath(imageSrc);
+    if (!filePath) {
+        return { error: 'Invalid file path', status: 403 };
+    }
+    if (!fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+        return { error: `File not found: ${filePath}`, status: 404 };
+    }
+
+    const stats = fs.statSync(filePath);
+    const etag = `"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`;
+    const ifRange = req.headers?.['if-range'];
+    const range = !ifRange || ifRange === etag ? byteRanges.parseRange(req.headers?.range, stats.size) : null;
+    const satisfiable = range && !range.unsatisfiable;
+
+    return {
+        status: range ? (satisfiable ? 206 : 416) : 200,
+        size: stats.size,
+        contentLength: range ? (satisfiable ? range.end - range.start + 1 : null) : stats.size,
+        contentRange: range ? byteRanges.formatContentRange(range, stats.size) : null,
+        etag: etag,
+        lastModified: stats.mtime.toUTCString(),
+        contentType: 'image/jpeg',
+        open: () => fs.createReadStream(filePath, satisfiable ? { start: range.start, end: range.end } : {}),
+        close: () => {}
+    };
+}
+
+/**
+ * Helper: Open a purchased photo for a single-file download, honouring the request's Range headers
+ * @param {string} imageSrc - HQ file (CDN URL or legacy local path)
+ * @param {Object} req - Download request (GET or HEAD, with optional Range and If-Range headers)
+ * @returns {Promise<Object>} - { status (200, 206 or 416), size, contentLength, contentRange, etag, lastModified, contentType,
+ *   open() -> readable stream, close() }, or { error, status } if the file can't be opened
+ */
+async function openPhotoSource(imageSrc, req) {
+    if (imageSrc.startsWith('http://') || imageSrc.startsWith('https://')) {
+        return openRemotePhoto(imageSrc, req);
+    }
+    return openLocalPhoto(imageSrc, req);
+}
+
+// Helper: Read a whole purchased photo ({ body, contentType }) from the CDN or a legacy local path
+async function readPhoto(imageSrc) {
+    if (imageSrc.startsWith('http://') || imageSrc.startsWith('https://')) {
+        return purchaseArchive.fetchFile(imageSrc);
+    }
+
+    const filePath = getLocalFilePath(imageSrc);
+    if (!filePath) throw new Error('Invalid file path');
+    return { body: await fs.promises.readFile(filePath), contentType: 'image/jpeg' };
+}
+
+// Helper: Watermark a photo for a purchase (lib/watermark.js) - the mark is recorded before the photo is delivered
+async function markPhoto(image, sessionId, productId) {
+    const markId = watermark.createMarkId(sessionId, productId);
+    await db.saveWatermark(markId, sessionId, productId);
+    return watermark.embedWatermark(image, markId);
+}
+
+// Marked photos are streamed in chunks this size, so an interrupted transfer records how far it got (streamTransfer)
+const MARKED_CHUNK_BYTES = 64 * 1024;
+
+// Helper: Stream a buffer in MARKED_CHUNK_BYTES chunks
+function streamBuffer(buffer) {
+    return Readable.from((function* () {
+        for (let offset = 0; offset < buffer.length; offset += MARKED_CHUNK_BYTES) {
+            yield buffer.subarray(offset, offset + MARKED_CHUNK_BYTES);
+        }
+    })());
+}
+
+// Helper: A marked photo as a source for handleStreamFile, like openPhotoSource - file: { size, etag, contentType },
+// marked: the marked file (null when only headers are sent)
+function getMarkedPhotoSource(file, req, marked) {
+    const ifRange = req.headers?.['if-range'];
+    const range = file.size && (!ifRange || ifRange === file.etag) ? byteRanges.parseRange(req.headers?.range, file.size) : null;
+    const satisfiable = range && !range.unsatisfiable;
+
+    return {
+        status: range ? (satisfiable ? 206 : 416) : 200,
+        size: file.size || null,
+        contentLength: range ? (satisfiable ? range.end - range.start + 1 : null) : file.size || null,
+        contentRange: range ? byteRanges.formatContentRange(range, file.size) : null,
+        etag: file.etag || null,
+        lastModified: null,
+        contentType: file.contentType || 'image/jpeg',
+        open: () => streamBuffer(satisfiable ? marked.subarray(range.start, range.end + 1) : marked),
+        close: () => {}
+    };
+}
+
+// Helper: Open a purchased photo watermarked for the purchase, like openPhotoSource - ranges are served from the
+// marked file, which is the same on every request (so its transfers can be resumed too)
+// HEAD requests and ranges past the end send no bytes, so they're answered from the marked file recorded for the
+// last transfer (markedFile: { size, etag }) instead of marking the photo - HEAD without one has no length or ETag
+async function openMarkedPhoto(imageSrc, req, sessionId, productId, markedFile) {
+    if (req.method === 'HEAD' || (markedFile && getMarkedPhotoSource(markedFile, req, null).status === 416)) {
+        return getMarkedPhotoSource(markedFile || {}, req, null);
+    }
+
+    let photo;
+    let marked;
+    try {
+        photo = await readPhoto(imageSrc);
+        marked = await markPhoto(photo.body, sessionId, productId);
+    } catch (error) {
+        return { error: error.message, status: error.statusCode === 404 || error.code === 'ENOENT' ? 404 : 502 };
+    }
+
+    const etag = `"${crypto.createHash('sha256').update(marked).digest('hex').substring(0, 32)}"`;
+    return getMarkedPhotoSource({ size: marked.length, etag: etag, contentType: photo.contentType }, req, marked);
+}
+
+// Helper: Read and watermark a photo for a download that was already counted - gives the download back if it fails
+async function readMarkedPhoto(imageSrc, purchase, sessionId, productId) {
+    try {
+        const photo = await readPhoto(imageSrc);
+        return { ...photo, body: await markPhoto(photo.body, sessionId, productId) };
+    } catch (error) {
+        console.error(`❌ Could not watermark ${productId} for session ${sessionId}: ${error.message}`);
+        // Memberships count a photo once per period, so downloading it again is free
+        if (!purchase.membership) {
+            await db.releaseDownloads(sessionId, { [productId]: error.message });
+        }
+        return null;
+    }
+}
+
+// Helper: Respond when a photo couldn't be fetched or watermarked (its download was given back)
+function respondMarkingFailed(res) {
+    return res.status(502).json({
+        error: 'Download failed',
+        message: 'The file could not be prepared for download. Please try again - this attempt didn\'t use a download.'
+    });
+}
+
+// Helper: Send a purchased photo (redirect to the CDN file, or stream the local file - a ZIP for several copies)
+// Watermarked photos are sent from here, marked for the purchase
+async function sendPurchasedFile(res, purchasedItem, purchase, sessionId, quantityPurchased) {
+    const productId = purchasedItem.productId;
+
+    // Get file path - handle both local paths and external URLs (BunnyCDN)
+    // Prefer imageHQ (high-quality) for downloads, fallback to imageSrc
+    let imageSrc = purchasedItem.imageHQ || purchasedItem.imageSrc;
+    if (!imageSrc) {
+        return res.status(404).json({
+            error: 'File not found',
+            message: 'File path not available for this product'
+        });
+    }
+
+    // Photos are watermarked for the purchase (lib/watermark.js), so they're sent from here instead of the CDN
+    const marking = watermark.isConfigured();
+
+    // If imageSrc is an external URL (BunnyCDN), redirect to it
+    if (imageSrc.startsWith('http://') || imageSrc.startsWith('https://')) {
+        if (marking) {
+            const photo = await readMarkedPhoto(imageSrc, purchase, sessionId, productId);
+            if (!photo) return respondMarkingFailed(res);
+
+            // File names are stored URL-encoded (taken from the CDN URL)
+            const fileName = decodeURIComponent(purchasedItem.fileName || new URL(imageSrc).pathname.split('/').pop() || `${productId}.jpg`).replace(/["\\\r\n]/g, '');
+            res.setHeader('Content-Type', photo.contentType || 'image/jpeg');
+            res.setHeader('Content-Disposition', `attachment; filename="${fileName}"; filename*=UTF-8''${encodeURIComponent(fileName)}`);
+            res.setHeader('Content-Length', photo.body.length);
+            res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+            res.setHeader('X-Content-Type-Options', 'nosniff');
+            console.log(`✅ Watermarked file downloaded: ${fileName} (session: ${sessionId})`);
+            return res.status(200).end(photo.body);
+        }
+
+        // Redirect to external URL for download (HQ image from BunnyCDN)
+        res.setHeader('Location', imageSrc);
+        return res.status(302).end();
+    }
+
+    // Legacy local path handling
+    const filePath = getLocalFilePath(imageSrc);
+    if (!filePath) {
+        return res.status(403).json({
+            error: 'Access denied',
+            message: 'Invalid file path'
+        });
+    }
+
+    // Check if file exists
+    if (!fs.existsSync(filePath)) {
+        console.error(`❌ File not found: ${filePath}`);
+        return res.status(404).json({
+            error: 'File not found',
+            message: 'The requested file could not be found on the server'
+        });
+    }
+
+    // Get file stats
+    const stats = fs.statSync(filePath);
+    if (!stats.isFile()) {
+        return res.status(404).json({
+            error: 'Not a file',
+            message: 'The requested path is not a file'
+        });
+    }
+
+    const marked = marking ? await readMarkedPhoto(imageSrc, purchase, sessionId, productId) : null;
+    if (marking && !marked) return respondMarkingFailed(res);
+
+    const baseFileName = purchasedItem.fileName || path.basename(filePath);
+    const fileExtension = path.extname(baseFileName);
+    const fileNameWithoutExt = path.basename(baseFileName, fileExtension);
+
+    // Serve all purchased copies at once
+    // If quantityPurchased > 1, create ZIP with all copies
+    // If quantityPurchased = 1, serve single file
+    if (quantityPurchased > 1) {
+        // Create ZIP file with all purchased copies
+        res.setHeader('Content-Type', 'application/zip');
+        res.setHeader('Content-Disposition', `attachment; filename="${fileNameWithoutExt}_${quantityPurchased}_copies.zip"`);
+        res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+        res.setHeader('Pragma', 'no-cache');
+        res.setHeader('Expires', '0');
+        res.setHeader('X-Content-Type-Options', 'nosniff');
+
+        // Create ZIP archive with no compression for maximum quality
+        const archive = archiver('zip', {
+            zlib: { level: 0 } // No compression - store files as-is
+        });
+
+        archive.on('error', (error) => {
+            console.error('❌ Error creating ZIP archive:', error);
+            if (!res.headersSent) {
+                res.status(500).json({
+                    error: 'Download failed',
+                    message: 'Error creating archive'
+                });
+            }
+        });
+
+        // Pipe archive to response
+        archive.pipe(res);
+
+        // Add the file for each purchased copy
+        for (let i = 1; i <= quantityPurchased; i++) {
+            const copyFileName = `${fileNameWithoutExt}_copy_${i}${fileExtension}`;
+            if (marked) {
+                archive.append(marked.body, { name: copyFileName });
+            } else {
+                archive.file(filePath, { name: copyFileName });
+            }
+        }
+
+        // Include the license certificate for the purchased tier
+        archive.append(buildLicenseText(purchasedItem, purchase, sessionId), { name: `${fileNameWithoutExt}_LICENSE.txt` });
+
+        // Finalize the archive
+        await archive.finalize();
+
+        console.log(`✅ ZIP archive created with ${quantityPurchased} copies: ${baseFileName}`);
+        console.log(`📊 Session: ${sessionId}, Product: ${productId}, All ${quantityPurchased} copies served in ZIP`);
+    } else {
+        // Single file download
+        res.setHeader('Content-Type', 'image/jpeg');
+        res.setHeader('Content-Disposition', `attachment; filename="${baseFileName}"`);
+        res.setHeader('Content-Length', marked ? marked.body.length : stats.size);
+        res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+        res.setHeader('Pragma', 'no-cache');
+        res.setHeader('Expires', '0');
+        res.setHeader('X-Content-Type-Options', 'nosniff');
+
+        // Stream the file (no compression, full quality)
+        const fileStream = marked ? Readable.from([marked.body]) : fs.createReadStream(filePath);
+        
+        fileStream.on('error', (error) => {
+            console.error('❌ Error streaming file:', error);
+            if (!res.headersSent) {
+                res.status(500).json({
+                    error: 'Download failed',
+                    message: 'Error reading file'
+                });
+            }
+        });
+
+        fileStream.pipe(res);
+
+        console.log(`✅ File downloaded successfully: ${baseFileName}`);
+    }
+
+    // Log successful download
+    console.log(`📊 Session: ${sessionId}, Product: ${productId}, Item marked as downloaded (${quantityPurchased} copy/copies served)`);
+    console.log(`🔑 Redis key: purchase:${sessionId}`);
+}
+
+// Helper: Download any photo with a membership - counted against the period's allowance before it is served
+async function handleMembershipDownload(res, purchase, sessionId, productId) {
+    const membership = await db.getMembership(purchase.membership.subscriptionId);
+    if (!memberships.isMembershipActive(membership)) {
+        console.warn(`⚠️ Download refused - membership ${purchase.membership.subscriptionId} is ${membership?.status || 'not set up yet'} (session: ${sessionId})`);
+        return respondMembershipInactive(res, membership);
+    }
+
+    const product = catalog.getProduct(productId);
+    if (!product) {
+        return res.status(404).json({
+            error: 'Product not found',
+            message: 'Memberships include single photos only'
+        });
+    }
+
+    const counted = await db.useMembershipDownload(membership, productId);
+    if (counted === null) {
+        return res.status(503).json({
+            error: 'Service unavailable',
+            message: 'We could not check your membership downloads. Please try again in a moment.'
+        });
+    }
+    if (!counted) {
+        const downloads = await db.getMembershipDownloads(membership);
+        console.warn(`⚠️ Download refused - membership ${membership.subscriptionId} used all ${membership.downloadsPerPeriod} downloads this period`);
+        return res.status(403).json({
+            error: 'Download allowance used',
+            message: `You've used all ${membership.downloadsPerPeriod} downloads for this period. Your allowance starts over when your membership renews.`,
+            membership: memberships.describeMembership(membership, downloads || {})
+        });
+    }
+
+    console.log(`🎫 Membership download for ${membership.subscriptionId}: ${productId} (session: ${sessionId})`);
+    const memberItem = memberships.buildMembershipItem(product, membership);
+    return await sendPurchasedFile(res, memberItem, { ...purchase, email: membership.email || purchase.email }, sessionId, 1);
+}
+
 // Action: Download file for purchased items
 async function handleDownloadFile(req, res) {
     if (req.method !== 'GET') {
@@ -109,23 +773,22 @@ async function handleDownloadFile(req, res) {
     }
 
     try {
-        // Get parameters - standardize to session_id
-        const sessionId = req.query.session_id || req.query.sessionId || req.query.session;
-        const productId = req.query.productId;
+        // The download token names the purchase (and the photo, for single-photo tokens)
+        const claims = verifyDownloadToken(req, res, req.query.token);
+        if (!claims) return;
+
+        const sessionId = claims.sessionId;
+        const productId = req.query.productId || claims.productId;
 
-        if (!sessionId || !productId) {
+        if (!productId) {
             return res.status(400).json({
                 error: 'Missing parameters',
-                message: 'Both session_id and productId are required'
+                message: 'productId is required'
             });
         }
 
-        // Validate session_id format
-        if (!sessionId.startsWith('cs_')) {
-            return res.status(400).json({
-                error: 'Invalid session ID',
-                message: 'Invalid session ID format'
-            });
+        if (!downloadTokens.coversProduct(claims, productId)) {
+            return respondTokenScope(res, 'This download link is for another photo.');
         }
 
         // Get purchase from Upstash Redis
@@ -140,6 +803,25 @@ async function handleDownloadFile(req, res) {
             });
         }
 
+        if (gifts.isGiftedPurchase(purchase, sessionId)) {
+            return respondGiftedPurchase(res, purchase);
+        }
+
+        if (!paymentStatus.isPaymentSettled(purchase)) {
+            console.warn(`⚠️ Download refused - payment ${purchase.payment_status} (session: ${sessionId})`);
+            return respondPaymentNotSettled(res, purchase);
+        }
+
+        if (disputes.isFrozen(purchase)) {
+            console.warn(`⚠️ Download refused - purchase is frozen by dispute ${purchase.dispute.disputeId} (session: ${sessionId})`);
+            return respondDisputed(res, purchase);
+        }
+
+        // Memberships: any photo, within the allowance
+        if (purchase.membership) {
+            return await handleMembershipDownload(res, purchase, sessionId, productId);
+        }
+
         console.log(`🔍 Download request for session: ${sessionId}, product: ${productId}`);
         console.log(`🔑 Redis key: purchase:${sessionId}`);
 
@@ -155,28 +837,33 @@ async function handleDownloadFile(req, res) {
             });
         }
 
-        // Check if item has already been downloaded (boolean check)
-        const isDownloaded = await db.isItemDownloaded(sessionId, productId);
+        if (refunds.isItemRefunded(purchase, productId)) {
+            console.warn(`⚠️ Download refused - ${productId} was refunded (session: ${sessionId})`);
+            return respondRefunded(res, purchase, productId);
+        }
+
+        // Check the item's download policy (N downloads within M days)
+        const entitlement = downloadPolicies.getEntitlement(purchase, purchasedItem);
         // Normalize maxDownloads - use maxDownloads, fallback to max_downloads
         const maxDownloads = purchasedItem.maxDownloads || purchasedItem.max_downloads || purchasedItem.quantity || 1;
         const quantityPurchased = purchasedItem.quantityPurchased || purchasedItem.quantity || maxDownloads || 1;
 
-        // If item has already been downloaded, prevent further downloads
-        if (isDownloaded) {
-            console.warn(`⚠️ Item already downloaded for session ${sessionId}, product ${productId}`);
+        if (entitlement.expired) {
+            console.warn(`⚠️ Download period ended ${entitlement.expiresAt} for session ${sessionId}, product ${productId}`);
+            return respondDownloadsExpired(res, entitlement);
+        }
+
+        // If the item's downloads are used up, prevent further downloads
+        if (entitlement.remaining <= 0) {
+            console.warn(`⚠️ Download limit reached for session ${sessionId}, product ${productId} (${entitlement.downloadsUsed}/${entitlement.downloadsAllowed})`);
             console.log(`🔑 Redis key: purchase:${sessionId}`);
-            return res.status(403).json({
-                error: 'Item already downloaded',
-                message: `This item has already been downloaded. You purchased ${quantityPurchased} copy/copies and they have been delivered.`,
-                quantityPurchased: quantityPurchased,
-                downloaded: true
-            });
+            return respondDownloadLimitReached(res, entitlement, quantityPurchased);
         }
 
-        // Mark item as downloaded BEFORE serving file (atomic operation)
-        // This ensures user can only download once
-        const marked = await db.markItemAsDownloaded(sessionId, productId);
-        if (!marked) {
+        // Use one of the item's downloads BEFORE serving file (atomic check-and-count)
+        // This ensures parallel requests can't download more than the policy allows
+        const downloadsUsed = await db.consumeDownloads(sessionId, purchase, [productId]);
+        if (!downloadsUsed) {
             console.error(`❌ Failed to mark item as downloaded for session ${sessionId}, product ${productId}`);
             console.error(`🔑 Redis key: purchase:${sessionId}`);
             return res.status(500).json({
@@ -184,143 +871,238 @@ async function handleDownloadFile(req, res) {
                 message: 'Failed to update download status'
             });
         }
+        if (downloadsUsed[productId] === undefined) {
+            // Another request used the last download since the check above
+            console.warn(`⚠️ Download limit reached for session ${sessionId}, product ${productId} (parallel request)`);
+            return respondDownloadLimitReached(res, { ...entitlement, downloadsUsed: entitlement.downloadsAllowed }, quantityPurchased);
+        }
 
         console.log(`✅ Item marked as downloaded for ${productId}`);
         console.log(`📥 Download serving ${quantityPurchased} copy/copies for session: ${sessionId}, product: ${productId}`);
         console.log(`🔑 Redis key: purchase:${sessionId}`);
 
-        // Get file path - handle both local paths and external URLs (BunnyCDN)
-        // Prefer imageHQ (high-quality) for downloads, fallback to imageSrc
-        let imageSrc = purchasedItem.imageHQ || purchasedItem.imageSrc;
-        if (!imageSrc) {
-            return res.status(404).json({
-                error: 'File not found',
-                message: 'File path not available for this product'
+        return await sendPurchasedFile(res, purchasedItem, purchase, sessionId, quantityPurchased);
+
+    } catch (error) {
+        console.error('❌ Error downloading file:', error);
+        
+        // Don't send error if response already started (file streaming)
+        if (!res.headersSent) {
+            return res.status(500).json({
+                error: 'Download failed',
+                message: process.env.NODE_ENV === 'development' ? error.message : 'An error occurred while downloading the file.'
             });
         }
+    }
+}
 
-        // If imageSrc is an external URL (BunnyCDN), redirect to it
-        if (imageSrc.startsWith('http://') || imageSrc.startsWith('https://')) {
-            // Redirect to external URL for download (HQ image from BunnyCDN)
-            res.setHeader('Location', imageSrc);
-            return res.status(302).end();
-        }
+// A resumed transfer may start this far before the furthest byte sent - bytes still in flight when the connection dropped
+const RESUME_OVERLAP_BYTES = 1024 * 1024;
+// Continuing a transfer more often than this uses another download
+const MAX_TRANSFER_RESUMES = 10;
+
+// Helper: Check if a Range request continues an unfinished single-file transfer from where it stopped
+function continuesTransfer(transfer, rangeStart) {
+    if (!transfer || typeof transfer.servedTo !== 'number' || !(transfer.size > 0)) return false;
+    if (transfer.servedTo >= transfer.size) return false; // Finished - downloading it again uses a download
+    if ((transfer.resumes || 0) >= MAX_TRANSFER_RESUMES) return false;
+    return rangeStart <= transfer.servedTo && rangeStart >= transfer.servedTo - RESUME_OVERLAP_BYTES;
+}
 
-        // Legacy local path handling
-        // Construct full file path
-        const cleanPath = imageSrc.startsWith('/') ? imageSrc.substring(1) : imageSrc;
-        const filePath = path.join(process.cwd(), cleanPath);
+// Helper: Stream a single-file transfer and record how far it got (servedTo), finished or not
+function streamTransfer(res, source, transfer, sessionId, productId) {
+    const servedFrom = source.status === 206 ? byteRanges.getContentRangeStart(source.contentRange) || 0 : 0;
+    let served = 0;
+
+    return new Promise((resolve) => {
+        let recorded = false;
+        const record = async () => {
+            if (recorded) return;
+            recorded = true;
+            if (transfer) {
+                transfer.servedTo = Math.max(transfer.servedTo, servedFrom + served);
+                await db.saveDownloadTransfer(sessionId, productId, transfer);
+            }
+        };
 
-        // Security: Prevent directory traversal attacks
-        const resolvedPath = path.resolve(filePath);
-        const projectRoot = path.resolve(process.cwd());
-        if (!resolvedPath.startsWith(projectRoot)) {
-            console.error(`🚫 Directory traversal attempt detected: ${filePath}`);
-            return res.status(403).json({
-                error: 'Access denied',
-                message: 'Invalid file path'
+        const stream = source.open();
+        stream.on('data', (chunk) => {
+            served += chunk.length;
+        });
+        stream.on('error', (error) => {
+            console.error(`❌ Error streaming ${productId} for session ${sessionId}:`, error);
+            res.destroy(error);
+        });
+        // Record the transfer before ending the response (the function may be stopped once it has ended)
+        stream.on('end', () => {
+            record().then(() => res.end(), () => res.end());
+        });
+        res.on('close', () => {
+            source.close();
+            record().then(resolve, resolve);
+        });
+
+        res.status(source.status);
+        stream.pipe(res, { end: false });
+    });
+}
+
+// Action: Download a purchased photo as the file itself (no ZIP), resumable with Range requests
+// The first request of a transfer uses one download; a Range request continuing it from where it stopped (same
+// file, unfinished, within a day) doesn't
+async function handleStreamFile(req, res) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        return res.status(405).json({ error: 'Method not allowed', message: 'Only GET and HEAD methods are supported' });
+    }
+
+    try {
+        // The download token names the purchase (and the photo, for single-photo tokens)
+        const claims = verifyDownloadToken(req, res, req.query.token);
+        if (!claims) return;
+
+        const sessionId = claims.sessionId;
+        const productId = req.query.productId || claims.productId;
+
+        if (!productId) {
+            return res.status(400).json({
+                error: 'Missing parameters',
+                message: 'productId is required'
             });
         }
 
-        // Check if file exists
-        if (!fs.existsSync(filePath)) {
-            console.error(`❌ File not found: ${filePath}`);
-            return res.status(404).json({
-                error: 'File not found',
-                message: 'The requested file could not be found on the server'
-            });
+        if (!downloadTokens.coversProduct(claims, productId)) {
+            return respondTokenScope(res, 'This download link is for another photo.');
         }
 
-        // Get file stats
-        const stats = fs.statSync(filePath);
-        if (!stats.isFile()) {
+        const purchase = await db.getPurchase(sessionId);
+        if (!purchase) {
             return res.status(404).json({
-                error: 'Not a file',
-                message: 'The requested path is not a file'
+                error: 'Purchase not found',
+                message: 'No purchase found for this session ID'
             });
         }
 
-        const baseFileName = purchasedItem.fileName || path.basename(filePath);
-        const fileExtension = path.extname(baseFileName);
-        const fileNameWithoutExt = path.basename(baseFileName, fileExtension);
+        if (gifts.isGiftedPurchase(purchase, sessionId)) {
+            return respondGiftedPurchase(res, purchase);
+        }
 
-        // Serve all purchased copies at once
-        // If quantityPurchased > 1, create ZIP with all copies
-        // If quantityPurchased = 1, serve single file
-        if (quantityPurchased > 1) {
-            // Create ZIP file with all purchased copies
-            res.setHeader('Content-Type', 'application/zip');
-            res.setHeader('Content-Disposition', `attachment; filename="${fileNameWithoutExt}_${quantityPurchased}_copies.zip"`);
-            res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
-            res.setHeader('Pragma', 'no-cache');
-            res.setHeader('Expires', '0');
-            res.setHeader('X-Content-Type-Options', 'nosniff');
+        if (!paymentStatus.isPaymentSettled(purchase)) {
+            return respondPaymentNotSettled(res, purchase);
+        }
+
+        if (disputes.isFrozen(purchase)) {
+            return respondDisputed(res, purchase);
+        }
 
-            // Create ZIP archive with no compression for maximum quality
-            const archive = archiver('zip', {
-                zlib: { level: 0 } // No compression - store files as-is
+        if (purchase.membership) {
+            return res.status(400).json({
+                error: 'Not supported',
+                message: 'Membership downloads use action=downloadFile.'
             });
+        }
 
-            archive.on('error', (error) => {
-                console.error('❌ Error creating ZIP archive:', error);
-                if (!res.headersSent) {
-                    res.status(500).json({
-                        error: 'Download failed',
-                        message: 'Error creating archive'
-                    });
-                }
+        const items = purchase.products || purchase.purchased_items || [];
+        const purchasedItem = items.find(item => item.productId === productId);
+        if (!purchasedItem) {
+            return res.status(403).json({
+                error: 'Product not found',
+                message: 'This product was not part of your purchase'
             });
+        }
 
-            // Pipe archive to response
-            archive.pipe(res);
+        if (refunds.isItemRefunded(purchase, productId)) {
+            return respondRefunded(res, purchase, productId);
+        }
 
-            // Add the file for each purchased copy
-            for (let i = 1; i <= quantityPurchased; i++) {
-                const copyFileName = `${fileNameWithoutExt}_copy_${i}${fileExtension}`;
-                archive.file(filePath, { name: copyFileName });
-            }
+        const entitlement = downloadPolicies.getEntitlement(purchase, purchasedItem);
+        const quantityPurchased = purchasedItem.quantityPurchased || purchasedItem.quantity || 1;
+        if (entitlement.expired) {
+            return respondDownloadsExpired(res, entitlement);
+        }
 
-            // Finalize the archive
-            await archive.finalize();
+        const imageSrc = purchasedItem.imageHQ || purchasedItem.imageSrc;
+        if (!imageSrc) {
+            return res.status(404).json({
+                error: 'File not found',
+                message: 'File path not available for this product'
+            });
+        }
 
-            console.log(`✅ ZIP archive created with ${quantityPurchased} copies: ${baseFileName}`);
-            console.log(`📊 Session: ${sessionId}, Product: ${productId}, All ${quantityPurchased} copies served in ZIP`);
-        } else {
-            // Single file download
-            res.setHeader('Content-Type', 'image/jpeg');
-            res.setHeader('Content-Disposition', `attachment; filename="${baseFileName}"`);
-            res.setHeader('Content-Length', stats.size);
-            res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
-            res.setHeader('Pragma', 'no-cache');
-            res.setHeader('Expires', '0');
-            res.setHeader('X-Content-Type-Options', 'nosniff');
+        // A Range request past the first byte may continue a transfer that already used its download
+        // (watermarked photos: HEAD requests are answered from the transfer's marked file too)
+        const marking = watermark.isConfigured();
+        const rangeStart = byteRanges.getRangeStart(req.headers?.range);
+        const previousTransfer = rangeStart > 0 || (marking && req.method === 'HEAD') ? await db.getDownloadTransfer(sessionId, productId) : null;
+        const continuing = rangeStart > 0 && continuesTransfer(previousTransfer, rangeStart);
+        if (!continuing && entitlement.remaining <= 0) {
+            return respondDownloadLimitReached(res, entitlement, quantityPurchased);
+        }
 
-            // Stream the file (no compression, full quality)
-            const fileStream = fs.createReadStream(filePath);
-            
-            fileStream.on('error', (error) => {
-                console.error('❌ Error streaming file:', error);
-                if (!res.headersSent) {
-                    res.status(500).json({
-                        error: 'Download failed',
-                        message: 'Error reading file'
-                    });
-                }
+        const source = marking
+            ? await openMarkedPhoto(imageSrc, req, sessionId, productId, previousTransfer)
+            : await openPhotoSource(imageSrc, req);
+        if (source.error) {
+            console.error(`❌ Could not open ${productId} for session ${sessionId}: ${source.error}`);
+            return res.status(source.status).json({
+                error: source.status === 404 ? 'File not found' : 'Download failed',
+                message: source.status === 404 ? 'The requested file could not be found' : 'The file could not be fetched. Please try again.'
             });
+        }
 
-            fileStream.pipe(res);
+        // Continuing the same file (unchanged ETag) - the transfer's download was already used
+        const resuming = continuing && source.status === 206 && !!source.etag && previousTransfer.etag === source.etag;
+        let transfer = null;
 
-            console.log(`✅ File downloaded successfully: ${baseFileName}`);
+        // Use one of the item's downloads BEFORE serving the file (atomic check-and-count) - not for HEAD,
+        // unsatisfiable ranges or resumed transfers
+        if (req.method === 'GET' && source.status !== 416 && !resuming) {
+            const downloadsUsed = await db.consumeDownloads(sessionId, purchase, [productId]);
+            if (!downloadsUsed) {
+                source.close();
+                return res.status(500).json({
+                    error: 'Database error',
+                    message: 'Failed to update download status'
+                });
+            }
+            if (downloadsUsed[productId] === undefined) {
+                source.close();
+                return respondDownloadLimitReached(res, { ...entitlement, downloadsUsed: entitlement.downloadsAllowed }, quantityPurchased);
+            }
+            if (source.etag && source.size) {
+                // A new transfer - continued from the furthest byte it sends (updated as it streams)
+                const servedFrom = source.status === 206 ? byteRanges.getContentRangeStart(source.contentRange) || 0 : 0;
+                transfer = { etag: source.etag, size: source.size, startedAt: new Date().toISOString(), servedTo: servedFrom, resumes: 0 };
+                await db.saveDownloadTransfer(sessionId, productId, transfer);
+            }
+            console.log(`📥 Single-file download ${downloadsUsed[productId]} of ${productId} for session: ${sessionId}`);
+        } else if (resuming) {
+            transfer = { ...previousTransfer, resumes: (previousTransfer.resumes || 0) + 1 };
+            await db.saveDownloadTransfer(sessionId, productId, transfer);
+            console.log(`⏯️ Resuming download of ${productId} from ${source.contentRange} for session: ${sessionId} (resume ${transfer.resumes})`);
         }
 
-        // Log successful download
-        console.log(`📊 Session: ${sessionId}, Product: ${productId}, Item marked as downloaded (${quantityPurchased} copy/copies served)`);
-        console.log(`🔑 Redis key: purchase:${sessionId}`);
+        // File names are stored URL-encoded (taken from the CDN URL)
+        const fileName = decodeURIComponent(purchasedItem.fileName || imageSrc.split('/').pop() || `${productId}.jpg`).replace(/["\\\r\n]/g, '');
+        res.setHeader('Content-Type', source.contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}"; filename*=UTF-8''${encodeURIComponent(fileName)}`);
+        res.setHeader('Accept-Ranges', 'bytes');
+        res.setHeader('Cache-Control', 'private, no-store');
+        res.setHeader('X-Content-Type-Options', 'nosniff');
+        if (source.etag) res.setHeader('ETag', source.etag);
+        if (source.lastModified) res.setHeader('Last-Modified', source.lastModified);
+        if (source.contentLength) res.setHeader('Content-Length', source.contentLength);
+        if (source.contentRange) res.setHeader('Content-Range', source.contentRange);
+
+        if (req.method === 'HEAD' || source.status === 416) {
+            source.close();
+            return res.status(source.status).end();
+        }
+
+        return await streamTransfer(res, source, transfer, sessionId, productId);
 
     } catch (error) {
-        console.error('❌ Error downloading file:', error);
-        
-        // Don't send error if response already started (file streaming)
+        console.error('❌ Error streaming file:', error);
+
         if (!res.headersSent) {
             return res.status(500).json({
                 error: 'Download failed',
@@ -330,6 +1112,56 @@ async function handleDownloadFile(req, res) {
     }
 }
 
+// Action: Download the tax invoice for a purchase (PDF)
+async function handleDownloadInvoice(req, res) {
+    if (req.method !== 'GET') {
+        return res.status(405).json({ error: 'Method not allowed', message: 'Only GET method is supported' });
+    }
+
+    const claims = verifyDownloadToken(req, res, req.query.token);
+    if (!claims) return;
+
+    const sessionId = claims.sessionId;
+    if (claims.productId) {
+        return respondTokenScope(res, 'This download link is for a single photo, not the order\'s invoice.');
+    }
+
+    // The invoice belongs to the buyer - gift recipients can't see what was paid
+    if (!sessionId.startsWith('cs_')) {
+        return res.status(400).json({
+            error: 'Invalid session ID',
+            message: 'Invoices are only available with the order\'s session ID'
+        });
+    }
+
+    const purchase = await db.getPurchase(sessionId);
+
+    if (!purchase) {
+        return res.status(404).json({
+            error: 'Purchase not found',
+            message: 'No purchase found for this session ID'
+        });
+    }
+
+    if (!purchase.invoice) {
+        return res.status(404).json({
+            error: 'Invoice not found',
+            message: 'No invoice has been issued for this purchase. Please contact support.'
+        });
+    }
+
+    const pdf = renderInvoicePdf(purchase.invoice);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="ifeelworld-invoice-${purchase.invoice.number}.pdf"`);
+    res.setHeader('Content-Length', pdf.length);
+    res.setHeader('Cache-Control', 'private, no-store');
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+
+    console.log(`🧾 Invoice ${purchase.invoice.number} downloaded for session: ${sessionId}`);
+    return res.status(200).end(pdf);
+}
+
 // Action: Get download link (for testing - bypasses Stripe)
 async function handleGetDownloadLink(req, res) {
     if (req.method !== 'GET') {
@@ -546,25 +1378,17 @@ async function handleGetDownloadLinks(req, res) {
     }
 
     try {
-        // Get session ID from query parameters - standardize to session_id
-        const sessionId = req.query.session_id || req.query.sessionId || req.query.session;
+        // The download token names the purchase - the links are for the whole purchase
+        const claims = verifyDownloadToken(req, res, req.query.token);
+        if (!claims) return;
 
-        // Validate session_id is provided
-        if (!sessionId) {
-            return res.status(400).json({
-                error: 'Missing parameter',
-                message: 'session_id query parameter is required'
-            });
+        const sessionId = claims.sessionId;
+        if (claims.productId) {
+            return respondTokenScope(res, 'This download link is for a single photo. Reload your order page to see all your downloads.');
         }
 
-        // Validate session_id format (Stripe session IDs start with cs_)
-        if (!sessionId.startsWith('cs_')) {
-            console.error(`❌ Invalid session ID format: ${sessionId}`);
-            return res.status(400).json({
-                error: 'Invalid session ID',
-                message: 'Invalid session ID format. Session ID must start with "cs_"'
-            });
-        }
+        // Links are signed for this client - never cache them
+        res.setHeader('Cache-Control', 'no-store');
 
         // Fetch purchase from Redis using exact session ID
         const purchase = await db.getPurchase(sessionId);
@@ -578,6 +1402,22 @@ async function handleGetDownloadLinks(req, res) {
                 message: 'No purchase found for this session ID. The purchase may not have been processed yet, or the session ID is invalid.'
             });
         }
+
+        if (gifts.isGiftedPurchase(purchase, sessionId)) {
+            return respondGiftedPurchase(res, purchase);
+        }
+
+        if (purchase.refunded) {
+            return respondRefunded(res, purchase);
+        }
+
+        if (!paymentStatus.isPaymentSettled(purchase)) {
+            return respondPaymentNotSettled(res, purchase);
+        }
+
+        if (disputes.isFrozen(purchase)) {
+            return respondDisputed(res, purchase);
+        }
         
         console.log(`✅ Purchase found in Redis for session: ${sessionId}`, {
             itemsCount: purchase.purchased_items?.length || purchase.products?.length || 0,
@@ -585,36 +1425,58 @@ async function handleGetDownloadLinks(req, res) {
             redisKey: `purchase:${sessionId}`
         });
 
+        // Memberships: allowance for the current period (downloads of any photo go through downloadFile)
+        let membershipStatus = null;
+        if (purchase.membership) {
+            const membership = await db.getMembership(purchase.membership.subscriptionId);
+            const membershipDownloads = membership ? await db.getMembershipDownloads(membership) : {};
+            membershipStatus = memberships.describeMembership(membership, membershipDownloads || {});
+        }
+
         // Use products array if available, fallback to purchased_items
         const items = purchase.products || purchase.purchased_items || [];
         
-        // Build download information for each purchased item (boolean downloaded flag)
+        // Build download information for each purchased item (downloads left under its download policy)
         const downloads = await Promise.all(items.map(async (item) => {
             const productId = item.productId;
             // Normalize maxDownloads - use maxDownloads, fallback to max_downloads
             const maxDownloads = item.maxDownloads || item.max_downloads || item.quantity || 1;
             const quantityPurchased = item.quantityPurchased || item.quantity || maxDownloads || 1;
             
-            // Check if item has been downloaded (boolean flag)
+            // Check if item has been downloaded (boolean flag) and what's left of its download policy
             const downloaded = purchase.downloaded?.[productId] === true;
+            const entitlement = downloadPolicies.getEntitlement(purchase, item);
+            const license = catalog.getLicense(item.license) || catalog.getLicense(catalog.DEFAULT_LICENSE);
             
-            // Can download only if not already downloaded
-            const canDownload = !downloaded;
+            // Can download while downloads are left and the period hasn't ended (and not refunded)
+            const refunded = item.refunded === true;
+            const canDownload = entitlement.remaining > 0 && !refunded;
 
             return {
                 productId: productId,
                 title: item.title,
                 fileName: item.fileName,
+                license: license.key, // License tier purchased
+                licenseLabel: license.label,
+                licenseTerms: license.terms,
+                bundleId: item.bundleId || null, // Set when the photo was bought as part of a bundle
+                bundleTitle: item.bundleTitle || null,
                 quantity: item.quantity || 1,
                 quantityPurchased: quantityPurchased, // Quantity purchased
-                downloaded: downloaded, // Boolean: has item been downloaded?
-                canDownload: canDownload, // Can download if not downloaded
+                downloaded: downloaded, // Boolean: has item been downloaded at least once?
+                refunded: refunded, // Refunded items can't be downloaded
+                canDownload: canDownload, // Can download if downloads are left
+                downloadsAllowed: entitlement.downloadsAllowed, // Download policy: downloads allowed...
+                downloadsUsed: entitlement.downloadsUsed,
+                remainingDownloads: canDownload ? entitlement.remaining : 0,
+                expiresAt: entitlement.expiresAt, // ...until (null = never expires)
+                expired: entitlement.expired,
+                downloadFailure: purchase.download_failures?.[productId] || null, // { failedAt, error } if the last download couldn't be delivered (its download was given back)
                 // Backward compatibility
                 maxDownloads: maxDownloads,
                 downloadCount: downloaded ? quantityPurchased : 0,
-                remainingDownloads: downloaded ? 0 : quantityPurchased,
-                // Secure download URL (points to download endpoint)
-                downloadUrl: `/api/download?action=downloadFile&session_id=${encodeURIComponent(sessionId)}&productId=${encodeURIComponent(productId)}`
+                // Secure download URL (points to download endpoint, with a short-lived token for this photo) - none for refunded items
+                downloadUrl: refunded ? null : `/api/download?action=downloadFile&token=${encodeURIComponent(downloadTokens.createDownloadToken(sessionId, productId, req).token)}`
             };
         }));
 
@@ -624,9 +1486,15 @@ async function handleGetDownloadLinks(req, res) {
                 sessionId: sessionId,
                 email: purchase.customer_email || purchase.email,
                 purchaseDate: purchase.timestamp || purchase.createdAt,
-                paymentStatus: purchase.payment_status
+                paymentStatus: purchase.payment_status,
+                currency: purchase.currency || 'aud', // Currency charged
+                amountTotal: purchase.amount_total,
+                bundles: purchase.bundles || [],
+                redemption: purchase.redemption || null // Set when the photos were redeemed with download credits
             },
+            membership: membershipStatus, // Set for memberships - allowance and photos downloaded this period
             downloads: downloads,
+            failedItems: downloads.filter(download => download.downloadFailure && download.canDownload).map(download => download.productId), // Photos to offer a retry for
             quantity: purchase.quantity || items.reduce((sum, item) => sum + (item.quantity || 1), 0)
         };
 
@@ -646,6 +1514,80 @@ async function handleGetDownloadLinks(req, res) {
     }
 }
 
+// Action: Claim a gift (recipient opens their claim link)
+// Returns the gifted items in the same shape as get-session-details so the success page can list them
+async function handleClaimGift(req, res) {
+    if (req.method !== 'GET') {
+        return res.status(405).json({ error: 'Method not allowed', message: 'Only GET method is supported' });
+    }
+
+    try {
+        const giftId = req.query.gift || req.query.token;
+
+        if (!giftId || !gifts.isGiftId(giftId)) {
+            return res.status(400).json({
+                error: 'Invalid gift link',
+                message: 'This gift link is not valid. Please check the link you received.'
+            });
+        }
+
+        const gift = await db.getPurchase(giftId);
+
+        if (!gift || !gift.gift) {
+            return res.status(404).json({
+                error: 'Gift not found',
+                message: 'This gift could not be found. It may still be processing - please try again in a moment.'
+            });
+        }
+
+        // Only the browser that claimed the gift gets its downloads (a forwarded claim link isn't enough)
+        if (!await claimDownloadAccess(req, res, giftId)) return;
+
+        // Record the first claim
+        if (!gift.gift.claimedAt) {
+            gift.gift.claimedAt = new Date().toISOString();
+            await db.updatePurchase(giftId, { gift: gift.gift });
+            console.log(`🎁 Gift claimed: ${giftId} (order: ${gift.gift.purchaseSessionId})`);
+        }
+
+        const items = (gift.products || gift.purchased_items || []).map(item => {
+            const license = catalog.getLicense(item.license) || catalog.getLicense(catalog.DEFAULT_LICENSE);
+            return {
+                title: item.title,
+                name: item.title,
+                imageSrc: item.imageSrc || '',
+                imageHQ: item.imageHQ || item.imageSrc || '',
+                productId: item.productId,
+                license: license.key,
+                licenseLabel: license.label,
+                bundleId: item.bundleId || null,
+                bundleTitle: item.bundleTitle || null,
+                quantity: item.quantity || 1,
+                downloaded: gift.downloaded?.[item.productId] === true,
+                refunded: refunds.isItemRefunded(gift, item.productId)
+            };
+        });
+
+        return res.status(200).json({
+            sessionId: giftId, // Used as session_id to issue download tokens
+            downloadToken: downloadTokens.createDownloadToken(giftId, null, req), // { token, expiresAt } for the gift's downloads
+            customerEmail: gift.gift.recipientEmail,
+            gift: {
+                from: gift.gift.from,
+                message: gift.gift.message,
+                claimedAt: gift.gift.claimedAt
+            },
+            items: items
+        });
+    } catch (error) {
+        console.error('❌ Error claiming gift:', error);
+        return res.status(500).json({
+            error: 'Failed to claim gift',
+            message: process.env.NODE_ENV === 'development' ? error.message : 'An error occurred while opening your gift.'
+        });
+    }
+}
+
 // Action: Generate purchase download (for purchased items - immediate ZIP)
 async function handleGeneratePurchaseDownload(req, res) {
     if (req.method !== 'POST') {
@@ -654,19 +1596,16 @@ async function handleGeneratePurchaseDownload(req, res) {
 
     try {
         const body = parseBody(req);
-        // Standardize session ID: get from body or query, always use session_id
-        const sessionId = body.sessionId || req.query.session_id || body.session_id;
-        const productId = body.productId; // Optional - if provided, download only that item
-
-        if (!sessionId) {
-            return res.status(400).json({ 
-                error: 'Missing parameter', 
-                message: 'sessionId is required' 
-            });
-        }
 
-        if (!sessionId.startsWith('cs_')) {
-            return res.status(400).json({ error: 'Invalid session ID', message: 'Invalid session ID format' });
+        // The download token names the purchase (and the photo, for single-photo tokens)
+        const claims = verifyDownloadToken(req, res, body.token || req.query.token);
+        if (!claims) return;
+
+        const sessionId = claims.sessionId;
+        const productId = body.productId || claims.productId; // Optional - if provided, download only that item
+
+        if (productId && !downloadTokens.coversProduct(claims, productId)) {
+            return respondTokenScope(res, 'This download link is for another photo.');
         }
 
         // Get purchase from Redis
@@ -697,6 +1636,22 @@ async function handleGeneratePurchaseDownload(req, res) {
         } else {
             purchaseData = purchase;
         }
+
+        if (gifts.isGiftedPurchase(purchaseData, sessionId)) {
+            return respondGiftedPurchase(res, purchaseData);
+        }
+
+        if (purchaseData.refunded) {
+            return respondRefunded(res, purchaseData);
+        }
+
+        if (!paymentStatus.isPaymentSettled(purchaseData)) {
+            return respondPaymentNotSettled(res, purchaseData);
+        }
+
+        if (disputes.isFrozen(purchaseData)) {
+            return respondDisputed(res, purchaseData);
+        }
         
         // Get purchased items array (use purchased_items as primary source - it has full structure)
         const purchasedItems = purchaseData.purchased_items || purchaseData.products || [];
@@ -725,24 +1680,34 @@ async function handleGeneratePurchaseDownload(req, res) {
                     message: 'This item was not found in your purchase.'
                 });
             }
+
+            if (refunds.isItemRefunded(purchaseData, productId)) {
+                return respondRefunded(res, purchaseData, productId);
+            }
+        }
+
+        // Every item left was refunded (partial refunds covering all items)
+        if (itemsToDownload.every(item => refunds.isItemRefunded(purchaseData, item.productId || item.id))) {
+            return respondRefunded(res, purchaseData);
         }
         
         // Check download status for all items to download
-        const redisClient = db.getRedis();
-        const itemsToProcess = [];
+        const availableItems = [];
         
         for (const item of itemsToDownload) {
             const itemProductId = item.productId || item.id;
             // Normalize maxDownloads - use maxDownloads, fallback to max_downloads
             const maxDownloads = item.maxDownloads || item.max_downloads || item.quantity || 1;
+
+            if (refunds.isItemRefunded(purchaseData, itemProductId)) {
+                console.warn(`⚠️ Item ${itemProductId} was refunded, skipping`);
+                continue;
+            }
             
-            // Check if already downloaded
-            const downloadKey = `purchase_download:${sessionId}:${itemProductId}`;
-            const downloaded = await redisClient.get(downloadKey);
-            const isDownloaded = downloaded === 'true' || (purchaseData.downloaded && purchaseData.downloaded[itemProductId]);
-            
-            if (isDownloaded) {
-                console.warn(`⚠️ Item ${itemProductId} already downloaded, skipping`);
+            // Check downloads left under the item's download policy
+            const entitlement = downloadPolicies.getEntitlement(purchaseData, item);
+            if (entitlement.remaining <= 0) {
+                console.warn(`⚠️ Item ${itemProductId} has no downloads left${entitlement.expired ? ' (download period ended)' : ''}, skipping`);
                 continue;
             }
             
@@ -753,53 +1718,36 @@ async function handleGeneratePurchaseDownload(req, res) {
                 continue;
             }
             
-            itemsToProcess.push({
+            availableItems.push({
                 item: item,
                 productId: itemProductId,
                 imageUrl: imageUrl, // Use imageHQ or imageSrc from Redis structure
-                maxDownloads: maxDownloads,
-                downloadKey: downloadKey
+                maxDownloads: maxDownloads
+            });
+        }
+
+        // Use one download of each item BEFORE building the ZIP (atomic check-and-count - a parallel
+        // request for the same items only gets the ones that still had a download left)
+        const downloadsUsed = availableItems.length > 0
+            ? await db.consumeDownloads(sessionId, purchaseData, availableItems.map(entry => entry.productId))
+            : {};
+        if (!downloadsUsed) {
+            return res.status(500).json({
+                error: 'Database error',
+                message: 'Failed to update download status'
             });
         }
+        const itemsToProcess = availableItems.filter(entry => downloadsUsed[entry.productId] !== undefined);
         
         if (itemsToProcess.length === 0) {
             return res.status(403).json({
                 error: 'All items already downloaded',
-                message: 'All items in this purchase have already been downloaded.'
+                message: 'All items in this purchase have used up their downloads or their download period has ended.'
             });
         }
         
         console.log(`📦 Processing ${itemsToProcess.length} item(s) for download`);
         
-        // Helper function to fetch image from BunnyCDN
-        async function fetchImageFromCDN(imageUrl) {
-            return new Promise((resolve, reject) => {
-                const https = require('https');
-                const http = require('http');
-                
-                const parsedUrl = new URL(imageUrl);
-                const client = parsedUrl.protocol === 'https:' ? https : http;
-                
-                const request = client.get(imageUrl, (response) => {
-                    if (response.statusCode !== 200) {
-                        reject(new Error(`Failed to fetch image: ${response.statusCode}`));
-                        return;
-                    }
-                    
-                    const chunks = [];
-                    response.on('data', (chunk) => chunks.push(chunk));
-                    response.on('end', () => resolve(Buffer.concat(chunks)));
-                    response.on('error', reject);
-                });
-                
-                request.on('error', reject);
-                request.setTimeout(30000, () => {
-                    request.destroy();
-                    reject(new Error('Request timeout'));
-                });
-            });
-        }
-        
         // Helper function to sanitize filename
         function sanitizeFilename(filename) {
             if (!filename) return 'Photo';
@@ -841,72 +1789,66 @@ async function handleGeneratePurchaseDownload(req, res) {
 
         archive.pipe(res);
 
-        // Process each item: fetch from BunnyCDN and add to ZIP
-        for (const { item, productId: itemProductId, imageUrl, maxDownloads, downloadKey } of itemsToProcess) {
-            try {
-                console.log(`📥 Fetching image for ${itemProductId}: ${imageUrl.substring(0, 60)}...`);
-                
-                // Fetch image from BunnyCDN
-                const imageBuffer = await fetchImageFromCDN(imageUrl);
-                
-                // Get filename from item or extract from URL
-                let fileName = item.fileName;
-                if (!fileName && imageUrl) {
-                    const urlPath = new URL(imageUrl).pathname;
-                    fileName = decodeURIComponent(urlPath.split('/').pop() || `${itemProductId}.jpg`);
-                }
-                
-                // Add image to ZIP with quantity copies
-                const fileExtension = path.extname(fileName) || '.jpg';
-                const baseFileName = path.basename(fileName, fileExtension);
-                
-                for (let copy = 1; copy <= maxDownloads; copy++) {
-                    const copyFileName = maxDownloads > 1 
-                        ? `${baseFileName}_copy_${copy}${fileExtension}`
-                        : `${baseFileName}${fileExtension}`;
-                    
-                    archive.append(imageBuffer, { name: copyFileName });
-                }
-                
-                console.log(`✅ Added ${itemProductId} to ZIP (${maxDownloads} copy/copies)`);
-            } catch (fetchError) {
-                console.error(`❌ Error fetching image for ${itemProductId}:`, fetchError);
-                // Continue with other items even if one fails
-            }
+        // Photos are watermarked for this purchase (lib/watermark.js) so leaked copies can be traced back to it
+        if (!watermark.isConfigured()) {
+            console.warn('⚠️ WATERMARK_SECRET is not set - photos are delivered without a forensic watermark');
         }
 
-        await archive.finalize();
-
-        // Mark all processed items as downloaded in Redis (after successful ZIP creation)
-        try {
-            const purchaseKey = `purchase:${sessionId}`;
-            const currentPurchase = await redisClient.get(purchaseKey);
-            let updatedPurchaseData = purchaseData;
-            
-            if (currentPurchase) {
-                updatedPurchaseData = typeof currentPurchase === 'string' ? JSON.parse(currentPurchase) : currentPurchase;
+        // List the archive's files: each photo (one copy per quantity) followed by its license certificate
+        const files = [];
+        for (const { item, productId: itemProductId, imageUrl, maxDownloads } of itemsToProcess) {
+            // Get filename from item or extract from URL
+            let fileName = item.fileName;
+            if (!fileName && imageUrl) {
+                const urlPath = new URL(imageUrl).pathname;
+                fileName = decodeURIComponent(urlPath.split('/').pop() || `${itemProductId}.jpg`);
             }
-            
-            // Initialize downloaded tracking if needed
-            if (!updatedPurchaseData.downloaded) {
-                updatedPurchaseData.downloaded = {};
+
+            const fileExtension = path.extname(fileName) || '.jpg';
+            const baseFileName = path.basename(fileName, fileExtension);
+
+            // Every copy carries the same mark - embedded once, for the first copy written
+            let transform;
+            if (watermark.isConfigured()) {
+                let marked = null;
+                transform = (image) => marked || (marked = markPhoto(image, sessionId, itemProductId));
             }
-            
-            // Mark each item as downloaded
-            for (const { productId: itemProductId, downloadKey } of itemsToProcess) {
-                await redisClient.set(downloadKey, 'true', { EX: 86400 * 365 }); // Expire after 1 year
-                updatedPurchaseData.downloaded[itemProductId] = true;
-                console.log(`✅ Marked ${itemProductId} as downloaded`);
+
+            for (let copy = 1; copy <= maxDownloads; copy++) {
+                const copyFileName = maxDownloads > 1
+                    ? `${baseFileName}_copy_${copy}${fileExtension}`
+                    : `${baseFileName}${fileExtension}`;
+
+                files.push({ name: copyFileName, productId: itemProductId, url: imageUrl, transform: transform });
             }
-            
-            // Update purchase record in Redis
-            await redisClient.set(purchaseKey, updatedPurchaseData, { EX: 86400 * 365 });
-            console.log(`✅ Updated purchase record with download status`);
-        } catch (redisError) {
-            console.error('❌ Error marking downloads in Redis:', redisError);
+
+            // Include the license certificate for the purchased tier
+            files.push({
+                name: `${baseFileName}_LICENSE.txt`,
+                productId: itemProductId,
+                content: buildLicenseText(item, purchaseData, sessionId)
+            });
+        }
+
+        // Stream the photos from BunnyCDN (fetched concurrently, retried) and report failures in the manifest
+        const results = await purchaseArchive.appendFiles(archive, files);
+        archive.append(purchaseArchive.buildManifest(results, sessionId), { name: purchaseArchive.MANIFEST_NAME });
+
+        // Only items written to the archive in full use a download - give the others theirs back (before the
+        // response ends) so they can be downloaded again. getDownloadLinks reports them as failed until then
+        const failures = {};
+        for (const result of results) {
+            if (!result.ok && !failures[result.productId]) failures[result.productId] = result.error;
         }
+        if (Object.keys(failures).length > 0) {
+            console.warn(`⚠️ ${Object.keys(failures).length} item(s) failed in ZIP for ${sessionId}: ${Object.keys(failures).join(', ')}`);
+            await db.releaseDownloads(sessionId, failures);
+        }
+
+        await archive.finalize();
 
-        console.log(`✅ ZIP archive created with ${itemsToProcess.length} item(s)`);
+        const deliveredCount = itemsToProcess.length - Object.keys(failures).length;
+        console.log(`✅ ZIP archive created with ${deliveredCount} of ${itemsToProcess.length} item(s)`);
         console.log(`📊 Session: ${sessionId}, Items: ${itemsToProcess.map(i => i.productId).join(', ')}`);
 
     } catch (error) {
@@ -1178,10 +2120,14 @@ async function handler(req, res) {
 
         // Route to appropriate handler
         switch (action) {
+            case 'issueDownloadToken':
+                return await handleIssueDownloadToken(req, res);
             case 'checkCartDownloadStatus':
                 return await handleCheckCartDownloadStatus(req, res);
             case 'downloadFile':
                 return await handleDownloadFile(req, res);
+            case 'streamFile':
+                return await handleStreamFile(req, res);
             case 'generateDownload':
                 return await handleGenerateDownload(req, res);
             case 'generatePurchaseDownload':
@@ -1190,10 +2136,14 @@ async function handler(req, res) {
                 return await handleGetDownloadLink(req, res);
             case 'getDownloadLinks':
                 return await handleGetDownloadLinks(req, res);
+            case 'claimGift':
+                return await handleClaimGift(req, res);
+            case 'downloadInvoice':
+                return await handleDownloadInvoice(req, res);
             default:
                 return res.status(400).json({
                     error: 'Invalid action',
-                    message: `Unknown action: ${action}. Supported actions: checkCartDownloadStatus, downloadFile, generateDownload, generatePurchaseDownload, getDownloadLink, getDownloadLinks`
+                    message: `Unknown action: ${action}. Supported actions: issueDownloadToken, checkCartDownloadStatus, downloadFile, streamFile, generateDownload, generatePurchaseDownload, getDownloadLink, getDownloadLinks, claimGift, downloadInvoice`
                 });
         }
     } catch (error) {
@@ -3,9 +3,25 @@
  * GET /api/get-session-details
  * Retrieves Stripe checkout session details including purchased items
  * Used to display download links on success page
+ * Gift orders return the recipient's claim link (gift) - the buyer cannot download gifted photos
+ * Returns the tax invoice number and PDF link (invoice) once the webhook has recorded the purchase
+ * paymentStatus is "unpaid" while a delayed payment (PayTo, bank debit) is pending, "failed" if it failed
+ * Credit pack orders return the packs bought (credits) - available once the webhook has added them to the balance
+ * Membership orders return the membership (plan, status and this period's allowance) - active once the first invoice is paid
+ * Prints (photos bought in a print size) are listed separately (prints) with their fulfillment status (queued, sent_to_lab,
+ * shipped with a tracking number, delivered) - they are shipped, not downloaded
+ * Returns a short-lived download token for the order (downloadToken) - the download actions take it instead of the session ID.
+ * With DOWNLOAD_BROWSER_CLAIM, only the first browser to open the order gets one (its downloads are claimed with an
+ * HttpOnly cookie, see lib/downloadTokens.js)
+ * Each photo lists what's left of its download policy (downloads: downloads allowed, used and left, and when they expire)
  */
 
-const stripe = require('stripe');
+const catalog = require('../lib/catalog');
+const downloadTokens = require('../lib/downloadTokens');
+const downloadPolicies = require('../lib/downloadPolicies');
+const fulfillment = require('../lib/fulfillment');
+const memberships = require('../lib/memberships');
+const { getPaymentProvider } = require('../lib/paymentProvider');
 
 async function handler(req, res) {
     // Set CORS headers
@@ -37,26 +53,20 @@ async function handler(req, res) {
             });
         }
 
-        // Determine which Stripe key to use
-        const useTestMode = process.env.USE_TEST_STRIPE === 'true';
-        const stripeSecretKey = useTestMode 
-            ? process.env.STRIPE_SECRET_KEY_TEST 
-            : process.env.STRIPE_SECRET_KEY;
+        // Payment provider (Stripe live or test keys based on USE_TEST_STRIPE)
+        const paymentProvider = getPaymentProvider();
+        const configError = paymentProvider.checkConfig();
 
-        if (!stripeSecretKey) {
-            console.error('Stripe secret key not configured');
+        if (configError) {
+            console.error(`${configError.message} (${configError.expectedKey})`);
             return res.status(500).json({
                 error: 'Server configuration error',
-                message: 'Stripe secret key not configured'
+                message: configError.message
             });
         }
 
-        const stripeInstance = stripe(stripeSecretKey);
-
         // Retrieve the checkout session
-        const session = await stripeInstance.checkout.sessions.retrieve(sessionId, {
-            expand: ['line_items']
-        });
+        const session = await paymentProvider.retrieveCheckoutSession(sessionId, { lineItems: true });
 
         // Extract customer email
         const customerEmail = session.customer_email || session.customer_details?.email;
@@ -65,6 +75,7 @@ async function handler(req, res) {
         // This avoids Stripe's 500-character metadata limit
         const db = require('./db');
         let cartItems = [];
+        let cartGift = null; // Gift recipient (gift orders only)
         
         // Try to get cart items from Redis first
         if (session.metadata && session.metadata.temp_cart_key) {
@@ -72,6 +83,7 @@ async function handler(req, res) {
                 const tempCartData = await db.getPurchase(session.metadata.temp_cart_key);
                 if (tempCartData && tempCartData.cartItems) {
                     cartItems = tempCartData.cartItems;
+                    cartGift = tempCartData.gift || null;
                     console.log(`✅ Retrieved ${cartItems.length} cart items from Redis`);
                 }
             } catch (redisError) {
@@ -85,6 +97,7 @@ async function handler(req, res) {
                 const sessionCartData = await db.getPurchase(`temp_cart:${sessionId}`);
                 if (sessionCartData && sessionCartData.cartItems) {
                     cartItems = sessionCartData.cartItems;
+                    cartGift = sessionCartData.gift || null;
                     console.log(`✅ Retrieved ${cartItems.length} cart items from Redis (session key)`);
                 }
             } catch (redisError) {
@@ -104,6 +117,8 @@ async function handler(req, res) {
                         imageSrc: product.imageSrc || '',
                         imageHQ: product.imageHQ || product.imageSrc || '',
                         productId: product.productId,
+                        license: product.license,
+                        price: product.price,
                         quantity: product.quantity || 1
                     }));
                     console.log(`✅ Retrieved ${cartItems.length} items from purchase data`);
@@ -163,11 +178,33 @@ async function handler(req, res) {
             }
         }
 
-        // Generate download links for purchased items
+        // Credit packs have nothing to download - their credits go to the buyer's balance
+        const creditPackItems = cartItems.filter(item => item.isCreditPack);
+        const membershipItem = cartItems.find(item => item.isMembership) || null;
+
+        // Prints are shipped - listed with their print size, no download link
+        const prints = cartItems.filter(item => item.isPrint).map(item => ({
+            productId: item.productId,
+            title: item.title,
+            imageSrc: item.imageSrc || '', // Low-res for display
+            dimension: item.dimension,
+            dimensionLabel: item.dimensionLabel,
+            price: item.price,
+            quantity: item.quantity || 1
+        }));
+
+        // Fulfillment status of each print (queued until the webhook has recorded the order)
+        const printJobs = await Promise.all(prints.map(print => db.getFulfillmentJob(fulfillment.getJobId(sessionId, print.productId))));
+        prints.forEach((print, index) => {
+            print.fulfillment = fulfillment.describeJob(printJobs[index]);
+        });
+
+        // Generate download links for purchased items (bundles are listed as their member photos)
         const baseUrl = process.env.SITE_URL || 'https://www.ifeelworld.com';
-        const items = cartItems.map(item => {
+        const items = cartItems.filter(item => !item.isCreditPack && !item.isMembership && !item.isPrint).flatMap(item => catalog.expandCartItem(item)).map(item => {
             // Use HQ URL for downloads
             const downloadUrl = item.imageHQ || item.imageSrc || '';
+            const license = catalog.getLicense(item.license) || catalog.getLicense(catalog.DEFAULT_LICENSE);
             
             return {
                 title: item.title || item.name,
@@ -176,15 +213,80 @@ async function handler(req, res) {
                 imageSrc: item.imageSrc || '', // Low-res for display
                 imageHQ: item.imageHQ || item.imageSrc || '', // High-quality for downloads
                 productId: item.productId || item.id || null,
+                license: license.key, // License tier purchased
+                licenseLabel: license.label,
+                price: item.price, // Catalog price charged at checkout (null for photos in a bundle)
+                bundleId: item.bundleId || null,
+                bundleTitle: item.bundleTitle || null,
                 quantity: item.quantity || 1
             };
         }).filter(item => item.downloadUrl); // Only include items with valid download URLs
 
+        // Purchase record (written by the webhook - may not exist yet)
+        const purchase = await db.getPurchase(sessionId);
+
+        // Downloads left for each photo under its download policy (null until the webhook has recorded the purchase)
+        const purchasedItems = purchase?.products || purchase?.purchased_items || [];
+        items.forEach(item => {
+            const purchasedItem = purchasedItems.find(purchased => purchased.productId === item.productId);
+            item.downloads = purchasedItem ? downloadPolicies.getEntitlement(purchase, purchasedItem) : null;
+        });
+
+        // Gift orders: show the claim link once the webhook has created the recipient's entitlement
+        let gift = null;
+        if (cartGift || session.metadata?.is_gift === 'true') {
+            gift = purchase?.gift
+                ? { recipientEmail: purchase.gift.recipientEmail, message: purchase.gift.message, claimUrl: purchase.gift.claimUrl }
+                : { recipientEmail: cartGift?.recipientEmail || null, message: cartGift?.message || '', claimUrl: null, pending: true };
+        }
+
+        // Memberships: status and allowance once the webhook has recorded the subscription
+        let membership = null;
+        if (membershipItem || purchase?.membership) {
+            const subscriptionId = purchase?.membership?.subscriptionId;
+            const membershipRecord = subscriptionId ? await db.getMembership(subscriptionId) : null;
+            const membershipDownloads = membershipRecord ? await db.getMembershipDownloads(membershipRecord) : {};
+            membership = {
+                ...memberships.describeMembership(membershipRecord, membershipDownloads || {}),
+                planId: purchase?.membership?.planId || membershipItem.productId,
+                title: purchase?.membership?.title || membershipItem.title,
+                license: purchase?.membership?.license || membershipItem.license,
+                downloadsPerPeriod: membershipRecord?.downloadsPerPeriod || purchase?.membership?.downloads || membershipItem.downloads
+            };
+        }
+
+        // Download token for this client (the page requests a new one with issueDownloadToken once it expires) - none if
+        // another browser claimed the order's downloads (DOWNLOAD_BROWSER_CLAIM - the session ID comes from a link that
+        // may have been shared)
+        const downloadAccess = !downloadTokens.isBrowserClaimEnabled()
+            || await db.claimDownloadAccess(sessionId, downloadTokens.getAccessId(req, res));
+        const downloadToken = downloadAccess ? downloadTokens.createDownloadToken(sessionId, null, req) : null;
+
         // Return session details
+        res.setHeader('Cache-Control', 'no-store');
         return res.status(200).json({
             sessionId: session.id,
             customerEmail: customerEmail,
-            paymentStatus: session.payment_status,
+            paymentStatus: purchase?.payment_status || session.payment_status, // Recorded by the webhook (includes failed delayed payments)
+            currency: session.currency || 'aud', // Currency charged
+            gift: gift,
+            credits: creditPackItems.length > 0 || purchase?.creditPacks?.length > 0 ? {
+                packs: purchase?.creditPacks || creditPackItems.map(item => ({
+                    packId: item.productId,
+                    title: item.title,
+                    license: item.license,
+                    credits: item.credits,
+                    quantity: item.quantity || 1
+                })),
+                available: !!purchase?.creditsGrantedAt // Redeemable with this session ID (/api/credits)
+            } : null,
+            membership: membership, // Downloads with this order's download token (/api/download?action=downloadFile) while active
+            prints: prints, // Physical prints ordered (shipped, not downloaded)
+            invoice: purchase?.invoice ? {
+                number: purchase.invoice.number,
+                downloadUrl: downloadToken ? `/api/download?action=downloadInvoice&token=${encodeURIComponent(downloadToken.token)}` : null
+            } : null,
+            downloadToken: downloadToken, // { token, expiresAt } for the download actions
             downloadLinks: items.map(item => ({
                 title: item.title,
                 downloadUrl: item.downloadUrl,
@@ -5,6 +5,8 @@
  * This endpoint is safe to expose as it only returns the publishable key (not the secret key)
  */
 
+const { getPaymentProvider } = require('../lib/paymentProvider');
+
 async function handler(req, res) {
     // Set CORS headers
     res.setHeader('Access-Control-Allow-Origin', '*');
@@ -25,36 +27,17 @@ async function handler(req, res) {
     }
 
     try {
-        // Determine which Stripe publishable key to use based on USE_TEST_STRIPE flag
-        // USE_TEST_STRIPE='true' → use test key (NEXT_PUBLIC_STRIPE_PUBLISHABLE_KEY_TEST)
-        // USE_TEST_STRIPE='false' or not set → use live key (NEXT_PUBLIC_STRIPE_PUBLISHABLE_KEY)
-        const useTestMode = process.env.USE_TEST_STRIPE === 'true';
+        // Publishable key from the payment provider
+        // USE_TEST_STRIPE='true' → test key (NEXT_PUBLIC_STRIPE_PUBLISHABLE_KEY_TEST), otherwise the live key
+        // (NEXT_PUBLIC_STRIPE_PUBLISHABLE_KEY) - never a fallback to the other mode's key
+        const paymentProvider = getPaymentProvider();
+        const { publishableKey, expectedKey } = paymentProvider.getPublishableKey();
+        const mode = paymentProvider.mode;
         
         // Check what keys are available
         const hasTestKey = !!process.env.NEXT_PUBLIC_STRIPE_PUBLISHABLE_KEY_TEST;
         const hasLiveKey = !!process.env.NEXT_PUBLIC_STRIPE_PUBLISHABLE_KEY;
         
-        // Determine which key to use
-        let publishableKey;
-        let mode;
-        let expectedKey;
-        
-        if (useTestMode) {
-            mode = 'TEST';
-            expectedKey = 'NEXT_PUBLIC_STRIPE_PUBLISHABLE_KEY_TEST';
-            publishableKey = process.env.NEXT_PUBLIC_STRIPE_PUBLISHABLE_KEY_TEST;
-            
-            // In test mode, only use test key (no fallback to live key)
-            // This prevents accidentally using live keys in test environments
-        } else {
-            mode = 'LIVE';
-            expectedKey = 'NEXT_PUBLIC_STRIPE_PUBLISHABLE_KEY';
-            publishableKey = process.env.NEXT_PUBLIC_STRIPE_PUBLISHABLE_KEY;
-            
-            // In live mode, NEVER fallback to test key
-            // This ensures production always uses live keys
-        }
-        
         // Get Vercel environment info
         const vercelEnv = process.env.VERCEL_ENV || 'unknown';
         const allStripeVars = Object.keys(process.env).filter(k => k.includes('STRIPE'));
@@ -80,7 +63,6 @@ async function handler(req, res) {
                     expectedKey: expectedKey,
                     vercelEnv: vercelEnv,
                     availableStripeVars: allStripeVars,
-                    useTestMode: useTestMode,
                     hasTestKey: hasTestKey,
                     hasLiveKey: hasLiveKey
                 }
@@ -9,11 +9,9 @@
  * - db: Database functions (getPurchase, savePurchase, etc.)
  * - IMAGE_MAPPING: Image ID to file path mapping
  * - getPhotoTitle: Get title from photo filename
+ * - catalog: Product catalog with server-side prices
  */
 
-const fs = require('fs');
-const path = require('path');
-
 // Import database functions
 const db = require('./db');
 
@@ -23,6 +21,10 @@ const IMAGE_MAPPING = require('./image-mapping');
 // Import photo title helper
 const { getPhotoTitle } = require('./photo-titles');
 
+// Import product catalog (server-side prices) and supported currencies
+const catalog = require('../lib/catalog');
+const currency = require('../lib/currency');
+
 // Helper: Get action from query or body
 function getAction(req) {
     // Try query parameter first
@@ -54,25 +56,12 @@ function parseBody(req) {
 // Action: Get all photos from images.json (BunnyCDN URLs)
 async function handleGetPhotos(req, res) {
     try {
-        // Load images from JSON file
-        // Try multiple possible paths (Vercel deployment vs local development)
-        const possiblePaths = [
-            path.join(process.cwd(), 'data', 'images.json'),
-            path.join(__dirname, '..', 'data', 'images.json'),
-            path.join(process.cwd(), '..', 'data', 'images.json')
-        ];
-        
-        let imagesJsonPath = null;
-        for (const jsonPath of possiblePaths) {
-            if (fs.existsSync(jsonPath)) {
-                imagesJsonPath = jsonPath;
-                console.log(`✅ Found images.json at: ${jsonPath}`);
-                break;
-            }
-        }
-        
-        if (!imagesJsonPath) {
-            console.error(`❌ images.json not found. Tried: ${possiblePaths.join(', ')}`);
+        // Load products from the catalog (data/images.json)
+        let products;
+        try {
+            products = catalog.getProducts();
+        } catch (catalogError) {
+            console.error('❌ Error loading catalog:', catalogError.message);
             console.error(`Current working directory: ${process.cwd()}`);
             console.error(`__dirname: ${__dirname}`);
             return res.status(404).json({
@@ -80,38 +69,81 @@ async function handleGetPhotos(req, res) {
                 message: 'The images data file could not be located on the server.'
             });
         }
-
-        // Read and parse JSON file
-        const imagesData = JSON.parse(fs.readFileSync(imagesJsonPath, 'utf8'));
-        console.log(`✅ Loaded ${Object.keys(imagesData).length} images from JSON`);
         
-        // Convert JSON structure to photo array format
-        const photos = Object.entries(imagesData).map(([productId, imageData]) => {
-            // Extract title from productId (convert kebab-case to Title Case)
-            const title = productId
-                .split('-')
-                .map(word => word.charAt(0).toUpperCase() + word.slice(1))
-                .join(' ');
-            
-            // Get original filename from productId (for backward compatibility)
-            const filename = `${productId}.jpg`;
-            
-            return {
-                productId: productId,
-                imageSrc: imageData.low,              // Low-res for gallery thumbnails
-                imageThumb: imageData.low,            // Low-res thumbnail
-                imageHQ: imageData.hq,                // High-quality for product page
-                title: title,
-                filename: filename,
-                category: 'Photography'
-            };
-        }).sort((a, b) => a.title.localeCompare(b.title)); // Sort alphabetically by title
+        // Convert catalog products to photo array format (already sorted by title)
+        const photos = products.map(product => ({
+            productId: product.productId,
+            imageSrc: product.imageSrc,           // Low-res for gallery thumbnails
+            imageThumb: product.imageSrc,         // Low-res thumbnail
+            imageHQ: product.imageHQ,             // High-quality for product page
+            title: product.title,
+            filename: `${product.productId}.jpg`, // Original filename (for backward compatibility)
+            price: product.price,                 // Server-side starting price (AUD, personal license)
+            prices: product.prices,               // Price list per currency and license tier
+            category: 'Photography'
+        }));
 
         console.log(`✅ Loaded ${photos.length} photos from images.json`);
         
+        // License tiers (label, summary, terms) for the product page selector
+        const licenses = Object.keys(catalog.LICENSE_TIERS).map(key => catalog.getLicense(key));
+
+        // Supported currencies (lowercase codes, e.g. "aud")
+        const currencies = Object.keys(currency.CURRENCIES);
+
+        // Bundles (data/bundles.json) - sold as one product, members are photo productIds
+        const bundles = catalog.getBundles().map(bundle => ({
+            productId: bundle.productId,
+            imageSrc: bundle.imageSrc,            // Cover image (first member)
+            imageHQ: bundle.imageHQ,
+            title: bundle.title,
+            description: bundle.description,
+            productIds: bundle.members.map(member => member.productId),
+            price: bundle.price,                  // Starting price (AUD, personal license)
+            prices: bundle.prices                 // Price list per currency and license tier
+        }));
+
+        // Credit packs (data/credit-packs.json) - prepaid downloads, redeemable on any photo
+        const creditPacks = catalog.getCreditPacks().map(pack => ({
+            productId: pack.productId,
+            imageSrc: pack.imageSrc,              // Cover image (display only)
+            title: pack.title,
+            description: pack.description,
+            credits: pack.credits,                // Downloads per pack
+            price: pack.price,                    // Starting price (AUD, personal license)
+            prices: pack.prices                   // Price list per currency and license tier
+        }));
+
+        // Membership plans (data/memberships.json) - subscriptions with a download allowance per billing period
+        const membershipPlans = catalog.getMembershipPlans().map(plan => ({
+            productId: plan.productId,
+            imageSrc: plan.imageSrc,              // Cover image (display only)
+            title: plan.title,
+            description: plan.description,
+            downloads: plan.downloads,            // Downloads per billing period
+            interval: plan.interval,              // Billing period (month or year)
+            price: plan.price,                    // Starting price per period (AUD, personal license)
+            prices: plan.prices                   // Price list per currency and license tier
+        }));
+
+        // Print sizes (data/print-sizes.json) - any photo can be ordered as a print in these sizes
+        const printSizes = catalog.getPrintSizes().map(size => ({
+            dimension: size.dimension,
+            label: size.label,
+            description: size.description,
+            price: size.price,                    // Starting price (AUD)
+            prices: size.prices                   // Price per currency
+        }));
+
         return res.status(200).json({
             success: true,
             photos: photos,
+            licenses: licenses,
+            currencies: currencies,
+            bundles: bundles,
+            creditPacks: creditPacks,
+            memberships: membershipPlans,
+            printSizes: printSizes,
             count: photos.length
         });
     } catch (error) {
@@ -174,4 +206,5 @@ module.exports = handler;
 module.exports.db = db;
 module.exports.IMAGE_MAPPING = IMAGE_MAPPING;
 module.exports.getPhotoTitle = getPhotoTitle;
+module.exports.catalog = catalog;
 
@@ -3,20 +3,60 @@
  * POST /api/webhook
  * Handles Stripe webhook events, particularly checkout.session.completed
  * Saves purchase data to Upstash Redis for download tracking
+ * Every recorded purchase gets a numbered GST tax invoice (purchase.invoice) once it is paid
+ * Delayed payment methods: checkout.session.completed records the purchase as pending (payment_status "unpaid");
+ * checkout.session.async_payment_succeeded / async_payment_failed settle it as paid or failed
+ * checkout.session.expired records the abandoned cart and emails the customer a recovery link
+ * charge.refunded revokes the download entitlement for the refunded items (or the whole purchase)
+ * Every event is recorded in a ledger (webhook_event:<event.id>) - redeliveries of a processed event are
+ * acknowledged without touching purchase state, failed events are processed again when Stripe retries
+ * charge.dispute.created freezes the purchase's downloads and stores an evidence bundle; charge.dispute.closed
+ * unfreezes it if the dispute was won (a lost dispute stays frozen)
+ * Memberships (subscriptions): invoice.paid starts the paid billing period with a fresh download allowance;
+ * customer.subscription.deleted ends the membership
+ * Prints (photos bought in a print size) are recorded in purchase.prints with the shipping address - they are shipped,
+ * not downloaded. Once paid, each print is queued as a fulfillment job for the lab (lib/fulfillment)
+ * GET ?action=check&session_id=... (or &event_id=...) returns the purchase or ledger entry - admin only
+ * (Authorization: Bearer <ADMIN_API_KEY>, see lib/adminAuth.js)
  */
 
-const stripe = require('stripe');
 const db = require('./db');
+const catalog = require('../lib/catalog');
+const currency = require('../lib/currency');
+const gifts = require('../lib/gifts');
+const abandonedCheckouts = require('../lib/abandonedCheckouts');
+const invoices = require('../lib/invoices');
+const refunds = require('../lib/refunds');
+const disputes = require('../lib/disputes');
+const paymentStatus = require('../lib/paymentStatus');
+const credits = require('../lib/credits');
+const memberships = require('../lib/memberships');
+const fulfillment = require('../lib/fulfillment');
+const { getPaymentProvider } = require('../lib/paymentProvider');
+const { authorizeAdmin } = require('../lib/adminAuth');
 
-// Helper: Check webhook status (debug endpoint)
+// Helper: Check webhook status (debug endpoint - admin only, it returns purchases with customer details)
 async function handleCheckWebhook(req, res) {
     if (req.method !== 'GET') {
         return res.status(405).json({ error: 'Method not allowed' });
     }
 
+    res.setHeader('Cache-Control', 'no-store');
+    if (!authorizeAdmin(req, res)) return;
+
     try {
         const sessionId = req.query.session_id;
 
+        // Event ledger entry (?action=check&event_id=evt_...)
+        if (req.query.event_id) {
+            const entry = await db.getWebhookEvent(req.query.event_id);
+            return res.status(200).json({
+                eventId: req.query.event_id,
+                found: !!entry,
+                event: entry
+            });
+        }
+
         if (!sessionId) {
             return res.status(400).json({ error: 'session_id required' });
         }
@@ -42,6 +82,957 @@ async function handleCheckWebhook(req, res) {
     }
 }
 
+// Helper: Expand a purchased bundle into one download entitlement per member photo
+// The bundle itself is recorded separately (purchase.bundles) with the price charged
+function buildBundleItems(bundleItem, quantity) {
+    return catalog.expandCartItem({ ...bundleItem, quantity: quantity }).map(member => ({
+        productId: member.productId,
+        fileName: (member.imageHQ || member.imageSrc).split('/').pop() || `${member.productId}.jpg`,
+        imageSrc: member.imageSrc, // Low-res for display
+        imageHQ: member.imageHQ, // High-quality for downloads
+        title: member.title,
+        license: member.license || catalog.DEFAULT_LICENSE,
+        price: null, // Charged as part of the bundle
+        bundleId: member.bundleId,
+        bundleTitle: member.bundleTitle,
+        quantity: quantity,
+        quantityPurchased: quantity,
+        max_downloads: quantity,
+        maxDownloads: quantity
+    }));
+}
+
+// Helper: Record an expired (unpaid) checkout and email the customer a link to recover it
+async function handleCheckoutExpired(session, res) {
+    const sessionId = session.id;
+    console.log(`⌛ Checkout session expired: ${sessionId}`);
+
+    // Stripe may deliver the event more than once - record and email only once
+    const existingCheckout = await db.getAbandonedCheckout(sessionId);
+    if (existingCheckout && existingCheckout.emailSentAt) {
+        console.log(`ℹ️ Abandoned checkout already recorded for session ${sessionId}`);
+        return res.status(200).json({ received: true });
+    }
+
+    // Cart stored at checkout (session-based key first, then the temp key from metadata)
+    let tempCart = null;
+    for (const key of [`temp_cart:${sessionId}`, session.metadata?.temp_cart_key]) {
+        if (!key) continue;
+        tempCart = await db.getPurchase(key);
+        if (tempCart && tempCart.cartItems) break;
+    }
+
+    const checkout = existingCheckout || abandonedCheckouts.buildAbandonedCheckout(session, tempCart);
+    if (!checkout) {
+        console.log(`ℹ️ Nothing to recover for session ${sessionId} (no customer email or cart items)`);
+        return res.status(200).json({ received: true });
+    }
+
+    if (!existingCheckout && !await db.saveAbandonedCheckout(checkout)) {
+        // Let Stripe retry
+        console.error(`❌ Failed to save abandoned checkout for session ${sessionId}`);
+        return res.status(500).json({
+            error: 'Webhook processing failed',
+            message: 'Could not save abandoned checkout'
+        });
+    }
+
+    if (checkout.emailOptOut) {
+        console.log(`ℹ️ Customer opted out of promotional email - no recovery email for session ${sessionId}`);
+        return res.status(200).json({ received: true });
+    }
+
+    if (await abandonedCheckouts.sendRecoveryEmail(checkout)) {
+        checkout.emailSentAt = new Date().toISOString();
+        await db.saveAbandonedCheckout(checkout);
+        console.log(`📧 Checkout recovery email sent for session ${sessionId}`);
+    } else {
+        console.warn(`⚠️ Checkout recovery email not sent for session ${sessionId}`);
+    }
+
+    return res.status(200).json({ received: true });
+}
+
+// Helper: Find the checkout session a payment intent was paid through (null if not a checkout purchase)
+async function findSessionIdForPaymentIntent(paymentProvider, paymentIntentId) {
+    if (!paymentIntentId) return null;
+
+    const sessionId = await db.getSessionIdForPaymentIntent(paymentIntentId);
+    if (sessionId) return sessionId;
+
+    // Purchases recorded before the payment intent was stored with them
+    return paymentProvider.findCheckoutSessionId(paymentIntentId);
+}
+
+// Helper: Record refunds on a charge and revoke the refunded items
+async function handleChargeRefunded(paymentProvider, charge, res) {
+    const sessionId = await findSessionIdForPaymentIntent(paymentProvider, charge.payment_intent);
+    if (!sessionId) {
+        console.log(`ℹ️ Refunded charge ${charge.id} is not a checkout purchase`);
+        return res.status(200).json({ received: true });
+    }
+
+    const purchase = await db.getPurchase(sessionId);
+    if (!purchase) {
+        // Let Stripe retry - the purchase may not have been recorded yet
+        console.error(`❌ Purchase not found for refunded charge ${charge.id} (session: ${sessionId})`);
+        return res.status(500).json({
+            error: 'Webhook processing failed',
+            message: 'Purchase not found for refund'
+        });
+    }
+
+    // Refunds may not be included in the event (newer API versions) - list them
+    const chargeRefunds = charge.refunds?.data?.length
+        ? charge.refunds.data
+        : await paymentProvider.listRefunds(charge.id);
+    const chargeCurrency = (charge.currency || purchase.currency || currency.DEFAULT_CURRENCY).toLowerCase();
+
+    for (const refund of chargeRefunds) {
+        if (refund.status === 'failed' || refund.status === 'canceled') continue;
+
+        const productIds = refunds.getRefundedProductIds(purchase, refund, charge);
+        if (productIds && productIds.length === 0) {
+            console.warn(`⚠️ Partial refund ${refund.id} for session ${sessionId} could not be matched to items - downloads not revoked, review manually`);
+        }
+
+        const refundRecord = {
+            refundId: refund.id,
+            chargeId: charge.id,
+            amount: currency.fromMinorUnits(refund.amount, chargeCurrency),
+            currency: chargeCurrency,
+            reason: refund.reason || null,
+            productIds: productIds // null = whole purchase
+        };
+
+        // Gifted photos are revoked from the recipient too
+        const purchaseIds = [sessionId, ...(purchase.gift?.giftId ? [purchase.gift.giftId] : [])];
+        for (const purchaseId of purchaseIds) {
+            if (!await db.markRefunded(purchaseId, refundRecord)) {
+                console.error(`❌ CRITICAL: Failed to record refund ${refund.id} for ${purchaseId}`);
+                return res.status(500).json({
+                    error: 'Webhook processing failed',
+                    message: 'Could not record refund'
+                });
+            }
+        }
+        console.log(`💸 Refund ${refund.id} processed for session ${sessionId}: ${productIds === null ? 'whole purchase' : productIds.join(', ') || 'no items matched'}`);
+    }
+
+    return res.status(200).json({ received: true });
+}
+
+// Helper: Find the purchase a dispute belongs to (null if the charge is not a checkout purchase)
+async function findSessionIdForDispute(paymentProvider, dispute) {
+    let paymentIntentId = dispute.payment_intent;
+    if (!paymentIntentId && dispute.charge) {
+        const charge = await paymentProvider.retrieveCharge(dispute.charge);
+        paymentIntentId = charge.payment_intent;
+    }
+    return findSessionIdForPaymentIntent(paymentProvider, paymentIntentId);
+}
+
+// Helper: Store the dispute on the purchase and the gift entitlement (false if a write failed)
+async function saveDispute(purchase, dispute) {
+    const purchaseIds = [purchase.session_id, ...(purchase.gift?.giftId ? [purchase.gift.giftId] : [])];
+    for (const purchaseId of purchaseIds) {
+        if (!await db.updatePurchase(purchaseId, { dispute: dispute })) {
+            console.error(`❌ CRITICAL: Failed to save dispute ${dispute.disputeId} for ${purchaseId}`);
+            return false;
+        }
+    }
+    return true;
+}
+
+// Helper: Freeze downloads for a disputed purchase and build the evidence to answer the dispute
+async function handleDisputeCreated(paymentProvider, dispute, res) {
+    const sessionId = await findSessionIdForDispute(paymentProvider, dispute);
+    if (!sessionId) {
+        console.log(`ℹ️ Disputed charge ${dispute.charge} is not a checkout purchase`);
+        return res.status(200).json({ received: true });
+    }
+
+    const purchase = await db.getPurchase(sessionId);
+    if (!purchase) {
+        // Let Stripe retry - the purchase may not have been recorded yet
+        console.error(`❌ Purchase not found for dispute ${dispute.id} (session: ${sessionId})`);
+        return res.status(500).json({
+            error: 'Webhook processing failed',
+            message: 'Purchase not found for dispute'
+        });
+    }
+
+    // Already recorded (webhook redelivered) - don't reopen a dispute that has since closed
+    if (purchase.dispute?.disputeId === dispute.id) {
+        console.log(`ℹ️ Dispute ${dispute.id} already recorded for session: ${sessionId}`);
+        return res.status(200).json({ received: true });
+    }
+
+    const giftPurchase = purchase.gift?.giftId ? await db.getPurchase(purchase.gift.giftId) : null;
+    const disputeCurrency = (dispute.currency || purchase.currency || currency.DEFAULT_CURRENCY).toLowerCase();
+
+    const disputeRecord = {
+        disputeId: dispute.id,
+        chargeId: dispute.charge,
+        status: dispute.status,
+        reason: dispute.reason,
+        amount: currency.fromMinorUnits(dispute.amount, disputeCurrency),
+        currency: disputeCurrency,
+        evidenceDueBy: dispute.evidence_details?.due_by ? new Date(dispute.evidence_details.due_by * 1000).toISOString() : null,
+        openedAt: new Date().toISOString(),
+        closedAt: null,
+        evidence: disputes.buildEvidence(purchase, giftPurchase)
+    };
+
+    if (!await saveDispute(purchase, disputeRecord)) {
+        return res.status(500).json({
+            error: 'Webhook processing failed',
+            message: 'Could not record dispute'
+        });
+    }
+    console.log(`⚠️ Dispute ${dispute.id} opened for session ${sessionId} (${dispute.reason}) - downloads frozen`);
+
+    // The dispute is recorded - a failed alert email doesn't fail the webhook
+    if (await disputes.sendDisputeAlert(disputeRecord)) {
+        console.log(`📧 Dispute evidence sent for session: ${sessionId}`);
+    }
+
+    return res.status(200).json({ received: true });
+}
+
+// Helper: Record the dispute outcome - won (or inquiry closed) unfreezes downloads, lost keeps them frozen
+async function handleDisputeClosed(paymentProvider, dispute, res) {
+    const sessionId = await findSessionIdForDispute(paymentProvider, dispute);
+    const purchase = sessionId ? await db.getPurchase(sessionId) : null;
+
+    if (!purchase || purchase.dispute?.disputeId !== dispute.id) {
+        // Let Stripe retry if the dispute hasn't been recorded yet (events can arrive out of order)
+        if (sessionId) {
+            console.error(`❌ Dispute ${dispute.id} not recorded for session: ${sessionId}`);
+            return res.status(500).json({
+                error: 'Webhook processing failed',
+                message: 'Dispute not found for purchase'
+            });
+        }
+        console.log(`ℹ️ Disputed charge ${dispute.charge} is not a checkout purchase`);
+        return res.status(200).json({ received: true });
+    }
+
+    const disputeRecord = {
+        ...purchase.dispute,
+        status: dispute.status,
+        closedAt: purchase.dispute.closedAt || new Date().toISOString()
+    };
+
+    if (!await saveDispute(purchase, disputeRecord)) {
+        return res.status(500).json({
+            error: 'Webhook processing failed',
+            message: 'Could not record dispute'
+        });
+    }
+    console.log(`✅ Dispute ${dispute.id} closed for session ${sessionId}: ${dispute.status} - downloads ${disputes.isFrozen({ dispute: disputeRecord }) ? 'stay frozen' : 'unfrozen'}`);
+
+    return res.status(200).json({ received: true });
+}
+
+// Helper: Number and build the tax invoice for a paid purchase (null if the invoice sequence is unavailable)
+async function issueInvoice(purchaseData, session) {
+    const invoiceSequence = await db.nextInvoiceSequence();
+    if (!invoiceSequence) {
+        console.error(`❌ CRITICAL: Could not number the tax invoice for session ${session.id}`);
+        return null;
+    }
+    const invoice = invoices.buildInvoice(invoiceSequence, purchaseData, session);
+    console.log(`🧾 Issued tax invoice ${invoice.number} for session ${session.id}`);
+    return invoice;
+}
+
+// Helper: Add a paid purchase's credit packs to the buyer's credit balance (sets creditsGrantedAt)
+async function grantCredits(purchaseData) {
+    const email = credits.normalizeEmail(purchaseData.customer_email || purchaseData.email);
+    const packCredits = credits.getPackCredits(purchaseData.creditPacks);
+
+    // Once per order - a reprocessed event finds the grant already recorded
+    if (!await db.addCredits(email, packCredits, purchaseData.session_id)) {
+        console.error(`❌ CRITICAL: Could not add credits for session ${purchaseData.session_id}`);
+        return false;
+    }
+
+    purchaseData.creditsGrantedAt = new Date().toISOString();
+    console.log(`🎟️ Added credits for ${email} (session: ${purchaseData.session_id}):`, packCredits);
+    return true;
+}
+
+// Helper: Queue a paid purchase's prints for the lab (sets printsQueuedAt)
+async function queuePrints(purchaseData) {
+    const jobs = fulfillment.buildFulfillmentJobs(purchaseData);
+
+    // One job per print - a reprocessed event finds the jobs already queued
+    for (const job of jobs) {
+        if (!await db.createFulfillmentJob(job)) {
+            console.error(`❌ CRITICAL: Could not queue print ${job.productId} for session ${purchaseData.session_id}`);
+            return false;
+        }
+    }
+
+    if (!purchaseData.shipping) {
+        console.warn(`⚠️ No shipping address for prints in session ${purchaseData.session_id} - check the order before sending it to the lab`);
+    }
+    purchaseData.printsQueuedAt = new Date().toISOString();
+    console.log(`🖼️ Queued ${jobs.length} print(s) for fulfillment (session: ${purchaseData.session_id})`);
+    return true;
+}
+
+// Helper: Settle a purchase paid with a delayed payment method (async_payment_succeeded / async_payment_failed)
+async function handleAsyncPaymentResult(session, succeeded, res) {
+    const sessionId = session.id;
+    const purchase = await db.getPurchase(sessionId);
+
+    if (!purchase) {
+        // Let Stripe retry - checkout.session.completed records the purchase first
+        console.error(`❌ Purchase not found for delayed payment result (session: ${sessionId})`);
+        return res.status(500).json({
+            error: 'Webhook processing failed',
+            message: 'Purchase not found for payment result'
+        });
+    }
+
+    const status = succeeded ? paymentStatus.PAYMENT_PAID : paymentStatus.PAYMENT_FAILED;
+    const updates = {
+        payment_status: status,
+        paymentSettledAt: purchase.paymentSettledAt || new Date().toISOString()
+    };
+
+    const items = purchase.products || purchase.purchased_items || [];
+    const creditPacks = purchase.creditPacks || [];
+    const prints = purchase.prints || [];
+    if (succeeded && !purchase.invoice && (items.length > 0 || creditPacks.length > 0 || prints.length > 0)) {
+        updates.invoice = await issueInvoice(purchase, session);
+        if (!updates.invoice) {
+            return res.status(500).json({
+                error: 'Webhook processing failed',
+                message: 'Could not create invoice'
+            });
+        }
+    }
+
+    if (succeeded && creditPacks.length > 0 && !purchase.creditsGrantedAt) {
+        if (!await grantCredits(purchase)) {
+            return res.status(500).json({
+                error: 'Webhook processing failed',
+                message: 'Could not add credits'
+            });
+        }
+        updates.creditsGrantedAt = purchase.creditsGrantedAt;
+    }
+
+    if (succeeded && prints.length > 0 && !purchase.printsQueuedAt) {
+        if (!await queuePrints(purchase)) {
+            return res.status(500).json({
+                error: 'Webhook processing failed',
+                message: 'Could not queue prints'
+            });
+        }
+        updates.printsQueuedAt = purchase.printsQueuedAt;
+    }
+
+    // Gifted photos are settled on the recipient's entitlement too
+    const giftUpdated = purchase.gift?.giftId
+        ? await db.updatePurchase(purchase.gift.giftId, { payment_status: status, paymentSettledAt: updates.paymentSettledAt })
+        : true;
+    if (!giftUpdated || !await db.updatePurchase(sessionId, updates)) {
+        console.error(`❌ CRITICAL: Failed to record payment ${status} for session ${sessionId}`);
+        return res.status(500).json({
+            error: 'Webhook processing failed',
+            message: 'Could not update purchase'
+        });
+    }
+
+    if (succeeded) {
+        console.log(`✅ Delayed payment succeeded for session ${sessionId} - downloads are open`);
+    } else {
+        console.warn(`❌ Delayed payment failed for session ${sessionId} - nothing will be delivered`);
+    }
+    return res.status(200).json({ received: true });
+}
+
+// Helper: Record a completed checkout as a purchase (download entitlements, gift and tax invoice)
+async function handleCheckoutCompleted(paymentProvider, session, res) {
+    const sessionId = session.id; // Exact session ID from Stripe
+
+    console.log(`✅ Webhook received for session ID: ${sessionId}`);
+    console.log('📦 Event type: checkout.session.completed');
+    console.log(`🔍 Session details:`, {
+        id: sessionId,
+        payment_status: session.payment_status,
+        customer_email: session.customer_email || session.customer_details?.email,
+        has_metadata: !!session.metadata,
+        metadata_keys: session.metadata ? Object.keys(session.metadata) : []
+    });
+
+    // Extract customer email (REQUIRED)
+    const customerEmail = session.customer_email || session.customer_details?.email;
+    
+    if (!customerEmail) {
+        console.error(`❌ No customer email found in session ${sessionId}`);
+        return res.status(400).json({
+            error: 'Missing email',
+            message: 'Customer email not found in checkout session'
+        });
+    }
+
+    // Fetch line items from Stripe (expanded to get full product details)
+    let lineItems = [];
+    try {
+        const expandedSession = await paymentProvider.retrieveCheckoutSession(sessionId, { lineItems: true });
+        lineItems = expandedSession.line_items?.data || [];
+        console.log(`📋 Retrieved ${lineItems.length} line items for session ${sessionId}`);
+    } catch (error) {
+        console.error('❌ Error fetching line items:', error);
+    }
+
+    // Extract cart items from Redis (using temp_cart_key from metadata)
+    // This avoids Stripe's 500-character metadata limit
+    let cartItems = [];
+    let cartGift = null; // Gift recipient and message (gift orders only)
+    
+    // Try session-based key first
+    if (session.metadata && session.metadata.temp_cart_key) {
+        try {
+            const tempCartData = await db.getPurchase(session.metadata.temp_cart_key);
+            if (tempCartData && tempCartData.cartItems) {
+                cartItems = tempCartData.cartItems;
+                cartGift = tempCartData.gift || null;
+                console.log(`📋 Retrieved ${cartItems.length} cart items from Redis (key: ${session.metadata.temp_cart_key})`);
+            }
+        } catch (redisError) {
+            console.warn('⚠️ Could not retrieve cart items from Redis:', redisError);
+        }
+    }
+    
+    // Fallback: Try session ID directly
+    if (cartItems.length === 0) {
+        try {
+            const sessionCartData = await db.getPurchase(`temp_cart:${sessionId}`);
+            if (sessionCartData && sessionCartData.cartItems) {
+                cartItems = sessionCartData.cartItems;
+                cartGift = sessionCartData.gift || null;
+                console.log(`📋 Retrieved ${cartItems.length} cart items from Redis (session key)`);
+            }
+        } catch (redisError) {
+            // Ignore
+        }
+    }
+    
+    // Fallback: Try to parse from old metadata format (for backward compatibility)
+    if (cartItems.length === 0 && session.metadata && session.metadata.cart_items) {
+        try {
+            cartItems = JSON.parse(session.metadata.cart_items);
+            console.log(`📋 Retrieved ${cartItems.length} cart items from metadata (legacy format)`);
+        } catch (parseError) {
+            console.error('❌ Error parsing cart_items from metadata:', parseError);
+        }
+    }
+
+    // Currency actually charged (Stripe returns lowercase ISO codes)
+    const chargedCurrency = (session.currency || currency.DEFAULT_CURRENCY).toLowerCase();
+
+    // Build purchased items array with productId, fileName, quantity
+    const purchasedItems = [];
+    const purchasedBundles = [];
+    const purchasedCreditPacks = [];
+    const purchasedPrints = [];
+    let purchasedMembership = null;
+    const downloadCount = {};
+
+    // Helper: Record a purchased credit pack (its credits go to the buyer's balance, not to downloads)
+    const addCreditPack = (packItem, quantity, price) => {
+        const pack = catalog.getCreditPack(packItem.productId);
+        const packCredits = packItem.credits || pack?.credits;
+        if (!packCredits) {
+            console.error(`❌ Unknown credit pack ${packItem.productId} for session ${sessionId}`);
+            return;
+        }
+        purchasedCreditPacks.push({
+            packId: packItem.productId,
+            title: packItem.title || pack?.title || packItem.productId,
+            license: packItem.license || catalog.DEFAULT_LICENSE,
+            credits: packCredits, // Per pack
+            price: price,
+            quantity: quantity
+        });
+    };
+
+    // Helper: Record a purchased print (shipped - not a download entitlement)
+    const addPrint = (printItem, quantity, price) => {
+        const product = catalog.getProduct(printItem.productId);
+        const printSize = catalog.getPrintSize(printItem.dimension);
+        purchasedPrints.push({
+            productId: printItem.productId,
+            title: product?.title || printItem.title,
+            imageSrc: printItem.imageSrc || product?.imageSrc || '', // Low-res for display
+            imageHQ: printItem.imageHQ || product?.imageHQ || '', // Print file
+            dimension: printItem.dimension,
+            dimensionLabel: printItem.dimensionLabel || printSize?.label || printItem.dimension,
+            license: catalog.DEFAULT_LICENSE,
+            price: price,
+            quantity: quantity
+        });
+    };
+
+    // Helper: Record a purchased membership (downloads are authorized against the subscription's allowance)
+    const addMembership = (planItem, price) => {
+        const plan = catalog.getMembershipPlan(planItem.productId);
+        purchasedMembership = {
+            planId: planItem.productId,
+            title: planItem.title || plan?.title || planItem.productId,
+            license: planItem.license || catalog.DEFAULT_LICENSE,
+            downloads: planItem.downloads || plan?.downloads || null, // Per billing period
+            interval: planItem.interval || plan?.interval || 'month',
+            price: price, // Per billing period
+            subscriptionId: typeof session.subscription === 'string' ? session.subscription : session.subscription?.id || null
+        };
+    };
+
+    // Helper: Record a purchased bundle and add its member photos as purchased items
+    const addBundle = (bundleItem, quantity, price) => {
+        const memberItems = buildBundleItems(bundleItem, quantity);
+        if (memberItems.length === 0 || !memberItems[0].bundleId) {
+            console.error(`❌ Could not expand bundle ${bundleItem.productId} for session ${sessionId}`);
+            return;
+        }
+        purchasedBundles.push({
+            bundleId: bundleItem.productId,
+            title: memberItems[0].bundleTitle,
+            license: bundleItem.license || catalog.DEFAULT_LICENSE,
+            price: price,
+            quantity: quantity,
+            productIds: memberItems.map(item => item.productId)
+        });
+        for (const memberItem of memberItems) {
+            purchasedItems.push(memberItem);
+            downloadCount[memberItem.productId] = 0;
+        }
+    };
+
+    // Process line items or fallback to metadata
+    if (lineItems.length > 0) {
+        // Use line items from Stripe (more reliable)
+        for (const lineItem of lineItems) {
+            const productName = lineItem.price?.product?.name || lineItem.description || 'Photo';
+            const quantity = lineItem.quantity || 1;
+            
+            // Find matching cart item to get imageSrc and productId
+            const cartItem = cartItems.find(ci => 
+                ci.name === productName || 
+                ci.title === productName ||
+                (lineItem.price?.product?.metadata?.productId && ci.productId === lineItem.price.product.metadata.productId)
+            );
+            
+            const imageSrc = cartItem?.imageSrc || '';
+            const imageHQ = cartItem?.imageHQ || imageSrc || ''; // Use HQ URL for downloads
+            const productId = cartItem?.productId || cartItem?.id || lineItem.id || `item_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+            const fileName = (imageHQ || imageSrc).split('/').pop() || `${productName.replace(/[^a-z0-9]/gi, '_')}.jpg`;
+            const license = cartItem?.license || lineItem.price?.product?.metadata?.license || catalog.DEFAULT_LICENSE;
+            const price = cartItem?.price ?? currency.fromMinorUnits(lineItem.price?.unit_amount || 0, chargedCurrency);
+
+            // Credit packs: credits for the buyer's balance
+            const packId = lineItem.price?.product?.metadata?.credit_pack === 'true' ? lineItem.price.product.metadata.productId : null;
+            if (cartItem?.isCreditPack || packId) {
+                addCreditPack(cartItem || { productId: packId, title: productName, license: license }, quantity, price);
+                continue;
+            }
+
+            // Memberships: the subscription's allowance, not a download of its own
+            const planId = lineItem.price?.product?.metadata?.membership === 'true' ? lineItem.price.product.metadata.productId : null;
+            if (cartItem?.isMembership || planId) {
+                addMembership(cartItem || { productId: planId, title: productName, license: license }, price);
+                continue;
+            }
+
+            // Prints: shipped in the print size bought
+            const dimension = lineItem.price?.product?.metadata?.dimension || null;
+            if (cartItem?.isPrint || dimension) {
+                addPrint(cartItem || { productId: lineItem.price.product.metadata.productId, title: productName, dimension: dimension }, quantity, price);
+                continue;
+            }
+
+            // Bundles: one line item, expanded into an entitlement per member photo
+            const bundleId = lineItem.price?.product?.metadata?.bundle === 'true' ? lineItem.price.product.metadata.productId : null;
+            if (cartItem?.isBundle || bundleId) {
+                addBundle(cartItem || { productId: bundleId, isBundle: true, title: productName, license: license }, quantity, price);
+                continue;
+            }
+
+            purchasedItems.push({
+                productId: productId,
+                fileName: fileName,
+                imageSrc: imageSrc, // Low-res for display
+                imageHQ: imageHQ, // High-quality for downloads
+                title: cartItem?.title || productName,
+                license: license, // License tier purchased (personal, editorial, commercial)
+                price: price, // Price charged
+                quantity: quantity,
+                quantityPurchased: quantity, // Explicit quantity purchased
+                max_downloads: quantity, // Each quantity = 1 download
+                maxDownloads: quantity // Backward compatibility
+            });
+
+            downloadCount[productId] = 0;
+        }
+    } else if (cartItems.length > 0) {
+        // Fallback: use cart items from metadata
+        for (const cartItem of cartItems) {
+            if (cartItem.isCreditPack) {
+                addCreditPack(cartItem, cartItem.quantity || 1, cartItem.price);
+                continue;
+            }
+            if (cartItem.isMembership) {
+                addMembership(cartItem, cartItem.price);
+                continue;
+            }
+            if (cartItem.isPrint) {
+                addPrint(cartItem, cartItem.quantity || 1, cartItem.price);
+                continue;
+            }
+            if (cartItem.isBundle) {
+                addBundle(cartItem, cartItem.quantity || 1, cartItem.price);
+                continue;
+            }
+
+            const productId = cartItem.productId || cartItem.id || `item_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+            const imageSrc = cartItem.imageSrc || '';
+            const imageHQ = cartItem.imageHQ || imageSrc || ''; // Use HQ URL for downloads
+            const fileName = (imageHQ || imageSrc).split('/').pop() || `${(cartItem.title || cartItem.name).replace(/[^a-z0-9]/gi, '_')}.jpg`;
+            const quantity = cartItem.quantity || 1;
+
+            purchasedItems.push({
+                productId: productId,
+                fileName: fileName,
+                imageSrc: imageSrc, // Low-res for display
+                imageHQ: imageHQ, // High-quality for downloads
+                title: cartItem.title || cartItem.name,
+                license: cartItem.license || catalog.DEFAULT_LICENSE,
+                price: cartItem.price,
+                quantity: quantity,
+                quantityPurchased: quantity, // Explicit quantity purchased
+                max_downloads: quantity,
+                maxDownloads: quantity // Backward compatibility
+            });
+
+            downloadCount[productId] = 0;
+        }
+    }
+
+    // Download policy (N downloads within M days) for each photo, fixed at purchase time
+    for (const item of purchasedItems) {
+        item.downloadPolicy = catalog.getDownloadPolicy(item.productId, item.license, item.bundleId);
+    }
+
+    // ALWAYS save purchase to Upstash Redis, even if items are empty
+    // This ensures the purchase record exists for the success page
+    const totalAllowedDownloads = purchasedItems.reduce((sum, item) => sum + item.max_downloads, 0);
+    
+    const purchaseData = {
+        session_id: sessionId, // Exact session ID
+        email: customerEmail,
+        customer_email: customerEmail, // Backward compatibility
+        products: purchasedItems.map(item => ({
+            productId: item.productId,
+            title: item.title,
+            fileName: item.fileName,
+            imageSrc: item.imageSrc, // Low-res for display
+            imageHQ: item.imageHQ, // High-quality for downloads
+            license: item.license,
+            price: item.price,
+            ...(item.bundleId ? { bundleId: item.bundleId, bundleTitle: item.bundleTitle } : {}),
+            quantity: item.quantity,
+            quantityPurchased: item.quantity, // Explicit quantity purchased
+            maxDownloads: item.max_downloads,
+            max_downloads: item.max_downloads, // Backward compatibility
+            downloadPolicy: item.downloadPolicy // { downloads, days } - see lib/downloadPolicies.js
+        })),
+        purchased_items: purchasedItems, // Backward compatibility
+        bundles: purchasedBundles, // Bundles bought (member photos are in products with bundleId)
+        creditPacks: purchasedCreditPacks, // Credit packs bought (credits are added to the buyer's balance)
+        prints: purchasedPrints, // Prints bought (shipped, not downloaded)
+        ...(purchasedPrints.length > 0 ? { shipping: fulfillment.getShippingAddress(session) } : {}), // Where the prints are shipped
+        ...(purchasedMembership ? { membership: purchasedMembership } : {}), // Membership bought (this session ID is the member's download key)
+        quantity: purchasedItems.reduce((sum, item) => sum + item.quantity, 0),
+        download_count: downloadCount, // Backward compatibility
+        quantity_downloaded: {}, // Backward compatibility
+        downloaded: {}, // New: simple boolean tracking per product (productId -> true/false)
+        downloadsUsed: 0, // Total downloads used across all products
+        maxDownloads: totalAllowedDownloads,
+        allowedDownloads: totalAllowedDownloads,
+        createdAt: new Date().toISOString(),
+        timestamp: new Date().toISOString(),
+        payment_status: session.payment_status,
+        payment_intent: session.payment_intent || null, // Refunds and disputes reference the payment intent
+        currency: chargedCurrency, // Currency charged (aud, usd, inr)
+        amount_total: typeof session.amount_total === 'number' ? currency.fromMinorUnits(session.amount_total, chargedCurrency) : null,
+        // Debug info
+        lineItemsCount: lineItems.length,
+        cartItemsCount: cartItems.length,
+        purchasedItemsCount: purchasedItems.length
+    };
+
+    // Stripe may deliver the event more than once - keep what was already issued for this purchase
+    const existingPurchase = await db.getPurchase(sessionId);
+
+    // Keep download state already recorded (a reprocessed event must not make photos downloadable again)
+    if (existingPurchase) {
+        // Refunds, disputes and delayed payment results may have been recorded since the first delivery
+        for (const field of ['downloaded', 'downloaded_at', 'download_uses', 'download_count', 'quantity_downloaded', 'downloadsUsed', 'createdAt', 'timestamp', 'creditsGrantedAt', 'printsQueuedAt',
+            'refunds', 'refunded', 'refundedAt', 'dispute', 'payment_status', 'paymentSettledAt']) {
+            if (existingPurchase[field] !== undefined) {
+                purchaseData[field] = existingPurchase[field];
+            }
+        }
+
+        // Keep the download policies the photos were sold under (the configuration may have changed since)
+        const existingItems = existingPurchase.products || existingPurchase.purchased_items || [];
+        for (const item of [...purchaseData.products, ...purchaseData.purchased_items]) {
+            const existingItem = existingItems.find(existing => existing.productId === item.productId);
+            if (existingItem?.downloadPolicy) {
+                item.downloadPolicy = existingItem.downloadPolicy;
+            }
+            if (existingItem?.refunded) {
+                item.refunded = true;
+                item.refundedAt = existingItem.refundedAt;
+            }
+        }
+    }
+
+    // Gift orders: the photos become a separate entitlement the recipient claims with their own token
+    if (cartGift && purchasedItems.length > 0) {
+        // Keep the existing gift (and its download state)
+        const existingGiftId = existingPurchase?.gift?.giftId;
+        const giftId = existingGiftId && await db.getPurchase(existingGiftId) ? existingGiftId : gifts.createGiftId();
+
+        if (giftId !== existingGiftId) {
+            const giftSaved = await db.savePurchase(giftId, gifts.buildGiftEntitlement(giftId, purchaseData, cartGift));
+            if (!giftSaved) {
+                // Let Stripe retry - the buyer's record is only written once the gift exists
+                console.error(`❌ CRITICAL: Failed to save gift entitlement for session ${sessionId}`);
+                return res.status(500).json({
+                    error: 'Webhook processing failed',
+                    message: 'Could not save gift'
+                });
+            }
+            console.log(`🎁 Created gift entitlement for ${cartGift.recipientEmail} (session: ${sessionId})`);
+        }
+
+        purchaseData.gift = {
+            giftId: giftId,
+            recipientEmail: cartGift.recipientEmail,
+            message: cartGift.message,
+            claimUrl: gifts.getClaimUrl(giftId)
+        };
+    }
+
+    // Tax invoice - numbered once per purchase, once it is paid (delayed payments: when the payment settles)
+    if (existingPurchase && existingPurchase.invoice) {
+        purchaseData.invoice = existingPurchase.invoice;
+    } else if ((purchasedItems.length > 0 || purchasedCreditPacks.length > 0 || purchasedPrints.length > 0 || purchasedMembership) && paymentStatus.isPaymentSettled(purchaseData)) {
+        purchaseData.invoice = await issueInvoice(purchaseData, session);
+        if (!purchaseData.invoice) {
+            // Let Stripe retry - every purchase needs an invoice number
+            return res.status(500).json({
+                error: 'Webhook processing failed',
+                message: 'Could not create invoice'
+            });
+        }
+    }
+
+    // Credit packs - added to the buyer's balance once paid (delayed payments: when the payment settles)
+    if (purchasedCreditPacks.length > 0 && paymentStatus.isPaymentSettled(purchaseData) && !purchaseData.creditsGrantedAt) {
+        if (!await grantCredits(purchaseData)) {
+            return res.status(500).json({
+                error: 'Webhook processing failed',
+                message: 'Could not add credits'
+            });
+        }
+    }
+
+    // Prints - queued for the lab once paid (delayed payments: when the payment settles)
+    if (purchasedPrints.length > 0 && paymentStatus.isPaymentSettled(purchaseData) && !purchaseData.printsQueuedAt) {
+        if (!await queuePrints(purchaseData)) {
+            return res.status(500).json({
+                error: 'Webhook processing failed',
+                message: 'Could not queue prints'
+            });
+        }
+    }
+
+    if (paymentStatus.isPaymentPending(purchaseData)) {
+        console.log(`⏳ Payment pending for session ${sessionId} (delayed payment method) - downloads open once it settles`);
+    }
+
+    // Log before saving
+    console.log(`💾 Attempting to save purchase for session: ${sessionId}`, {
+        purchasedItemsCount: purchasedItems.length,
+        lineItemsCount: lineItems.length,
+        cartItemsCount: cartItems.length,
+        customerEmail: customerEmail,
+        redisKey: `purchase:${sessionId}`
+    });
+
+    // AWAIT the Redis write to guarantee it completes
+    const saved = await db.savePurchase(sessionId, purchaseData);
+    if (!saved) {
+        // Let Stripe retry - the failed response leaves the event unprocessed in the ledger, so the redelivery runs it again
+        console.error(`❌ CRITICAL: Failed to save purchase for session ${sessionId} - Redis write failed`);
+        console.error(`🔑 Redis key attempted: purchase:${sessionId}`);
+        console.error(`📊 Purchase data:`, JSON.stringify(purchaseData, null, 2));
+        return res.status(500).json({
+            error: 'Webhook processing failed',
+            message: 'Could not save purchase'
+        });
+    }
+
+    if (session.payment_intent) {
+        await db.savePaymentIntentSession(session.payment_intent, sessionId);
+    }
+
+    console.log(`✅ Saved purchase to Redis for: ${sessionId}`, {
+        itemsCount: purchasedItems.length,
+        customerEmail: customerEmail,
+        mode: paymentProvider.mode,
+        redisKey: `purchase:${sessionId}`
+    });
+    console.log(`🔑 Redis key: purchase:${sessionId}`);
+
+    if (purchasedMembership) {
+        console.log(`🎫 Membership ${purchasedMembership.planId} bought (session: ${sessionId}, subscription: ${purchasedMembership.subscriptionId})`);
+    } else if (purchasedItems.length === 0 && purchasedCreditPacks.length === 0 && purchasedPrints.length === 0) {
+        console.warn(`⚠️ WARNING: No purchased items found for session ${sessionId}`, {
+            lineItemsCount: lineItems.length,
+            cartItemsCount: cartItems.length,
+            hasMetadata: !!session.metadata,
+            metadataKeys: session.metadata ? Object.keys(session.metadata) : []
+        });
+    }
+
+    // Return success to Stripe
+    return res.status(200).json({ received: true });
+}
+
+// Helper: Start the billing period a subscription invoice paid for (the membership's allowance starts over)
+async function handleInvoicePaid(invoice, res) {
+    const subscriptionId = memberships.getSubscriptionId(invoice);
+    if (!subscriptionId) {
+        console.log(`ℹ️ Invoice ${invoice.id} is not for a subscription - ignored`);
+        return res.status(200).json({ received: true });
+    }
+
+    const existing = await db.getMembership(subscriptionId);
+    const membership = memberships.applyPaidInvoice(existing, invoice);
+    if (!membership) {
+        console.log(`ℹ️ Subscription ${subscriptionId} is not a membership - invoice ${invoice.id} ignored`);
+        return res.status(200).json({ received: true });
+    }
+
+    if (!await db.saveMembership(membership)) {
+        console.error(`❌ CRITICAL: Failed to save membership ${subscriptionId} for invoice ${invoice.id}`);
+        return res.status(500).json({
+            error: 'Webhook processing failed',
+            message: 'Could not save membership'
+        });
+    }
+
+    if (membership.status === memberships.MEMBERSHIP_CANCELED) {
+        console.warn(`⚠️ Invoice ${invoice.id} paid for canceled membership ${subscriptionId} - not reactivated`);
+    } else {
+        console.log(`🎫 Membership ${subscriptionId} paid until ${new Date(membership.periodEnd * 1000).toISOString()} - ${membership.downloadsPerPeriod} downloads this period`);
+    }
+    return res.status(200).json({ received: true });
+}
+
+// Helper: End a membership when its subscription is deleted (canceled or unpaid)
+async function handleSubscriptionDeleted(subscription, res) {
+    const existing = await db.getMembership(subscription.id);
+    const membership = memberships.applySubscriptionDeleted(existing, subscription);
+    if (!membership) {
+        console.log(`ℹ️ Subscription ${subscription.id} is not a membership - ignored`);
+        return res.status(200).json({ received: true });
+    }
+
+    if (!await db.saveMembership(membership)) {
+        console.error(`❌ CRITICAL: Failed to cancel membership ${subscription.id}`);
+        return res.status(500).json({
+            error: 'Webhook processing failed',
+            message: 'Could not cancel membership'
+        });
+    }
+
+    console.log(`🎫 Membership ${subscription.id} ended - downloads revoked`);
+    return res.status(200).json({ received: true });
+}
+
+// Helper: Remember the status and body sent back to Stripe (recorded in the event ledger)
+function trackResponse(res) {
+    const response = { status: 200, body: null };
+    const setStatus = res.status.bind(res);
+    const sendJson = res.json.bind(res);
+
+    res.status = code => {
+        response.status = code;
+        return setStatus(code);
+    };
+    res.json = body => {
+        response.body = body;
+        return sendJson(body);
+    };
+    return response;
+}
+
+// Helper: Route a verified event to its handler
+async function processEvent(paymentProvider, event, res) {
+    // Handle checkout.session.completed event
+    if (event.type === 'checkout.session.completed') {
+        return await handleCheckoutCompleted(paymentProvider, event.data.object, res);
+    }
+
+    // Handle checkout.session.async_payment_succeeded / _failed events (delayed payment methods settled)
+    if (event.type === 'checkout.session.async_payment_succeeded') {
+        return await handleAsyncPaymentResult(event.data.object, true, res);
+    }
+    if (event.type === 'checkout.session.async_payment_failed') {
+        return await handleAsyncPaymentResult(event.data.object, false, res);
+    }
+
+    // Handle checkout.session.expired event (abandoned checkout)
+    if (event.type === 'checkout.session.expired') {
+        return await handleCheckoutExpired(event.data.object, res);
+    }
+
+    // Handle charge.refunded event (full or partial refund)
+    if (event.type === 'charge.refunded') {
+        return await handleChargeRefunded(paymentProvider, event.data.object, res);
+    }
+
+    // Handle charge.dispute.created / charge.dispute.closed events (chargebacks and inquiries)
+    if (event.type === 'charge.dispute.created') {
+        return await handleDisputeCreated(paymentProvider, event.data.object, res);
+    }
+    if (event.type === 'charge.dispute.closed') {
+        return await handleDisputeClosed(paymentProvider, event.data.object, res);
+    }
+
+    // Handle invoice.paid / customer.subscription.deleted events (memberships)
+    if (event.type === 'invoice.paid') {
+        return await handleInvoicePaid(event.data.object, res);
+    }
+    if (event.type === 'customer.subscription.deleted') {
+        return await handleSubscriptionDeleted(event.data.object, res);
+    }
+
+    // Handle other event types (log but don't error)
+    console.log(`ℹ️ Unhandled event type: ${event.type}`);
+    return res.status(200).json({ received: true });
+}
+
 async function handler(req, res) {
     // Set CORS headers
     res.setHeader('Access-Control-Allow-Origin', '*');
@@ -56,12 +1047,13 @@ async function handler(req, res) {
     // Support both GET (check webhook) and POST (webhook handler)
     if (req.method === 'GET') {
         // Check if this is a webhook check request
-        if (req.query && req.query.action === 'check' || req.query.session_id) {
+        const query = req.query || {};
+        if (query.action === 'check' || query.session_id || query.event_id) {
             return await handleCheckWebhook(req, res);
         }
         return res.status(405).json({
             error: 'Method not allowed',
-            message: 'GET method only supported for webhook check. Use ?action=check&session_id=...'
+            message: 'GET method only supported for webhook check. Use ?action=check&session_id=... or ?action=check&event_id=...'
         });
     }
 
@@ -74,14 +1066,16 @@ async function handler(req, res) {
     }
 
     try {
-        // Get Stripe webhook secret from environment
-        const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
-        
-        if (!webhookSecret) {
-            console.error('❌ STRIPE_WEBHOOK_SECRET is not set');
+        // Payment provider (Stripe live or test keys based on USE_TEST_STRIPE, or the local fake provider)
+        const paymentProvider = getPaymentProvider();
+
+        // Webhook signing secret and secret key must be set
+        const configError = paymentProvider.checkConfig({ webhook: true });
+        if (configError) {
+            console.error(`❌ ${configError.expectedKey} is not set (mode: ${paymentProvider.mode})`);
             return res.status(500).json({
                 error: 'Server configuration error',
-                message: 'Webhook secret not configured'
+                message: configError.message
             });
         }
 
@@ -95,22 +1089,6 @@ async function handler(req, res) {
             });
         }
 
-        // Determine which Stripe key to use (LIVE or TEST)
-        const useTestMode = process.env.USE_TEST_STRIPE === 'true';
-        const stripeSecretKey = useTestMode 
-            ? process.env.STRIPE_SECRET_KEY_TEST 
-            : process.env.STRIPE_SECRET_KEY;
-
-        if (!stripeSecretKey) {
-            console.error(`❌ Stripe secret key not configured (mode: ${useTestMode ? 'TEST' : 'LIVE'})`);
-            return res.status(500).json({
-                error: 'Server configuration error',
-                message: 'Stripe secret key not configured'
-            });
-        }
-
-        const stripeInstance = stripe(stripeSecretKey);
-
         // For Vercel, get raw body from request
         let rawBody;
         if (typeof req.body === 'string') {
@@ -124,7 +1102,7 @@ async function handler(req, res) {
         // Verify webhook signature
         let event;
         try {
-            event = stripeInstance.webhooks.constructEvent(rawBody, signature, webhookSecret);
+            event = paymentProvider.verifyWebhookEvent(rawBody, signature);
         } catch (err) {
             console.error('❌ Webhook signature verification failed:', err.message);
             return res.status(400).json({
@@ -133,226 +1111,41 @@ async function handler(req, res) {
             });
         }
 
-        // Handle checkout.session.completed event
-        if (event.type === 'checkout.session.completed') {
-            const session = event.data.object;
-            const sessionId = session.id; // Exact session ID from Stripe
-
-            console.log(`✅ Webhook received for session ID: ${sessionId}`);
-            console.log(`📦 Event type: ${event.type}`);
-            console.log(`🔍 Session details:`, {
-                id: sessionId,
-                payment_status: session.payment_status,
-                customer_email: session.customer_email || session.customer_details?.email,
-                has_metadata: !!session.metadata,
-                metadata_keys: session.metadata ? Object.keys(session.metadata) : []
+        // Event ledger: events that were already processed are acknowledged without touching purchase state
+        const ledgerEntry = await db.claimWebhookEvent(event);
+        if (!ledgerEntry) {
+            return res.status(500).json({
+                error: 'Webhook processing failed',
+                message: 'Could not record event'
             });
-
-            // Extract customer email (REQUIRED)
-            const customerEmail = session.customer_email || session.customer_details?.email;
-            
-            if (!customerEmail) {
-                console.error(`❌ No customer email found in session ${sessionId}`);
-                return res.status(400).json({
-                    error: 'Missing email',
-                    message: 'Customer email not found in checkout session'
-                });
-            }
-
-            // Fetch line items from Stripe (expanded to get full product details)
-            let lineItems = [];
-            try {
-                const expandedSession = await stripeInstance.checkout.sessions.retrieve(sessionId, {
-                    expand: ['line_items.data.price.product']
-                });
-                lineItems = expandedSession.line_items?.data || [];
-                console.log(`📋 Retrieved ${lineItems.length} line items for session ${sessionId}`);
-            } catch (error) {
-                console.error('❌ Error fetching line items:', error);
-            }
-
-            // Extract cart items from Redis (using temp_cart_key from metadata)
-            // This avoids Stripe's 500-character metadata limit
-            let cartItems = [];
-            
-            // Try session-based key first
-            if (session.metadata && session.metadata.temp_cart_key) {
-                try {
-                    const tempCartData = await db.getPurchase(session.metadata.temp_cart_key);
-                    if (tempCartData && tempCartData.cartItems) {
-                        cartItems = tempCartData.cartItems;
-                        console.log(`📋 Retrieved ${cartItems.length} cart items from Redis (key: ${session.metadata.temp_cart_key})`);
-                    }
-                } catch (redisError) {
-                    console.warn('⚠️ Could not retrieve cart items from Redis:', redisError);
-                }
-            }
-            
-            // Fallback: Try session ID directly
-            if (cartItems.length === 0) {
-                try {
-                    const sessionCartData = await db.getPurchase(`temp_cart:${sessionId}`);
-                    if (sessionCartData && sessionCartData.cartItems) {
-                        cartItems = sessionCartData.cartItems;
-                        console.log(`📋 Retrieved ${cartItems.length} cart items from Redis (session key)`);
-                    }
-                } catch (redisError) {
-                    // Ignore
-                }
-            }
-            
-            // Fallback: Try to parse from old metadata format (for backward compatibility)
-            if (cartItems.length === 0 && session.metadata && session.metadata.cart_items) {
-                try {
-                    cartItems = JSON.parse(session.metadata.cart_items);
-                    console.log(`📋 Retrieved ${cartItems.length} cart items from metadata (legacy format)`);
-                } catch (parseError) {
-                    console.error('❌ Error parsing cart_items from metadata:', parseError);
-                }
-            }
-
-            // Build purchased items array with productId, fileName, quantity
-            const purchasedItems = [];
-            const downloadCount = {};
-
-            // Process line items or fallback to metadata
-            if (lineItems.length > 0) {
-                // Use line items from Stripe (more reliable)
-                for (const lineItem of lineItems) {
-                    const productName = lineItem.price?.product?.name || lineItem.description || 'Photo';
-                    const quantity = lineItem.quantity || 1;
-                    
-                    // Find matching cart item to get imageSrc and productId
-                    const cartItem = cartItems.find(ci => 
-                        ci.name === productName || 
-                        ci.title === productName ||
-                        (lineItem.price?.product?.metadata?.productId && ci.productId === lineItem.price.product.metadata.productId)
-                    );
-                    
-                    const imageSrc = cartItem?.imageSrc || '';
-                    const imageHQ = cartItem?.imageHQ || imageSrc || ''; // Use HQ URL for downloads
-                    const productId = cartItem?.productId || cartItem?.id || lineItem.id || `item_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-                    const fileName = (imageHQ || imageSrc).split('/').pop() || `${productName.replace(/[^a-z0-9]/gi, '_')}.jpg`;
-
-                    purchasedItems.push({
-                        productId: productId,
-                        fileName: fileName,
-                        imageSrc: imageSrc, // Low-res for display
-                        imageHQ: imageHQ, // High-quality for downloads
-                        title: productName,
-                        quantity: quantity,
-                        quantityPurchased: quantity, // Explicit quantity purchased
-                        max_downloads: quantity, // Each quantity = 1 download
-                        maxDownloads: quantity // Backward compatibility
-                    });
-
-                    downloadCount[productId] = 0;
-                }
-            } else if (cartItems.length > 0) {
-                // Fallback: use cart items from metadata
-                for (const cartItem of cartItems) {
-                    const productId = cartItem.productId || cartItem.id || `item_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-                    const imageSrc = cartItem.imageSrc || '';
-                    const imageHQ = cartItem.imageHQ || imageSrc || ''; // Use HQ URL for downloads
-                    const fileName = (imageHQ || imageSrc).split('/').pop() || `${(cartItem.title || cartItem.name).replace(/[^a-z0-9]/gi, '_')}.jpg`;
-                    const quantity = cartItem.quantity || 1;
-
-                    purchasedItems.push({
-                        productId: productId,
-                        fileName: fileName,
-                        imageSrc: imageSrc, // Low-res for display
-                        imageHQ: imageHQ, // High-quality for downloads
-                        title: cartItem.title || cartItem.name,
-                        quantity: quantity,
-                        quantityPurchased: quantity, // Explicit quantity purchased
-                        max_downloads: quantity,
-                        maxDownloads: quantity // Backward compatibility
-                    });
-
-                    downloadCount[productId] = 0;
-                }
-            }
-
-            // ALWAYS save purchase to Upstash Redis, even if items are empty
-            // This ensures the purchase record exists for the success page
-            const totalAllowedDownloads = purchasedItems.reduce((sum, item) => sum + item.max_downloads, 0);
-            
-            const purchaseData = {
-                session_id: sessionId, // Exact session ID
-                email: customerEmail,
-                customer_email: customerEmail, // Backward compatibility
-                products: purchasedItems.map(item => ({
-                    productId: item.productId,
-                    title: item.title,
-                    fileName: item.fileName,
-                    imageSrc: item.imageSrc, // Low-res for display
-                    imageHQ: item.imageHQ, // High-quality for downloads
-                    quantity: item.quantity,
-                    quantityPurchased: item.quantity, // Explicit quantity purchased
-                    maxDownloads: item.max_downloads,
-                    max_downloads: item.max_downloads // Backward compatibility
-                })),
-                purchased_items: purchasedItems, // Backward compatibility
-                quantity: purchasedItems.reduce((sum, item) => sum + item.quantity, 0),
-                download_count: downloadCount, // Backward compatibility
-                quantity_downloaded: {}, // Backward compatibility
-                downloaded: {}, // New: simple boolean tracking per product (productId -> true/false)
-                downloadsUsed: 0, // Total downloads used across all products
-                maxDownloads: totalAllowedDownloads,
-                allowedDownloads: totalAllowedDownloads,
-                createdAt: new Date().toISOString(),
-                timestamp: new Date().toISOString(),
-                payment_status: session.payment_status,
-                // Debug info
-                lineItemsCount: lineItems.length,
-                cartItemsCount: cartItems.length,
-                purchasedItemsCount: purchasedItems.length
-            };
-
-            // Log before saving
-            console.log(`💾 Attempting to save purchase for session: ${sessionId}`, {
-                purchasedItemsCount: purchasedItems.length,
-                lineItemsCount: lineItems.length,
-                cartItemsCount: cartItems.length,
-                customerEmail: customerEmail,
-                redisKey: `purchase:${sessionId}`
+        }
+        if (ledgerEntry.status === 'processed') {
+            console.log(`🔁 Event ${event.id} (${event.type}) already processed at ${ledgerEntry.processedAt} - acknowledged`);
+            return res.status(200).json({ received: true, duplicate: true });
+        }
+        if (!ledgerEntry.claimed) {
+            // Another delivery of this event is being processed - Stripe retries later
+            console.warn(`⚠️ Event ${event.id} (${event.type}) is already being processed`);
+            return res.status(409).json({
+                error: 'Event in progress',
+                message: 'This event is already being processed'
             });
-
-            // AWAIT the Redis write to guarantee it completes
-            const saved = await db.savePurchase(sessionId, purchaseData);
-            
-            if (saved) {
-                console.log(`✅ Saved purchase to Redis for: ${sessionId}`, {
-                    itemsCount: purchasedItems.length,
-                    customerEmail: customerEmail,
-                    mode: useTestMode ? 'TEST' : 'LIVE',
-                    redisKey: `purchase:${sessionId}`
-                });
-                console.log(`🔑 Redis key: purchase:${sessionId}`);
-            } else {
-                console.error(`❌ CRITICAL: Failed to save purchase for session ${sessionId} - Redis write failed`);
-                console.error(`🔑 Redis key attempted: purchase:${sessionId}`);
-                console.error(`📊 Purchase data:`, JSON.stringify(purchaseData, null, 2));
-                // Still return success to Stripe, but log the error
-            }
-
-            if (purchasedItems.length === 0) {
-                console.warn(`⚠️ WARNING: No purchased items found for session ${sessionId}`, {
-                    lineItemsCount: lineItems.length,
-                    cartItemsCount: cartItems.length,
-                    hasMetadata: !!session.metadata,
-                    metadataKeys: session.metadata ? Object.keys(session.metadata) : []
-                });
-            }
-
-            // Return success to Stripe
-            return res.status(200).json({ received: true });
         }
 
-        // Handle other event types (log but don't error)
-        console.log(`ℹ️ Unhandled event type: ${event.type}`);
-        return res.status(200).json({ received: true });
+        const response = trackResponse(res);
+        try {
+            await processEvent(paymentProvider, event, res);
+        } catch (error) {
+            await db.finishWebhookEvent(event.id, { status: 'failed', error: error.message });
+            throw error;
+        }
 
+        const failed = response.status >= 400;
+        await db.finishWebhookEvent(event.id, {
+            status: failed ? 'failed' : 'processed',
+            error: failed ? `${response.status}: ${response.body?.message || response.body?.error || 'Failed'}` : null
+        });
+        return;
     } catch (error) {
         console.error('❌ Webhook error:', error);
         return res.status(500).json({
@@ -1,6 +1,31 @@
 // Simple Cart System - Clean Implementation
 const CART_STORAGE_KEY = 'shoppingCart';
-const ITEM_PRICE = 1.00; // Price per photo
+const CART_ID_KEY = 'shoppingCartId'; // Client cart ID - part of the checkout idempotency key, renewed when the cart is cleared
+const CART_SYNC_KEY = 'shoppingCartSync'; // { version, dirty } - last server cart version seen on this device
+const CART_ENDPOINT = '/api/cart'; // Server-side cart (cross-device sync, keyed by a cart ID cookie)
+const PHOTOS_ENDPOINT = '/api/utils?action=getPhotos'; // Server-side catalog (source of truth for prices)
+const DEFAULT_LICENSE = 'personal'; // License tiers: personal, editorial, commercial
+const LICENSE_LABELS = {
+    personal: 'Personal License',
+    editorial: 'Editorial License',
+    commercial: 'Commercial License'
+};
+const CURRENCY_STORAGE_KEY = 'ifeelworld_currency';
+const CREDITS_SESSION_KEY = 'ifeelworld_credit_session'; // Session ID of a paid credit pack order - unlocks the credit balance
+const CREDITS_ENDPOINT = '/api/credits'; // Download credit balance and redemption
+const MEMBERSHIP_SESSION_KEY = 'ifeelworld_membership_session'; // Session ID of a membership order - the member's download key
+const DOWNLOAD_ENDPOINT = '/api/download'; // Membership status and downloads
+const DOWNLOAD_TOKEN_REFRESH_MS = 60 * 1000; // Request a new download token when the current one expires within a minute
+const PRINT_SIZES_STORAGE_KEY = 'ifeelworld_print_sizes'; // Print sizes and prices from the server ({ sizes, productIds })
+const DIGITAL_DIMENSION = 'digital'; // Dimension of a digital download (items without a print size)
+const DIGITAL_DIMENSION_LABEL = 'Digital download';
+const DEFAULT_CURRENCY = 'aud';
+// Display formats for supported currencies (prices come from the server price list per currency)
+const CURRENCY_FORMATS = {
+    aud: { code: 'AUD', symbol: 'A$', locale: 'en-AU' },
+    usd: { code: 'USD', symbol: 'US$', locale: 'en-US' },
+    inr: { code: 'INR', symbol: '₹', locale: 'en-IN' }
+};
 
 // Cart Utilities
 const CartUtils = {
@@ -15,18 +40,105 @@ const CartUtils = {
         }
     },
 
-    // Save cart to localStorage
-    saveCart(cart) {
+    // Save cart to localStorage (and sync to the server unless the cart came from the server)
+    saveCart(cart, options = {}) {
         try {
             localStorage.setItem(CART_STORAGE_KEY, JSON.stringify(cart));
         } catch (error) {
             console.error('Error saving cart:', error);
         }
+        if (!options.fromServer) {
+            CartSync.markDirty();
+        }
+        document.dispatchEvent(new CustomEvent('cart:updated', { detail: { items: cart } }));
+    },
+
+    // Get print sizes from the last catalog refresh ({ sizes: { dimension: { label, prices } }, productIds }), or null
+    getPrintSizes() {
+        try {
+            const printSizes = localStorage.getItem(PRINT_SIZES_STORAGE_KEY);
+            return printSizes ? JSON.parse(printSizes) : null;
+        } catch (error) {
+            console.error('Error loading print sizes:', error);
+            return null;
+        }
+    },
+
+    // Save print sizes from the server catalog
+    savePrintSizes(printSizes) {
+        try {
+            localStorage.setItem(PRINT_SIZES_STORAGE_KEY, JSON.stringify(printSizes));
+        } catch (error) {
+            console.error('Error saving print sizes:', error);
+        }
+    },
+
+    // Update the price of a print size in a currency (e.g. from a checkout 409 response) - returns the old price
+    setPrintPrice(dimension, currency, price) {
+        const printSizes = CartUtils.getPrintSizes();
+        const size = printSizes?.sizes?.[dimension];
+        if (!size) return undefined;
+
+        const oldPrice = size.prices[currency];
+        size.prices[currency] = price;
+        CartUtils.savePrintSizes(printSizes);
+        return oldPrice;
+    },
+
+    // Format price in the selected currency (or an explicit one, e.g. the currency charged)
+    formatPrice(price, currency = CartUtils.getCurrency()) {
+        const format = CURRENCY_FORMATS[currency] || CURRENCY_FORMATS[DEFAULT_CURRENCY];
+        const amount = Number.isFinite(price) ? price : 0;
+        return `${format.symbol}${amount.toLocaleString(format.locale, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+    },
+
+    // Get the customer's currency (saved selection, then locale hint, then AUD)
+    getCurrency() {
+        try {
+            const saved = localStorage.getItem(CURRENCY_STORAGE_KEY);
+            if (saved && CURRENCY_FORMATS[saved]) {
+                return saved;
+            }
+        } catch (error) {
+            console.error('Error loading currency:', error);
+        }
+        return CartUtils.detectCurrency();
     },
 
-    // Format currency
-    formatPrice(price) {
-        return `$${price.toFixed(2)}`;
+    // Save the customer's currency selection
+    setCurrency(currency) {
+        if (!CURRENCY_FORMATS[currency]) return;
+        try {
+            localStorage.setItem(CURRENCY_STORAGE_KEY, currency);
+        } catch (error) {
+            console.error('Error saving currency:', error);
+        }
+    },
+
+    // Guess currency from the browser locale / time zone (e.g. en-IN or Asia/Kolkata → INR)
+    detectCurrency() {
+        const languages = navigator.languages || [navigator.language || ''];
+        for (const language of languages) {
+            const [lang, country] = language.split('-');
+            if (country === 'IN' || lang === 'hi') return 'inr';
+            if (country === 'US') return 'usd';
+            if (country === 'AU') return 'aud';
+        }
+        try {
+            const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone || '';
+            if (timeZone === 'Asia/Kolkata' || timeZone === 'Asia/Calcutta') return 'inr';
+        } catch (error) {
+            // Ignore - fall back to default currency
+        }
+        return DEFAULT_CURRENCY;
+    },
+
+    // Get supported currencies for a selector ([{ value, label }])
+    getCurrencies() {
+        return Object.keys(CURRENCY_FORMATS).map(currency => ({
+            value: currency,
+            label: `${CURRENCY_FORMATS[currency].code} (${CURRENCY_FORMATS[currency].symbol})`
+        }));
     },
 
     // Generate UUID v4
@@ -38,6 +150,52 @@ const CartUtils = {
         });
     },
 
+    // Get this browser's cart ID (created on first use)
+    getCartId() {
+        try {
+            let cartId = localStorage.getItem(CART_ID_KEY);
+            if (!cartId) {
+                cartId = CartUtils.generateUUID();
+                localStorage.setItem(CART_ID_KEY, cartId);
+            }
+            return cartId;
+        } catch (error) {
+            console.error('Error loading cart ID:', error);
+            return null;
+        }
+    },
+
+    // Start a new cart ID (after the cart is cleared, e.g. once an order is paid)
+    resetCartId() {
+        try {
+            localStorage.removeItem(CART_ID_KEY);
+        } catch (error) {
+            console.error('Error resetting cart ID:', error);
+        }
+    },
+
+    // Build the checkout idempotency key: SHA-256 of the cart ID and checkout request
+    // The same cart checked out twice (e.g. a double click) gets the same key, so the server
+    // returns the existing Stripe session instead of creating another one
+    async getCheckoutKey(checkoutRequest) {
+        const cartId = CartUtils.getCartId();
+        if (!cartId || !window.crypto?.subtle) return null;
+
+        try {
+            const data = new TextEncoder().encode(JSON.stringify({ cartId, checkoutRequest }));
+            const digest = await window.crypto.subtle.digest('SHA-256', data);
+            return Array.from(new Uint8Array(digest)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+        } catch (error) {
+            console.error('Error building checkout key:', error);
+            return null;
+        }
+    },
+
+    // Get display label for a license tier
+    getLicenseLabel(license) {
+        return LICENSE_LABELS[license] || LICENSE_LABELS[DEFAULT_LICENSE];
+    },
+
     // Generate unique ID for item (fallback if no UUID provided)
     generateItemId(imageSrc, title) {
         return `${imageSrc}_${title}`.replace(/[^a-zA-Z0-9]/g, '_');
@@ -58,7 +216,9 @@ const CartUtils = {
 // Cart Operations
 const Cart = {
     // Add item to cart
-    addItem(imageSrc, title, price = ITEM_PRICE, productId = null, imageHQ = null) {
+    // price is the catalog price shown to the user; checkout always charges the server price
+    // A photo is bought under one license - adding it with another license switches the tier
+    addItem(imageSrc, title, price = 0, productId = null, imageHQ = null, license = DEFAULT_LICENSE) {
         const cart = CartUtils.getCart();
         const normalizedPath = CartUtils.normalizeImagePath(imageSrc);
         // Use provided productId (UUID) or generate one
@@ -69,7 +229,16 @@ const Cart = {
         const oldQuantity = existingItem ? existingItem.quantity : 0;
         
         if (existingItem) {
-            existingItem.quantity += 1;
+            if ((existingItem.license || DEFAULT_LICENSE) === license) {
+                // Checkout refuses more than 10 of an item
+                existingItem.quantity = Math.min(10, existingItem.quantity + 1);
+            }
+            existingItem.license = license;
+            // Keep the latest catalog price
+            if (typeof price === 'number' && price > 0) {
+                existingItem.price = price;
+                existingItem.currency = CartUtils.getCurrency();
+            }
             // Update imageHQ if provided
             if (imageHQ) {
                 existingItem.imageHQ = imageHQ;
@@ -80,7 +249,9 @@ const Cart = {
                 imageSrc: normalizedPath,
                 imageHQ: imageHQ || normalizedPath, // Include HQ URL for downloads
                 title: title,
+                license: license,
                 price: price,
+                currency: CartUtils.getCurrency(),
                 quantity: 1
             });
         }
@@ -99,6 +270,92 @@ const Cart = {
         return filtered;
     },
 
+    // Get the items in the cart
+    getItems() {
+        return CartUtils.getCart();
+    },
+
+    // Check if a cart item is a print (has a print size) rather than a digital download
+    isPrint(item) {
+        return !!item?.dimension && item.dimension !== DIGITAL_DIMENSION;
+    },
+
+    // Check if a cart item can be ordered as a print (single photos only - not bundles, credit packs or memberships)
+    isPrintable(item) {
+        const productIds = CartUtils.getPrintSizes()?.productIds || [];
+        return productIds.includes(item.id || item.productId);
+    },
+
+    // Sizes an item can be bought in ([{ value, label }]) - digital download first
+    getDimensions(item) {
+        const sizes = Cart.isPrintable(item) ? CartUtils.getPrintSizes().sizes : {};
+        return [
+            { value: DIGITAL_DIMENSION, label: DIGITAL_DIMENSION_LABEL },
+            ...Object.keys(sizes).map(dimension => ({ value: dimension, label: sizes[dimension].label }))
+        ];
+    },
+
+    // Get the display label for a dimension (e.g. "A4 print (21 x 29.7 cm)")
+    getDimensionLabel(dimension) {
+        if (!dimension || dimension === DIGITAL_DIMENSION) {
+            return DIGITAL_DIMENSION_LABEL;
+        }
+        return CartUtils.getPrintSizes()?.sizes?.[dimension]?.label || dimension;
+    },
+
+    // Get the unit price for a dimension in the selected currency
+    // A print costs the print size's price; a digital download costs the item's license price
+    getDimensionPrice(dimension, item = null) {
+        if (!dimension || dimension === DIGITAL_DIMENSION) {
+            return item?.price || 0;
+        }
+        const price = CartUtils.getPrintSizes()?.sizes?.[dimension]?.prices?.[CartUtils.getCurrency()];
+        return typeof price === 'number' ? price : 0;
+    },
+
+    // Get the unit price of a cart item (print size or license price)
+    getItemPrice(item) {
+        return Cart.getDimensionPrice(item.dimension, item);
+    },
+
+    // Check if the cart has prints (prints can't be paid with credits)
+    hasPrints() {
+        return CartUtils.getCart().some(item => Cart.isPrint(item));
+    },
+
+    // Change the size of an item (a print size, or digital for a download)
+    updateDimension(itemId, dimension) {
+        const cart = CartUtils.getCart();
+        const item = cart.find(item => item.id === itemId);
+
+        if (item) {
+            if (!dimension || dimension === DIGITAL_DIMENSION) {
+                delete item.dimension;
+            } else {
+                item.dimension = dimension;
+            }
+            CartUtils.saveCart(cart);
+        }
+
+        return cart;
+    },
+
+    // Change the license tier of an item (price is the catalog price for the new tier)
+    updateLicense(itemId, license, price) {
+        const cart = CartUtils.getCart();
+        const item = cart.find(item => item.id === itemId);
+        
+        if (item) {
+            item.license = license;
+            if (typeof price === 'number') {
+                item.price = price;
+            }
+            CartUtils.saveCart(cart);
+        }
+        
+        return cart;
+    },
+
     // Update item quantity
     updateQuantity(itemId, quantity) {
         const cart = CartUtils.getCart();
@@ -127,12 +384,104 @@ const Cart = {
     // Get total price
     getTotalPrice() {
         const cart = CartUtils.getCart();
-        return cart.reduce((total, item) => total + (item.price * item.quantity), 0);
+        return cart.reduce((total, item) => total + (Cart.getItemPrice(item) * item.quantity), 0);
+    },
+
+    // Apply prices from the server (e.g. checkout 409 response or catalog refresh)
+    // prices: [{ productId, license, currency, price }] or [{ productId, prices: { aud: { personal, ... }, ... } }]
+    // Entries with a dimension are print prices ({ productId, dimension, currency, price })
+    // Returns the items whose price changed
+    applyServerPrices(prices) {
+        const cart = CartUtils.getCart();
+        const currency = CartUtils.getCurrency();
+        const changed = [];
+        
+        (prices || []).forEach((entry) => {
+            const item = cart.find(item => item.id === entry.productId);
+            if (!item) return;
+
+            // Print prices are per print size, the same for every photo
+            if (entry.dimension) {
+                const printCurrency = entry.currency || currency;
+                const oldPrice = CartUtils.setPrintPrice(entry.dimension, printCurrency, entry.price);
+                if (item.dimension === entry.dimension && typeof entry.price === 'number' && oldPrice !== entry.price) {
+                    changed.push({ id: item.id, title: `${item.title} (${Cart.getDimensionLabel(entry.dimension)})`, oldPrice: oldPrice, oldCurrency: printCurrency, price: entry.price });
+                }
+                return;
+            }
+            
+            const license = item.license || DEFAULT_LICENSE;
+            if (entry.license && entry.license !== license) return;
+            if (entry.currency && entry.currency !== currency) return;
+            
+            const price = entry.prices ? entry.prices[currency]?.[license] : entry.price;
+            if (typeof price === 'number' && (item.price !== price || item.currency !== currency)) {
+                // A print's price doesn't change with the license price
+                if (!Cart.isPrint(item)) {
+                    changed.push({ id: item.id, title: item.title, oldPrice: item.price, oldCurrency: item.currency, price: price });
+                }
+                item.price = price;
+                item.currency = currency;
+            }
+        });
+        
+        if (changed.length > 0) {
+            CartUtils.saveCart(cart);
+        }
+        return changed;
+    },
+
+    // Refresh cart prices from the server catalog
+    async syncPrices() {
+        try {
+            const response = await fetch(PHOTOS_ENDPOINT);
+            if (!response.ok) {
+                throw new Error(`Failed to fetch prices: ${response.status}`);
+            }
+            const data = await response.json();
+            // Any photo can be printed in the catalog's print sizes
+            CartUtils.savePrintSizes({
+                sizes: Object.fromEntries((data.printSizes || []).map(size => [size.dimension, { label: size.label, prices: size.prices }])),
+                productIds: (data.photos || []).map(photo => photo.productId)
+            });
+            return Cart.applyServerPrices([...(data.photos || []), ...(data.bundles || []), ...(data.creditPacks || []), ...(data.memberships || [])]);
+        } catch (error) {
+            console.error('Error syncing cart prices:', error);
+            return [];
+        }
+    },
+
+    // Switch the cart currency and reprice every item from the server price list
+    async setCurrency(currency) {
+        CartUtils.setCurrency(currency);
+        return Cart.syncPrices();
+    },
+
+    // Put the items of an abandoned checkout (recovery email link) back in the cart
+    // Returns { items, currency, email, gift } so the page can start a new checkout for them
+    async recoverCheckout(token) {
+        const response = await fetch(`${CART_ENDPOINT}?action=recoverCheckout`, {
+            method: 'POST',
+            credentials: 'same-origin',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ token: token })
+        });
+        const data = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            throw new Error(data.message || 'Could not recover your checkout');
+        }
+
+        CartUtils.setCurrency(data.currency);
+        CartUtils.saveCart(CartSync.mergeItems(CartUtils.getCart(), data.items || []));
+        Cart.updateBadge();
+        return data;
     },
 
     // Clear cart
     clear() {
-        localStorage.removeItem(CART_STORAGE_KEY);
+        CartUtils.saveCart([]);
+        CartUtils.resetCartId();
         Cart.updateBadge();
     },
 
@@ -151,13 +500,346 @@ const Cart = {
     }
 };
 
-// Initialize cart badge on page load
-if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', () => Cart.updateBadge());
-} else {
-    Cart.updateBadge();
-}
+// Cart Sync - keeps the localStorage cart in step with the server cart (other devices)
+// Each save sends the server version it was based on; if another device saved in between,
+// the carts are merged (items from both, this device's version wins for the same photo)
+const CartSync = {
+    pushTimer: null,
+
+    // Get sync state for this device
+    getState() {
+        try {
+            const state = localStorage.getItem(CART_SYNC_KEY);
+            if (state) return JSON.parse(state);
+        } catch (error) {
+            console.error('Error loading cart sync state:', error);
+        }
+        // Carts saved before sync existed have never been sent to the server
+        return { version: 0, dirty: CartUtils.getCart().length > 0 };
+    },
+
+    // Save sync state for this device
+    setState(state) {
+        try {
+            localStorage.setItem(CART_SYNC_KEY, JSON.stringify(state));
+        } catch (error) {
+            console.error('Error saving cart sync state:', error);
+        }
+    },
+
+    // Record a local change and send it to the server shortly (batches quick changes)
+    markDirty() {
+        CartSync.setState({ ...CartSync.getState(), dirty: true });
+        clearTimeout(CartSync.pushTimer);
+        CartSync.pushTimer = setTimeout(() => CartSync.push(), 500);
+    },
+
+    // Merge carts: all items from both, local version wins for the same photo
+    mergeItems(localItems, serverItems) {
+        const merged = [...localItems];
+        serverItems.forEach((item) => {
+            if (!merged.some(localItem => localItem.id === item.id)) {
+                merged.push(item);
+            }
+        });
+        return merged;
+    },
+
+    // Apply a cart from the server - replaces an unchanged local cart, merges with a changed one
+    applyServerCart(serverCart) {
+        const state = CartSync.getState();
+        const localItems = CartUtils.getCart();
+        const items = state.dirty ? CartSync.mergeItems(localItems, serverCart.items || []) : (serverCart.items || []);
+
+        CartUtils.saveCart(items, { fromServer: true });
+        CartSync.setState({ version: serverCart.version || 0, dirty: state.dirty });
+        CartSync.notify();
+    },
+
+    // Load the server cart (on page load)
+    async pull() {
+        try {
+            const response = await fetch(`${CART_ENDPOINT}?action=getCart`, { credentials: 'same-origin' });
+            if (!response.ok) {
+                throw new Error(`Failed to load cart: ${response.status}`);
+            }
+            const serverCart = await response.json();
+
+            if (serverCart.version !== CartSync.getState().version) {
+                CartSync.applyServerCart(serverCart);
+            }
+            if (CartSync.getState().dirty) {
+                await CartSync.push();
+            }
+        } catch (error) {
+            console.warn('Cart sync unavailable - using this device only:', error.message);
+        }
+    },
+
+    // Send local changes to the server
+    async push(retryOnConflict = true) {
+        const state = CartSync.getState();
+        if (!state.dirty) return;
+
+        const items = CartUtils.getCart();
+        try {
+            const response = await fetch(`${CART_ENDPOINT}?action=saveCart`, {
+                method: 'POST',
+                credentials: 'same-origin',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ items: items, version: state.version })
+            });
+            const data = await response.json().catch(() => ({}));
+
+            // Another device saved first - merge its cart and try again
+            if (response.status === 409) {
+                CartSync.applyServerCart(data);
+                if (retryOnConflict) {
+                    await CartSync.push(false);
+                }
+                return;
+            }
+
+            if (!response.ok) {
+                throw new Error(data.message || `Failed to save cart: ${response.status}`);
+            }
+
+            // Still dirty if the cart changed while the request was in flight
+            const unchanged = JSON.stringify(CartUtils.getCart()) === JSON.stringify(items);
+            CartSync.setState({ version: data.version, dirty: !unchanged });
+        } catch (error) {
+            console.warn('Cart sync failed - changes kept on this device:', error.message);
+        }
+    },
+
+    // Restore a cart from an emailed link - merges it with anything already in this device's cart
+    async restore(token) {
+        const response = await fetch(`${CART_ENDPOINT}?action=restoreCart`, {
+            method: 'POST',
+            credentials: 'same-origin',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ token: token })
+        });
+        const data = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            throw new Error(data.message || 'Could not restore your cart');
+        }
+
+        const localItems = CartUtils.getCart();
+        CartUtils.saveCart(CartSync.mergeItems(localItems, data.items || []), { fromServer: true });
+        CartSync.setState({ version: data.version || 0, dirty: localItems.length > 0 });
+        CartSync.notify();
+        await CartSync.push();
+    },
+
+    // Email a link to restore this cart on another device
+    async sendRestoreLink(email) {
+        await CartSync.push(); // The server needs the latest cart before linking to it
+        const response = await fetch(`${CART_ENDPOINT}?action=sendRestoreLink`, {
+            method: 'POST',
+            credentials: 'same-origin',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ email: email })
+        });
+        const data = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            throw new Error(data.message || 'Could not send the link');
+        }
+    },
+
+    // Let pages re-render after the cart changed from the server
+    notify() {
+        Cart.updateBadge();
+        window.dispatchEvent(new CustomEvent('cart:synced', { detail: { items: CartUtils.getCart() } }));
+    },
+
+    // Sync on page load (or restore the cart from ?restore=... links)
+    async init() {
+        const restoreToken = new URLSearchParams(window.location.search).get('restore');
+        if (!restoreToken) {
+            return CartSync.pull();
+        }
+
+        // Remove the token from the address bar so it isn't bookmarked or shared
+        const url = new URL(window.location.href);
+        url.searchParams.delete('restore');
+        window.history.replaceState(null, '', url.toString());
+
+        try {
+            await CartSync.restore(restoreToken);
+        } catch (error) {
+            console.error('Error restoring cart:', error);
+            alert(error.message);
+            await CartSync.pull();
+        }
+    }
+};
+
+// Download Credits - prepaid downloads from credit packs, redeemed on the photos in the cart
+// The balance belongs to the buyer's email; this device remembers the credit pack order that unlocks it
+const Credits = {
+    // Session ID of the credit pack order saved on this device (null if none)
+    getSessionId() {
+        try {
+            return localStorage.getItem(CREDITS_SESSION_KEY);
+        } catch (error) {
+            console.error('Error loading credit session:', error);
+            return null;
+        }
+    },
+
+    // Remember a paid credit pack order (success page)
+    saveSessionId(sessionId) {
+        try {
+            localStorage.setItem(CREDITS_SESSION_KEY, sessionId);
+        } catch (error) {
+            console.error('Error saving credit session:', error);
+        }
+    },
+
+    // Get the credit balance ({ license: credits }), or null if this device has no usable credit pack order
+    async getBalance() {
+        const sessionId = Credits.getSessionId();
+        if (!sessionId) return null;
+
+        const response = await fetch(`${CREDITS_ENDPOINT}?action=getBalance&session_id=${encodeURIComponent(sessionId)}`);
+        const data = await response.json().catch(() => ({}));
+        return response.ok ? data.balance : null;
+    },
+
+    // Credits needed for the cart ({ license: credits }) - one per copy (the server rejects bundles and credit packs, prints are paid at checkout)
+    getCartCost() {
+        const cost = {};
+        for (const item of CartUtils.getCart()) {
+            const license = item.license || DEFAULT_LICENSE;
+            cost[license] = (cost[license] || 0) + (item.quantity || 1);
+        }
+        return cost;
+    },
+
+    // Redeem credits on the cart's photos - returns { sessionId, successUrl, credits, balance }
+    async redeemCart() {
+        const response = await fetch(`${CREDITS_ENDPOINT}?action=redeem`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                session_id: Credits.getSessionId(),
+                items: CartUtils.getCart().map(item => ({
+                    productId: item.id || item.productId,
+                    license: item.license || DEFAULT_LICENSE,
+                    quantity: item.quantity
+                }))
+            })
+        });
+        const data = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            throw new Error(data.message || 'Could not redeem your credits');
+        }
+        return data;
+    }
+};
+
+// Download Tokens - downloads take a short-lived token issued for the order instead of its session ID
+// Kept in memory per order and requested again shortly before they expire
+const DownloadTokens = {
+    tokens: {}, // sessionId -> { token, expiresAt }
+
+    // Keep a token that came with another response (get-session-details, claimGift)
+    remember(sessionId, downloadToken) {
+        if (downloadToken && downloadToken.token) {
+            DownloadTokens.tokens[sessionId] = { token: downloadToken.token, expiresAt: downloadToken.expiresAt };
+        }
+    },
+
+    // Get a token for an order (issued for this browser - throws if the order can't be found)
+    async get(sessionId) {
+        const current = DownloadTokens.tokens[sessionId];
+        if (current && new Date(current.expiresAt).getTime() - Date.now() > DOWNLOAD_TOKEN_REFRESH_MS) {
+            return current.token;
+        }
+
+        const response = await fetch(`${DOWNLOAD_ENDPOINT}?action=issueDownloadToken`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ session_id: sessionId })
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(data.message || `Could not get a download link (${response.status})`);
+        }
+
+        DownloadTokens.remember(sessionId, data);
+        return data.token;
+    }
+};
+
+// Membership - members download the photos in the cart with their membership, up to its allowance per period
+// This device remembers the membership order (its session ID is the download key)
+const Membership = {
+    // Session ID of the membership order saved on this device (null if none)
+    getSessionId() {
+        try {
+            return localStorage.getItem(MEMBERSHIP_SESSION_KEY);
+        } catch (error) {
+            console.error('Error loading membership session:', error);
+            return null;
+        }
+    },
+
+    // Remember a membership order (success page)
+    saveSessionId(sessionId) {
+        try {
+            localStorage.setItem(MEMBERSHIP_SESSION_KEY, sessionId);
+        } catch (error) {
+            console.error('Error saving membership session:', error);
+        }
+    },
+
+    // Get the membership status ({ title, active, remaining, downloadsPerPeriod, periodEnd, ... }), or null if none
+    async getStatus() {
+        const sessionId = Membership.getSessionId();
+        if (!sessionId) return null;
+
+        const token = await DownloadTokens.get(sessionId);
+        const response = await fetch(`${DOWNLOAD_ENDPOINT}?action=getDownloadLinks&token=${encodeURIComponent(token)}`);
+        const data = await response.json().catch(() => ({}));
+        return response.ok ? data.membership || null : null;
+    },
+
+    // Download URL for a photo with the membership (counts against the allowance the first time in a period)
+    // Signed with a fresh download token - open it right away
+    async getDownloadUrl(productId) {
+        const token = await DownloadTokens.get(Membership.getSessionId());
+        return `${DOWNLOAD_ENDPOINT}?action=downloadFile&token=${encodeURIComponent(token)}&productId=${encodeURIComponent(productId)}`;
+    }
+};
 
 // Make Cart available globally
 window.Cart = Cart;
+window.cart = Cart; // Cart instance for pages that wait for cart:ready
 window.CartUtils = CartUtils;
+window.CartSync = CartSync;
+window.Credits = Credits;
+window.Membership = Membership;
+window.DownloadTokens = DownloadTokens;
+
+// Let pages know the cart is available (window.cart)
+function announceCartReady() {
+    document.dispatchEvent(new CustomEvent('cart:ready', { detail: { cart: Cart } }));
+}
+
+// Initialize cart badge and sync on page load
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => {
+        Cart.updateBadge();
+        CartSync.init();
+        announceCartReady();
+    });
+} else {
+    Cart.updateBadge();
+    CartSync.init();
+    announceCartReady();
+}
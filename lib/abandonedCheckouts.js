@@ -0,0 +1,111 @@
+/**
+ * Abandoned Checkouts
+ * When a Stripe checkout session expires unpaid, the webhook records the cart it was created for
+ * (from its temp_cart: record) with the customer's email, and emails them a recovery link.
+ * The link (cart.html?recover=<token>) puts the items back in the cart and starts a new checkout
+ * for them - prices are checked against the catalog again like any other checkout.
+ */
+
+const crypto = require('crypto');
+const mailer = require('./mailer');
+
+const RECOVERY_PAGE_URL = 'https://www.ifeelworld.com/cart.html';
+
+// Check recovery token format (48 hex characters)
+function isRecoveryToken(token) {
+    return typeof token === 'string' && /^[a-f0-9]{48}$/.test(token);
+}
+
+// Build the link that recovers an abandoned checkout
+function getRecoveryUrl(recoveryToken) {
+    return `${RECOVERY_PAGE_URL}?recover=${recoveryToken}`;
+}
+
+/**
+ * Build the abandoned checkout record for an expired session
+ * @param {Object} session - Expired Stripe checkout session
+ * @param {Object|null} tempCart - Cart stored at checkout ({ cartItems, currency, gift })
+ * @returns {Object|null} - Abandoned checkout, or null if there is nothing to recover (no email or no items)
+ */
+function buildAbandonedCheckout(session, tempCart) {
+    const email = session.customer_email || session.customer_details?.email;
+    const cartItems = tempCart?.cartItems || [];
+
+    if (!email || cartItems.length === 0) {
+        return null;
+    }
+
+    return {
+        sessionId: session.id,
+        email: email,
+        // Cart fields only - bundle members and image URLs are looked up again at checkout
+        items: cartItems.map(item => ({
+            productId: item.productId,
+            title: item.title,
+            imageSrc: item.imageSrc || '',
+            imageHQ: item.imageHQ || '',
+            license: item.license,
+            ...(item.isPrint ? { dimension: item.dimension } : {}),
+            price: item.price,
+            currency: item.currency,
+            quantity: item.quantity || 1
+        })),
+        currency: (tempCart.currency || session.currency || '').toLowerCase(),
+        gift: tempCart.gift || null,
+        // Customer opted out of promotional email at checkout (only set when Stripe collects consent)
+        emailOptOut: session.consent?.promotions === 'opt_out',
+        expiredAt: new Date().toISOString(),
+        recoveryToken: crypto.randomBytes(24).toString('hex'),
+        emailSentAt: null,
+        recoveredAt: null
+    };
+}
+
+/**
+ * Email the customer a link back to their checkout
+ * @param {Object} checkout - Abandoned checkout record
+ * @returns {Promise<boolean>} - true if the email was sent
+ */
+async function sendRecoveryEmail(checkout) {
+    const itemLines = checkout.items.map(item =>
+        `- ${item.title}${item.quantity > 1 ? ` x${item.quantity}` : ''}`
+    );
+
+    return mailer.sendMail({
+        to: checkout.email,
+        subject: 'You left something in your ifeelworld cart',
+        text: [
+            'Your checkout expired before the payment was completed. Your photos are still waiting for you:',
+            '',
+            ...itemLines,
+            '',
+            'Pick up where you left off (link valid for 7 days):',
+            getRecoveryUrl(checkout.recoveryToken),
+            '',
+            'ifeelworld'
+        ].join('\n')
+    });
+}
+
+// Convert an abandoned checkout into cart items (cart.js format, id = productId)
+function toCartItems(checkout) {
+    return checkout.items.map(item => ({
+        id: item.productId,
+        title: item.title,
+        imageSrc: item.imageSrc,
+        imageHQ: item.imageHQ,
+        license: item.license,
+        ...(item.dimension ? { dimension: item.dimension } : {}),
+        price: item.price,
+        currency: item.currency,
+        quantity: item.quantity
+    }));
+}
+
+module.exports = {
+    isRecoveryToken,
+    getRecoveryUrl,
+    buildAbandonedCheckout,
+    sendRecoveryEmail,
+    toCartItems
+};
@@ -0,0 +1,46 @@
+/**
+ * Admin Authorization
+ * Admin endpoints (api/admin.js, the webhook check) require Authorization: Bearer <ADMIN_API_KEY>. Without
+ * ADMIN_API_KEY they are disabled.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Check the admin API key (Authorization: Bearer <ADMIN_API_KEY>)
+ * Sends the error response and returns false if the request isn't authorized
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ * @returns {boolean}
+ */
+function authorizeAdmin(req, res) {
+    const adminKey = process.env.ADMIN_API_KEY;
+    if (!adminKey) {
+        console.error('❌ ADMIN_API_KEY is not set - admin endpoint disabled');
+        res.status(500).json({
+            error: 'Server configuration error',
+            message: 'Admin access is not configured.'
+        });
+        return false;
+    }
+
+    const header = req.headers?.authorization || '';
+    const providedKey = header.startsWith('Bearer ') ? header.substring(7) : '';
+
+    // Compare hashes - constant time, whatever the length of the key sent
+    const expected = crypto.createHash('sha256').update(adminKey).digest();
+    const provided = crypto.createHash('sha256').update(providedKey).digest();
+    if (!providedKey || !crypto.timingSafeEqual(expected, provided)) {
+        res.status(401).json({
+            error: 'Unauthorized',
+            message: 'A valid admin API key is required.'
+        });
+        return false;
+    }
+
+    return true;
+}
+
+module.exports = {
+    authorizeAdmin
+};
@@ -0,0 +1,63 @@
+/**
+ * Byte Ranges
+ * HTTP Range requests for single-file downloads (RFC 9110), so an interrupted download can be resumed.
+ * Only single ranges are served as a range ("bytes=0-499", "bytes=500-", "bytes=-500"); anything else is
+ * answered with the whole file, which the RFC allows.
+ */
+
+const RANGE_PATTERN = /^bytes=(\d*)-(\d*)$/;
+
+/**
+ * Resolve a Range header against a file size
+ * @param {string} rangeHeader - Range request header
+ * @param {number} size - File size in bytes
+ * @returns {Object|null} - { start, end } (inclusive), { unsatisfiable: true }, or null to send the whole file
+ */
+function parseRange(rangeHeader, size) {
+    const match = typeof rangeHeader === 'string' ? RANGE_PATTERN.exec(rangeHeader.trim()) : null;
+    if (!match || (match[1] === '' && match[2] === '')) return null;
+
+    // Suffix range: the last N bytes
+    if (match[1] === '') {
+        const suffixLength = parseInt(match[2], 10);
+        if (suffixLength === 0) return { unsatisfiable: true };
+        return { start: Math.max(0, size - suffixLength), end: size - 1 };
+    }
+
+    const start = parseInt(match[1], 10);
+    const end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+    if (start >= size || end < start) return { unsatisfiable: true };
+
+    return { start, end };
+}
+
+// First byte a Range header asks for (0 without a single byte range - suffix ranges count as a fresh start)
+function getRangeStart(rangeHeader) {
+    const match = typeof rangeHeader === 'string' ? RANGE_PATTERN.exec(rangeHeader.trim()) : null;
+    return match && match[1] !== '' ? parseInt(match[1], 10) : 0;
+}
+
+// Content-Range header for a range of a file ("bytes 0-499/1234")
+function formatContentRange(range, size) {
+    return range.unsatisfiable ? `bytes */${size}` : `bytes ${range.start}-${range.end}/${size}`;
+}
+
+// First byte of a Content-Range header ("bytes 500-999/1234" -> 500, null if none)
+function getContentRangeStart(contentRange) {
+    const match = /^bytes (\d+)-/.exec(contentRange || '');
+    return match ? parseInt(match[1], 10) : null;
+}
+
+// Total file size from a Content-Range header (null if unknown)
+function getRangeTotal(contentRange) {
+    const match = /\/(\d+)$/.exec(contentRange || '');
+    return match ? parseInt(match[1], 10) : null;
+}
+
+module.exports = {
+    parseRange,
+    getRangeStart,
+    formatContentRange,
+    getContentRangeStart,
+    getRangeTotal
+};
@@ -0,0 +1,571 @@
+/**
+ * Product Catalog
+ * Server-side source of truth for products and prices (data/images.json)
+ * Used by checkout to price carts so the client can never set its own prices
+ * 
+ * Each product has an explicit price list per currency, with a price per license tier:
+ * "prices": { "aud": { "personal": 1.00, "editorial": 10.00, "commercial": 25.00 }, "usd": { ... }, "inr": { ... } }
+ * 
+ * Bundles (data/bundles.json) are sold as a single product at their own (discounted) price list
+ * and reference their member photos by productId:
+ * "urban-collection": { "title": "...", "description": "...", "members": ["sydney-tower", ...], "prices": { ... } }
+ * 
+ * Credit packs (data/credit-packs.json) are prepaid downloads, sold per license tier like photos. A pack adds
+ * its credits to the buyer's balance for that license (lib/credits.js); the cover photo is only for display:
+ * "credit-pack-20": { "title": "...", "description": "...", "credits": 20, "cover": "sydney-opera-house", "prices": { ... } }
+ * 
+ * Membership plans (data/memberships.json) are subscriptions, priced per license tier and billing period. Members
+ * download photos of their choice, up to "downloads" per period, under the license subscribed to (lib/memberships.js):
+ * "membership-monthly-10": { "title": "...", "description": "...", "downloads": 10, "interval": "month", "cover": "sydney-tower", "prices": { ... } }
+ * 
+ * Print sizes (data/print-sizes.json) turn a photo into a physical print. A cart item with a print size ("dimension")
+ * is charged the size's price per currency instead of the license price, and is shipped rather than downloaded:
+ * "a4": { "label": "A4 print (21 x 29.7 cm)", "description": "...", "prices": { "aud": 39, "usd": 26, "inr": 1999 } }
+ * 
+ * Download policies (data/download-policies.json) set how many times, and for how many days, a purchased photo can be
+ * downloaded - per license tier, overridden per photo or bundle (lib/downloadPolicies.js). "days": null never expires:
+ * { "licenses": { "personal": { "downloads": 5, "days": 30 }, ... }, "products": { "sydney-tower": { "downloads": 3, "days": 14 } } }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const currency = require('./currency');
+
+// Loaded catalog and bundles (cached per serverless instance)
+let catalog = null;
+let bundles = null;
+let creditPacks = null;
+let membershipPlans = null;
+let printSizes = null;
+let downloadPolicies = null;
+
+// Policy of purchases made without a download policy: one download, no expiry
+const LEGACY_DOWNLOAD_POLICY = { downloads: 1, days: null };
+
+// Billing periods a membership plan can renew on (Stripe recurring intervals)
+const MEMBERSHIP_INTERVALS = ['month', 'year'];
+
+// License tiers - usage terms are delivered with every purchased file
+const LICENSE_TIERS = {
+    personal: {
+        label: 'Personal',
+        summary: 'Personal, non-commercial use',
+        terms: 'Personal, non-commercial use only: prints for your home, desktop or phone wallpapers, and personal social media posts with credit to ifeelworld. No resale, advertising or use on behalf of a business.'
+    },
+    editorial: {
+        label: 'Editorial',
+        summary: 'News, blogs, magazines and education',
+        terms: 'Editorial use in news articles, blogs, magazines, books and educational material, print or online, with credit to ifeelworld. Not for advertising, product packaging, merchandise or any promotional use.'
+    },
+    commercial: {
+        label: 'Commercial',
+        summary: 'Marketing, advertising and client work',
+        terms: 'Commercial use in marketing, advertising, websites, social media campaigns and client projects, up to 500,000 impressions or printed units. The photo may not be resold or redistributed as a standalone file, or used in a trademark or logo.'
+    }
+};
+
+const DEFAULT_LICENSE = 'personal';
+
+// Dimension of a digital download (cart items without a print size)
+const DIGITAL_DIMENSION = 'digital';
+
+// Most copies of one item per order (the cart's limit too)
+const MAX_QUANTITY = 10;
+
+// Helper: Locate a data file (Vercel deployment vs local development)
+function findDataPath(fileName) {
+    const possiblePaths = [
+        path.join(process.cwd(), 'data', fileName),
+        path.join(__dirname, '..', 'data', fileName),
+        path.join(process.cwd(), '..', 'data', fileName)
+    ];
+
+    for (const jsonPath of possiblePaths) {
+        if (fs.existsSync(jsonPath)) {
+            return jsonPath;
+        }
+    }
+
+    console.error(`❌ ${fileName} not found. Tried: ${possiblePaths.join(', ')}`);
+    return null;
+}
+
+// Load and cache the raw catalog data
+function loadCatalog() {
+    if (catalog) return catalog;
+
+    const catalogPath = findDataPath('images.json');
+    if (!catalogPath) {
+        throw new Error('Product catalog (data/images.json) could not be located');
+    }
+
+    catalog = JSON.parse(fs.readFileSync(catalogPath, 'utf8'));
+    console.log(`✅ Loaded ${Object.keys(catalog).length} products from catalog`);
+    return catalog;
+}
+
+// Load and cache the raw bundle data (bundles are optional - no file means no bundles)
+function loadBundles() {
+    if (bundles) return bundles;
+
+    const bundlesPath = findDataPath('bundles.json');
+    bundles = bundlesPath ? JSON.parse(fs.readFileSync(bundlesPath, 'utf8')) : {};
+
+    // Bundle IDs share the productId namespace with photos
+    const products = loadCatalog();
+    for (const bundleId of Object.keys(bundles)) {
+        if (products[bundleId]) {
+            console.error(`❌ Bundle ID ${bundleId} is also a photo productId - bundle ignored`);
+            delete bundles[bundleId];
+        }
+    }
+
+    console.log(`✅ Loaded ${Object.keys(bundles).length} bundles from catalog`);
+    return bundles;
+}
+
+// Load and cache the raw credit pack data (optional - no file means no credit packs)
+function loadCreditPacks() {
+    if (creditPacks) return creditPacks;
+
+    const creditPacksPath = findDataPath('credit-packs.json');
+    creditPacks = creditPacksPath ? JSON.parse(fs.readFileSync(creditPacksPath, 'utf8')) : {};
+
+    // Credit pack IDs share the productId namespace with photos and bundles
+    const products = loadCatalog();
+    const bundleIds = loadBundles();
+    for (const packId of Object.keys(creditPacks)) {
+        if (products[packId] || bundleIds[packId]) {
+            console.error(`❌ Credit pack ID ${packId} is also a photo or bundle productId - credit pack ignored`);
+            delete creditPacks[packId];
+        }
+    }
+
+    console.log(`✅ Loaded ${Object.keys(creditPacks).length} credit packs from catalog`);
+    return creditPacks;
+}
+
+// Load and cache the raw membership plan data (optional - no file means no memberships)
+function loadMembershipPlans() {
+    if (membershipPlans) return membershipPlans;
+
+    const membershipPlansPath = findDataPath('memberships.json');
+    membershipPlans = membershipPlansPath ? JSON.parse(fs.readFileSync(membershipPlansPath, 'utf8')) : {};
+
+    // Membership plan IDs share the productId namespace with photos, bundles and credit packs
+    const products = loadCatalog();
+    const bundleIds = loadBundles();
+    const packIds = loadCreditPacks();
+    for (const planId of Object.keys(membershipPlans)) {
+        if (products[planId] || bundleIds[planId] || packIds[planId]) {
+            console.error(`❌ Membership plan ID ${planId} is also a photo, bundle or credit pack productId - plan ignored`);
+            delete membershipPlans[planId];
+        }
+    }
+
+    console.log(`✅ Loaded ${Object.keys(membershipPlans).length} membership plans from catalog`);
+    return membershipPlans;
+}
+
+// Load and cache the raw print size data (optional - no file means photos are sold as downloads only)
+function loadPrintSizes() {
+    if (printSizes) return printSizes;
+
+    const printSizesPath = findDataPath('print-sizes.json');
+    printSizes = printSizesPath ? JSON.parse(fs.readFileSync(printSizesPath, 'utf8')) : {};
+    delete printSizes[DIGITAL_DIMENSION];
+
+    console.log(`✅ Loaded ${Object.keys(printSizes).length} print sizes from catalog`);
+    return printSizes;
+}
+
+// Load and cache the raw download policy data (optional - no file means one download per purchased photo)
+function loadDownloadPolicies() {
+    if (downloadPolicies) return downloadPolicies;
+
+    const policiesPath = findDataPath('download-policies.json');
+    const data = policiesPath ? JSON.parse(fs.readFileSync(policiesPath, 'utf8')) : {};
+    downloadPolicies = { licenses: data.licenses || {}, products: data.products || {} };
+
+    console.log(`✅ Loaded download policies for ${Object.keys(downloadPolicies.licenses).length} licenses and ${Object.keys(downloadPolicies.products).length} products`);
+    return downloadPolicies;
+}
+
+// Convert productId (kebab-case) to a display title (Title Case)
+function getProductTitle(productId) {
+    return productId
+        .split('-')
+        .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+        .join(' ');
+}
+
+// Get a single product by ID (null if not in catalog)
+function getProduct(productId) {
+    if (!productId) return null;
+
+    const entry = loadCatalog()[productId];
+    if (!entry) return null;
+
+    const prices = entry.prices || {};
+
+    return {
+        productId: productId,
+        title: getProductTitle(productId),
+        imageSrc: entry.low,
+        imageHQ: entry.hq,
+        prices: prices, // { currency: { license: price } }
+        price: prices[currency.DEFAULT_CURRENCY]?.[DEFAULT_LICENSE] // Starting price (AUD, personal license)
+    };
+}
+
+/**
+ * Get a bundle by ID (null if not a bundle, or if any member photo is missing from the catalog)
+ * @param {string} bundleId - Bundle productId (e.g. "urban-collection")
+ * @returns {Object|null} - { productId, isBundle, title, description, imageSrc, imageHQ, members, prices, price }
+ */
+function getBundle(bundleId) {
+    if (!bundleId) return null;
+
+    const entry = loadBundles()[bundleId];
+    if (!entry) return null;
+
+    const members = (entry.members || []).map(productId => getProduct(productId));
+    if (members.length === 0 || members.some(member => !member)) {
+        console.error(`❌ Bundle ${bundleId} references photos that are not in the catalog`);
+        return null;
+    }
+
+    const prices = entry.prices || {};
+
+    return {
+        productId: bundleId,
+        isBundle: true,
+        title: entry.title || getProductTitle(bundleId),
+        description: entry.description || '',
+        imageSrc: members[0].imageSrc, // Cover image (first member)
+        imageHQ: members[0].imageHQ,
+        members: members.map(member => ({
+            productId: member.productId,
+            title: member.title,
+            imageSrc: member.imageSrc,
+            imageHQ: member.imageHQ
+        })),
+        prices: prices, // { currency: { license: price } }
+        price: prices[currency.DEFAULT_CURRENCY]?.[DEFAULT_LICENSE] // Starting price (AUD, personal license)
+    };
+}
+
+/**
+ * Get a credit pack by ID (null if not a credit pack)
+ * @param {string} packId - Credit pack productId (e.g. "credit-pack-20")
+ * @returns {Object|null} - { productId, isCreditPack, title, description, credits, imageSrc, imageHQ, prices, price }
+ */
+function getCreditPack(packId) {
+    if (!packId) return null;
+
+    const entry = loadCreditPacks()[packId];
+    if (!entry) return null;
+
+    const credits = parseInt(entry.credits, 10);
+    if (!(credits > 0)) {
+        console.error(`❌ Credit pack ${packId} has no credits`);
+        return null;
+    }
+
+    const cover = getProduct(entry.cover);
+    const prices = entry.prices || {};
+
+    return {
+        productId: packId,
+        isCreditPack: true,
+        title: entry.title || getProductTitle(packId),
+        description: entry.description || '',
+        credits: credits, // Downloads added to the balance per pack bought
+        imageSrc: cover?.imageSrc || '', // Display only - a credit pack has no file to download
+        imageHQ: cover?.imageSrc || '',
+        prices: prices, // { currency: { license: price } }
+        price: prices[currency.DEFAULT_CURRENCY]?.[DEFAULT_LICENSE] // Starting price (AUD, personal license)
+    };
+}
+
+// Get all credit packs, fewest credits first
+function getCreditPacks() {
+    return Object.keys(loadCreditPacks())
+        .map(packId => getCreditPack(packId))
+        .filter(pack => pack)
+        .sort((a, b) => a.credits - b.credits);
+}
+
+/**
+ * Get a membership plan by ID (null if not a membership plan)
+ * @param {string} planId - Membership plan productId (e.g. "membership-monthly-10")
+ * @returns {Object|null} - { productId, isMembership, title, description, downloads, interval, imageSrc, imageHQ, prices, price }
+ */
+function getMembershipPlan(planId) {
+    if (!planId) return null;
+
+    const entry = loadMembershipPlans()[planId];
+    if (!entry) return null;
+
+    const downloads = parseInt(entry.downloads, 10);
+    const interval = entry.interval || 'month';
+    if (!(downloads > 0) || !MEMBERSHIP_INTERVALS.includes(interval)) {
+        console.error(`❌ Membership plan ${planId} needs a download allowance and a billing interval (${MEMBERSHIP_INTERVALS.join(', ')})`);
+        return null;
+    }
+
+    const cover = getProduct(entry.cover);
+    const prices = entry.prices || {};
+
+    return {
+        productId: planId,
+        isMembership: true,
+        title: entry.title || getProductTitle(planId),
+        description: entry.description || '',
+        downloads: downloads, // Photo downloads per billing period
+        interval: interval, // Billing period (month or year)
+        imageSrc: cover?.imageSrc || '', // Display only - a membership has no file to download
+        imageHQ: cover?.imageSrc || '',
+        prices: prices, // { currency: { license: price per period } }
+        price: prices[currency.DEFAULT_CURRENCY]?.[DEFAULT_LICENSE] // Starting price (AUD, personal license)
+    };
+}
+
+// Get all membership plans, smallest allowance first
+function getMembershipPlans() {
+    return Object.keys(loadMembershipPlans())
+        .map(planId => getMembershipPlan(planId))
+        .filter(plan => plan)
+        .sort((a, b) => a.downloads - b.downloads);
+}
+
+/**
+ * Get a print size by dimension (null for digital downloads and unknown sizes)
+ * @param {string} dimension - Print size key (e.g. "a4", "60x40")
+ * @returns {Object|null} - { dimension, label, description, prices, price }
+ */
+function getPrintSize(dimension) {
+    if (!dimension || dimension === DIGITAL_DIMENSION) return null;
+
+    const entry = loadPrintSizes()[dimension];
+    if (!entry) return null;
+
+    const prices = entry.prices || {};
+
+    return {
+        dimension: dimension,
+        label: entry.label || dimension,
+        description: entry.description || '',
+        prices: prices, // { currency: price } - one price per print, whatever the photo
+        price: prices[currency.DEFAULT_CURRENCY] // Starting price (AUD)
+    };
+}
+
+// Get all print sizes, cheapest first
+function getPrintSizes() {
+    return Object.keys(loadPrintSizes())
+        .map(dimension => getPrintSize(dimension))
+        .sort((a, b) => (a.price || 0) - (b.price || 0));
+}
+
+/**
+ * Get the download policy for a purchased photo
+ * A bundle's policy wins over its member photo's, a photo's over its license tier's
+ * @param {string} productId - Photo productId
+ * @param {string} license - License tier purchased
+ * @param {string} [bundleId] - Bundle the photo was bought in
+ * @returns {Object} - { downloads, days } (days null = never expires)
+ */
+function getDownloadPolicy(productId, license, bundleId) {
+    const policies = loadDownloadPolicies();
+    const policy = (bundleId && policies.products[bundleId]) ||
+        policies.products[productId] ||
+        policies.licenses[license] ||
+        policies.licenses[DEFAULT_LICENSE] ||
+        LEGACY_DOWNLOAD_POLICY;
+
+    const downloads = parseInt(policy.downloads, 10);
+    const days = Number(policy.days);
+    return {
+        downloads: downloads > 0 ? downloads : LEGACY_DOWNLOAD_POLICY.downloads,
+        days: days > 0 ? days : null
+    };
+}
+
+// Get all bundles, sorted alphabetically by title
+function getBundles() {
+    return Object.keys(loadBundles())
+        .map(bundleId => getBundle(bundleId))
+        .filter(bundle => bundle)
+        .sort((a, b) => a.title.localeCompare(b.title));
+}
+
+/**
+ * Expand a purchased cart item into one item per photo
+ * Photos (and prints, credit packs and memberships) are returned as-is; a bundle becomes one item per member photo (same license and quantity),
+ * tagged with bundleId/bundleTitle. Members stored with the order win over the current bundle definition
+ * @param {Object} cartItem - Cart item as stored at checkout ({ productId, title, license, price, quantity, members? })
+ * @returns {Array} - Photo items
+ */
+function expandCartItem(cartItem) {
+    const productId = cartItem.productId || cartItem.id;
+    if (cartItem.isCreditPack || cartItem.isMembership || cartItem.isPrint) {
+        return [cartItem];
+    }
+    const bundle = cartItem.isBundle || !getProduct(productId) ? getBundle(productId) : null;
+    const members = cartItem.members || bundle?.members;
+
+    if (!members || (!cartItem.isBundle && !bundle)) {
+        return [cartItem];
+    }
+
+    return members.map(member => ({
+        name: member.title,
+        title: member.title,
+        imageSrc: member.imageSrc || '',
+        imageHQ: member.imageHQ || member.imageSrc || '',
+        productId: member.productId,
+        license: cartItem.license,
+        price: null, // Charged as part of the bundle
+        currency: cartItem.currency,
+        quantity: cartItem.quantity || 1,
+        bundleId: productId,
+        bundleTitle: bundle?.title || cartItem.title
+    }));
+}
+
+// Get the catalog price of a product for a currency and license tier (undefined if not offered)
+function getPrice(product, currencyCode, license) {
+    const price = product?.prices?.[currencyCode]?.[license];
+    return typeof price === 'number' ? price : undefined;
+}
+
+// Get a license tier by key (null if unknown)
+function getLicense(license) {
+    if (!license || !Object.prototype.hasOwnProperty.call(LICENSE_TIERS, license)) {
+        return null;
+    }
+    return { key: license, ...LICENSE_TIERS[license] };
+}
+
+// Get all products, sorted alphabetically by title
+function getProducts() {
+    return Object.keys(loadCatalog())
+        .map(productId => getProduct(productId))
+        .sort((a, b) => a.title.localeCompare(b.title));
+}
+
+/**
+ * Price cart items against the catalog
+ * Unknown products, invalid licenses, quantities and prices that differ from the catalog are reported, not corrected
+ * A photo can only be bought under one license per order, either on its own or in one bundle
+ * A photo with a print size (dimension) is a physical print: charged the print size's price, under the personal license
+ * @param {Array} cartItems - Items as sent by the client ({ productId, license, dimension, price, quantity } - quantity
+ *   1 to MAX_QUANTITY, 1 if omitted)
+ * @param {string} currencyCode - Checkout currency (lowercase, e.g. "aud")
+ * @returns {Object} - { items, unknownProducts, invalidLicenses, invalidDimensions, invalidQuantities, duplicateProducts, priceMismatches }
+ */
+function priceCart(cartItems, currencyCode = currency.DEFAULT_CURRENCY) {
+    const items = [];
+    const unknownProducts = [];
+    const invalidLicenses = [];
+    const invalidDimensions = [];
+    const invalidQuantities = [];
+    const duplicateProducts = [];
+    const priceMismatches = [];
+    const photoIds = new Set(); // Photos already covered by the order (directly or through a bundle)
+
+    for (const cartItem of cartItems) {
+        const productId = cartItem.productId || cartItem.id || null;
+        const product = getProduct(productId) || getBundle(productId) || getCreditPack(productId) || getMembershipPlan(productId);
+
+        if (!product) {
+            unknownProducts.push(productId);
+            continue;
+        }
+
+        // Prints: only single photos, at the print size's price (a print is for personal display)
+        const isPrint = !!cartItem.dimension && cartItem.dimension !== DIGITAL_DIMENSION;
+        const printSize = isPrint ? getPrintSize(cartItem.dimension) : null;
+        const printPrice = printSize?.prices[currencyCode];
+        if (isPrint && (!printSize || !getProduct(productId) || typeof printPrice !== 'number')) {
+            invalidDimensions.push({ productId: productId, dimension: cartItem.dimension });
+            continue;
+        }
+
+        // A membership is one subscription (its quantity is ignored)
+        const quantity = product.isMembership || cartItem.quantity === undefined ? 1 : Number(cartItem.quantity);
+        if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_QUANTITY) {
+            invalidQuantities.push({ productId: productId, quantity: cartItem.quantity });
+            continue;
+        }
+
+        const license = getLicense(isPrint ? DEFAULT_LICENSE : cartItem.license || DEFAULT_LICENSE);
+        const price = isPrint ? printPrice : license ? getPrice(product, currencyCode, license.key) : undefined;
+
+        if (!license || typeof price !== 'number') {
+            invalidLicenses.push({ productId: productId, license: cartItem.license });
+            continue;
+        }
+
+        // Credit packs and memberships cover no photos (the credits or downloads are used later)
+        const coveredIds = product.isBundle ? product.members.map(member => member.productId) : product.isCreditPack || product.isMembership ? [] : [productId];
+        const overlap = coveredIds.filter(id => photoIds.has(id));
+        if (items.some(item => item.productId === productId) || overlap.length > 0) {
+            duplicateProducts.push(productId);
+            continue;
+        }
+        coveredIds.forEach(id => photoIds.add(id));
+
+        // Clients may omit the price; if they send one it must match the catalog
+        if (cartItem.price !== undefined && currency.toMinorUnits(cartItem.price, currencyCode) !== currency.toMinorUnits(price, currencyCode)) {
+            priceMismatches.push({
+                productId: productId,
+                license: license.key,
+                ...(printSize ? { dimension: printSize.dimension } : {}),
+                currency: currencyCode,
+                submittedPrice: cartItem.price,
+                price: price
+            });
+        }
+
+        items.push({
+            ...product,
+            license: license.key,
+            licenseLabel: license.label,
+            licenseTerms: license.terms,
+            ...(printSize ? { isPrint: true, dimension: printSize.dimension, dimensionLabel: printSize.label } : {}),
+            price: price,
+            currency: currencyCode,
+            quantity: quantity,
+            unitAmount: currency.toMinorUnits(price, currencyCode)
+        });
+    }
+
+    return { items, unknownProducts, invalidLicenses, invalidDimensions, invalidQuantities, duplicateProducts, priceMismatches };
+}
+
+module.exports = {
+    LICENSE_TIERS,
+    DEFAULT_LICENSE,
+    DIGITAL_DIMENSION,
+    MAX_QUANTITY,
+    LEGACY_DOWNLOAD_POLICY,
+    loadCatalog,
+    getProduct,
+    getLicense,
+    getPrice,
+    getProducts,
+    getProductTitle,
+    getBundle,
+    getBundles,
+    getCreditPack,
+    getCreditPacks,
+    getMembershipPlan,
+    getMembershipPlans,
+    getPrintSize,
+    getPrintSizes,
+    getDownloadPolicy,
+    expandCartItem,
+    priceCart
+};
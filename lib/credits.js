@@ -0,0 +1,153 @@
+/**
+ * Download Credits
+ * Credit packs (data/credit-packs.json) are prepaid downloads. Once a credit pack order is paid, the webhook
+ * adds its credits to the buyer's balance for the license the pack was bought under. The balance is tied to
+ * the buyer's email (credits:<email>, one count per license tier), so packs bought in different orders add up.
+ *
+ * Credits are redeemed on any photo through /api/credits without going through Stripe Checkout: one credit
+ * per copy, under the same license. Redeeming debits the balance atomically and records a normal purchase
+ * (purchase:credit_<token>) with the redeemed photos, so the download actions deliver them like a paid order.
+ * The buyer proves the balance is theirs with the session ID of one of their paid credit pack orders.
+ */
+
+const crypto = require('crypto');
+const catalog = require('./catalog');
+const paymentStatus = require('./paymentStatus');
+
+const REDEMPTION_ID_PREFIX = 'credit_';
+const MAX_REDEEM_ITEMS = 50;
+
+// Check if an ID is a credit redemption (credit_<hex>)
+function isRedemptionId(id) {
+    return typeof id === 'string' && /^credit_[a-f0-9]{48}$/.test(id);
+}
+
+// Generate an unguessable redemption ID (downloads are authorized with it, like a session ID)
+function createRedemptionId() {
+    return `${REDEMPTION_ID_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+}
+
+// Normalize the email a balance is tied to (Stripe keeps the case the customer typed)
+function normalizeEmail(email) {
+    return String(email || '').trim().toLowerCase();
+}
+
+/**
+ * Credits bought with a purchase's credit packs
+ * @param {Array} creditPacks - purchase.creditPacks ({ license, credits, quantity })
+ * @returns {Object} - { license: credits }, e.g. { personal: 20 }
+ */
+function getPackCredits(creditPacks) {
+    const credits = {};
+    for (const pack of creditPacks || []) {
+        const license = pack.license || catalog.DEFAULT_LICENSE;
+        credits[license] = (credits[license] || 0) + pack.credits * (pack.quantity || 1);
+    }
+    return credits;
+}
+
+/**
+ * Validate the photos to redeem
+ * Only photos can be redeemed (not bundles or credit packs); each copy costs one credit of its license
+ * @param {Array} items - Requested items ({ productId, license, quantity })
+ * @returns {Object} - { products, credits } ({ license: credits needed }) or { error } with a customer-facing message
+ */
+function parseRedeemItems(items) {
+    if (!Array.isArray(items) || items.length === 0) {
+        return { error: 'Items array is required and must not be empty' };
+    }
+    if (items.length > MAX_REDEEM_ITEMS) {
+        return { error: `Up to ${MAX_REDEEM_ITEMS} photos can be redeemed at once` };
+    }
+
+    const products = [];
+    const credits = {};
+    for (const item of items) {
+        const productId = item.productId || item.id || null;
+        const product = catalog.getProduct(productId);
+        if (!product) {
+            return { error: catalog.getBundle(productId) || catalog.getCreditPack(productId)
+                ? `${productId} can't be redeemed with credits - credits are redeemed on single photos`
+                : `Unknown product: ${productId}` };
+        }
+
+        const license = catalog.getLicense(item.license || catalog.DEFAULT_LICENSE);
+        if (!license) {
+            return { error: `Unknown license tier. Available licenses: ${Object.keys(catalog.LICENSE_TIERS).join(', ')}` };
+        }
+
+        if (products.some(existing => existing.productId === productId)) {
+            return { error: `${product.title} is in the list more than once` };
+        }
+
+        const quantity = Math.min(10, Math.max(1, parseInt(item.quantity, 10) || 1));
+        products.push({ ...product, license: license.key, quantity: quantity });
+        credits[license.key] = (credits[license.key] || 0) + quantity;
+    }
+
+    return { products, credits };
+}
+
+/**
+ * Build the purchase record for a redemption
+ * Same shape as a paid purchase (products, download tracking) so the download actions work unchanged
+ * @param {string} redemptionId - Redemption ID (the purchase's session ID)
+ * @param {Object} redemption - { email, products, credits, creditSessionId }
+ * @returns {Object} - Purchase record
+ */
+function buildRedemptionPurchase(redemptionId, { email, products, credits, creditSessionId }) {
+    const now = new Date().toISOString();
+    const items = products.map(product => ({
+        productId: product.productId,
+        title: product.title,
+        fileName: (product.imageHQ || product.imageSrc || '').split('/').pop(),
+        imageSrc: product.imageSrc, // Low-res for display
+        imageHQ: product.imageHQ, // High-quality for downloads
+        license: product.license,
+        price: null, // Paid with credits
+        quantity: product.quantity,
+        quantityPurchased: product.quantity,
+        maxDownloads: product.quantity,
+        max_downloads: product.quantity, // Backward compatibility
+        downloadPolicy: catalog.getDownloadPolicy(product.productId, product.license)
+    }));
+    const totalDownloads = items.reduce((sum, item) => sum + item.quantity, 0);
+
+    return {
+        session_id: redemptionId,
+        email: email,
+        customer_email: email, // Backward compatibility
+        products: items,
+        purchased_items: items, // Backward compatibility
+        bundles: [],
+        quantity: totalDownloads,
+        download_count: Object.fromEntries(items.map(item => [item.productId, 0])),
+        quantity_downloaded: {},
+        downloaded: {},
+        downloadsUsed: 0,
+        maxDownloads: totalDownloads,
+        allowedDownloads: totalDownloads,
+        createdAt: now,
+        timestamp: now,
+        payment_status: paymentStatus.PAYMENT_PAID, // Prepaid with the credit pack
+        payment_intent: null,
+        currency: null,
+        amount_total: 0,
+        redemption: {
+            creditSessionId: creditSessionId, // Credit pack order used to prove the balance
+            credits: credits, // { license: credits debited }
+            redeemedAt: now
+        }
+    };
+}
+
+module.exports = {
+    REDEMPTION_ID_PREFIX,
+    MAX_REDEEM_ITEMS,
+    isRedemptionId,
+    createRedemptionId,
+    normalizeEmail,
+    getPackCredits,
+    parseRedeemItems,
+    buildRedemptionPurchase
+};
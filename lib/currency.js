@@ -0,0 +1,97 @@
+/**
+ * Currency Model
+ * Supported checkout currencies and how a currency is chosen for a customer
+ * Every product has an explicit price list per currency in data/images.json
+ */
+
+// Supported currencies (keys are Stripe's lowercase ISO codes)
+const CURRENCIES = {
+    aud: { code: 'AUD', label: 'Australian Dollar', locale: 'en-AU', decimals: 2 },
+    usd: { code: 'USD', label: 'US Dollar', locale: 'en-US', decimals: 2 },
+    inr: { code: 'INR', label: 'Indian Rupee', locale: 'en-IN', decimals: 2 }
+};
+
+const DEFAULT_CURRENCY = 'aud';
+
+// Locale hints (country part of a locale, e.g. "en-IN") that map to a currency
+const COUNTRY_CURRENCIES = {
+    AU: 'aud',
+    IN: 'inr',
+    US: 'usd'
+};
+
+// Check if a currency code is supported (case-insensitive)
+function isSupportedCurrency(currency) {
+    return typeof currency === 'string' && Object.prototype.hasOwnProperty.call(CURRENCIES, currency.toLowerCase());
+}
+
+// Guess a currency from a locale hint such as "en-IN" or an Accept-Language header
+function currencyFromLocale(localeHint) {
+    if (!localeHint || typeof localeHint !== 'string') return null;
+
+    // Accept-Language: "en-IN,en;q=0.9,hi;q=0.8" - check each locale in order of preference
+    const locales = localeHint.split(',').map(part => part.split(';')[0].trim());
+    for (const locale of locales) {
+        const [language, country] = locale.split(/[-_]/);
+        if (country && COUNTRY_CURRENCIES[country.toUpperCase()]) {
+            return COUNTRY_CURRENCIES[country.toUpperCase()];
+        }
+        // Hindi without a region is a strong hint for India
+        if (language && language.toLowerCase() === 'hi') {
+            return 'inr';
+        }
+    }
+    return null;
+}
+
+/**
+ * Resolve the checkout currency
+ * An explicit (selected) currency wins, then the locale hint, then the default (AUD)
+ * @param {string} requested - Currency chosen by the customer (may be empty)
+ * @param {string} localeHint - Locale or Accept-Language header
+ * @returns {string|null} - Lowercase currency code, or null if the requested currency is not supported
+ */
+function resolveCurrency(requested, localeHint) {
+    if (requested) {
+        return isSupportedCurrency(requested) ? requested.toLowerCase() : null;
+    }
+    return currencyFromLocale(localeHint) || DEFAULT_CURRENCY;
+}
+
+// Payment methods that settle days after checkout, offered per currency (must be enabled in the Stripe Dashboard)
+const DELAYED_PAYMENT_METHODS = {
+    aud: ['payto', 'au_becs_debit'],
+    usd: ['us_bank_account'],
+    inr: []
+};
+
+// Payment methods offered at checkout - card, plus delayed methods when ENABLE_DELAYED_PAYMENT_METHODS is "true"
+function getPaymentMethodTypes(currency = DEFAULT_CURRENCY) {
+    if (process.env.ENABLE_DELAYED_PAYMENT_METHODS !== 'true') {
+        return ['card'];
+    }
+    return ['card', ...(DELAYED_PAYMENT_METHODS[currency] || [])];
+}
+
+// Convert an amount (e.g. 1.00) to Stripe's smallest currency unit (e.g. 100 cents / paise)
+function toMinorUnits(amount, currency = DEFAULT_CURRENCY) {
+    const decimals = (CURRENCIES[currency] || CURRENCIES[DEFAULT_CURRENCY]).decimals;
+    return Math.round(amount * Math.pow(10, decimals));
+}
+
+// Convert Stripe's smallest currency unit back to an amount
+function fromMinorUnits(amount, currency = DEFAULT_CURRENCY) {
+    const decimals = (CURRENCIES[currency] || CURRENCIES[DEFAULT_CURRENCY]).decimals;
+    return amount / Math.pow(10, decimals);
+}
+
+module.exports = {
+    CURRENCIES,
+    DEFAULT_CURRENCY,
+    isSupportedCurrency,
+    currencyFromLocale,
+    resolveCurrency,
+    getPaymentMethodTypes,
+    toMinorUnits,
+    fromMinorUnits
+};
@@ -0,0 +1,125 @@
+/**
+ * Disputes (chargebacks)
+ * A dispute on a purchase's charge freezes its downloads until the dispute closes (purchase.dispute).
+ * Won disputes and closed inquiries unfreeze the purchase; a lost dispute keeps it frozen - the payment
+ * was reversed. Gifted photos are frozen on the recipient's entitlement too.
+ *
+ * When a dispute opens, an evidence bundle is built from the purchase record: when it was bought, the
+ * customer's email, the license purchased and which photos were downloaded and when. It is stored with
+ * the dispute and, if DISPUTE_ALERT_EMAIL is set, emailed so the dispute can be answered from the
+ * Stripe Dashboard straight away.
+ */
+
+const catalog = require('./catalog');
+const mailer = require('./mailer');
+
+// Dispute statuses that lift the freeze (won, or an inquiry closed without a chargeback)
+const RESOLVED_STATUSES = ['won', 'warning_closed'];
+const LICENSE_TERMS_URL = 'https://www.ifeelworld.com/photo-license-agreement.html';
+
+// Check if a purchase's downloads are frozen by a dispute (open or lost)
+function isFrozen(purchase) {
+    return !!(purchase && purchase.dispute && !RESOLVED_STATUSES.includes(purchase.dispute.status));
+}
+
+// Helper: Download history of a purchase record (downloaded_at is only recorded for newer downloads)
+function getDownloadedItems(purchase) {
+    return (purchase.products || purchase.purchased_items || []).map(item => {
+        const license = catalog.getLicense(item.license) || catalog.getLicense(catalog.DEFAULT_LICENSE);
+        const downloaded = purchase.downloaded?.[item.productId] === true;
+        return {
+            productId: item.productId,
+            title: item.title,
+            license: license.label,
+            bundle: item.bundleTitle || null,
+            quantity: item.quantity || 1,
+            downloaded: downloaded,
+            downloadedAt: downloaded ? purchase.downloaded_at?.[item.productId] || null : null
+        };
+    });
+}
+
+/**
+ * Build the evidence bundle for a disputed purchase
+ * @param {Object} purchase - Buyer's purchase record
+ * @param {Object|null} giftPurchase - Recipient's entitlement (gift purchases only)
+ * @returns {Object} - Evidence, with the text for Stripe's dispute evidence fields in stripeEvidence
+ */
+function buildEvidence(purchase, giftPurchase) {
+    const customerEmail = purchase.customer_email || purchase.email || '';
+    const purchasedAt = purchase.timestamp || purchase.createdAt || null;
+    // Gifted photos are downloaded by the recipient
+    const items = getDownloadedItems(giftPurchase || purchase);
+
+    const activity = [
+        `${purchasedAt} - Purchase completed by ${customerEmail} (order ${purchase.session_id})`,
+        ...(giftPurchase?.gift?.claimedAt
+            ? [`${giftPurchase.gift.claimedAt} - Gift claimed by ${giftPurchase.gift.recipientEmail}`]
+            : []),
+        ...items
+            .filter(item => item.downloaded)
+            .sort((a, b) => String(a.downloadedAt).localeCompare(String(b.downloadedAt)))
+            .map(item => `${item.downloadedAt || 'Date not recorded'} - Downloaded "${item.title}" (${item.license} License)`)
+    ];
+
+    return {
+        builtAt: new Date().toISOString(),
+        sessionId: purchase.session_id,
+        customerEmail: customerEmail,
+        purchasedAt: purchasedAt,
+        paymentStatus: purchase.payment_status || null,
+        amountTotal: purchase.amount_total,
+        currency: purchase.currency || null,
+        invoiceNumber: purchase.invoice?.number || null,
+        licenseTermsUrl: LICENSE_TERMS_URL,
+        items: items,
+        gift: giftPurchase?.gift
+            ? { recipientEmail: giftPurchase.gift.recipientEmail, claimedAt: giftPurchase.gift.claimedAt || null }
+            : null,
+        // Ready to paste into the Stripe Dashboard (or send with the Disputes API)
+        stripeEvidence: {
+            customer_email_address: customerEmail,
+            product_description: `Digital photo download${items.length === 1 ? '' : 's'} with license: ` +
+                items.map(item => `${item.title} (${item.license} License)`).join(', '),
+            service_date: purchasedAt ? purchasedAt.substring(0, 10) : '',
+            access_activity_log: activity.join('\n')
+        }
+    };
+}
+
+/**
+ * Email the evidence bundle to DISPUTE_ALERT_EMAIL (if set)
+ * @param {Object} dispute - Dispute record stored with the purchase
+ * @returns {Promise<boolean>} - true if the email was sent
+ */
+async function sendDisputeAlert(dispute) {
+    const to = process.env.DISPUTE_ALERT_EMAIL;
+    if (!to) return false;
+
+    const evidence = dispute.evidence;
+    return mailer.sendMail({
+        to: to,
+        subject: `Payment dispute opened for order ${evidence.sessionId}`,
+        text: [
+            `A ${dispute.amount} ${String(dispute.currency).toUpperCase()} payment was disputed (reason: ${dispute.reason}). Downloads for this order are frozen.`,
+            `Respond by: ${dispute.evidenceDueBy || 'see the Stripe Dashboard'}`,
+            `Dispute: ${dispute.disputeId}`,
+            '',
+            `Customer email: ${evidence.customerEmail}`,
+            `Invoice: ${evidence.invoiceNumber || '-'}`,
+            `Product: ${evidence.stripeEvidence.product_description}`,
+            '',
+            'Activity:',
+            evidence.stripeEvidence.access_activity_log,
+            '',
+            `License terms: ${evidence.licenseTermsUrl}`
+        ].join('\n')
+    });
+}
+
+module.exports = {
+    RESOLVED_STATUSES,
+    isFrozen,
+    buildEvidence,
+    sendDisputeAlert
+};
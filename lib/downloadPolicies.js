@@ -0,0 +1,70 @@
+/**
+ * Download Policies
+ * Each purchased photo can be downloaded a set number of times within a set number of days, e.g. "5 downloads
+ * within 30 days". The policy comes from data/download-policies.json (lib/catalog.js getDownloadPolicy) and is
+ * recorded on the purchased item (item.downloadPolicy) when the webhook saves the purchase, so changing the
+ * configuration only affects new purchases.
+ *
+ * Downloads used are counted per photo in purchase.download_uses (productId -> count). The download period starts
+ * when the payment settles (for a gift, when the recipient claims it). Purchases recorded before policies existed
+ * allow one download with no expiry.
+ */
+
+const catalog = require('./catalog');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Policy recorded on a purchased item ({ downloads, days })
+function getItemPolicy(item) {
+    const policy = item?.downloadPolicy;
+    if (!policy || !(policy.downloads > 0)) return catalog.LEGACY_DOWNLOAD_POLICY;
+    return { downloads: policy.downloads, days: policy.days > 0 ? policy.days : null };
+}
+
+// Downloads already used for a photo (purchases from before download_uses count an earlier download as one)
+function getDownloadsUsed(purchase, productId) {
+    const uses = purchase?.download_uses?.[productId];
+    if (typeof uses === 'number') return uses;
+    return purchase?.downloaded?.[productId] === true || purchase?.quantity_downloaded?.[productId] > 0 ? 1 : 0;
+}
+
+// When a photo's download period ends (null if it never does)
+function getExpiresAt(purchase, item) {
+    const policy = getItemPolicy(item);
+    if (!policy.days) return null;
+
+    const start = Date.parse(purchase.gift?.claimedAt || purchase.paymentSettledAt || purchase.createdAt || purchase.timestamp);
+    if (isNaN(start)) return null;
+
+    return new Date(start + policy.days * DAY_MS).toISOString();
+}
+
+/**
+ * What's left of a purchased photo's download policy
+ * Doesn't check refunds, disputes or payment status - see db.getDownloadStatus
+ * @param {Object} purchase - Purchase record
+ * @param {Object} item - Purchased item (from purchase.products)
+ * @param {number} [now] - Current time (ms)
+ * @returns {Object} - { downloadsAllowed, downloadsUsed, remaining, expiresAt, expired }
+ */
+function getEntitlement(purchase, item, now = Date.now()) {
+    const policy = getItemPolicy(item);
+    const downloadsUsed = getDownloadsUsed(purchase, item.productId);
+    const expiresAt = getExpiresAt(purchase, item);
+    const expired = !!expiresAt && now >= Date.parse(expiresAt);
+
+    return {
+        downloadsAllowed: policy.downloads,
+        downloadsUsed: downloadsUsed,
+        remaining: expired ? 0 : Math.max(0, policy.downloads - downloadsUsed),
+        expiresAt: expiresAt,
+        expired: expired
+    };
+}
+
+module.exports = {
+    getItemPolicy,
+    getDownloadsUsed,
+    getExpiresAt,
+    getEntitlement
+};
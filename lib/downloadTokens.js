@@ -0,0 +1,208 @@
+/**
+ * Download Tokens
+ * Purchases are downloaded with short-lived tokens instead of the purchase ID (cs_..., gift_..., credit_...) itself.
+ * A token is signed with DOWNLOAD_TOKEN_SECRET (HMAC-SHA256) and binds:
+ * - the purchase ID and the photo it downloads ("*" = any photo in the purchase, and the purchase's links and invoice)
+ * - an expiry (DOWNLOAD_TOKEN_TTL_SECONDS)
+ * - optionally the client it was issued to - DOWNLOAD_TOKEN_BINDING: "none" (default), "ua" (user agent), "ip" or "ip,ua".
+ *   Binding is off by default: browser updates and in-app browsers change the user agent, and mobile networks the IP
+ *
+ * The purchase ID is only accepted to issue tokens (POST /api/download?action=issueDownloadToken, get-session-details
+ * and claimGift). Links that end up in browser history, logs or shared messages carry a token that expires (and, with
+ * binding, only works on the client it was issued to).
+ *
+ * Optionally (DOWNLOAD_BROWSER_CLAIM=true, off by default) the purchase ID alone is not enough: the first browser to ask
+ * claims the purchase's downloads (download_claim:<purchase ID>) with the random access key in its HttpOnly cookie
+ * (ifw_download_access), and other browsers are refused - so a success or gift link that leaks can't be used to download
+ * the photos, but neither can the buyer's other devices until an admin releases the claim.
+ *
+ * Format: dt_<base64url JSON payload>.<base64url signature>
+ */
+
+const crypto = require('crypto');
+
+const TOKEN_PREFIX = 'dt_';
+const ALL_PRODUCTS = '*';
+const DEFAULT_TTL_SECONDS = 15 * 60;
+const DEFAULT_BINDING = 'none';
+
+// Browser access key cookie - with DOWNLOAD_BROWSER_CLAIM, a purchase's downloads are claimed by the first browser to
+// ask for a token
+const ACCESS_COOKIE = 'ifw_download_access';
+const ACCESS_COOKIE_MAX_AGE = 60 * 60 * 24 * 365 * 5; // 5 years - the key is the browser's claim on its purchases
+
+// Local testing with the fake payment provider works without a configured secret (never on a deployed site)
+const LOCAL_SECRET = 'dt_fake_local';
+
+// Signing secret (null if not configured)
+function getSecret() {
+    if (process.env.DOWNLOAD_TOKEN_SECRET) return process.env.DOWNLOAD_TOKEN_SECRET;
+    return process.env.PAYMENT_PROVIDER === 'fake' ? LOCAL_SECRET : null;
+}
+
+// Token lifetime in seconds
+function getTtlSeconds() {
+    const ttl = parseInt(process.env.DOWNLOAD_TOKEN_TTL_SECONDS, 10);
+    return ttl > 0 ? ttl : DEFAULT_TTL_SECONDS;
+}
+
+// Client details a token is bound to (DOWNLOAD_TOKEN_BINDING)
+function getBinding() {
+    const binding = (process.env.DOWNLOAD_TOKEN_BINDING || DEFAULT_BINDING).toLowerCase().split(',').map(part => part.trim());
+    return { ip: binding.includes('ip'), userAgent: binding.includes('ua') };
+}
+
+// Client IP (first x-forwarded-for address on Vercel)
+function getClientIp(req) {
+    const forwardedFor = req.headers?.['x-forwarded-for'];
+    if (forwardedFor) return String(forwardedFor).split(',')[0].trim();
+    return req.headers?.['x-real-ip'] || req.socket?.remoteAddress || '';
+}
+
+// Helper: Fingerprint of the client details the token is bound to (null if unbound)
+function getClientFingerprint(req) {
+    const binding = getBinding();
+    if (!binding.ip && !binding.userAgent) return null;
+
+    const parts = [
+        binding.ip ? getClientIp(req) : '',
+        binding.userAgent ? req.headers?.['user-agent'] || '' : ''
+    ];
+    return crypto.createHash('sha256').update(parts.join('\n')).digest('base64url').substring(0, 22);
+}
+
+// Helper: Sign an encoded payload
+function sign(encodedPayload, secret) {
+    return crypto.createHmac('sha256', secret).update(encodedPayload).digest('base64url');
+}
+
+/**
+ * Issue a download token
+ * @param {string} sessionId - Purchase ID (cs_..., gift_... or credit_...)
+ * @param {string} [productId] - Photo it downloads (omit for any photo in the purchase)
+ * @param {Object} req - Request of the client the token is issued to
+ * @returns {Object|null} - { token, expiresAt }, or null if DOWNLOAD_TOKEN_SECRET isn't set
+ */
+function createDownloadToken(sessionId, productId, req) {
+    const secret = getSecret();
+    if (!secret) {
+        console.error('❌ DOWNLOAD_TOKEN_SECRET is not set - download tokens cannot be issued');
+        return null;
+    }
+
+    const expiresAt = Math.floor(Date.now() / 1000) + getTtlSeconds();
+    const fingerprint = getClientFingerprint(req);
+    const payload = {
+        s: sessionId,
+        p: productId || ALL_PRODUCTS,
+        e: expiresAt,
+        ...(fingerprint ? { c: fingerprint } : {})
+    };
+    const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+    return {
+        token: `${TOKEN_PREFIX}${encodedPayload}.${sign(encodedPayload, secret)}`,
+        expiresAt: new Date(expiresAt * 1000).toISOString()
+    };
+}
+
+/**
+ * Verify a download token
+ * @param {string} token - Token sent by the client
+ * @param {Object} req - Request it was sent with
+ * @returns {Object} - { sessionId, productId } (productId null = any photo in the purchase), or
+ *   { error: 'invalid' | 'expired' | 'client' | 'unconfigured' } if it can't be used
+ */
+function verifyDownloadToken(token, req) {
+    const secret = getSecret();
+    if (!secret) return { error: 'unconfigured' };
+
+    if (typeof token !== 'string' || !token.startsWith(TOKEN_PREFIX) || token.length > 1000) {
+        return { error: 'invalid' };
+    }
+
+    const [encodedPayload, signature] = token.substring(TOKEN_PREFIX.length).split('.');
+    if (!encodedPayload || !signature) return { error: 'invalid' };
+
+    // Constant-time signature check
+    const expected = Buffer.from(sign(encodedPayload, secret));
+    const provided = Buffer.from(signature);
+    if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+        return { error: 'invalid' };
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+    } catch (error) {
+        return { error: 'invalid' };
+    }
+
+    if (!payload.s || !payload.p || !payload.e) return { error: 'invalid' };
+    if (Date.now() / 1000 >= payload.e) return { error: 'expired' };
+
+    // Bound to the client it was issued to (if binding was on when it was issued)
+    if (payload.c && payload.c !== getClientFingerprint(req)) return { error: 'client' };
+
+    return {
+        sessionId: payload.s,
+        productId: payload.p === ALL_PRODUCTS ? null : payload.p
+    };
+}
+
+// Check if a purchase's downloads are claimed by the first browser to ask for a token (DOWNLOAD_BROWSER_CLAIM)
+function isBrowserClaimEnabled() {
+    return process.env.DOWNLOAD_BROWSER_CLAIM === 'true';
+}
+
+// Helper: Decode a cookie value (null if it isn't valid percent-encoding - an unrelated cookie must not break requests)
+function decodeCookieValue(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch (error) {
+        return null;
+    }
+}
+
+// Helper: Read the access key cookie (null if missing or malformed)
+function getAccessKeyFromCookie(req) {
+    const cookies = req.cookies || Object.fromEntries(
+        (req.headers?.cookie || '').split(';')
+            .map(part => part.trim().split('='))
+            .filter(([name]) => name)
+            .map(([name, ...value]) => [name, decodeCookieValue(value.join('='))])
+            .filter(([, value]) => value !== null)
+    );
+    const accessKey = cookies[ACCESS_COOKIE];
+    return typeof accessKey === 'string' && /^[a-f0-9]{64}$/.test(accessKey) ? accessKey : null;
+}
+
+/**
+ * Get this browser's download access ID, creating its access key (and HttpOnly cookie) if needed
+ * Purchases are claimed with the ID - a hash, so the key itself is never stored
+ * @param {Object} req - Request
+ * @param {Object} res - Response (sets the cookie for a new key)
+ * @returns {string} - Access ID
+ */
+function getAccessId(req, res) {
+    let accessKey = getAccessKeyFromCookie(req);
+    if (!accessKey) {
+        accessKey = crypto.randomBytes(32).toString('hex');
+        res.setHeader('Set-Cookie', `${ACCESS_COOKIE}=${accessKey}; Path=/; Max-Age=${ACCESS_COOKIE_MAX_AGE}; HttpOnly; Secure; SameSite=Lax`);
+    }
+    return crypto.createHash('sha256').update(accessKey).digest('hex');
+}
+
+// Check if verified token claims cover a photo (any photo for purchase-wide tokens)
+function coversProduct(claims, productId) {
+    return !claims.productId || claims.productId === productId;
+}
+
+module.exports = {
+    getTtlSeconds,
+    createDownloadToken,
+    verifyDownloadToken,
+    coversProduct,
+    isBrowserClaimEnabled,
+    getAccessId
+};
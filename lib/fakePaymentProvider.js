@@ -0,0 +1,408 @@
+/**
+ * Fake Payment Provider
+ * An in-process stand-in for Stripe (PAYMENT_PROVIDER=fake) for running the buy-to-download flow locally
+ * without a Stripe account. Sessions, charges and refunds live in memory, so everything has to run in one
+ * process - simulate-purchase.js drives the API functions this way.
+ *
+ * Instead of a hosted checkout page, the test controls below "pay" a session and return the webhook event
+ * Stripe would send, signed like Stripe signs it (Stripe-Signature: t=<timestamp>,v1=<HMAC-SHA256>) with
+ * FAKE_PAYMENT_WEBHOOK_SECRET, ready to POST to /api/webhook. Subscription checkouts (memberships) also get a
+ * subscription whose invoices are paid, and which is canceled, with the test controls below.
+ *
+ * Refused when VERCEL_ENV is production or preview: anyone who knows the secret could sign purchases.
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_WEBHOOK_SECRET = 'whsec_fake_local';
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+const BILLING_PERIOD_SECONDS = 60 * 60 * 24 * 30; // Fake subscriptions renew every 30 days
+
+// In-process state (shared by every provider instance in this process)
+const sessions = new Map();
+const charges = new Map();
+const subscriptions = new Map();
+const subscriptionMetadata = new Map(); // session ID -> subscription_data.metadata
+const idempotencyKeys = new Map(); // idempotency key -> { params, sessionId }
+
+// Helper: Webhook signing secret
+function getWebhookSecret() {
+    return process.env.FAKE_PAYMENT_WEBHOOK_SECRET || DEFAULT_WEBHOOK_SECRET;
+}
+
+// Helper: Random Stripe-style ID (cs_test_fake_..., pi_fake_...)
+function createId(prefix) {
+    return `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+// Helper: Error with a Stripe error type (handlers check error.type)
+function stripeError(type, message) {
+    const error = new Error(message);
+    error.type = type;
+    return error;
+}
+
+// Helper: Copy an object so callers can't change the stored state
+function copy(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+// Helper: Line item (Stripe's shape, price and product expanded) from checkout price_data
+function toLineItem(item) {
+    const priceData = item.price_data;
+    return {
+        id: createId('li_fake'),
+        object: 'item',
+        description: priceData.product_data.name,
+        quantity: item.quantity,
+        currency: priceData.currency,
+        amount_subtotal: priceData.unit_amount * item.quantity,
+        amount_total: priceData.unit_amount * item.quantity,
+        price: {
+            id: createId('price_fake'),
+            currency: priceData.currency,
+            unit_amount: priceData.unit_amount,
+            recurring: priceData.recurring || null,
+            product: {
+                id: createId('prod_fake'),
+                name: priceData.product_data.name,
+                description: priceData.product_data.description || null,
+                metadata: priceData.product_data.metadata || {}
+            }
+        }
+    };
+}
+
+// Helper: Get the subscription a checkout session created (throws like Stripe if there is none)
+function getSessionSubscription(sessionId) {
+    const subscription = subscriptions.get(getSession(sessionId).subscription);
+    if (!subscription) {
+        throw stripeError('StripeInvalidRequestError', `Checkout session ${sessionId} has no subscription`);
+    }
+    return subscription;
+}
+
+// Helper: Get a stored session (throws like Stripe for unknown IDs)
+function getSession(sessionId) {
+    const session = sessions.get(sessionId);
+    if (!session) {
+        throw stripeError('StripeInvalidRequestError', `No such checkout.session: '${sessionId}'`);
+    }
+    return session;
+}
+
+/**
+ * Sign a webhook payload like Stripe does
+ * @param {string} payload - Raw JSON body
+ * @param {number} timestamp - Unix time in seconds (default: now)
+ * @returns {string} - Stripe-Signature header value
+ */
+function signPayload(payload, timestamp = Math.floor(Date.now() / 1000)) {
+    const signature = crypto.createHmac('sha256', getWebhookSecret()).update(`${timestamp}.${payload}`).digest('hex');
+    return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * Build a signed webhook event
+ * @param {string} type - Event type (e.g. checkout.session.completed)
+ * @param {Object} object - Event data object
+ * @returns {Object} - { event, payload, signature } - POST payload with header Stripe-Signature: signature
+ */
+function createEvent(type, object) {
+    const event = {
+        id: createId('evt_fake'),
+        object: 'event',
+        type: type,
+        created: Math.floor(Date.now() / 1000),
+        livemode: false,
+        data: { object: copy(object) }
+    };
+    const payload = JSON.stringify(event);
+    return { event: event, payload: payload, signature: signPayload(payload) };
+}
+
+/**
+ * Pay a checkout session (test control)
+ * @param {string} sessionId - Session to pay
+ * @param {Object} options - { email, name, country, paymentStatus } - paymentStatus "unpaid" simulates a delayed
+ *   payment method (settle it with settleAsyncPayment). Subscription checkouts start a subscription instead of a charge.
+ *   Sessions that collect a shipping address (prints) are shipped to a test address in the customer's country
+ * @returns {Object} - Signed checkout.session.completed event
+ */
+function completeCheckout(sessionId, { email, name = 'Local Customer', country = 'AU', paymentStatus = 'paid' } = {}) {
+    const session = getSession(sessionId);
+    const chargeId = createId('ch_fake');
+
+    session.status = 'complete';
+    session.payment_status = paymentStatus;
+    session.customer_details = {
+        email: email || session.customer_email || 'customer@example.com',
+        name: name,
+        address: { country: country },
+        tax_ids: []
+    };
+    if (session.shipping_address_collection) {
+        session.shipping_details = {
+            name: name,
+            address: { line1: '1 Test Street', line2: null, city: 'Sydney', state: 'NSW', postal_code: '2000', country: country }
+        };
+    }
+
+    // Subscription checkouts start a subscription - its first invoice is paid with payInvoice()
+    if (session.mode === 'subscription') {
+        const now = Math.floor(Date.now() / 1000);
+        const subscription = {
+            id: createId('sub_fake'),
+            object: 'subscription',
+            status: 'active',
+            customer: createId('cus_fake'),
+            customer_email: session.customer_details.email,
+            metadata: subscriptionMetadata.get(sessionId) || {},
+            current_period_start: now,
+            current_period_end: now + BILLING_PERIOD_SECONDS,
+            amount: session.amount_total,
+            currency: session.currency,
+            canceled_at: null,
+            ended_at: null
+        };
+        subscriptions.set(subscription.id, subscription);
+        session.subscription = subscription.id;
+        session.customer = subscription.customer;
+        return createEvent('checkout.session.completed', session);
+    }
+
+    session.payment_intent = createId('pi_fake');
+    charges.set(chargeId, {
+        id: chargeId,
+        object: 'charge',
+        amount: session.amount_total,
+        amount_refunded: 0,
+        currency: session.currency,
+        payment_intent: session.payment_intent,
+        refunded: false,
+        refunds: { data: [] }
+    });
+
+    return createEvent('checkout.session.completed', session);
+}
+
+/**
+ * Settle a delayed payment (test control)
+ * @param {string} sessionId - Session paid with payment status "unpaid"
+ * @param {boolean} succeeded - true: async_payment_succeeded, false: async_payment_failed
+ * @returns {Object} - Signed event
+ */
+function settleAsyncPayment(sessionId, succeeded = true) {
+    const session = getSession(sessionId);
+    if (succeeded) {
+        session.payment_status = 'paid';
+    }
+    return createEvent(succeeded ? 'checkout.session.async_payment_succeeded' : 'checkout.session.async_payment_failed', session);
+}
+
+/**
+ * Pay a subscription invoice (test control)
+ * @param {string} sessionId - Completed subscription checkout session
+ * @param {Object} options - { renewal } - true: the next billing period (renews the subscription)
+ * @returns {Object} - Signed invoice.paid event
+ */
+function payInvoice(sessionId, { renewal = false } = {}) {
+    const subscription = getSessionSubscription(sessionId);
+    if (renewal) {
+        subscription.current_period_start = subscription.current_period_end;
+        subscription.current_period_end += BILLING_PERIOD_SECONDS;
+    }
+
+    const period = { start: subscription.current_period_start, end: subscription.current_period_end };
+    return createEvent('invoice.paid', {
+        id: createId('in_fake'),
+        object: 'invoice',
+        status: 'paid',
+        billing_reason: renewal ? 'subscription_cycle' : 'subscription_create',
+        subscription: subscription.id,
+        subscription_details: { metadata: subscription.metadata },
+        customer: subscription.customer,
+        customer_email: subscription.customer_email,
+        currency: subscription.currency,
+        amount_paid: subscription.amount,
+        lines: {
+            object: 'list',
+            data: [{ id: createId('il_fake'), object: 'line_item', type: 'subscription', amount: subscription.amount, period: period }]
+        }
+    });
+}
+
+/**
+ * Cancel a subscription (test control)
+ * @param {string} sessionId - Completed subscription checkout session
+ * @returns {Object} - Signed customer.subscription.deleted event
+ */
+function cancelSubscription(sessionId) {
+    const subscription = getSessionSubscription(sessionId);
+    const now = Math.floor(Date.now() / 1000);
+    subscription.status = 'canceled';
+    subscription.canceled_at = now;
+    subscription.ended_at = now;
+    return createEvent('customer.subscription.deleted', subscription);
+}
+
+/**
+ * Let an unpaid checkout session expire (test control)
+ * @param {string} sessionId - Open session
+ * @returns {Object} - Signed checkout.session.expired event
+ */
+function expireCheckout(sessionId) {
+    const session = getSession(sessionId);
+    session.status = 'expired';
+    return createEvent('checkout.session.expired', session);
+}
+
+/**
+ * Refund a paid session (test control)
+ * @param {string} sessionId - Paid session
+ * @param {Object} options - { amount (minor units, default: the rest of the charge), metadata }
+ * @returns {Object} - Signed charge.refunded event
+ */
+function refundCheckout(sessionId, { amount, metadata = {} } = {}) {
+    const session = getSession(sessionId);
+    const charge = [...charges.values()].find(charge => charge.payment_intent === session.payment_intent);
+    if (!charge) {
+        throw stripeError('StripeInvalidRequestError', `Checkout session ${sessionId} has not been paid`);
+    }
+
+    const refundAmount = amount || charge.amount - charge.amount_refunded;
+    charge.refunds.data.push({
+        id: createId('re_fake'),
+        object: 'refund',
+        amount: refundAmount,
+        charge: charge.id,
+        currency: charge.currency,
+        metadata: metadata,
+        reason: 'requested_by_customer',
+        status: 'succeeded'
+    });
+    charge.amount_refunded += refundAmount;
+    charge.refunded = charge.amount_refunded >= charge.amount;
+
+    return createEvent('charge.refunded', charge);
+}
+
+// Create the fake provider
+function createProvider() {
+    return {
+        name: 'fake',
+        mode: 'FAKE',
+
+        checkConfig() {
+            if (['production', 'preview'].includes(process.env.VERCEL_ENV)) {
+                return { message: 'The fake payment provider cannot be used on a deployed site', expectedKey: 'PAYMENT_PROVIDER' };
+            }
+            return null;
+        },
+
+        getPublishableKey() {
+            return { publishableKey: 'pk_fake_local', expectedKey: 'PAYMENT_PROVIDER' };
+        },
+
+        async createCheckoutSession(params, { idempotencyKey } = {}) {
+            // Same key and parameters - the same session (like Stripe's idempotency)
+            if (idempotencyKey && idempotencyKeys.has(idempotencyKey)) {
+                const previous = idempotencyKeys.get(idempotencyKey);
+                if (previous.params !== JSON.stringify(params)) {
+                    throw stripeError('StripeIdempotencyError', 'Keys for idempotent requests can only be used with the same parameters they were first used with.');
+                }
+                return copy(getSession(previous.sessionId));
+            }
+
+            const sessionId = createId('cs_test_fake');
+            const lineItems = (params.line_items || []).map(toLineItem);
+            const amountTotal = lineItems.reduce((sum, item) => sum + item.amount_total, 0);
+
+            const session = {
+                id: sessionId,
+                object: 'checkout.session',
+                mode: params.mode || 'payment',
+                status: 'open',
+                payment_status: 'unpaid',
+                currency: lineItems[0]?.currency || null,
+                amount_subtotal: amountTotal,
+                amount_total: amountTotal,
+                customer_email: params.customer_email || null,
+                customer_details: null,
+                shipping_address_collection: params.shipping_address_collection || null,
+                shipping_details: null, // Set when paid, if a shipping address is collected
+                metadata: params.metadata || {},
+                payment_method_types: params.payment_method_types || ['card'],
+                payment_intent: null,
+                subscription: null, // Set when a subscription checkout is completed
+                success_url: (params.success_url || '').replace('{CHECKOUT_SESSION_ID}', sessionId),
+                cancel_url: params.cancel_url || null,
+                url: null, // No hosted checkout page - pay with completeCheckout()
+                created: Math.floor(Date.now() / 1000),
+                line_items: { object: 'list', data: lineItems }
+            };
+            sessions.set(sessionId, session);
+            if (params.subscription_data?.metadata) {
+                subscriptionMetadata.set(sessionId, params.subscription_data.metadata);
+            }
+
+            if (idempotencyKey) {
+                idempotencyKeys.set(idempotencyKey, { params: JSON.stringify(params), sessionId: sessionId });
+            }
+
+            const { line_items, ...created } = session;
+            return copy(created);
+        },
+
+        async retrieveCheckoutSession(sessionId, { lineItems = false } = {}) {
+            const { line_items, ...session } = getSession(sessionId);
+            return copy(lineItems ? { ...session, line_items: line_items } : session);
+        },
+
+        verifyWebhookEvent(rawBody, signature) {
+            const parts = Object.fromEntries(String(signature).split(',').map(part => part.split('=')));
+            const timestamp = parseInt(parts.t, 10);
+            const expected = signPayload(rawBody, timestamp).split('v1=')[1];
+
+            const valid = parts.v1 && parts.v1.length === expected.length &&
+                crypto.timingSafeEqual(Buffer.from(parts.v1), Buffer.from(expected));
+            if (!valid) {
+                throw stripeError('StripeSignatureVerificationError', 'No signatures found matching the expected signature for payload');
+            }
+            if (Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+                throw stripeError('StripeSignatureVerificationError', 'Timestamp outside the tolerance zone');
+            }
+            return JSON.parse(rawBody);
+        },
+
+        async findCheckoutSessionId(paymentIntentId) {
+            const session = [...sessions.values()].find(session => session.payment_intent === paymentIntentId);
+            return session ? session.id : null;
+        },
+
+        async listRefunds(chargeId) {
+            const charge = charges.get(chargeId);
+            return charge ? copy(charge.refunds.data) : [];
+        },
+
+        async retrieveCharge(chargeId) {
+            const charge = charges.get(chargeId);
+            if (!charge) {
+                throw stripeError('StripeInvalidRequestError', `No such charge: '${chargeId}'`);
+            }
+            return copy(charge);
+        }
+    };
+}
+
+module.exports = {
+    createProvider,
+    signPayload,
+    createEvent,
+    completeCheckout,
+    settleAsyncPayment,
+    payInvoice,
+    cancelSubscription,
+    expireCheckout,
+    refundCheckout
+};
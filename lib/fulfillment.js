@@ -0,0 +1,192 @@
+/**
+ * Print Fulfillment
+ * Prints (purchase.prints) are made by a print lab and shipped to the address collected at checkout. Once an order
+ * with prints is paid, the webhook turns each print into a fulfillment job (fulfillment_job:<job ID>), listed in
+ * the fulfillment_jobs index (job ID -> status). Jobs move forward through:
+ * queued -> sent_to_lab -> shipped (with a tracking number) -> delivered
+ *
+ * Jobs are advanced by the admin endpoint (/api/admin); the customer sees each print's status on their order page.
+ * The job ID is derived from the session and photo, so a redelivered webhook never queues a print twice.
+ */
+
+const mailer = require('./mailer');
+
+const FULFILLMENT_QUEUED = 'queued';
+const FULFILLMENT_SENT_TO_LAB = 'sent_to_lab';
+const FULFILLMENT_SHIPPED = 'shipped';
+const FULFILLMENT_DELIVERED = 'delivered';
+
+// In order - a job only moves forward
+const FULFILLMENT_STATUSES = [FULFILLMENT_QUEUED, FULFILLMENT_SENT_TO_LAB, FULFILLMENT_SHIPPED, FULFILLMENT_DELIVERED];
+
+const STATUS_LABELS = {
+    queued: 'Order received',
+    sent_to_lab: 'Being printed',
+    shipped: 'Shipped',
+    delivered: 'Delivered'
+};
+
+// Countries prints are shipped to (Stripe Checkout shipping_address_collection)
+const SHIPPING_COUNTRIES = ['AU', 'NZ', 'US', 'CA', 'GB', 'IN'];
+
+const ORDER_PAGE_URL = 'https://www.ifeelworld.com/payment-success.html';
+
+// Fulfillment job ID for a print in an order
+function getJobId(sessionId, productId) {
+    return `print_${sessionId}_${productId}`;
+}
+
+// Check fulfillment job ID format (print_<session ID>_<productId>)
+function isJobId(jobId) {
+    return typeof jobId === 'string' && /^print_[A-Za-z0-9_]+_[a-z0-9-]+$/.test(jobId) && jobId.length <= 200;
+}
+
+/**
+ * Shipping address collected by Stripe Checkout
+ * @param {Object} session - Stripe checkout session
+ * @returns {Object|null} - { name, phone, address: { line1, line2, city, state, postal_code, country } }, or null if none
+ */
+function getShippingAddress(session) {
+    const shipping = session.shipping_details || session.shipping;
+    if (!shipping || !shipping.address) return null;
+
+    return {
+        name: shipping.name || session.customer_details?.name || null,
+        phone: shipping.phone || session.customer_details?.phone || null,
+        address: {
+            line1: shipping.address.line1 || null,
+            line2: shipping.address.line2 || null,
+            city: shipping.address.city || null,
+            state: shipping.address.state || null,
+            postal_code: shipping.address.postal_code || null,
+            country: shipping.address.country || null
+        }
+    };
+}
+
+/**
+ * Build the fulfillment jobs for a paid purchase (one per print)
+ * @param {Object} purchase - Purchase record with prints and shipping
+ * @returns {Array} - Jobs
+ */
+function buildFulfillmentJobs(purchase) {
+    const now = new Date().toISOString();
+    return (purchase.prints || []).map(print => ({
+        jobId: getJobId(purchase.session_id, print.productId),
+        sessionId: purchase.session_id,
+        email: purchase.email || purchase.customer_email,
+        productId: print.productId,
+        title: print.title,
+        imageHQ: print.imageHQ, // Print file
+        dimension: print.dimension,
+        dimensionLabel: print.dimensionLabel,
+        quantity: print.quantity,
+        shipping: purchase.shipping || null,
+        status: FULFILLMENT_QUEUED,
+        trackingNumber: null,
+        carrier: null,
+        history: [{ status: FULFILLMENT_QUEUED, at: now }],
+        createdAt: now,
+        updatedAt: now
+    }));
+}
+
+/**
+ * Advance a job (admin)
+ * The status can only move forward; a job is shipped with a tracking number. A tracking number can be
+ * recorded on its own (e.g. corrected) once the job is with the lab
+ * @param {Object} job - Current job
+ * @param {Object} update - { status, trackingNumber, carrier, note }
+ * @returns {Object} - { job } (updated) or { error } with a message for the admin
+ */
+function advanceJob(job, { status, trackingNumber, carrier, note } = {}) {
+    const targetStatus = status || job.status;
+    const currentIndex = FULFILLMENT_STATUSES.indexOf(job.status);
+    const targetIndex = FULFILLMENT_STATUSES.indexOf(targetStatus);
+
+    if (targetIndex === -1) {
+        return { error: `Unknown status "${status}". Statuses: ${FULFILLMENT_STATUSES.join(', ')}` };
+    }
+    if (targetIndex < currentIndex || (status && targetIndex === currentIndex && !trackingNumber)) {
+        return { error: `Job ${job.jobId} is already ${job.status} - it can only move forward` };
+    }
+    if (!status && !trackingNumber) {
+        return { error: 'Provide a status, a tracking number, or both' };
+    }
+
+    const tracking = trackingNumber ? String(trackingNumber).trim().substring(0, 100) : job.trackingNumber;
+    if (targetIndex >= FULFILLMENT_STATUSES.indexOf(FULFILLMENT_SHIPPED) && !tracking) {
+        return { error: 'A tracking number is required to mark a print as shipped' };
+    }
+    if (trackingNumber && targetIndex < FULFILLMENT_STATUSES.indexOf(FULFILLMENT_SENT_TO_LAB)) {
+        return { error: 'A tracking number can only be recorded once the print is with the lab' };
+    }
+
+    const now = new Date().toISOString();
+    return {
+        job: {
+            ...job,
+            status: targetStatus,
+            trackingNumber: tracking || null,
+            carrier: carrier ? String(carrier).trim().substring(0, 100) : job.carrier,
+            history: [
+                ...(job.history || []),
+                { status: targetStatus, at: now, ...(trackingNumber ? { trackingNumber: tracking } : {}), ...(note ? { note: String(note).substring(0, 500) } : {}) }
+            ],
+            ...(targetStatus !== job.status ? { [`${targetStatus}At`]: now } : {}),
+            updatedAt: now
+        }
+    };
+}
+
+// Fulfillment status for the customer's order page (no address or internal notes)
+function describeJob(job) {
+    if (!job) {
+        return { status: FULFILLMENT_QUEUED, statusLabel: STATUS_LABELS[FULFILLMENT_QUEUED], trackingNumber: null, carrier: null, updatedAt: null };
+    }
+    return {
+        status: job.status,
+        statusLabel: STATUS_LABELS[job.status] || job.status,
+        trackingNumber: job.trackingNumber || null,
+        carrier: job.carrier || null,
+        updatedAt: job.updatedAt
+    };
+}
+
+/**
+ * Email the customer that a print has shipped
+ * @param {Object} job - Shipped job
+ * @returns {Promise<boolean>} - true if the email was sent
+ */
+async function sendShippedEmail(job) {
+    return mailer.sendMail({
+        to: job.email,
+        subject: `Your ${job.title} print is on its way`,
+        text: [
+            `Good news - your ${job.dimensionLabel} of ${job.title}${job.quantity > 1 ? ` (x${job.quantity})` : ''} has shipped.`,
+            '',
+            `Tracking number: ${job.trackingNumber}${job.carrier ? ` (${job.carrier})` : ''}`,
+            '',
+            'Follow your order:',
+            `${ORDER_PAGE_URL}?session_id=${encodeURIComponent(job.sessionId)}`,
+            '',
+            'ifeelworld'
+        ].join('\n')
+    });
+}
+
+module.exports = {
+    FULFILLMENT_QUEUED,
+    FULFILLMENT_SENT_TO_LAB,
+    FULFILLMENT_SHIPPED,
+    FULFILLMENT_DELIVERED,
+    FULFILLMENT_STATUSES,
+    SHIPPING_COUNTRIES,
+    getJobId,
+    isJobId,
+    getShippingAddress,
+    buildFulfillmentJobs,
+    advanceJob,
+    describeJob,
+    sendShippedEmail
+};
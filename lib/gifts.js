@@ -0,0 +1,98 @@
+/**
+ * Gift Purchases
+ * A gift order stores the recipient on the checkout cart (temp_cart:) record. When the webhook
+ * records the purchase, the photos become a separate entitlement for the recipient, stored as
+ * purchase:gift_<token>. The recipient claims and downloads with that token (their claim link);
+ * the buyer's cs_ session ID shows the claim link but cannot be used to download the photos.
+ */
+
+const crypto = require('crypto');
+
+const GIFT_ID_PREFIX = 'gift_';
+const MAX_GIFT_MESSAGE_LENGTH = 500;
+const CLAIM_PAGE_URL = 'https://www.ifeelworld.com/payment-success.html';
+
+// Check if an ID is a gift claim token (gift_<hex>)
+function isGiftId(id) {
+    return typeof id === 'string' && /^gift_[a-f0-9]{48}$/.test(id);
+}
+
+// Generate an unguessable gift claim token
+function createGiftId() {
+    return `${GIFT_ID_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+}
+
+// Build the link the recipient uses to claim their photos
+function getClaimUrl(giftId) {
+    return `${CLAIM_PAGE_URL}?gift=${encodeURIComponent(giftId)}`;
+}
+
+/**
+ * Validate gift details sent at checkout
+ * @param {Object} body - Checkout request body (gift_recipient_email, gift_message)
+ * @returns {Object} - { gift } (null when not a gift) or { error } with a customer-facing message
+ */
+function parseGiftRequest(body) {
+    const recipientEmail = typeof body.gift_recipient_email === 'string' ? body.gift_recipient_email.trim() : '';
+    const message = typeof body.gift_message === 'string' ? body.gift_message.trim() : '';
+
+    if (!recipientEmail) {
+        return message ? { error: 'A gift message needs a recipient email' } : { gift: null };
+    }
+
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(recipientEmail) || recipientEmail.length > 254) {
+        return { error: 'Gift recipient email is not a valid email address' };
+    }
+
+    if (message.length > MAX_GIFT_MESSAGE_LENGTH) {
+        return { error: `Gift message must be ${MAX_GIFT_MESSAGE_LENGTH} characters or fewer` };
+    }
+
+    return { gift: { recipientEmail: recipientEmail.toLowerCase(), message: message } };
+}
+
+/**
+ * Build the recipient's entitlement from the buyer's purchase record
+ * Same shape as a purchase (products, download tracking) so the download actions work unchanged
+ * @param {string} giftId - Gift claim token
+ * @param {Object} purchaseData - Buyer's purchase record (as built by the webhook)
+ * @param {Object} gift - { recipientEmail, message }
+ * @returns {Object} - Gift purchase record
+ */
+function buildGiftEntitlement(giftId, purchaseData, gift) {
+    return {
+        ...purchaseData,
+        session_id: giftId,
+        email: gift.recipientEmail,
+        customer_email: gift.recipientEmail,
+        downloaded: {},
+        download_uses: {},
+        download_count: Object.fromEntries(Object.keys(purchaseData.download_count || {}).map(productId => [productId, 0])),
+        quantity_downloaded: {},
+        downloadsUsed: 0,
+        gift: {
+            giftId: giftId,
+            purchaseSessionId: purchaseData.session_id, // Buyer's order
+            from: purchaseData.customer_email || purchaseData.email,
+            recipientEmail: gift.recipientEmail,
+            message: gift.message,
+            claimedAt: null
+        }
+    };
+}
+
+// Check if a purchase record is the buyer's side of a gift (photos belong to the recipient)
+function isGiftedPurchase(purchase, sessionId) {
+    return !!(purchase && purchase.gift && purchase.gift.giftId && !isGiftId(sessionId));
+}
+
+module.exports = {
+    GIFT_ID_PREFIX,
+    MAX_GIFT_MESSAGE_LENGTH,
+    isGiftId,
+    createGiftId,
+    getClaimUrl,
+    parseGiftRequest,
+    buildGiftEntitlement,
+    isGiftedPurchase
+};
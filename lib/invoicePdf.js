@@ -0,0 +1,195 @@
+/**
+ * Invoice PDF
+ * Renders a tax invoice (lib/invoices.js) as a PDF. Writes the PDF directly - plain text in the
+ * standard Helvetica and Courier fonts, so there is nothing to install and no fonts to embed.
+ * Amounts use Courier (fixed width) so the columns can be right-aligned exactly.
+ * Text is Latin-1 only; other characters are replaced with "?".
+ */
+
+const currency = require('./currency');
+
+// A4 in points
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 50;
+const LINE_HEIGHT = 15;
+const COURIER_CHAR_WIDTH = 0.6; // Courier glyphs are 600/1000 em wide
+
+const FONTS = {
+    regular: 'F1', // Helvetica
+    bold: 'F2', // Helvetica-Bold
+    mono: 'F3' // Courier
+};
+
+// Helper: Escape text for a PDF string literal (Latin-1 only)
+function pdfText(text) {
+    return String(text)
+        .replace(/[^\x20-\x7e\xa0-\xff]/g, '?')
+        .replace(/\\/g, '\\\\')
+        .replace(/\(/g, '\\(')
+        .replace(/\)/g, '\\)');
+}
+
+// Helper: Format an amount with its currency code (e.g. "AUD 12.50") - no symbols, ₹ is not in Latin-1
+function formatAmount(amount, currencyCode) {
+    const details = currency.CURRENCIES[currencyCode] || currency.CURRENCIES[currency.DEFAULT_CURRENCY];
+    return `${details.code} ${amount.toFixed(details.decimals).replace(/\B(?=(\d{3})+(?!\d))/g, ',')}`;
+}
+
+// Helper: Lay out text on pages, starting a new page when the current one is full
+function createLayout() {
+    const pages = [[]];
+    let y = PAGE_HEIGHT - MARGIN;
+
+    return {
+        pages: pages,
+        // Draw text at x on the current line (align "right" ends the text at x - Courier only)
+        text(x, value, font = 'regular', size = 10, align = 'left') {
+            const width = align === 'right' ? String(value).length * size * COURIER_CHAR_WIDTH : 0;
+            pages[pages.length - 1].push(`BT /${FONTS[font]} ${size} Tf ${(x - width).toFixed(2)} ${y.toFixed(2)} Td (${pdfText(value)}) Tj ET`);
+        },
+        // Draw a horizontal rule just below the current line
+        rule() {
+            pages[pages.length - 1].push(`0.5 w ${MARGIN} ${y - 4} m ${PAGE_WIDTH - MARGIN} ${y - 4} l S`);
+        },
+        // Move down (new page if there is no room left)
+        newLine(lines = 1) {
+            y -= LINE_HEIGHT * lines;
+            if (y < MARGIN + LINE_HEIGHT) {
+                pages.push([]);
+                y = PAGE_HEIGHT - MARGIN;
+            }
+        }
+    };
+}
+
+// Helper: Assemble PDF objects (page content streams) into a PDF file
+function buildPdf(pageContents) {
+    const objects = [];
+    const pageCount = pageContents.length;
+    const firstPageId = 6; // 1 catalog, 2 pages, 3-5 fonts, then page + content pairs
+
+    objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+    objects[2] = `<< /Type /Pages /Count ${pageCount} /Kids [${pageContents.map((_, index) => `${firstPageId + index * 2} 0 R`).join(' ')}] >>`;
+    objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+    objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+    objects[5] = '<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>';
+
+    pageContents.forEach((operations, index) => {
+        const pageId = firstPageId + index * 2;
+        const stream = operations.join('\n');
+        objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+            `/Resources << /Font << /F1 3 0 R /F2 4 0 R /F3 5 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+        objects[pageId + 1] = `<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`;
+    });
+
+    // Byte offsets of each object for the cross-reference table
+    let pdf = '%PDF-1.4\n';
+    const offsets = [];
+    for (let id = 1; id < objects.length; id++) {
+        offsets[id] = Buffer.byteLength(pdf, 'latin1');
+        pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+    }
+
+    const xrefOffset = Buffer.byteLength(pdf, 'latin1');
+    pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+    for (let id = 1; id < objects.length; id++) {
+        pdf += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+    }
+    pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(pdf, 'latin1');
+}
+
+/**
+ * Render a tax invoice as a PDF
+ * @param {Object} invoice - Invoice (as built by lib/invoices.js buildInvoice)
+ * @returns {Buffer} - PDF file
+ */
+function renderInvoicePdf(invoice) {
+    const layout = createLayout();
+    const right = PAGE_WIDTH - MARGIN;
+    const amount = value => formatAmount(value, invoice.currency);
+
+    // Heading and seller
+    layout.text(MARGIN, 'TAX INVOICE', 'bold', 20);
+    layout.newLine(2);
+    layout.text(MARGIN, invoice.seller.name, 'bold', 11);
+    layout.newLine();
+    layout.text(MARGIN, `ABN: ${invoice.seller.abn || '-'}`);
+    layout.newLine();
+    for (const line of invoice.seller.address) {
+        layout.text(MARGIN, line);
+        layout.newLine();
+    }
+    layout.text(MARGIN, invoice.seller.email);
+    layout.newLine(2);
+
+    // Invoice details
+    layout.text(MARGIN, 'Invoice number:', 'bold');
+    layout.text(MARGIN + 110, invoice.number);
+    layout.newLine();
+    layout.text(MARGIN, 'Date of issue:', 'bold');
+    layout.text(MARGIN + 110, new Date(invoice.issuedAt).toLocaleDateString('en-AU', { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'Australia/Sydney' }));
+    layout.newLine();
+    layout.text(MARGIN, 'Order reference:', 'bold');
+    layout.text(MARGIN + 110, invoice.sessionId, 'regular', 8);
+    layout.newLine(2);
+
+    // Buyer
+    layout.text(MARGIN, 'Bill to', 'bold', 11);
+    layout.newLine();
+    for (const line of [invoice.buyer.name, invoice.buyer.email, ...invoice.buyer.address]) {
+        if (!line) continue;
+        layout.text(MARGIN, line);
+        layout.newLine();
+    }
+    if (invoice.buyer.abn) {
+        layout.text(MARGIN, `ABN: ${invoice.buyer.abn}`);
+        layout.newLine();
+    }
+    layout.newLine();
+
+    // Line items
+    layout.text(MARGIN, 'Description', 'bold');
+    layout.text(right - 190, 'Qty', 'bold');
+    layout.text(right - 150, 'Unit price', 'bold');
+    layout.text(right - 45, 'Amount', 'bold');
+    layout.rule();
+    layout.newLine(1.5);
+    for (const line of invoice.lines) {
+        layout.text(MARGIN, line.description.length > 48 ? `${line.description.substring(0, 47)}...` : line.description);
+        layout.text(right - 170, String(line.quantity), 'mono', 10, 'right');
+        layout.text(right - 85, amount(line.unitPrice), 'mono', 10, 'right');
+        layout.text(right, amount(line.amount), 'mono', 10, 'right');
+        layout.newLine();
+    }
+    layout.rule();
+    layout.newLine(1.5);
+
+    // Totals
+    const totals = [
+        ['Subtotal', invoice.subtotal, 'regular'],
+        ...(invoice.discount > 0 ? [['Discount', -invoice.discount, 'regular']] : []),
+        [invoice.gstApplies ? 'Total (including GST)' : 'Total', invoice.total, 'bold'],
+        [invoice.gstApplies ? 'GST included (10%)' : 'GST', invoice.gst, 'regular']
+    ];
+    for (const [label, value, font] of totals) {
+        layout.text(right - 280, label, font);
+        layout.text(right, amount(value), 'mono', 10, 'right');
+        layout.newLine();
+    }
+    layout.newLine();
+
+    layout.text(MARGIN, invoice.gstApplies
+        ? 'The total price includes GST.'
+        : 'GST-free: digital products supplied to a customer outside Australia.', 'regular', 9);
+    layout.newLine();
+    layout.text(MARGIN, `Paid in full via Stripe. Currency: ${currency.CURRENCIES[invoice.currency]?.label || invoice.currency.toUpperCase()} (${invoice.currency.toUpperCase()}).`, 'regular', 9);
+
+    return buildPdf(layout.pages);
+}
+
+module.exports = {
+    renderInvoicePdf
+};
@@ -0,0 +1,136 @@
+/**
+ * Tax Invoices
+ * Every recorded purchase gets an Australian tax invoice with a sequential number (IFW-000001, IFW-000002, ...).
+ * The sequence is a counter in Redis (invoice:sequence); the invoice is stored with the purchase
+ * (purchase.invoice), so it is numbered once even if Stripe delivers the webhook again.
+ *
+ * Prices are GST-inclusive. GST (1/11 of the amount paid) applies to sales to customers in Australia -
+ * and when the customer's country is unknown. Digital photos sold to customers outside Australia are GST-free.
+ *
+ * Environment variables:
+ * - INVOICE_SELLER_ABN: Seller's ABN (required on a tax invoice)
+ * - INVOICE_SELLER_NAME: Seller's legal or business name (default: ifeelworld)
+ * - INVOICE_SELLER_ADDRESS: Seller's address, lines separated by "|" (optional)
+ * - INVOICE_SELLER_EMAIL: Contact email (default: hello@ifeelworld.com)
+ */
+
+const catalog = require('./catalog');
+const currency = require('./currency');
+
+const INVOICE_PREFIX = 'IFW-';
+const GST_COUNTRY = 'AU';
+
+// Format an invoice number from the Redis sequence (e.g. 42 → IFW-000042)
+function formatInvoiceNumber(sequence) {
+    return `${INVOICE_PREFIX}${String(sequence).padStart(6, '0')}`;
+}
+
+// Seller details printed on every invoice
+function getSeller() {
+    if (!process.env.INVOICE_SELLER_ABN) {
+        console.warn('⚠️ INVOICE_SELLER_ABN not set - invoices are missing the seller ABN');
+    }
+    return {
+        name: process.env.INVOICE_SELLER_NAME || 'ifeelworld',
+        abn: process.env.INVOICE_SELLER_ABN || '',
+        address: (process.env.INVOICE_SELLER_ADDRESS || '').split('|').map(line => line.trim()).filter(line => line),
+        email: process.env.INVOICE_SELLER_EMAIL || 'hello@ifeelworld.com'
+    };
+}
+
+// Buyer details from the Stripe checkout session (name and address only if Stripe collected them)
+function getBuyer(session, purchaseData) {
+    const details = session.customer_details || {};
+    const address = details.address || {};
+    const abn = (details.tax_ids || []).find(taxId => taxId.type === 'au_abn');
+
+    return {
+        name: details.name || '',
+        email: purchaseData.customer_email || purchaseData.email,
+        address: [
+            address.line1,
+            address.line2,
+            [address.city, address.state, address.postal_code].filter(part => part).join(' '),
+            address.country
+        ].filter(line => line),
+        country: address.country || null,
+        abn: abn ? abn.value : ''
+    };
+}
+
+// Helper: Invoice line for a purchased photo or bundle (amounts in minor units)
+function buildLine(title, license, price, quantity, currencyCode) {
+    const licenseTier = catalog.getLicense(license) || catalog.getLicense(catalog.DEFAULT_LICENSE);
+    const unitAmount = currency.toMinorUnits(price || 0, currencyCode);
+    return {
+        description: `${title} - ${licenseTier.label} License`,
+        quantity: quantity,
+        unitAmount: unitAmount,
+        amount: unitAmount * quantity
+    };
+}
+
+/**
+ * Build the tax invoice for a purchase
+ * @param {number} sequence - Next value of the invoice sequence
+ * @param {Object} purchaseData - Purchase record (as built by the webhook)
+ * @param {Object} session - Stripe checkout session (buyer details and amount paid)
+ * @returns {Object} - Invoice (amounts in the currency charged, e.g. 12.5 = A$12.50)
+ */
+function buildInvoice(sequence, purchaseData, session) {
+    const currencyCode = purchaseData.currency || currency.DEFAULT_CURRENCY;
+    const buyer = getBuyer(session, purchaseData);
+
+    // Bundles are one line each; their member photos are not charged separately
+    const lines = [
+        ...(purchaseData.bundles || []).map(bundle =>
+            buildLine(`${bundle.title} (${bundle.productIds.length} photos)`, bundle.license, bundle.price, bundle.quantity, currencyCode)
+        ),
+        ...(purchaseData.creditPacks || []).map(pack =>
+            buildLine(pack.title, pack.license, pack.price, pack.quantity, currencyCode)
+        ),
+        // Memberships: the first billing period (renewals are invoiced by Stripe)
+        ...(purchaseData.membership ? [
+            buildLine(`${purchaseData.membership.title} (first ${purchaseData.membership.interval})`, purchaseData.membership.license, purchaseData.membership.price, 1, currencyCode)
+        ] : []),
+        ...(purchaseData.prints || []).map(print =>
+            buildLine(`${print.title} - ${print.dimensionLabel}`, print.license, print.price, print.quantity, currencyCode)
+        ),
+        ...(purchaseData.products || [])
+            .filter(product => !product.bundleId)
+            .map(product => buildLine(product.title, product.license, product.price, product.quantity || 1, currencyCode))
+    ];
+
+    const subtotal = lines.reduce((sum, line) => sum + line.amount, 0);
+    const total = typeof session.amount_total === 'number' ? session.amount_total : subtotal;
+    const gstApplies = !buyer.country || buyer.country === GST_COUNTRY;
+    const gst = gstApplies ? Math.round(total / 11) : 0; // GST-inclusive price: GST is 1/11 of the total
+
+    const toAmount = minorUnits => currency.fromMinorUnits(minorUnits, currencyCode);
+
+    return {
+        number: formatInvoiceNumber(sequence),
+        issuedAt: new Date().toISOString(),
+        sessionId: purchaseData.session_id,
+        seller: getSeller(),
+        buyer: buyer,
+        currency: currencyCode,
+        lines: lines.map(line => ({
+            description: line.description,
+            quantity: line.quantity,
+            unitPrice: toAmount(line.unitAmount),
+            amount: toAmount(line.amount)
+        })),
+        subtotal: toAmount(subtotal),
+        discount: toAmount(Math.max(0, subtotal - total)), // Promotion codes
+        total: toAmount(total),
+        gst: toAmount(gst),
+        gstApplies: gstApplies
+    };
+}
+
+module.exports = {
+    INVOICE_PREFIX,
+    formatInvoiceNumber,
+    buildInvoice
+};
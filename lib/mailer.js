@@ -0,0 +1,145 @@
+/**
+ * Transactional Email
+ * Messages go through a pluggable transport, chosen by MAIL_TRANSPORT:
+ * - resend: Resend's HTTP API (default when RESEND_API_KEY is set)
+ * - file: Writes each message as an .eml file to MAIL_OUTBOX_DIR - for local testing, nothing is sent
+ * - log: Only logs the message and resolves false, so callers can tell the customer it was not sent
+ *   (default without RESEND_API_KEY - local development, preview deployments)
+ * Other transports can be installed with setTransport (e.g. a different provider)
+ *
+ * Environment variables:
+ * - MAIL_TRANSPORT: resend, file or log (optional)
+ * - RESEND_API_KEY: API key for https://resend.com
+ * - MAIL_FROM: Sender, e.g. "ifeelworld <hello@ifeelworld.com>" (domain must be verified in Resend)
+ * - MAIL_OUTBOX_DIR: Directory for the file transport (default: <os temp dir>/ifeelworld-mail)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const RESEND_ENDPOINT = 'https://api.resend.com/emails';
+const DEFAULT_FROM = 'ifeelworld <hello@ifeelworld.com>';
+
+// Transport installed with setTransport (null = choose from MAIL_TRANSPORT)
+let customTransport = null;
+
+// Transport: Resend HTTP API
+async function sendWithResend(message) {
+    const apiKey = process.env.RESEND_API_KEY;
+    if (!apiKey) {
+        console.error('❌ MAIL_TRANSPORT is resend but RESEND_API_KEY is not set');
+        return false;
+    }
+
+    const response = await fetch(RESEND_ENDPOINT, {
+        method: 'POST',
+        headers: {
+            'Authorization': `Bearer ${apiKey}`,
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+            from: message.from,
+            to: [message.to],
+            subject: message.subject,
+            text: message.text,
+            html: message.html || undefined
+        })
+    });
+
+    if (!response.ok) {
+        const errorText = await response.text().catch(() => '');
+        console.error(`❌ Email to ${message.to} rejected (${response.status}): ${errorText.substring(0, 200)}`);
+        return false;
+    }
+
+    return true;
+}
+
+// Transport: Write the message to the outbox directory (one .eml file per message)
+async function sendToFile(message) {
+    const outboxDir = process.env.MAIL_OUTBOX_DIR || path.join(os.tmpdir(), 'ifeelworld-mail');
+    await fs.promises.mkdir(outboxDir, { recursive: true });
+
+    const slug = message.subject.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').substring(0, 40);
+    const filePath = path.join(outboxDir, `${Date.now()}-${Math.random().toString(36).substr(2, 6)}-${slug}.eml`);
+    const headers = [
+        `From: ${message.from}`,
+        `To: ${message.to}`,
+        `Subject: ${message.subject}`,
+        `Date: ${new Date().toUTCString()}`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8'
+    ];
+
+    await fs.promises.writeFile(filePath, `${headers.join('\r\n')}\r\n\r\n${message.text}\r\n`, 'utf8');
+    console.log(`📧 Email written to ${filePath}`);
+    return true;
+}
+
+// Transport: Log only (email is not sent)
+async function logOnly(message) {
+    console.warn(`⚠️ No mail transport configured - email not sent to ${message.to}: ${message.subject}`);
+    if (process.env.NODE_ENV === 'development') {
+        console.log(`📧 ${message.subject}\n${message.text}`);
+    }
+    return false;
+}
+
+const TRANSPORTS = {
+    resend: sendWithResend,
+    file: sendToFile,
+    log: logOnly
+};
+
+// Helper: Get the active transport
+function getTransport() {
+    if (customTransport) return customTransport;
+
+    const name = process.env.MAIL_TRANSPORT || (process.env.RESEND_API_KEY ? 'resend' : 'log');
+    if (!TRANSPORTS[name]) {
+        console.error(`❌ Unknown MAIL_TRANSPORT "${name}". Supported transports: ${Object.keys(TRANSPORTS).join(', ')}`);
+        return logOnly;
+    }
+    return TRANSPORTS[name];
+}
+
+/**
+ * Install a custom transport (null restores the MAIL_TRANSPORT selection)
+ * @param {Function|null} transport - async ({ from, to, subject, text, html }) => boolean (true if accepted for delivery)
+ */
+function setTransport(transport) {
+    customTransport = transport || null;
+}
+
+/**
+ * Send an email
+ * @param {Object} message - { to, subject, text, html }
+ * @returns {Promise<boolean>} - true if the email was accepted for delivery
+ */
+async function sendMail({ to, subject, text, html }) {
+    const message = {
+        from: process.env.MAIL_FROM || DEFAULT_FROM,
+        to: to,
+        subject: subject,
+        text: text,
+        html: html
+    };
+
+    try {
+        const sent = await getTransport()(message);
+        if (sent) {
+            console.log(`📧 Email sent to ${to}: ${subject}`);
+        }
+        return sent === true;
+    } catch (error) {
+        console.error(`❌ Error sending email to ${to}:`, error.message);
+        return false;
+    }
+}
+
+module.exports = {
+    TRANSPORTS,
+    setTransport,
+    sendMail
+};
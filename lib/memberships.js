@@ -0,0 +1,185 @@
+/**
+ * Memberships
+ * Membership plans (data/memberships.json) are bought through checkout like any product, as a Stripe subscription
+ * (mode "subscription"). Members download photos of their choice - up to the plan's allowance per billing period -
+ * under the license they subscribed to.
+ *
+ * The membership record (membership:<subscription ID>) follows the subscription's webhook events:
+ * - invoice.paid starts the billing period the invoice paid for; a new period starts with the full allowance
+ * - customer.subscription.deleted ends the membership; nothing more is delivered
+ * The plan travels in the subscription's metadata, so invoice.paid can create the record before
+ * checkout.session.completed has been processed.
+ *
+ * The member's checkout session ID (cs_...) is their download key: the purchase recorded for that session points
+ * to the subscription (purchase.membership). Photos downloaded in a period are recorded per period, so downloading
+ * the same photo again in that period doesn't use up another download.
+ */
+
+const catalog = require('./catalog');
+
+const MEMBERSHIP_ACTIVE = 'active';
+const MEMBERSHIP_CANCELED = 'canceled';
+
+// Renewal invoices are paid shortly after the period ends - keep downloads open meanwhile
+const PERIOD_GRACE_SECONDS = 60 * 60 * 24;
+
+// Subscription ID of an invoice (null if the invoice isn't for a subscription)
+function getSubscriptionId(invoice) {
+    if (!invoice || !invoice.subscription) return null;
+    return typeof invoice.subscription === 'string' ? invoice.subscription : invoice.subscription.id || null;
+}
+
+// Billing period an invoice paid for ({ start, end } in Unix seconds - null if unknown)
+function getInvoicePeriod(invoice) {
+    const lines = invoice.lines?.data || [];
+    const line = lines.find(line => line.type === 'subscription') || lines[0];
+    return line?.period?.start && line?.period?.end ? { start: line.period.start, end: line.period.end } : null;
+}
+
+/**
+ * Subscription metadata for a membership checkout (read back from invoice and subscription events)
+ * @param {Object} plan - Priced membership plan (catalog.priceCart item)
+ * @returns {Object} - { membership_plan, downloads, license }
+ */
+function buildSubscriptionMetadata(plan) {
+    return {
+        membership_plan: plan.productId,
+        downloads: String(plan.downloads),
+        license: plan.license
+    };
+}
+
+// Helper: New membership record from subscription metadata
+function buildMembership(subscriptionId, metadata, customerId) {
+    const plan = catalog.getMembershipPlan(metadata.membership_plan);
+    return {
+        subscriptionId: subscriptionId,
+        customerId: customerId || null,
+        email: null,
+        planId: metadata.membership_plan,
+        title: plan?.title || metadata.membership_plan,
+        license: metadata.license || catalog.DEFAULT_LICENSE,
+        downloadsPerPeriod: parseInt(metadata.downloads, 10) || plan?.downloads || 0, // As sold at checkout
+        status: MEMBERSHIP_ACTIVE,
+        periodStart: null,
+        periodEnd: null,
+        createdAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Membership record after a paid subscription invoice
+ * A canceled membership stays canceled, and an invoice for an earlier period doesn't move the period back
+ * @param {Object|null} membership - Current record (null if none yet)
+ * @param {Object} invoice - Paid Stripe invoice
+ * @returns {Object|null} - Updated record, or null if the subscription isn't a membership
+ */
+function applyPaidInvoice(membership, invoice) {
+    const metadata = invoice.subscription_details?.metadata || {};
+    if (!membership && !metadata.membership_plan) return null;
+
+    const record = membership || buildMembership(getSubscriptionId(invoice), metadata, invoice.customer);
+    const period = getInvoicePeriod(invoice);
+    if (record.status === MEMBERSHIP_CANCELED || !period || (record.periodStart && period.start < record.periodStart)) {
+        return record;
+    }
+
+    return {
+        ...record,
+        email: record.email || invoice.customer_email || null,
+        customerId: record.customerId || invoice.customer || null,
+        status: MEMBERSHIP_ACTIVE,
+        periodStart: period.start,
+        periodEnd: period.end,
+        lastInvoiceId: invoice.id,
+        renewedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Membership record after the subscription ended (customer.subscription.deleted)
+ * @param {Object|null} membership - Current record (null if none yet)
+ * @param {Object} subscription - Deleted Stripe subscription
+ * @returns {Object|null} - Canceled record, or null if the subscription isn't a membership
+ */
+function applySubscriptionDeleted(membership, subscription) {
+    const metadata = subscription.metadata || {};
+    if (!membership && !metadata.membership_plan) return null;
+
+    const record = membership || buildMembership(subscription.id, metadata, subscription.customer);
+    const endedAt = subscription.ended_at || subscription.canceled_at;
+    return {
+        ...record,
+        status: MEMBERSHIP_CANCELED,
+        canceledAt: endedAt ? new Date(endedAt * 1000).toISOString() : new Date().toISOString()
+    };
+}
+
+// Check if a membership can download now (active, within the paid period)
+function isMembershipActive(membership, now = Date.now()) {
+    return !!membership && membership.status === MEMBERSHIP_ACTIVE && !!membership.periodEnd &&
+        now / 1000 < membership.periodEnd + PERIOD_GRACE_SECONDS;
+}
+
+/**
+ * Membership summary for the success page and cart
+ * @param {Object|null} membership - Membership record (null while the first invoice hasn't been processed)
+ * @param {Object} downloads - Photos downloaded this period ({ productId: downloadedAt })
+ * @returns {Object} - { planId, title, license, status, active, downloadsPerPeriod, used, remaining, periodEnd, downloadedProductIds }
+ */
+function describeMembership(membership, downloads = {}) {
+    if (!membership) {
+        return { status: 'pending', active: false, used: 0, remaining: 0, downloadedProductIds: [] };
+    }
+
+    const used = Object.keys(downloads || {}).length;
+    const active = isMembershipActive(membership);
+    return {
+        planId: membership.planId,
+        title: membership.title,
+        license: membership.license,
+        status: membership.status,
+        active: active,
+        downloadsPerPeriod: membership.downloadsPerPeriod,
+        used: used,
+        remaining: active ? Math.max(0, membership.downloadsPerPeriod - used) : 0,
+        periodEnd: membership.periodEnd ? new Date(membership.periodEnd * 1000).toISOString() : null,
+        downloadedProductIds: Object.keys(downloads || {})
+    };
+}
+
+/**
+ * Purchase item for a photo downloaded with a membership (same shape as a purchased photo)
+ * @param {Object} product - Catalog photo
+ * @param {Object} membership - Membership record
+ * @returns {Object} - Item to deliver
+ */
+function buildMembershipItem(product, membership) {
+    return {
+        productId: product.productId,
+        title: product.title,
+        fileName: (product.imageHQ || product.imageSrc || '').split('/').pop(),
+        imageSrc: product.imageSrc, // Low-res for display
+        imageHQ: product.imageHQ, // High-quality for downloads
+        license: membership.license,
+        price: null, // Included in the membership
+        quantity: 1,
+        quantityPurchased: 1,
+        maxDownloads: 1,
+        max_downloads: 1 // Backward compatibility
+    };
+}
+
+module.exports = {
+    MEMBERSHIP_ACTIVE,
+    MEMBERSHIP_CANCELED,
+    PERIOD_GRACE_SECONDS,
+    getSubscriptionId,
+    getInvoicePeriod,
+    buildSubscriptionMetadata,
+    applyPaidInvoice,
+    applySubscriptionDeleted,
+    isMembershipActive,
+    describeMembership,
+    buildMembershipItem
+};
@@ -0,0 +1,55 @@
+/**
+ * Payment Provider
+ * The API functions talk to the payment provider only through this interface, never to Stripe directly.
+ * PAYMENT_PROVIDER selects the provider:
+ * - stripe (default): Stripe, using the live or test keys (USE_TEST_STRIPE) - lib/stripePaymentProvider.js
+ * - fake: in-process fake that needs no Stripe account and can emit signed webhook events, for running the
+ *   buy-to-download flow locally (simulate-purchase.js) - lib/fakePaymentProvider.js. Never used in production.
+ *
+ * Sessions, line items, events (including their invoices and subscriptions), refunds and charges have Stripe's
+ * shape (the fake provider mimics it), and errors carry Stripe's error types (StripeInvalidRequestError,
+ * StripeIdempotencyError, ...).
+ *
+ * Provider interface:
+ * - name, mode: Provider name ("stripe", "fake") and mode ("LIVE", "TEST", "FAKE")
+ * - checkConfig({ webhook }): null, or { message, expectedKey } naming the missing environment variable
+ *   (webhook: true also checks the webhook signing secret)
+ * - getPublishableKey(): { publishableKey, expectedKey } - key for the browser (publishableKey null if not set)
+ * - createCheckoutSession(params, { idempotencyKey }): Create a checkout session (Stripe Checkout Session params)
+ * - retrieveCheckoutSession(sessionId, { lineItems }): Get a session (lineItems: true includes line_items with
+ *   each price's product)
+ * - verifyWebhookEvent(rawBody, signature): Verified event - throws if the signature is invalid
+ * - findCheckoutSessionId(paymentIntentId): Checkout session a payment intent belongs to (null if none)
+ * - listRefunds(chargeId): Refunds of a charge
+ * - retrieveCharge(chargeId): Get a charge
+ */
+
+const stripePaymentProvider = require('./stripePaymentProvider');
+const fakePaymentProvider = require('./fakePaymentProvider');
+
+const PROVIDERS = {
+    stripe: stripePaymentProvider,
+    fake: fakePaymentProvider
+};
+
+// Name of the configured provider (PAYMENT_PROVIDER, default stripe)
+function getProviderName() {
+    return (process.env.PAYMENT_PROVIDER || 'stripe').toLowerCase();
+}
+
+/**
+ * Get the configured payment provider
+ * @returns {Object} - Provider (see interface above)
+ * @throws {Error} - Unknown PAYMENT_PROVIDER
+ */
+function getPaymentProvider() {
+    const name = getProviderName();
+    if (!PROVIDERS[name]) {
+        throw new Error(`Unknown PAYMENT_PROVIDER "${name}". Supported providers: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    return PROVIDERS[name].createProvider();
+}
+
+module.exports = {
+    getPaymentProvider
+};
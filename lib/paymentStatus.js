@@ -0,0 +1,37 @@
+/**
+ * Payment Status
+ * Delayed payment methods (PayTo, BECS Direct Debit, US bank account) settle days after checkout.
+ * checkout.session.completed then arrives with payment_status "unpaid": the purchase is recorded as
+ * pending and nothing is delivered until checkout.session.async_payment_succeeded marks it "paid"
+ * (or checkout.session.async_payment_failed marks it "failed").
+ *
+ * purchase.payment_status is Stripe's value ("paid", "no_payment_required", "unpaid") or "failed"
+ */
+
+const PAYMENT_PAID = 'paid';
+const PAYMENT_PENDING = 'unpaid';
+const PAYMENT_FAILED = 'failed';
+
+// Check if a purchase is waiting for a delayed payment to settle
+function isPaymentPending(purchase) {
+    return !!purchase && purchase.payment_status === PAYMENT_PENDING;
+}
+
+// Check if a purchase's delayed payment failed
+function isPaymentFailed(purchase) {
+    return !!purchase && purchase.payment_status === PAYMENT_FAILED;
+}
+
+// Check if a purchase can be delivered (paid - purchases recorded before payment_status was stored count as paid)
+function isPaymentSettled(purchase) {
+    return !!purchase && !isPaymentPending(purchase) && !isPaymentFailed(purchase);
+}
+
+module.exports = {
+    PAYMENT_PAID,
+    PAYMENT_PENDING,
+    PAYMENT_FAILED,
+    isPaymentPending,
+    isPaymentFailed,
+    isPaymentSettled
+};
@@ -0,0 +1,283 @@
+/**
+ * Purchase Archives
+ * Purchase ZIPs are assembled by piping CDN responses straight into archiver - no photo is held in memory
+ * unless it has a transform (below).
+ * Up to FETCH_CONCURRENCY files are requested at once, so the next files are already on their way while archiver
+ * writes the current one (files are still written one after another, in order). A request that fails before its
+ * file starts streaming (network error, timeout, 5xx or 429) is retried with exponential backoff.
+ *
+ * A file that can't be fetched is left out, and one whose transfer breaks off is cut short - both are listed as
+ * failed in the archive's MANIFEST.txt, so the customer knows what to download again.
+ *
+ * Files with a transform (e.g. photos that are watermarked for the buyer) are read in full and changed before
+ * they're written - a file whose transform fails is left out. Only the file being written is read and held in
+ * memory: the next ones wait as unread responses, and a transformed file is handed to archiver before the next
+ * one is read.
+ */
+
+const http = require('http');
+const https = require('https');
+const { PassThrough } = require('stream');
+
+const FETCH_CONCURRENCY = 4;
+const FETCH_ATTEMPTS = 3;
+const RETRY_BASE_DELAY_MS = 500;
+const RESPONSE_TIMEOUT_MS = 30000; // Waiting for the CDN to start answering
+const STALL_TIMEOUT_MS = 30000; // No data while the file is being written to the archive
+const MANIFEST_NAME = 'MANIFEST.txt';
+
+// Helper: Wait before a retry
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Helper: Request a file from the CDN - resolves with the response once it starts (200), rejects otherwise
+function requestFile(url) {
+    return new Promise((resolve, reject) => {
+        const client = new URL(url).protocol === 'https:' ? https : http;
+
+        const request = client.get(url, (response) => {
+            if (response.statusCode !== 200) {
+                response.resume();
+                const error = new Error(`CDN responded with ${response.statusCode}`);
+                error.statusCode = response.statusCode;
+                error.retryable = response.statusCode >= 500 || response.statusCode === 429;
+                reject(error);
+                return;
+            }
+            // Waiting in line for the archive isn't a timeout - stalls are watched while the file is written
+            request.setTimeout(0);
+            // Keep an error that happens while waiting in line (reported when the file's turn comes)
+            response.on('error', (error) => {
+                response.fetchError = error;
+            });
+            resolve(response);
+        });
+
+        request.on('error', (error) => {
+            error.retryable = true;
+            reject(error);
+        });
+        request.setTimeout(RESPONSE_TIMEOUT_MS, () => request.destroy(new Error('Request timeout')));
+    });
+}
+
+/**
+ * Request a file from the CDN, retrying failures with exponential backoff (0.5s, 1s, ...)
+ * @param {string} url - File URL
+ * @returns {Promise<Object>} - { response, attempts } - rejects with the last error (error.attempts set)
+ */
+async function fetchWithRetry(url) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return { response: await requestFile(url), attempts: attempt };
+        } catch (error) {
+            error.attempts = attempt;
+            if (!error.retryable || attempt >= FETCH_ATTEMPTS) throw error;
+
+            console.warn(`⚠️ Fetch attempt ${attempt} of ${FETCH_ATTEMPTS} failed for ${url}: ${error.message} - retrying`);
+            await sleep(RETRY_BASE_DELAY_MS * 2 ** (attempt - 1));
+        }
+    }
+}
+
+// Helper: Write a CDN response into the archive - resolves once archiver has read all of it, with the error if it broke off
+function streamEntry(archive, response, name) {
+    return new Promise((resolve) => {
+        // Connection lost while waiting in line
+        if (response.destroyed) {
+            resolve(response.fetchError || new Error('Transfer interrupted'));
+            return;
+        }
+
+        const entry = new PassThrough();
+        let failure = null;
+        let timer = null;
+
+        const fail = (error) => {
+            if (failure) return;
+            failure = error;
+            response.unpipe(entry);
+            entry.end(); // The file is cut short - the archive itself stays valid
+        };
+        const watch = () => {
+            clearTimeout(timer);
+            timer = setTimeout(() => response.destroy(new Error('Transfer stalled')), STALL_TIMEOUT_MS);
+        };
+
+        response.on('data', watch);
+        response.on('error', fail);
+        response.on('close', () => {
+            if (!response.complete) fail(new Error('Transfer interrupted'));
+        });
+        entry.on('end', () => {
+            clearTimeout(timer);
+            resolve(failure);
+        });
+
+        watch();
+        response.pipe(entry);
+        archive.append(entry, { name: name });
+    });
+}
+
+// Helper: Read a whole CDN response - resolves with { body }, or { error } if it broke off
+function readResponse(response) {
+    return new Promise((resolve) => {
+        // Connection lost while waiting in line
+        if (response.destroyed) {
+            resolve({ error: response.fetchError || new Error('Transfer interrupted') });
+            return;
+        }
+
+        const chunks = [];
+        let timer = null;
+        const finish = (result) => {
+            clearTimeout(timer);
+            resolve(result);
+        };
+        const watch = () => {
+            clearTimeout(timer);
+            timer = setTimeout(() => response.destroy(new Error('Transfer stalled')), STALL_TIMEOUT_MS);
+        };
+
+        response.on('data', (chunk) => {
+            chunks.push(chunk);
+            watch();
+        });
+        response.on('end', () => finish({ body: Buffer.concat(chunks) }));
+        response.on('error', (error) => finish({ error }));
+        response.on('close', () => {
+            if (!response.complete) finish({ error: new Error('Transfer interrupted') });
+        });
+        watch();
+    });
+}
+
+/**
+ * Fetch a whole file from the CDN (with retries, like archive files)
+ * @param {string} url - File URL
+ * @returns {Promise<Object>} - { body, contentType } - rejects if it can't be fetched or the transfer breaks off
+ */
+async function fetchFile(url) {
+    const { response } = await fetchWithRetry(url);
+    const { body, error } = await readResponse(response);
+    if (error) throw error;
+    return { body: body, contentType: response.headers['content-type'] || null };
+}
+
+// Helper: Read a CDN response, transform it and add it to the archive - resolves once archiver has read the
+// transformed file (so it's the only one held in memory), with the error if reading or transforming failed
+async function appendTransformed(archive, response, file) {
+    const { body, error } = await readResponse(response);
+    if (error) return error;
+
+    let transformed;
+    try {
+        transformed = await file.transform(body);
+    } catch (transformError) {
+        return transformError;
+    }
+
+    return new Promise((resolve) => {
+        const entry = new PassThrough();
+        entry.on('end', () => resolve(null));
+        archive.append(entry, { name: file.name });
+        entry.end(transformed);
+    });
+}
+
+/**
+ * Stream files into a ZIP, fetching several at a time
+ * @param {Object} archive - archiver instance (already piped to the response)
+ * @param {Array} files - In archive order: { name, productId, url, transform } for CDN files (optional
+ *   transform(Buffer) -> Promise<Buffer> changes the file before it's written), or { name, productId, content } for text
+ * @returns {Promise<Array>} - One result per file: { name, productId, ok, attempts, error }
+ */
+async function appendFiles(archive, files) {
+    const results = new Array(files.length);
+    const fetches = new Array(files.length);
+    const written = files.map(() => {
+        let done;
+        const promise = new Promise(resolve => { done = resolve; });
+        return { promise, done };
+    });
+
+    // Fetch each file once a slot is free and the file is within reach of the one being written
+    let next = 0;
+    const startFetch = () => {
+        const index = next++;
+        if (index >= files.length) return;
+
+        const file = files[index];
+        fetches[index] = file.url
+            ? fetchWithRetry(file.url).catch(error => ({ error }))
+            : Promise.resolve({});
+        // A slot is free again once this file has been written
+        written[index].promise.then(startFetch);
+    };
+    for (let i = 0; i < FETCH_CONCURRENCY; i++) startFetch();
+
+    // Write the files in order
+    for (let index = 0; index < files.length; index++) {
+        const file = files[index];
+        const fetched = await fetches[index];
+
+        if (!file.url) {
+            archive.append(file.content, { name: file.name });
+            results[index] = { name: file.name, productId: file.productId, ok: true, attempts: 0, error: null };
+        } else if (fetched.error) {
+            console.error(`❌ Could not fetch ${file.name} after ${fetched.error.attempts || 1} attempt(s): ${fetched.error.message}`);
+            results[index] = { name: file.name, productId: file.productId, ok: false, attempts: fetched.error.attempts || 1, error: fetched.error.message };
+        } else {
+            const failure = file.transform
+                ? await appendTransformed(archive, fetched.response, file)
+                : await streamEntry(archive, fetched.response, file.name);
+            if (failure) {
+                console.error(`❌ Could not add ${file.name}: ${failure.message}`);
+            }
+            results[index] = { name: file.name, productId: file.productId, ok: !failure, attempts: fetched.attempts, error: failure ? failure.message : null };
+        }
+
+        written[index].done();
+    }
+
+    return results;
+}
+
+/**
+ * Build the archive's manifest (every file, and what failed)
+ * @param {Array} results - From appendFiles
+ * @param {string} sessionId - Purchase ID
+ * @returns {string} - MANIFEST.txt contents
+ */
+function buildManifest(results, sessionId) {
+    const failed = results.filter(result => !result.ok);
+    const lines = [
+        'ifeelworld - Purchase Download',
+        `Order: ${sessionId}`,
+        `Created: ${new Date().toISOString()}`,
+        '',
+        ...results.map(result => result.ok
+            ? `OK      ${result.name}`
+            : `FAILED  ${result.name} - ${result.error} (${result.attempts} attempt(s))`)
+    ];
+
+    if (failed.length > 0) {
+        lines.push(
+            '',
+            `${failed.length} file(s) could not be downloaded and are missing or incomplete in this archive.`,
+            'Download them again from your order page, or contact us if the problem persists.'
+        );
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+module.exports = {
+    MANIFEST_NAME,
+    fetchWithRetry,
+    fetchFile,
+    appendFiles,
+    buildManifest
+};
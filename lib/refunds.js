@@ -0,0 +1,68 @@
+/**
+ * Refunds
+ * A refunded charge revokes the download entitlement: the whole purchase when the charge is fully
+ * refunded, otherwise only the items the refund covers. Refunded items stay in the purchase record
+ * (marked refunded) so the customer sees why they can no longer be downloaded.
+ *
+ * Which items a partial refund covers:
+ * - refund metadata product_ids (comma-separated productIds, a bundle ID covers its member photos) - set this
+ *   when refunding through the API or add it as metadata in the Stripe Dashboard
+ * - otherwise, the one item (photo or bundle) whose amount paid equals the refund amount
+ * - otherwise nothing is revoked and the refund is recorded for manual review
+ */
+
+const currency = require('./currency');
+
+// Check if a purchased item can no longer be downloaded because it (or the whole purchase) was refunded
+function isItemRefunded(purchase, productId) {
+    if (!purchase) return false;
+    if (purchase.refunded) return true;
+
+    const items = purchase.products || purchase.purchased_items || [];
+    const item = items.find(item => item.productId === productId);
+    return !!(item && item.refunded);
+}
+
+// Helper: Amount paid for each refundable unit (standalone photo or bundle), in minor units
+function getChargedUnits(purchase) {
+    const currencyCode = purchase.currency || currency.DEFAULT_CURRENCY;
+    const units = (purchase.bundles || []).map(bundle => ({
+        productId: bundle.bundleId,
+        amount: currency.toMinorUnits((bundle.price || 0) * (bundle.quantity || 1), currencyCode)
+    }));
+
+    for (const product of purchase.products || []) {
+        if (product.bundleId) continue;
+        units.push({
+            productId: product.productId,
+            amount: currency.toMinorUnits((product.price || 0) * (product.quantity || 1), currencyCode)
+        });
+    }
+    return units;
+}
+
+/**
+ * Work out which items a refund covers
+ * @param {Object} purchase - Purchase record
+ * @param {Object} refund - Stripe refund ({ amount, metadata })
+ * @param {Object} charge - Stripe charge the refund belongs to ({ refunded })
+ * @returns {Array|null} - null for the whole purchase, otherwise productIds (photos and bundle IDs) - empty if unknown
+ */
+function getRefundedProductIds(purchase, refund, charge) {
+    if (charge.refunded) {
+        return null; // Fully refunded
+    }
+
+    const metadataIds = (refund.metadata?.product_ids || '').split(',').map(id => id.trim()).filter(id => id);
+    if (metadataIds.length > 0) {
+        return metadataIds;
+    }
+
+    const matches = getChargedUnits(purchase).filter(unit => unit.amount === refund.amount);
+    return matches.length === 1 ? [matches[0].productId] : [];
+}
+
+module.exports = {
+    isItemRefunded,
+    getRefundedProductIds
+};
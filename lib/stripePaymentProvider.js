@@ -0,0 +1,88 @@
+/**
+ * Stripe Payment Provider
+ * The payment provider (lib/paymentProvider.js) for Stripe. The one place the Stripe keys are chosen:
+ * USE_TEST_STRIPE='true' uses the test keys, otherwise the live keys - never a mix of both.
+ *
+ * Environment variables:
+ * - STRIPE_SECRET_KEY / STRIPE_SECRET_KEY_TEST: Secret key (server only)
+ * - NEXT_PUBLIC_STRIPE_PUBLISHABLE_KEY / NEXT_PUBLIC_STRIPE_PUBLISHABLE_KEY_TEST: Publishable key (browser)
+ * - STRIPE_WEBHOOK_SECRET: Webhook signing secret
+ */
+
+const stripe = require('stripe');
+
+// Environment variable names for the current mode
+function getKeyNames() {
+    const useTestMode = process.env.USE_TEST_STRIPE === 'true';
+    return useTestMode
+        ? { mode: 'TEST', secretKey: 'STRIPE_SECRET_KEY_TEST', publishableKey: 'NEXT_PUBLIC_STRIPE_PUBLISHABLE_KEY_TEST' }
+        : { mode: 'LIVE', secretKey: 'STRIPE_SECRET_KEY', publishableKey: 'NEXT_PUBLIC_STRIPE_PUBLISHABLE_KEY' };
+}
+
+// Create the Stripe provider (the Stripe client is created on first use)
+function createProvider() {
+    const keyNames = getKeyNames();
+    const secretKey = process.env[keyNames.secretKey];
+    let client = null;
+
+    const getClient = () => {
+        if (!client) {
+            client = stripe(secretKey);
+        }
+        return client;
+    };
+
+    return {
+        name: 'stripe',
+        mode: keyNames.mode,
+
+        checkConfig({ webhook = false } = {}) {
+            if (webhook && !process.env.STRIPE_WEBHOOK_SECRET) {
+                return { message: 'Webhook secret not configured', expectedKey: 'STRIPE_WEBHOOK_SECRET' };
+            }
+            if (!secretKey) {
+                return { message: 'Stripe secret key not configured', expectedKey: keyNames.secretKey };
+            }
+            return null;
+        },
+
+        getPublishableKey() {
+            return {
+                publishableKey: process.env[keyNames.publishableKey] || null,
+                expectedKey: keyNames.publishableKey
+            };
+        },
+
+        async createCheckoutSession(params, { idempotencyKey } = {}) {
+            return getClient().checkout.sessions.create(params, idempotencyKey ? { idempotencyKey: idempotencyKey } : undefined);
+        },
+
+        async retrieveCheckoutSession(sessionId, { lineItems = false } = {}) {
+            return getClient().checkout.sessions.retrieve(sessionId, lineItems
+                ? { expand: ['line_items.data.price.product'] }
+                : undefined);
+        },
+
+        verifyWebhookEvent(rawBody, signature) {
+            return getClient().webhooks.constructEvent(rawBody, signature, process.env.STRIPE_WEBHOOK_SECRET);
+        },
+
+        async findCheckoutSessionId(paymentIntentId) {
+            const sessions = await getClient().checkout.sessions.list({ payment_intent: paymentIntentId, limit: 1 });
+            return sessions.data[0]?.id || null;
+        },
+
+        async listRefunds(chargeId) {
+            const refunds = await getClient().refunds.list({ charge: chargeId, limit: 100 });
+            return refunds.data;
+        },
+
+        async retrieveCharge(chargeId) {
+            return getClient().charges.retrieve(chargeId);
+        }
+    };
+}
+
+module.exports = {
+    createProvider
+};
@@ -0,0 +1,485 @@
+/**
+ * Forensic Watermarks
+ * Every photo delivered for a purchase (ZIPs and single-file downloads) carries an invisible mark that identifies the
+ * purchase and photo it was delivered for, so a copy found online can be traced back to the order (node trace-leak.js).
+ *
+ * The mark is a 32-bit ID - HMAC of "<purchase ID>:<productId>" with WATERMARK_SECRET - plus an 8-bit CRC. The
+ * purchase behind an ID is looked up in Redis (watermark:<ID>, see db.saveWatermark). The photo is divided into a
+ * 48 x 48 grid and each cell carries one bit as a faint ripple in brightness (1.5-5 levels out of 255, stronger
+ * in busy areas where it can't be seen). Cells are shuffled across the bits with a pattern keyed by the secret, so
+ * every bit is spread over the whole photo.
+ *
+ * The grid is relative to the photo's size, so the mark survives resizing, recompression and brightness or colour
+ * changes. A cropped copy is read by comparing it with the original photo: the copy is located in the original and
+ * the difference between the two leaves the mark. Rotated or mirrored copies can't be read.
+ *
+ * Marking decodes the whole photo (about 72 MB for 24 megapixels), so photos are marked one at a time - requests
+ * that need one at the same moment wait their turn.
+ *
+ * WATERMARK_SECRET must never change - marks made with another secret can't be read.
+ */
+
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+const GRID_CELLS = 48; // Cells across and down the photo
+const CARRIER_CYCLES = 2; // Ripples per cell (mid frequencies survive resizing and aren't lost in the photo itself)
+const ID_BITS = 32;
+const PAYLOAD_BITS = ID_BITS + 8; // ID + CRC-8
+const STRENGTH_MIN = 1.5; // Brightness levels in flat areas...
+const STRENGTH_MAX = 5; // ...up to this in busy ones
+const STRENGTH_MASKING = 0.15; // Extra strength per level of local contrast (standard deviation)
+const JPEG_QUALITY = 95;
+
+const ANALYSIS_CELL_PX = 16; // Pixels per cell when reading a mark
+const ANALYSIS_SIZE = GRID_CELLS * ANALYSIS_CELL_PX;
+const MIN_CELL_COVERAGE = 0.75; // Cells of a cropped copy used when reading (share of the cell in the copy)
+const DETECTION_SCORE = 1.5; // Average bit confidence (standard deviations) needed to report a mark
+
+// Locating a copy in the original: an exhaustive search on small thumbnails, refined on larger ones
+const COARSE_SIZE = 96;
+const FINE_SIZE = 1024;
+const MIN_COPY_SHARE = 0.3; // A copy is at least this share of the original's width
+const MIN_MATCH = 0.8; // Correlation of a copy with its place in the original
+
+// Local testing with the fake payment provider works without a configured secret (never on a deployed site)
+const LOCAL_SECRET = 'wm_fake_local';
+
+let cachedPattern = null;
+let embedQueue = Promise.resolve(); // The photo being marked
+
+// Watermark secret (null if not configured)
+function getSecret() {
+    if (process.env.WATERMARK_SECRET) return process.env.WATERMARK_SECRET;
+    return process.env.PAYMENT_PROVIDER === 'fake' ? LOCAL_SECRET : null;
+}
+
+// Check if photos can be watermarked (WATERMARK_SECRET set)
+function isConfigured() {
+    return !!getSecret();
+}
+
+/**
+ * Mark ID of a photo in a purchase (the same for every download of it)
+ * @param {string} sessionId - Purchase ID (cs_..., gift_... or credit_...)
+ * @param {string} productId - Photo
+ * @returns {string|null} - 8 hex digits, or null if WATERMARK_SECRET isn't set
+ */
+function createMarkId(sessionId, productId) {
+    const secret = getSecret();
+    if (!secret) return null;
+    return crypto.createHmac('sha256', secret).update(`${sessionId}:${productId}`).digest('hex').substring(0, ID_BITS / 4);
+}
+
+// Helper: CRC-8 (polynomial 0x07) of the ID
+function crc8(bytes) {
+    let crc = 0;
+    for (const byte of bytes) {
+        crc ^= byte;
+        for (let i = 0; i < 8; i++) {
+            crc = crc & 0x80 ? ((crc << 1) ^ 0x07) & 0xff : (crc << 1) & 0xff;
+        }
+    }
+    return crc;
+}
+
+// Helper: Bits embedded for a mark ID (ID then CRC, most significant bit first)
+function getPayloadBits(markId) {
+    const bytes = Buffer.alloc(PAYLOAD_BITS / 8);
+    bytes.write(markId, 'hex');
+    bytes[ID_BITS / 8] = crc8(bytes.subarray(0, ID_BITS / 8));
+
+    const bits = [];
+    for (let i = 0; i < PAYLOAD_BITS; i++) {
+        bits.push((bytes[i >> 3] >> (7 - (i & 7))) & 1);
+    }
+    return bits;
+}
+
+// Helper: Which bit each cell carries, and with which sign (shuffled with a generator seeded from the secret)
+function getPattern(secret) {
+    if (cachedPattern && cachedPattern.secret === secret) return cachedPattern;
+
+    // mulberry32
+    let state = crypto.createHmac('sha256', secret).update('watermark-pattern').digest().readUInt32BE(0);
+    const random = () => {
+        state = (state + 0x6d2b79f5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+
+    const cellCount = GRID_CELLS * GRID_CELLS;
+    const order = Array.from({ length: cellCount }, (_, i) => i);
+    for (let i = cellCount - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [order[i], order[j]] = [order[j], order[i]];
+    }
+
+    const bit = new Uint8Array(cellCount);
+    const sign = new Int8Array(cellCount);
+    order.forEach((cell, position) => {
+        bit[cell] = position % PAYLOAD_BITS;
+        sign[cell] = random() < 0.5 ? -1 : 1;
+    });
+
+    cachedPattern = { secret, bit, sign };
+    return cachedPattern;
+}
+
+// Helper: Ripple across a cell (position 0-1) - fades out at the cell's edges so there are no seams
+function carrier(position) {
+    return Math.sin(Math.PI * position) * Math.cos(2 * Math.PI * CARRIER_CYCLES * position);
+}
+
+// Helper: Cell and ripple value of each pixel along one side of the photo
+function getAxis(length) {
+    const cells = new Uint16Array(length);
+    const ripple = new Float32Array(length);
+    for (let i = 0; i < length; i++) {
+        const position = (i + 0.5) * GRID_CELLS / length;
+        cells[i] = Math.min(GRID_CELLS - 1, Math.floor(position));
+        ripple[i] = carrier(position - Math.floor(position));
+    }
+    return { cells, ripple };
+}
+
+// Helper: Embed a mark in a photo (see embedWatermark)
+async function embed(image, markId, secret) {
+    const pattern = getPattern(secret);
+    const bits = getPayloadBits(markId);
+    const metadata = await sharp(image).metadata();
+    const { data, info } = await sharp(image).raw().toBuffer({ resolveWithObject: true });
+    const { width, height, channels } = info;
+    const colorChannels = channels >= 3 ? 3 : 1; // Leave alpha alone
+    const columns = getAxis(width);
+    const rows = getAxis(height);
+
+    // Strength per cell from its contrast - hidden in busy areas, faint in flat ones (sky)
+    const sum = new Float64Array(GRID_CELLS * GRID_CELLS);
+    const sumOfSquares = new Float64Array(GRID_CELLS * GRID_CELLS);
+    const count = new Float64Array(GRID_CELLS * GRID_CELLS);
+    for (let y = 0; y < height; y += 2) {
+        for (let x = 0; x < width; x += 2) {
+            const offset = (y * width + x) * channels;
+            const brightness = colorChannels === 3 ? (data[offset] + data[offset + 1] + data[offset + 2]) / 3 : data[offset];
+            const cell = rows.cells[y] * GRID_CELLS + columns.cells[x];
+            sum[cell] += brightness;
+            sumOfSquares[cell] += brightness * brightness;
+            count[cell]++;
+        }
+    }
+
+    // Signed strength per cell: the cell's bit (1 = +, 0 = -) times its sign in the pattern
+    const amplitude = new Float32Array(GRID_CELLS * GRID_CELLS);
+    for (let cell = 0; cell < amplitude.length; cell++) {
+        const mean = count[cell] ? sum[cell] / count[cell] : 0;
+        const deviation = count[cell] ? Math.sqrt(Math.max(0, sumOfSquares[cell] / count[cell] - mean * mean)) : 0;
+        const strength = Math.min(STRENGTH_MAX, STRENGTH_MIN + STRENGTH_MASKING * deviation);
+        amplitude[cell] = strength * pattern.sign[cell] * (bits[pattern.bit[cell]] ? 1 : -1);
+    }
+
+    for (let y = 0; y < height; y++) {
+        const rowCell = rows.cells[y] * GRID_CELLS;
+        const rowRipple = rows.ripple[y];
+        for (let x = 0; x < width; x++) {
+            const change = amplitude[rowCell + columns.cells[x]] * rowRipple * columns.ripple[x];
+            const offset = (y * width + x) * channels;
+            for (let channel = 0; channel < colorChannels; channel++) {
+                const value = Math.round(data[offset + channel] + change);
+                data[offset + channel] = value < 0 ? 0 : value > 255 ? 255 : value;
+            }
+        }
+    }
+
+    const output = sharp(data, { raw: { width, height, channels } }).withMetadata();
+    switch (metadata.format) {
+        case 'png':
+            return output.png().toBuffer();
+        case 'webp':
+            return output.webp({ quality: JPEG_QUALITY }).toBuffer();
+        case 'tiff':
+            return output.tiff().toBuffer();
+        default:
+            return output.jpeg({ quality: JPEG_QUALITY }).toBuffer();
+    }
+}
+
+/**
+ * Embed a mark in a photo (one photo at a time - see above)
+ * Keeps the format (JPEG, PNG, WebP or TIFF), size and metadata (EXIF, ICC profile). The same photo and mark always
+ * give the same file
+ * @param {Buffer} image - Photo file
+ * @param {string} markId - From createMarkId
+ * @returns {Promise<Buffer>} - Watermarked photo file - rejects if the photo can't be decoded or WATERMARK_SECRET isn't set
+ */
+function embedWatermark(image, markId) {
+    const secret = getSecret();
+    if (!secret) return Promise.reject(new Error('WATERMARK_SECRET is not set'));
+
+    const marked = embedQueue.then(() => embed(image, markId, secret));
+    embedQueue = marked.catch(() => {});
+    return marked;
+}
+
+// Helper: Greyscale pixels of an image resized to width x height (stretched)
+async function getGreyPixels(image, width, height) {
+    const input = image.data
+        ? sharp(image.data, { raw: { width: image.info.width, height: image.info.height, channels: image.info.channels } })
+        : sharp(image);
+    const { data } = await input
+        .greyscale()
+        .resize(width, height, { fit: 'fill' })
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+    return data;
+}
+
+// Helper: Read the bits from each cell's ripple (values: analysis-size pixels, NaN where the cell isn't covered)
+function decodeCells(values, pattern) {
+    const window = new Float32Array(ANALYSIS_CELL_PX);
+    for (let i = 0; i < ANALYSIS_CELL_PX; i++) {
+        window[i] = carrier((i + 0.5) / ANALYSIS_CELL_PX);
+    }
+
+    // Strength of the ripple in each cell (matched filter)
+    const responses = [];
+    for (let cellY = 0; cellY < GRID_CELLS; cellY++) {
+        for (let cellX = 0; cellX < GRID_CELLS; cellX++) {
+            let response = 0;
+            let covered = 0;
+            for (let i = 0; i < ANALYSIS_CELL_PX; i++) {
+                const rowOffset = (cellY * ANALYSIS_CELL_PX + i) * ANALYSIS_SIZE + cellX * ANALYSIS_CELL_PX;
+                for (let j = 0; j < ANALYSIS_CELL_PX; j++) {
+                    const value = values[rowOffset + j];
+                    if (Number.isNaN(value)) continue;
+                    response += window[i] * window[j] * value;
+                    covered++;
+                }
+            }
+            if (covered >= MIN_CELL_COVERAGE * ANALYSIS_CELL_PX * ANALYSIS_CELL_PX) {
+                responses.push({ cell: cellY * GRID_CELLS + cellX, response });
+            }
+        }
+    }
+    if (responses.length < PAYLOAD_BITS * 4) return null;
+
+    // Clip outliers (edges in the photo) to three times the median response
+    const magnitudes = responses.map(entry => Math.abs(entry.response)).sort((a, b) => a - b);
+    const clip = 3 * magnitudes[magnitudes.length >> 1] || 1;
+
+    const scores = new Float64Array(PAYLOAD_BITS);
+    const energy = new Float64Array(PAYLOAD_BITS);
+    for (const { cell, response } of responses) {
+        const value = Math.max(-clip, Math.min(clip, response));
+        scores[pattern.bit[cell]] += pattern.sign[cell] * value;
+        energy[pattern.bit[cell]] += value * value;
+    }
+
+    const bytes = Buffer.alloc(PAYLOAD_BITS / 8);
+    let confidence = 0;
+    for (let i = 0; i < PAYLOAD_BITS; i++) {
+        if (scores[i] > 0) bytes[i >> 3] |= 1 << (7 - (i & 7));
+        confidence += energy[i] ? Math.abs(scores[i]) / Math.sqrt(energy[i]) : 0;
+    }
+    confidence /= PAYLOAD_BITS;
+
+    const idBytes = bytes.subarray(0, ID_BITS / 8);
+    if (crc8(idBytes) !== bytes[ID_BITS / 8] || confidence < DETECTION_SCORE) return null;
+
+    return { markId: idBytes.toString('hex'), confidence: Math.round(confidence * 100) / 100 };
+}
+
+// Helper: Normalized correlation of a template with a region of an image (top-left x, y)
+function correlate(image, imageWidth, template, templateWidth, templateHeight, x, y) {
+    let sumImage = 0;
+    let sumImageSquares = 0;
+    let sumProducts = 0;
+    for (let row = 0; row < templateHeight; row++) {
+        const imageOffset = (y + row) * imageWidth + x;
+        const templateOffset = row * templateWidth;
+        for (let column = 0; column < templateWidth; column++) {
+            const value = image[imageOffset + column];
+            sumImage += value;
+            sumImageSquares += value * value;
+            sumProducts += value * template[templateOffset + column];
+        }
+    }
+    const count = templateWidth * templateHeight;
+    const variance = sumImageSquares - (sumImage * sumImage) / count;
+    return variance > 0 ? sumProducts / Math.sqrt(variance) : 0;
+}
+
+// Helper: Template with zero mean and unit length (so correlate returns the correlation coefficient)
+function normalizeTemplate(pixels) {
+    let mean = 0;
+    for (const value of pixels) mean += value;
+    mean /= pixels.length;
+
+    const template = new Float32Array(pixels.length);
+    let length = 0;
+    for (let i = 0; i < pixels.length; i++) {
+        template[i] = pixels[i] - mean;
+        length += template[i] * template[i];
+    }
+    length = Math.sqrt(length) || 1;
+    for (let i = 0; i < template.length; i++) template[i] /= length;
+    return template;
+}
+
+// Helper: Positions of a template in an image - all of them, or those within step of a center
+function* getPositions(width, height, imageWidth, imageHeight, center, step) {
+    const yRange = center ? [center.y - step, center.y, center.y + step] : Array.from({ length: imageHeight - height + 1 }, (_, y) => y);
+    const xRange = center ? [center.x - step, center.x, center.x + step] : Array.from({ length: imageWidth - width + 1 }, (_, x) => x);
+    for (const y of yRange) {
+        for (const x of xRange) {
+            if (x >= 0 && y >= 0 && x + width <= imageWidth && y + height <= imageHeight) yield [x, y];
+        }
+    }
+}
+
+/**
+ * Find where a (possibly cropped and resized) copy sits in the original photo
+ * @param {Object} copy - { data, info } raw pixels of the copy
+ * @param {Buffer} original - Original photo file
+ * @returns {Promise<Object|null>} - { x, y, width, height } in the original's pixels, or null if it isn't a copy of it
+ */
+async function locateCopy(copy, original) {
+    const { width: originalWidth, height: originalHeight } = await sharp(original).metadata();
+    const aspect = copy.info.width / copy.info.height;
+    const copyThumbnail = await sharp(copy.data, { raw: { width: copy.info.width, height: copy.info.height, channels: copy.info.channels } })
+        .resize(FINE_SIZE * 2, FINE_SIZE * 2, { fit: 'inside', withoutEnlargement: true })
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+    // Best match among template widths and positions on the original resized by scale
+    const search = async (scale, widths, center, step) => {
+        const imageWidth = Math.round(originalWidth * scale);
+        const imageHeight = Math.round(originalHeight * scale);
+        const image = await getGreyPixels(original, imageWidth, imageHeight);
+
+        let best = null;
+        for (const width of widths) {
+            const height = Math.round(width / aspect);
+            if (width < 8 || height < 8 || width > imageWidth || height > imageHeight) continue;
+
+            const template = normalizeTemplate(await getGreyPixels(copyThumbnail, width, height));
+            for (const [x, y] of getPositions(width, height, imageWidth, imageHeight, center, step)) {
+                const match = correlate(image, imageWidth, template, width, height, x, y);
+                if (!best || match > best.match) best = { x, y, width, match };
+            }
+        }
+        return best;
+    };
+
+    // Every size and position on small thumbnails
+    const coarseScale = COARSE_SIZE / Math.max(originalWidth, originalHeight);
+    const coarseWidths = [];
+    for (let width = Math.floor(originalWidth * coarseScale * MIN_COPY_SHARE); width <= Math.round(originalWidth * coarseScale); width++) {
+        coarseWidths.push(width);
+    }
+    const coarse = await search(coarseScale, coarseWidths, null, 0);
+    if (!coarse) return null;
+
+    // Refine around it on larger thumbnails, halving the step until it's one pixel
+    const fineScale = Math.min(1, FINE_SIZE / Math.max(originalWidth, originalHeight));
+    const ratio = fineScale / coarseScale;
+    let best = { x: Math.round(coarse.x * ratio), y: Math.round(coarse.y * ratio), width: Math.round(coarse.width * ratio), match: -Infinity };
+    for (let step = Math.max(1, Math.ceil(ratio)); step >= 1; step = step > 1 ? Math.ceil(step / 2) : 0) {
+        for (;;) {
+            const found = await search(fineScale, [best.width - step, best.width, best.width + step], best, step);
+            if (!found || found.match <= best.match + 1e-6) break;
+            best = found;
+        }
+    }
+
+    if (!(best.match >= MIN_MATCH)) return null;
+
+    return {
+        x: best.x / fineScale,
+        y: best.y / fineScale,
+        width: best.width / fineScale,
+        height: Math.round(best.width / aspect) / fineScale
+    };
+}
+
+// Helper: What's left of a copy once its place in the original is subtracted (analysis-size pixels, NaN outside the copy)
+async function getDifference(copy, original, region) {
+    const { width: originalWidth, height: originalHeight } = await sharp(original).metadata();
+    const originalPixels = await getGreyPixels(original, ANALYSIS_SIZE, ANALYSIS_SIZE);
+
+    const left = Math.round(region.x * ANALYSIS_SIZE / originalWidth);
+    const top = Math.round(region.y * ANALYSIS_SIZE / originalHeight);
+    const width = Math.min(ANALYSIS_SIZE - left, Math.round((region.x + region.width) * ANALYSIS_SIZE / originalWidth) - left);
+    const height = Math.min(ANALYSIS_SIZE - top, Math.round((region.y + region.height) * ANALYSIS_SIZE / originalHeight) - top);
+    const copyPixels = await getGreyPixels(copy, width, height);
+
+    // Match the copy's brightness and contrast to the original (least squares) before subtracting
+    let sumOriginal = 0, sumCopy = 0, sumProducts = 0, sumOriginalSquares = 0;
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const originalValue = originalPixels[(top + y) * ANALYSIS_SIZE + left + x];
+            const copyValue = copyPixels[y * width + x];
+            sumOriginal += originalValue;
+            sumCopy += copyValue;
+            sumProducts += originalValue * copyValue;
+            sumOriginalSquares += originalValue * originalValue;
+        }
+    }
+    const count = width * height;
+    const variance = sumOriginalSquares - (sumOriginal * sumOriginal) / count;
+    const gain = variance > 0 ? (sumProducts - (sumOriginal * sumCopy) / count) / variance : 1;
+    const offset = (sumCopy - gain * sumOriginal) / count;
+
+    const difference = new Float32Array(ANALYSIS_SIZE * ANALYSIS_SIZE).fill(NaN);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const index = (top + y) * ANALYSIS_SIZE + left + x;
+            difference[index] = copyPixels[y * width + x] - (gain * originalPixels[index] + offset);
+        }
+    }
+    return difference;
+}
+
+/**
+ * Read the mark from a copy of a photo
+ * Without the original, only whole (uncropped) copies can be read
+ * @param {Buffer} image - Copy found online
+ * @param {Buffer} [original] - Original photo file (needed for cropped copies)
+ * @returns {Promise<Object|null>} - { markId, confidence (average bit confidence, in standard deviations),
+ *   region (where the copy sits in the original, if compared with it) }, or null if no mark was found
+ */
+async function readWatermark(image, original) {
+    const secret = getSecret();
+    if (!secret) throw new Error('WATERMARK_SECRET is not set');
+
+    const pattern = getPattern(secret);
+    const copy = await sharp(image).raw().toBuffer({ resolveWithObject: true });
+
+    // A whole copy can be read on its own
+    const pixels = await getGreyPixels(copy, ANALYSIS_SIZE, ANALYSIS_SIZE);
+    const whole = decodeCells(Float32Array.from(pixels), pattern);
+    if (whole || !original) return whole && { ...whole, region: null };
+
+    // A cropped copy: find it in the original and read the difference
+    const region = await locateCopy(copy, original);
+    if (!region) return null;
+
+    const found = decodeCells(await getDifference(copy, original, region), pattern);
+    return found && {
+        ...found,
+        region: {
+            x: Math.round(region.x),
+            y: Math.round(region.y),
+            width: Math.round(region.width),
+            height: Math.round(region.height)
+        }
+    };
+}
+
+module.exports = {
+    isConfigured,
+    createMarkId,
+    embedWatermark,
+    readWatermark
+};
@@ -1,5 +1,8 @@
 const formatCurrency = (value) => {
     const number = Number.isFinite(value) ? value : 0;
+    if (window.CartUtils) {
+        return window.CartUtils.formatPrice(number);
+    }
     return `$${number.toFixed(2)}`;
 };
 
@@ -58,7 +61,7 @@ const renderPaymentItems = (cartInstance) => {
     }
 
     const markup = items.map(item => {
-        const itemPrice = cartInstance.getDimensionPrice(item.dimension);
+        const itemPrice = cartInstance.getDimensionPrice(item.dimension, item);
         const itemTotal = itemPrice * item.quantity;
         const dimensionLabel = cartInstance.getDimensionLabel(item.dimension);
 
@@ -82,7 +85,7 @@ const renderPaymentItems = (cartInstance) => {
     itemsContainer.innerHTML = markup;
 
     const grandTotal = items.reduce((total, item) => {
-        return total + (cartInstance.getDimensionPrice(item.dimension) * item.quantity);
+        return total + (cartInstance.getDimensionPrice(item.dimension, item) * item.quantity);
     }, 0);
 
     totalElement.textContent = formatCurrency(grandTotal);
@@ -7,11 +7,10 @@
 (function() {
     'use strict';
 
-    // Configuration
-    const ITEM_PRICE = 1.00;
-
     // State
     let currentProduct = null;
+    let licenses = [];                // License tiers from the API
+    let selectedLicense = 'personal'; // Currently selected license tier
 
     // DOM Elements
     const elements = {
@@ -21,6 +20,8 @@
         image: document.getElementById('productImage'),
         imageWrapper: document.getElementById('productImageWrapper'),
         title: document.getElementById('productTitle'),
+        price: document.getElementById('productPrice'),
+        licenseOptions: document.getElementById('licenseOptions'),
         breadcrumbTitle: document.getElementById('breadcrumbTitle'),
         cartControlWrapper: document.getElementById('productCartControlWrapper'),
         addToCartBtn: document.getElementById('addToCartBtn'),
@@ -91,6 +92,9 @@
                 throw new Error('No photos available');
             }
 
+            // License tiers offered for every photo
+            licenses = data.licenses || [];
+
             // Find the product by ID
             const product = data.photos.find(p => p.productId === productId);
             
@@ -135,7 +139,8 @@
         }
         
         const title = `${product.title} - ifeelworld Photography`;
-        const description = `High-resolution digital photography print: ${product.title}. Available for instant download at $${ITEM_PRICE.toFixed(2)}.`;
+        const startingPrice = Math.min(...Object.values(getProductPrices()));
+        const description = `High-resolution digital photography print: ${product.title}. Available for instant download from ${CartUtils.formatPrice(Number.isFinite(startingPrice) ? startingPrice : product.price)}.`;
 
         // Page title
         document.getElementById('pageTitle').textContent = title;
@@ -208,6 +213,16 @@
             elements.title.textContent = product.title;
             elements.breadcrumbTitle.textContent = product.title;
 
+            // Restore the license already chosen for this photo (if it's in the cart)
+            const cartItem = CartUtils.getCart().find(item => item.id === product.productId);
+            if (cartItem && cartItem.license) {
+                selectedLicense = cartItem.license;
+            }
+
+            // Set price (from server catalog) and license options
+            renderLicenseOptions();
+            updatePriceDisplay();
+
             // Hide loading, show content
             elements.loading.style.display = 'none';
             elements.content.style.display = 'block';
@@ -219,6 +234,76 @@
         }
     }
 
+    /**
+     * Get the catalog price list ({ license: price }) in the customer's currency
+     */
+    function getProductPrices() {
+        if (!currentProduct || !currentProduct.prices) return {};
+        return currentProduct.prices[CartUtils.getCurrency()] || {};
+    }
+
+    /**
+     * Get the catalog price for the selected license tier
+     */
+    function getSelectedPrice() {
+        if (!currentProduct) return 0;
+        const prices = getProductPrices();
+        return typeof prices[selectedLicense] === 'number' ? prices[selectedLicense] : 0;
+    }
+
+    /**
+     * Update the price display for the selected license tier
+     */
+    function updatePriceDisplay() {
+        if (elements.price) {
+            elements.price.textContent = CartUtils.formatPrice(getSelectedPrice());
+        }
+    }
+
+    /**
+     * Render license tier options (only tiers priced for this photo)
+     */
+    function renderLicenseOptions() {
+        if (!elements.licenseOptions || !currentProduct) return;
+
+        const prices = getProductPrices();
+        const available = licenses.filter(license => typeof prices[license.key] === 'number');
+
+        if (!available.some(license => license.key === selectedLicense) && available.length > 0) {
+            selectedLicense = available[0].key;
+        }
+
+        elements.licenseOptions.innerHTML = available.map(license => `
+            <label class="product-license-option${license.key === selectedLicense ? ' selected' : ''}">
+                <input type="radio" name="license" value="${license.key}" ${license.key === selectedLicense ? 'checked' : ''}>
+                <span class="product-license-option-header">
+                    <span class="product-license-option-label">${license.label}</span>
+                    <span class="product-license-option-price">${CartUtils.formatPrice(prices[license.key])}</span>
+                </span>
+                <span class="product-license-option-summary">${license.summary}</span>
+            </label>
+        `).join('');
+    }
+
+    /**
+     * Handle license tier change
+     */
+    function handleLicenseChange(license) {
+        if (!currentProduct) return;
+
+        selectedLicense = license;
+        renderLicenseOptions();
+        updatePriceDisplay();
+
+        // Switch the tier of the photo if it's already in the cart
+        const cartItem = CartUtils.getCart().find(item => item.id === currentProduct.productId);
+        if (cartItem) {
+            Cart.updateLicense(currentProduct.productId, selectedLicense, getSelectedPrice());
+        }
+
+        console.log(`✅ License selected: ${selectedLicense}`);
+    }
+
     /**
      * Show error state
      */
@@ -282,9 +367,10 @@
         Cart.addItem(
             currentProduct.imageSrc, // Low-res for cart display
             currentProduct.title,
-            ITEM_PRICE,
+            getSelectedPrice(), // Server catalog price for the selected license
             currentProduct.productId,
-            currentProduct.imageHQ || currentProduct.imageSrc // HQ for downloads
+            currentProduct.imageHQ || currentProduct.imageSrc, // HQ for downloads
+            selectedLicense
         );
 
         // Update UI to show quantity control
@@ -506,6 +592,13 @@
             handleIncrease();
         });
 
+        // License tier selector
+        elements.licenseOptions?.addEventListener('change', (e) => {
+            if (e.target.name === 'license') {
+                handleLicenseChange(e.target.value);
+            }
+        });
+
         // Share buttons
         elements.pinterestBtn?.addEventListener('click', handlePinterestShare);
         elements.copyLinkBtn?.addEventListener('click', handleCopyLink);
@@ -0,0 +1,95 @@
+/**
+ * Local Purchase Simulator
+ * Runs the whole buy-to-download flow in one process with the fake payment provider (PAYMENT_PROVIDER=fake):
+ * create a checkout session, pay it, POST the signed checkout.session.completed event to the webhook and
+ * list the download links with a download token (memberships: also pay the subscription's first invoice). No Stripe account is needed; purchases are stored in the Redis database set by
+ * UPSTASH_REDIS_REST_URL / UPSTASH_REDIS_REST_TOKEN (use a development database).
+ *
+ * Usage: node simulate-purchase.js <productId> [license] [email]
+ * Example: node simulate-purchase.js full-moon commercial you@example.com
+ *          node simulate-purchase.js membership-monthly-10
+ */
+
+process.env.PAYMENT_PROVIDER = 'fake';
+
+const fakePaymentProvider = require('./lib/fakePaymentProvider');
+const createCheckoutSession = require('./api/create-checkout-session');
+const webhook = require('./api/webhook');
+const download = require('./api/download');
+
+// Helper: Call an API function with a minimal request and capture the response
+async function callApi(handler, { method = 'GET', query = {}, headers = {}, body } = {}) {
+    const response = { statusCode: 200, headers: {}, body: null };
+    const res = {
+        headersSent: false,
+        setHeader(name, value) { response.headers[name.toLowerCase()] = value; },
+        status(code) { response.statusCode = code; return res; },
+        json(data) { response.body = data; res.headersSent = true; return res; },
+        send(data) { response.body = data; res.headersSent = true; return res; },
+        end(data) { response.body = data === undefined ? response.body : data; res.headersSent = true; return res; }
+    };
+
+    await handler({ method: method, query: query, headers: headers, body: body }, res);
+    return response;
+}
+
+// Helper: POST a signed event to the webhook
+async function sendEvent(signedEvent) {
+    const response = await callApi(webhook, {
+        method: 'POST',
+        headers: { 'stripe-signature': signedEvent.signature },
+        body: signedEvent.payload
+    });
+    console.log(`📨 ${signedEvent.event.type} → ${response.statusCode}`, response.body);
+    return response;
+}
+
+// Simulate a purchase
+async function simulatePurchase(productId, license, email) {
+    const checkout = await callApi(createCheckoutSession, {
+        method: 'POST',
+        body: { items: [{ productId: productId, license: license, quantity: 1 }], customer_email: email }
+    });
+    if (checkout.statusCode !== 200) {
+        throw new Error(`Checkout failed (${checkout.statusCode}): ${JSON.stringify(checkout.body)}`);
+    }
+    const sessionId = checkout.body.id;
+    console.log(`🛒 Checkout session created: ${sessionId}`);
+
+    const completed = await sendEvent(fakePaymentProvider.completeCheckout(sessionId, { email: email }));
+    if (completed.statusCode !== 200) {
+        throw new Error('Webhook did not accept the checkout.session.completed event');
+    }
+
+    // Memberships start once the subscription's first invoice is paid
+    if (checkout.body.items.some(item => item.isMembership)) {
+        await sendEvent(fakePaymentProvider.payInvoice(sessionId));
+    }
+
+    // Downloads take a short-lived token issued for the order
+    const issued = await callApi(download, { method: 'POST', query: { action: 'issueDownloadToken' }, body: { session_id: sessionId } });
+    if (issued.statusCode !== 200) {
+        throw new Error(`Could not issue a download token (${issued.statusCode}): ${JSON.stringify(issued.body)}`);
+    }
+
+    const links = await callApi(download, { query: { action: 'getDownloadLinks', token: issued.body.token } });
+    console.log(`🔗 Download links (${links.statusCode}):`);
+    console.log(JSON.stringify(links.body, null, 2));
+    console.log(`\n✅ Done. Open /payment-success.html?session_id=${sessionId} on a local server to see the order.`);
+}
+
+// Run
+if (require.main === module) {
+    const [productId, license = 'personal', email = 'customer@example.com'] = process.argv.slice(2);
+    if (!productId) {
+        console.error('Usage: node simulate-purchase.js <productId> [license] [email]');
+        process.exit(1);
+    }
+
+    simulatePurchase(productId, license, email).catch(error => {
+        console.error('❌ Simulation failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { simulatePurchase };
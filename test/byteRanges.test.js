@@ -0,0 +1,43 @@
+/**
+ * Byte ranges (lib/byteRanges.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const byteRanges = require('../lib/byteRanges');
+
+test('parseRange resolves single ranges against the file size', () => {
+    assert.deepEqual(byteRanges.parseRange('bytes=0-499', 1000), { start: 0, end: 499 });
+    assert.deepEqual(byteRanges.parseRange('bytes=500-', 1000), { start: 500, end: 999 });
+    assert.deepEqual(byteRanges.parseRange('bytes=-200', 1000), { start: 800, end: 999 });
+    assert.deepEqual(byteRanges.parseRange('bytes=900-5000', 1000), { start: 900, end: 999 });
+    assert.deepEqual(byteRanges.parseRange('bytes=-5000', 1000), { start: 0, end: 999 });
+});
+
+test('parseRange refuses ranges past the end and ignores ranges it does not serve', () => {
+    assert.deepEqual(byteRanges.parseRange('bytes=1000-', 1000), { unsatisfiable: true });
+    assert.deepEqual(byteRanges.parseRange('bytes=600-500', 1000), { unsatisfiable: true });
+    assert.deepEqual(byteRanges.parseRange('bytes=-0', 1000), { unsatisfiable: true });
+
+    // Whole file: no header, several ranges, other units or nonsense
+    assert.equal(byteRanges.parseRange(undefined, 1000), null);
+    assert.equal(byteRanges.parseRange('bytes=0-99,200-299', 1000), null);
+    assert.equal(byteRanges.parseRange('items=0-5', 1000), null);
+    assert.equal(byteRanges.parseRange('bytes=-', 1000), null);
+});
+
+test('Content-Range headers are written and read back', () => {
+    assert.equal(byteRanges.formatContentRange({ start: 0, end: 499 }, 1000), 'bytes 0-499/1000');
+    assert.equal(byteRanges.formatContentRange({ unsatisfiable: true }, 1000), 'bytes */1000');
+    assert.equal(byteRanges.getContentRangeStart('bytes 500-999/1000'), 500);
+    assert.equal(byteRanges.getContentRangeStart('bytes */1000'), null);
+    assert.equal(byteRanges.getRangeTotal('bytes 500-999/1000'), 1000);
+    assert.equal(byteRanges.getRangeTotal('bytes 500-999/*'), null);
+});
+
+test('getRangeStart is the first byte asked for (suffix ranges start afresh)', () => {
+    assert.equal(byteRanges.getRangeStart('bytes=4096-'), 4096);
+    assert.equal(byteRanges.getRangeStart('bytes=0-99'), 0);
+    assert.equal(byteRanges.getRangeStart('bytes=-500'), 0);
+    assert.equal(byteRanges.getRangeStart(undefined), 0);
+});
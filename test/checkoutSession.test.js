@@ -0,0 +1,44 @@
+/**
+ * Checkout sessions (api/create-checkout-session.js)
+ * Runs checkouts through the fake payment provider (PAYMENT_PROVIDER=fake) against an in-memory Redis
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useMemoryRedis } = require('./helpers/memoryRedis');
+const { createResponse, createRequest } = require('./helpers/mockResponse');
+
+process.env.PAYMENT_PROVIDER = 'fake';
+
+useMemoryRedis();
+const createCheckoutSession = require('../api/create-checkout-session');
+
+// The logs are noise here
+for (const method of ['log', 'warn', 'error']) {
+    console[method] = () => {};
+}
+
+// Helper: Start a checkout for a cart
+async function checkout(items) {
+    const res = createResponse();
+    await createCheckoutSession(createRequest({ method: 'POST', body: { items: items, customer_email: 'buyer@example.com' } }), res);
+    await res.finished;
+    return res;
+}
+
+test('quantities from 1 to 10 are charged as sent', async () => {
+    const res = await checkout([{ productId: 'full-moon', quantity: 10 }, { productId: 'sydney-tower' }]);
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.jsonBody.items.map(item => item.quantity), [10, 1]);
+});
+
+test('quantities out of range are refused, not corrected', async () => {
+    for (const quantity of [0, 11, -1, 2.5, 'two', null]) {
+        const res = await checkout([{ productId: 'sydney-tower' }, { productId: 'full-moon', quantity: quantity }]);
+
+        assert.equal(res.statusCode, 400, `quantity ${quantity}`);
+        assert.equal(res.jsonBody.error, 'Invalid quantity');
+        assert.deepEqual(res.jsonBody.invalidQuantities, [{ productId: 'full-moon', quantity: quantity }]);
+    }
+});
@@ -0,0 +1,219 @@
+/**
+ * Download actions (api/download.js)
+ * Runs the handler against an in-memory Redis with mock requests and responses
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useMemoryRedis } = require('./helpers/memoryRedis');
+const { createResponse, createRequest } = require('./helpers/mockResponse');
+const downloadTokens = require('../lib/downloadTokens');
+const watermark = require('../lib/watermark');
+
+process.env.DOWNLOAD_TOKEN_SECRET = 'test_download_token_secret';
+
+useMemoryRedis();
+const db = require('../api/db');
+const download = require('../api/download');
+
+// The logs are noise here
+for (const method of ['log', 'warn', 'error']) {
+    console[method] = () => {};
+}
+
+const LOCAL_PHOTO = '/Images/High-Quality Photos/Forgotten Songs.jpg';
+
+let purchaseCount = 0;
+
+// Helper: Save a purchase of one photo (item: fields to add to the purchased item)
+async function createPurchase(item = {}) {
+    const sessionId = `cs_test_download_${++purchaseCount}`;
+    const purchasedItem = {
+        productId: 'sydney-tower',
+        title: 'Sydney Tower',
+        quantity: 1,
+        imageHQ: LOCAL_PHOTO,
+        downloadPolicy: { downloads: 3, days: null },
+        ...item
+    };
+    await db.savePurchase(sessionId, {
+        sessionId: sessionId,
+        products: [purchasedItem],
+        purchased_items: [purchasedItem],
+        createdAt: new Date().toISOString()
+    });
+    return sessionId;
+}
+
+// Helper: Run the download handler and wait for the response
+async function runDownload(options) {
+    const res = createResponse();
+    await download(createRequest(options), res);
+    await res.finished;
+    return res;
+}
+
+// Helper: Single-file download of a purchase's photo (headers: Range, If-Range)
+function streamFile(sessionId, headers = {}, method = 'GET') {
+    const { token } = downloadTokens.createDownloadToken(sessionId, 'sydney-tower', { headers: {} });
+    return runDownload({ method: method, query: { action: 'streamFile', token: token }, headers: headers });
+}
+
+// Helper: Single-file download whose connection drops after about `bytes` bytes (resolves with the bytes received)
+async function interruptedStreamFile(sessionId, bytes) {
+    const { token } = downloadTokens.createDownloadToken(sessionId, 'sydney-tower', { headers: {} });
+    const res = createResponse();
+    const write = res.write;
+    let received = 0;
+    res.write = (chunk, ...args) => {
+        received += chunk.length;
+        const written = write(chunk, ...args);
+        if (received >= bytes) res.destroy();
+        return written;
+    };
+
+    // The handler resolves once the closed connection is recorded
+    await download(createRequest({ query: { action: 'streamFile', token: token } }), res);
+    return { body: res.body() };
+}
+
+// Helper: Downloads used of the photo
+async function getDownloadsUsed(sessionId) {
+    return (await db.getPurchase(sessionId)).download_uses?.['sydney-tower'] || 0;
+}
+
+test('getDownloadLink streams a local photo', async () => {
+    const res = await runDownload({ query: { action: 'getDownloadLink', imageSrc: LOCAL_PHOTO } });
+
+    const file = fs.readFileSync(path.join(__dirname, '..', LOCAL_PHOTO));
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.headers['content-type'], 'image/jpeg');
+    assert.equal(res.headers['content-length'], file.length);
+    assert.ok(res.body().equals(file));
+});
+
+test('getDownloadLink redirects CDN photos and refuses missing files', async () => {
+    const redirected = await runDownload({ query: { action: 'getDownloadLink', imageSrc: 'https://cdn.example.com/Full%20Moon.jpg' } });
+    assert.equal(redirected.statusCode, 302);
+    assert.equal(redirected.headers.location, 'https://cdn.example.com/Full%20Moon.jpg');
+
+    const missing = await runDownload({ query: { action: 'getDownloadLink', imageSrc: '/Images/missing.jpg' } });
+    assert.equal(missing.statusCode, 404);
+});
+
+test('issueDownloadToken issues tokens to any browser unless DOWNLOAD_BROWSER_CLAIM is on', async () => {
+    const sessionId = await createPurchase();
+    const issue = (cookie) => runDownload({
+        method: 'POST',
+        query: { action: 'issueDownloadToken' },
+        headers: cookie ? { cookie: cookie } : {},
+        body: { session_id: sessionId }
+    });
+
+    const phone = await issue();
+    const desktop = await issue();
+    assert.equal(phone.statusCode, 200);
+    assert.equal(desktop.statusCode, 200);
+    assert.ok(desktop.jsonBody.token.startsWith('dt_'));
+    assert.equal(phone.headers['set-cookie'], undefined);
+
+    process.env.DOWNLOAD_BROWSER_CLAIM = 'true';
+    try {
+        const first = await issue();
+        const cookie = first.headers['set-cookie'].split(';')[0];
+        assert.equal(first.statusCode, 200);
+        assert.equal((await issue(cookie)).statusCode, 200);
+        assert.equal((await issue()).statusCode, 403);
+    } finally {
+        delete process.env.DOWNLOAD_BROWSER_CLAIM;
+    }
+});
+
+test('streamFile serves ranges, and HEAD and unsatisfiable ranges use no download', async () => {
+    const sessionId = await createPurchase();
+    const file = fs.readFileSync(path.join(__dirname, '..', LOCAL_PHOTO));
+
+    const head = await streamFile(sessionId, {}, 'HEAD');
+    assert.equal(head.statusCode, 200);
+    assert.equal(head.headers['content-length'], file.length);
+    assert.equal(head.headers['accept-ranges'], 'bytes');
+    assert.ok(head.headers.etag);
+    assert.equal(head.body().length, 0);
+
+    const pastEnd = await streamFile(sessionId, { range: `bytes=${file.length}-` });
+    assert.equal(pastEnd.statusCode, 416);
+    assert.equal(pastEnd.headers['content-range'], `bytes */${file.length}`);
+    assert.equal(await getDownloadsUsed(sessionId), 0);
+
+    const part = await streamFile(sessionId, { range: 'bytes=0-99' });
+    assert.equal(part.statusCode, 206);
+    assert.equal(part.headers['content-range'], `bytes 0-99/${file.length}`);
+    assert.ok(part.body().equals(file.subarray(0, 100)));
+    assert.equal(await getDownloadsUsed(sessionId), 1);
+});
+
+test('streamFile sends the whole file when If-Range names another version', async () => {
+    const sessionId = await createPurchase();
+    const file = fs.readFileSync(path.join(__dirname, '..', LOCAL_PHOTO));
+
+    const res = await streamFile(sessionId, { range: 'bytes=100-', 'if-range': '"an-older-version"' });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.headers['content-range'], undefined);
+    assert.ok(res.body().equals(file));
+    assert.equal(await getDownloadsUsed(sessionId), 1);
+});
+
+test('resuming an interrupted transfer uses no download - other ranges and finished transfers do', async () => {
+    const sessionId = await createPurchase({ downloadPolicy: { downloads: 5, days: null } });
+    const file = fs.readFileSync(path.join(__dirname, '..', LOCAL_PHOTO));
+
+    const interrupted = await interruptedStreamFile(sessionId, 300000);
+    const transfer = await db.getDownloadTransfer(sessionId, 'sydney-tower');
+    assert.ok(transfer.servedTo >= interrupted.body.length && transfer.servedTo < file.length);
+    assert.equal(await getDownloadsUsed(sessionId), 1);
+
+    // Continued from the bytes received (before the furthest byte sent, within the overlap)
+    const resumed = await streamFile(sessionId, { range: `bytes=${interrupted.body.length}-`, 'if-range': transfer.etag });
+    assert.equal(resumed.statusCode, 206);
+    assert.ok(Buffer.concat([interrupted.body, resumed.body()]).equals(file));
+    assert.equal(await getDownloadsUsed(sessionId), 1);
+
+    // The transfer has finished - downloading part of it again is a new download
+    const again = await streamFile(sessionId, { range: `bytes=${interrupted.body.length}-`, 'if-range': transfer.etag });
+    assert.equal(again.statusCode, 206);
+    assert.equal(await getDownloadsUsed(sessionId), 2);
+
+    // So is a range that skips ahead of an unfinished transfer
+    await interruptedStreamFile(sessionId, 300000);
+    const skipped = await streamFile(sessionId, { range: `bytes=${file.length - 1000}-` });
+    assert.equal(skipped.statusCode, 206);
+    assert.equal(await getDownloadsUsed(sessionId), 4);
+});
+
+test('watermarked transfers can be resumed too', async () => {
+    process.env.WATERMARK_SECRET = 'test_watermark_secret';
+    try {
+        const sessionId = await createPurchase();
+
+        const interrupted = await interruptedStreamFile(sessionId, 200000);
+        const transfer = await db.getDownloadTransfer(sessionId, 'sydney-tower');
+        assert.ok(transfer.servedTo < transfer.size, 'the transfer is recorded as unfinished');
+
+        const head = await streamFile(sessionId, {}, 'HEAD');
+        assert.equal(head.headers.etag, transfer.etag);
+        assert.equal(head.headers['content-length'], transfer.size);
+
+        const resumed = await streamFile(sessionId, { range: `bytes=${interrupted.body.length}-`, 'if-range': transfer.etag });
+        assert.equal(resumed.statusCode, 206);
+        assert.equal(await getDownloadsUsed(sessionId), 1);
+
+        const marked = Buffer.concat([interrupted.body, resumed.body()]);
+        assert.equal(marked.length, transfer.size);
+        const found = await watermark.readWatermark(marked);
+        assert.equal(found.markId, watermark.createMarkId(sessionId, 'sydney-tower'));
+    } finally {
+        delete process.env.WATERMARK_SECRET;
+    }
+});
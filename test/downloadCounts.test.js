@@ -0,0 +1,136 @@
+/**
+ * Download counts (api/db.js consumeDownloads, releaseDownloads, markItemAsDownloaded)
+ * Runs the Lua scripts against an in-memory Redis - parallel requests must never use more downloads than a photo has
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useMemoryRedis } = require('./helpers/memoryRedis');
+
+const redis = useMemoryRedis();
+const db = require('../api/db');
+
+// The logs are noise here
+for (const method of ['log', 'warn', 'error']) {
+    console[method] = () => {};
+}
+
+let purchaseCount = 0;
+
+// Helper: Save a purchase of photos with a download policy ({ productId: downloads allowed })
+async function createPurchase(downloadsAllowed) {
+    const sessionId = `cs_test_counts_${++purchaseCount}`;
+    const items = Object.entries(downloadsAllowed).map(([productId, downloads]) => ({
+        productId: productId,
+        title: productId,
+        quantity: 1,
+        downloadPolicy: { downloads: downloads, days: null }
+    }));
+    await db.savePurchase(sessionId, {
+        sessionId: sessionId,
+        products: items,
+        purchased_items: items,
+        createdAt: new Date().toISOString()
+    });
+    return sessionId;
+}
+
+test('parallel downloads never use more than a photo allows', async () => {
+    const sessionId = await createPurchase({ 'full-moon': 3 });
+    const purchase = await db.getPurchase(sessionId);
+
+    const results = await Promise.all(Array.from({ length: 10 }, () => db.consumeDownloads(sessionId, purchase, ['full-moon'])));
+
+    const granted = results.filter(result => result['full-moon'] !== undefined);
+    assert.equal(granted.length, 3);
+    assert.deepEqual(granted.map(result => result['full-moon']).sort(), [1, 2, 3]);
+    assert.equal((await db.getPurchase(sessionId)).download_uses['full-moon'], 3);
+});
+
+test('a photo at its limit is left out while the others in the same request are counted', async () => {
+    const sessionId = await createPurchase({ 'full-moon': 1, 'sydney-tower': 2 });
+    const purchase = await db.getPurchase(sessionId);
+    await db.consumeDownloads(sessionId, purchase, ['full-moon']);
+
+    const results = await Promise.all([
+        db.consumeDownloads(sessionId, purchase, ['full-moon', 'sydney-tower']),
+        db.consumeDownloads(sessionId, purchase, ['full-moon', 'sydney-tower']),
+        db.consumeDownloads(sessionId, purchase, ['full-moon', 'sydney-tower'])
+    ]);
+
+    assert.ok(results.every(result => result['full-moon'] === undefined));
+    assert.equal(results.filter(result => result['sydney-tower'] !== undefined).length, 2);
+
+    const updated = await db.getPurchase(sessionId);
+    assert.deepEqual(updated.download_uses, { 'full-moon': 1, 'sydney-tower': 2 });
+    assert.ok(updated.downloaded_at['full-moon']);
+});
+
+test('downloads used before counts moved out of the record count towards the limit', async () => {
+    const sessionId = await createPurchase({ 'full-moon': 2 });
+    await db.updatePurchase(sessionId, { download_uses: { 'full-moon': 1 } });
+    const purchase = await db.getPurchase(sessionId);
+
+    const results = await Promise.all(Array.from({ length: 4 }, () => db.consumeDownloads(sessionId, purchase, ['full-moon'])));
+
+    assert.equal(results.filter(result => result['full-moon'] !== undefined).length, 1);
+    assert.equal((await db.getPurchase(sessionId)).download_uses['full-moon'], 2);
+});
+
+test('releaseDownloads gives the download back and records the failure until the next download', async () => {
+    const sessionId = await createPurchase({ 'full-moon': 1 });
+    const purchase = await db.getPurchase(sessionId);
+    await db.consumeDownloads(sessionId, purchase, ['full-moon']);
+
+    assert.equal(await db.releaseDownloads(sessionId, { 'full-moon': 'CDN responded with 503' }), true);
+
+    let updated = await db.getPurchase(sessionId);
+    assert.equal(updated.download_uses['full-moon'], 0);
+    assert.equal(updated.downloaded_at['full-moon'], undefined);
+    assert.equal(updated.download_failures['full-moon'].error, 'CDN responded with 503');
+
+    // The download that was given back can be used again - once, even by parallel requests
+    const results = await Promise.all(Array.from({ length: 3 }, () => db.consumeDownloads(sessionId, updated, ['full-moon'])));
+    assert.equal(results.filter(result => result['full-moon'] !== undefined).length, 1);
+
+    updated = await db.getPurchase(sessionId);
+    assert.equal(updated.download_uses['full-moon'], 1);
+    assert.equal(updated.download_failures['full-moon'], undefined);
+});
+
+test('releaseDownloads only gives back one download per failure', async () => {
+    const sessionId = await createPurchase({ 'full-moon': 3 });
+    const purchase = await db.getPurchase(sessionId);
+    await db.consumeDownloads(sessionId, purchase, ['full-moon']);
+    await db.consumeDownloads(sessionId, purchase, ['full-moon']);
+
+    await Promise.all([
+        db.releaseDownloads(sessionId, { 'full-moon': 'Timed out' }),
+        db.releaseDownloads(sessionId, { 'full-moon': 'Timed out' }),
+        db.releaseDownloads(sessionId, { 'full-moon': 'Timed out' })
+    ]);
+
+    // Never below zero, and downloads that weren't used aren't added
+    assert.equal((await db.getPurchase(sessionId)).download_uses['full-moon'], 0);
+    assert.equal(await db.releaseDownloads(sessionId, {}), true);
+});
+
+test('parallel markItemAsDownloaded calls use the last download once', async () => {
+    const sessionId = await createPurchase({ 'full-moon': 2 });
+    assert.equal(await db.markItemAsDownloaded(sessionId, 'full-moon'), true);
+
+    const results = await Promise.all(Array.from({ length: 5 }, () => db.markItemAsDownloaded(sessionId, 'full-moon')));
+
+    assert.equal(results.filter(Boolean).length, 1);
+    const updated = await db.getPurchase(sessionId);
+    assert.equal(updated.download_uses['full-moon'], 2);
+    assert.equal(updated.downloaded['full-moon'], true);
+});
+
+test('markItemAsDownloaded refuses photos that are not in the purchase', async () => {
+    const sessionId = await createPurchase({ 'full-moon': 2 });
+
+    assert.equal(await db.markItemAsDownloaded(sessionId, 'sydney-tower'), false);
+    assert.equal(await db.markItemAsDownloaded('cs_test_missing', 'full-moon'), false);
+    assert.equal(await redis.hgetall(`purchase_downloads:${sessionId}`), null);
+});
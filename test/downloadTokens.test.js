@@ -0,0 +1,65 @@
+/**
+ * Download tokens (lib/downloadTokens.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const downloadTokens = require('../lib/downloadTokens');
+
+process.env.DOWNLOAD_TOKEN_SECRET = 'test_download_token_secret';
+
+// Helper: A request from a browser
+function createRequest(userAgent, ip) {
+    return { headers: { 'user-agent': userAgent, 'x-forwarded-for': ip } };
+}
+
+test('tokens are not bound to the client by default', () => {
+    const { token } = downloadTokens.createDownloadToken('cs_test_tokens', 'full-moon', createRequest('Browser 1.0', '203.0.113.1'));
+
+    const claims = downloadTokens.verifyDownloadToken(token, createRequest('Browser 2.0', '198.51.100.7'));
+    assert.deepEqual(claims, { sessionId: 'cs_test_tokens', productId: 'full-moon' });
+});
+
+test('DOWNLOAD_TOKEN_BINDING=ua binds tokens to the user agent', () => {
+    process.env.DOWNLOAD_TOKEN_BINDING = 'ua';
+    try {
+        const { token } = downloadTokens.createDownloadToken('cs_test_tokens', null, createRequest('Browser 1.0', '203.0.113.1'));
+
+        assert.deepEqual(downloadTokens.verifyDownloadToken(token, createRequest('Browser 1.0', '198.51.100.7')), { sessionId: 'cs_test_tokens', productId: null });
+        assert.deepEqual(downloadTokens.verifyDownloadToken(token, createRequest('Browser 2.0', '203.0.113.1')), { error: 'client' });
+    } finally {
+        delete process.env.DOWNLOAD_TOKEN_BINDING;
+    }
+});
+
+test('tampered and expired tokens are refused', () => {
+    const { token } = downloadTokens.createDownloadToken('cs_test_tokens', 'full-moon', createRequest('Browser 1.0'));
+    const [payload, signature] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({ s: 'cs_other', p: '*', e: 9999999999 })).toString('base64url');
+
+    assert.deepEqual(downloadTokens.verifyDownloadToken(`dt_${forged}.${signature}`, createRequest('Browser 1.0')), { error: 'invalid' });
+    assert.deepEqual(downloadTokens.verifyDownloadToken(`${payload}.${signature[0] === 'A' ? 'B' : 'A'}${signature.substring(1)}`, createRequest('Browser 1.0')), { error: 'invalid' });
+
+    process.env.DOWNLOAD_TOKEN_TTL_SECONDS = '1';
+    try {
+        const { token: shortLived } = downloadTokens.createDownloadToken('cs_test_tokens', 'full-moon', createRequest('Browser 1.0'));
+        const realNow = Date.now;
+        Date.now = () => realNow() + 2000;
+        try {
+            assert.deepEqual(downloadTokens.verifyDownloadToken(shortLived, createRequest('Browser 1.0')), { error: 'expired' });
+        } finally {
+            Date.now = realNow;
+        }
+    } finally {
+        delete process.env.DOWNLOAD_TOKEN_TTL_SECONDS;
+    }
+});
+
+test('getAccessId ignores cookies that are not valid percent-encoding', () => {
+    const accessKey = 'a'.repeat(64);
+    const res = { setHeader: () => assert.fail('the existing access key should be used') };
+
+    const accessId = downloadTokens.getAccessId({ headers: { cookie: `theme=%E0; ifw_download_access=${accessKey}; other=%` } }, res);
+    assert.match(accessId, /^[a-f0-9]{64}$/);
+    assert.equal(accessId, downloadTokens.getAccessId({ headers: { cookie: `ifw_download_access=${accessKey}` } }, res));
+});
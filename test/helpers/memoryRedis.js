@@ -0,0 +1,286 @@
+/**
+ * In-memory Redis for tests
+ * Stands in for the Upstash client (get, set, del, incr, hgetall, hset, eval). eval runs the real Lua scripts
+ * (fengari, a Lua VM in JavaScript, with cjson) against the in-memory data, one script at a time like Redis. Every command
+ * yields to the event loop first, so parallel calls interleave the way concurrent requests do.
+ *
+ * Usage: const redis = useMemoryRedis(); then require('../api/db') - api/db.js gets this client from Redis.fromEnv()
+ */
+
+const { lua, lauxlib, lualib, to_luastring, to_jsstring } = require('fengari');
+
+// Helper: Let other pending calls run (Upstash commands are HTTP requests)
+function tick() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+// Helper: Values are stored as strings, like Redis - objects as JSON, like the Upstash client
+function serialize(value) {
+    return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+// Helper: Upstash parses stored JSON back into values
+function deserialize(value) {
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        return value;
+    }
+}
+
+function createMemoryRedis() {
+    const strings = new Map();
+    const hashes = new Map();
+
+    // Helper: A hash, created if missing
+    function getHash(key) {
+        if (!hashes.has(key)) hashes.set(key, new Map());
+        return hashes.get(key);
+    }
+
+    // Helper: Run a Redis command from a script (string values and replies, like redis.call)
+    function runCommand(name, args) {
+        switch (name.toUpperCase()) {
+            case 'GET':
+                return strings.has(args[0]) ? strings.get(args[0]) : null;
+            case 'SET': {
+                const nx = args.some(arg => arg.toUpperCase() === 'NX');
+                if (nx && strings.has(args[0])) return null;
+                strings.set(args[0], args[1]);
+                return 'OK';
+            }
+            case 'DEL':
+                return args.filter(key => {
+                    const deleted = strings.delete(key);
+                    return hashes.delete(key) || deleted;
+                }).length;
+            case 'HGET': {
+                const hash = hashes.get(args[0]);
+                return hash && hash.has(args[1]) ? hash.get(args[1]) : null;
+            }
+            case 'HSET': {
+                const hash = getHash(args[0]);
+                let added = 0;
+                for (let i = 1; i < args.length; i += 2) {
+                    if (!hash.has(args[i])) added++;
+                    hash.set(args[i], args[i + 1]);
+                }
+                return added;
+            }
+            case 'HDEL': {
+                const hash = hashes.get(args[0]);
+                if (!hash) return 0;
+                const removed = args.slice(1).filter(field => hash.delete(field)).length;
+                if (hash.size === 0) hashes.delete(args[0]);
+                return removed;
+            }
+            case 'HEXISTS':
+                return hashes.get(args[0])?.has(args[1]) ? 1 : 0;
+            case 'HINCRBY': {
+                const hash = getHash(args[0]);
+                const value = (parseInt(hash.get(args[1]) || '0', 10) + parseInt(args[2], 10));
+                hash.set(args[1], String(value));
+                return value;
+            }
+            case 'HLEN':
+                return hashes.get(args[0])?.size || 0;
+            case 'EXPIRE':
+                return strings.has(args[0]) || hashes.has(args[0]) ? 1 : 0; // Keys don't expire here
+            default:
+                throw new Error(`Command not supported by the in-memory Redis: ${name}`);
+        }
+    }
+
+    // Helper: Push a command reply onto the Lua stack (nil replies are false in scripts, like Redis)
+    function pushReply(L, reply) {
+        if (reply === null) lua.lua_pushboolean(L, false);
+        else if (typeof reply === 'number') lua.lua_pushinteger(L, reply);
+        else lua.lua_pushstring(L, to_luastring(String(reply)));
+    }
+
+    // Helper: Convert a script's return value like Redis (numbers truncated to integers, tables to arrays)
+    function readResult(L, index) {
+        switch (lua.lua_type(L, index)) {
+            case lua.LUA_TNUMBER:
+                return Math.trunc(lua.lua_tonumber(L, index));
+            case lua.LUA_TSTRING:
+                return to_jsstring(lua.lua_tostring(L, index));
+            case lua.LUA_TBOOLEAN:
+                return lua.lua_toboolean(L, index) ? 1 : null;
+            case lua.LUA_TTABLE: {
+                const table = lua.lua_absindex(L, index);
+                const result = [];
+                for (let i = 1; ; i++) {
+                    lua.lua_geti(L, table, i);
+                    if (lua.lua_isnil(L, -1)) {
+                        lua.lua_pop(L, 1);
+                        break;
+                    }
+                    result.push(readResult(L, -1));
+                    lua.lua_pop(L, 1);
+                }
+                return result;
+            }
+            default:
+                return null;
+        }
+    }
+
+    // Helper: Push a JSON value onto the Lua stack (cjson.decode - null is nil; integers stay integers, so tostring()
+    // gives "2" like Redis' Lua 5.1 rather than "2.0")
+    function pushJson(L, value) {
+        if (value === null || value === undefined) lua.lua_pushnil(L);
+        else if (typeof value === 'boolean') lua.lua_pushboolean(L, value);
+        else if (typeof value === 'number') Number.isInteger(value) ? lua.lua_pushinteger(L, value) : lua.lua_pushnumber(L, value);
+        else if (typeof value === 'string') lua.lua_pushstring(L, to_luastring(value));
+        else if (Array.isArray(value)) {
+            lua.lua_createtable(L, value.length, 0);
+            value.forEach((item, i) => {
+                pushJson(L, item);
+                lua.lua_rawseti(L, -2, i + 1);
+            });
+        } else {
+            lua.lua_createtable(L, 0, Object.keys(value).length);
+            for (const [key, item] of Object.entries(value)) {
+                pushJson(L, item);
+                lua.lua_setfield(L, -2, to_luastring(key));
+            }
+        }
+    }
+
+    // Helper: Read a Lua value as JSON (cjson.encode - tables with keys 1..n are arrays, other tables objects)
+    function readJson(L, index) {
+        switch (lua.lua_type(L, index)) {
+            case lua.LUA_TNUMBER:
+                return lua.lua_tonumber(L, index);
+            case lua.LUA_TSTRING:
+                return to_jsstring(lua.lua_tostring(L, index));
+            case lua.LUA_TBOOLEAN:
+                return lua.lua_toboolean(L, index);
+            case lua.LUA_TTABLE: {
+                const table = lua.lua_absindex(L, index);
+                const entries = [];
+                lua.lua_pushnil(L);
+                while (lua.lua_next(L, table) !== 0) {
+                    const key = lua.lua_type(L, -2) === lua.LUA_TNUMBER ? lua.lua_tonumber(L, -2) : to_jsstring(lua.lua_tostring(L, -2));
+                    entries.push([key, readJson(L, -1)]);
+                    lua.lua_pop(L, 1);
+                }
+                const isArray = entries.length > 0 && entries.every(([key]) => typeof key === 'number')
+                    && entries.map(([key]) => key).sort((x, y) => x - y).every((key, i) => key === i + 1);
+                if (isArray) {
+                    return entries.sort(([x], [y]) => x - y).map(([, item]) => item);
+                }
+                return Object.fromEntries(entries.map(([key, item]) => [String(key), item]));
+            }
+            default:
+                return null;
+        }
+    }
+
+    // Helper: Add the cjson library scripts use (decode, encode)
+    function openCjson(L) {
+        lua.lua_createtable(L, 0, 2);
+        lua.lua_pushjsfunction(L, state => {
+            pushJson(state, JSON.parse(to_jsstring(lauxlib.luaL_checkstring(state, 1))));
+            return 1;
+        });
+        lua.lua_setfield(L, -2, to_luastring('decode'));
+        lua.lua_pushjsfunction(L, state => {
+            lua.lua_pushstring(state, to_luastring(JSON.stringify(readJson(state, 1))));
+            return 1;
+        });
+        lua.lua_setfield(L, -2, to_luastring('encode'));
+        lua.lua_setglobal(L, to_luastring('cjson'));
+    }
+
+    // Helper: Set a global table of strings (KEYS, ARGV)
+    function setStringArray(L, name, values) {
+        lua.lua_createtable(L, values.length, 0);
+        values.forEach((value, i) => {
+            lua.lua_pushstring(L, to_luastring(String(value)));
+            lua.lua_rawseti(L, -2, i + 1);
+        });
+        lua.lua_setglobal(L, to_luastring(name));
+    }
+
+    // Run a script to completion (synchronous - nothing else touches the data meanwhile, like Redis)
+    function runScript(script, keys, args) {
+        const L = lauxlib.luaL_newstate();
+        lualib.luaL_openlibs(L);
+
+        lua.lua_createtable(L, 0, 1);
+        lua.lua_pushjsfunction(L, state => {
+            const count = lua.lua_gettop(state);
+            const commandArgs = [];
+            for (let i = 1; i <= count; i++) {
+                commandArgs.push(to_jsstring(lauxlib.luaL_tolstring(state, i)));
+                lua.lua_pop(state, 1);
+            }
+            pushReply(state, runCommand(commandArgs[0], commandArgs.slice(1)));
+            return 1;
+        });
+        lua.lua_setfield(L, -2, to_luastring('call'));
+        lua.lua_setglobal(L, to_luastring('redis'));
+        openCjson(L);
+        setStringArray(L, 'KEYS', keys);
+        setStringArray(L, 'ARGV', args);
+
+        if (lauxlib.luaL_dostring(L, to_luastring(script)) !== lua.LUA_OK) {
+            throw new Error(`Script error: ${to_jsstring(lua.lua_tostring(L, -1))}`);
+        }
+        return lua.lua_gettop(L) > 0 ? readResult(L, -1) : null;
+    }
+
+    return {
+        async get(key) {
+            await tick();
+            return strings.has(key) ? deserialize(strings.get(key)) : null;
+        },
+        async set(key, value, options = {}) {
+            await tick();
+            if (options.nx && strings.has(key)) return null;
+            strings.set(key, serialize(value));
+            return 'OK';
+        },
+        async del(...keys) {
+            await tick();
+            return runCommand('DEL', keys);
+        },
+        async incr(key) {
+            await tick();
+            const value = parseInt(strings.get(key) || '0', 10) + 1;
+            strings.set(key, String(value));
+            return value;
+        },
+        async hgetall(key) {
+            await tick();
+            const hash = hashes.get(key);
+            if (!hash) return null;
+            return Object.fromEntries([...hash].map(([field, value]) => [field, deserialize(value)]));
+        },
+        async hset(key, values) {
+            await tick();
+            return runCommand('HSET', [key, ...Object.entries(values).flatMap(([field, value]) => [field, serialize(value)])]);
+        },
+        async eval(script, keys, args) {
+            await tick();
+            return runScript(script, keys, args);
+        }
+    };
+}
+
+// Make api/db.js use a fresh in-memory Redis (call before requiring it)
+function useMemoryRedis() {
+    const client = createMemoryRedis();
+    const modulePath = require.resolve('@upstash/redis');
+    require.cache[modulePath] = {
+        id: modulePath,
+        filename: modulePath,
+        loaded: true,
+        exports: { Redis: { fromEnv: () => client } }
+    };
+    return client;
+}
+
+module.exports = { createMemoryRedis, useMemoryRedis };
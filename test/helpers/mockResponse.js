@@ -0,0 +1,73 @@
+/**
+ * Mock handler response for tests
+ * Stands in for Vercel's res (status, json, setHeader, end) and is a writable stream, so handlers can pipe files
+ * into it. Resolves `finished` once the handler has responded (json, end or the end of the piped stream).
+ *
+ * Usage: const res = createResponse(); await handler(req, res); await res.finished; res.statusCode, res.jsonBody or res.body()
+ */
+
+const { Writable } = require('stream');
+
+function createResponse() {
+    const chunks = [];
+    let finish;
+    const finished = new Promise(resolve => {
+        finish = resolve;
+    });
+
+    const res = new Writable({
+        write(chunk, encoding, callback) {
+            chunks.push(Buffer.from(chunk));
+            callback();
+        },
+        final(callback) {
+            callback();
+            finish();
+        }
+    });
+
+    res.statusCode = 200;
+    res.headers = {};
+    res.jsonBody = null;
+    res.headersSent = false;
+    res.finished = finished;
+
+    res.status = (code) => {
+        res.statusCode = code;
+        return res;
+    };
+    res.setHeader = (name, value) => {
+        res.headers[name.toLowerCase()] = value;
+    };
+    res.getHeader = (name) => res.headers[name.toLowerCase()];
+    res.json = (body) => {
+        res.jsonBody = body;
+        res.headersSent = true;
+        finish();
+        return res;
+    };
+    // Helper: The bytes written (end(body) or piped)
+    res.body = () => Buffer.concat(chunks);
+
+    // Writes mark the headers as sent, like http.ServerResponse
+    const write = res.write.bind(res);
+    res.write = (...args) => {
+        res.headersSent = true;
+        return write(...args);
+    };
+    const end = res.end.bind(res);
+    res.end = (...args) => {
+        res.headersSent = true;
+        end(...args);
+        return res;
+    };
+
+    return res;
+}
+
+// Helper: A handler request (GET unless another method is given)
+function createRequest({ method = 'GET', query = {}, headers = {}, body } = {}) {
+    return { method: method, query: query, headers: headers, body: body };
+}
+
+module.exports = { createResponse, createRequest };
@@ -0,0 +1,182 @@
+/**
+ * Purchase archives (lib/purchaseArchive.js)
+ * Fetches from a local HTTP server standing in for the CDN, into an archive that just collects its entries
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const purchaseArchive = require('../lib/purchaseArchive');
+
+// The logs are noise here
+for (const method of ['log', 'warn', 'error']) {
+    console[method] = () => {};
+}
+
+// Helper: A file's contents (big enough to take several chunks)
+function createFile(name, size = 256 * 1024) {
+    return Buffer.alloc(size, name);
+}
+
+// Helper: Start a CDN on a free port - handle(req, res, requestNumber) answers requests for one path
+// (requestNumber counts from 1 per path). Resolves with { url(path), requests, close() }
+function startServer(handle) {
+    const requests = [];
+    const counts = {};
+    const server = http.createServer((req, res) => {
+        requests.push(req.url);
+        counts[req.url] = (counts[req.url] || 0) + 1;
+        handle(req, res, counts[req.url]);
+    });
+
+    return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => {
+            resolve({
+                url: (path) => `http://127.0.0.1:${server.address().port}${path}`,
+                requests: requests,
+                close: () => {
+                    server.closeAllConnections();
+                    return new Promise(done => server.close(done));
+                }
+            });
+        });
+    });
+}
+
+// Helper: An archive that reads each entry in turn, like archiver (onAppend(name) is called as entries are added)
+function createArchive(onAppend = () => {}) {
+    const entries = {};
+    let reading = Promise.resolve();
+
+    return {
+        entries: entries,
+        append(source, { name }) {
+            onAppend(name);
+            if (typeof source === 'string' || Buffer.isBuffer(source)) {
+                entries[name] = Buffer.from(source);
+                return;
+            }
+            reading = reading.then(() => new Promise((resolve) => {
+                const chunks = [];
+                source.on('data', chunk => chunks.push(chunk));
+                source.on('end', () => {
+                    entries[name] = Buffer.concat(chunks);
+                    resolve();
+                });
+            }));
+        }
+    };
+}
+
+test('fetchWithRetry retries a 5xx after a backoff and gives up on other errors at once', async () => {
+    const cdn = await startServer((req, res, requestNumber) => {
+        if (req.url === '/flaky.jpg' && requestNumber === 1) {
+            res.statusCode = 500;
+            res.end('CDN error');
+        } else if (req.url === '/flaky.jpg') {
+            res.end(createFile('flaky'));
+        } else {
+            res.statusCode = 404;
+            res.end('Not found');
+        }
+    });
+
+    try {
+        const startedAt = Date.now();
+        const { response, attempts } = await purchaseArchive.fetchWithRetry(cdn.url('/flaky.jpg'));
+        response.resume();
+        assert.equal(response.statusCode, 200);
+        assert.equal(attempts, 2);
+        assert.ok(Date.now() - startedAt >= 500, 'the retry waits for the backoff');
+
+        await assert.rejects(purchaseArchive.fetchWithRetry(cdn.url('/missing.jpg')), (error) => {
+            assert.equal(error.statusCode, 404);
+            assert.equal(error.attempts, 1);
+            return true;
+        });
+        assert.deepEqual(cdn.requests, ['/flaky.jpg', '/flaky.jpg', '/missing.jpg']);
+    } finally {
+        await cdn.close();
+    }
+});
+
+test('appendFiles keeps at most four files in flight and writes them in order', async () => {
+    const names = ['a', 'b', 'c', 'd', 'e', 'f'];
+    const cdn = await startServer((req, res) => {
+        // The first file is slow to answer, so the next ones are requested while it waits
+        setTimeout(() => res.end(createFile(req.url)), req.url === '/a.jpg' ? 100 : 0);
+    });
+    const requestedWhenAppended = [];
+    const archive = createArchive(() => requestedWhenAppended.push(cdn.requests.length));
+
+    try {
+        const results = await purchaseArchive.appendFiles(archive, names.map(name => ({
+            name: `${name}.jpg`,
+            productId: name,
+            url: cdn.url(`/${name}.jpg`)
+        })));
+
+        assert.deepEqual(results.map(result => result.ok), names.map(() => true));
+        assert.deepEqual(Object.keys(archive.entries), names.map(name => `${name}.jpg`));
+        for (const name of names) {
+            assert.ok(archive.entries[`${name}.jpg`].equals(createFile(`/${name}.jpg`)));
+        }
+        // Each file is fetched once the file four before it has been written
+        assert.equal(requestedWhenAppended[0], 4);
+        requestedWhenAppended.forEach((requested, index) => assert.ok(requested <= index + 4));
+    } finally {
+        await cdn.close();
+    }
+});
+
+test('a transfer that breaks off is cut short and listed as failed in the manifest', async () => {
+    const cdn = await startServer((req, res) => {
+        if (req.url === '/broken.jpg') {
+            // Half the file, then the connection drops
+            res.setHeader('Content-Length', 256 * 1024);
+            res.write(createFile('broken', 128 * 1024));
+            setTimeout(() => res.socket.destroy(), 50);
+        } else if (req.url === '/down.jpg') {
+            res.statusCode = 503;
+            res.end('Unavailable');
+        } else {
+            res.end(createFile(req.url));
+        }
+    });
+    const archive = createArchive();
+
+    try {
+        const results = await purchaseArchive.appendFiles(archive, [
+            { name: 'broken.jpg', productId: 'broken', url: cdn.url('/broken.jpg') },
+            { name: 'ok.jpg', productId: 'ok', url: cdn.url('/ok.jpg') },
+            { name: 'down.jpg', productId: 'down', url: cdn.url('/down.jpg') },
+            { name: 'README.txt', productId: null, content: 'Thank you' }
+        ]);
+
+        assert.deepEqual(results.map(result => result.ok), [false, true, false, true]);
+        assert.equal(results[0].attempts, 1);
+        assert.equal(results[2].attempts, 3);
+        assert.ok(archive.entries['broken.jpg'].length > 0 && archive.entries['broken.jpg'].length < 256 * 1024);
+        assert.ok(archive.entries['ok.jpg'].equals(createFile('/ok.jpg')));
+        assert.equal(archive.entries['down.jpg'], undefined);
+        assert.equal(archive.entries['README.txt'].toString(), 'Thank you');
+
+        const manifest = purchaseArchive.buildManifest(results, 'cs_test_archive');
+        assert.match(manifest, /^Order: cs_test_archive$/m);
+        assert.match(manifest, /^OK {6}ok\.jpg$/m);
+        assert.match(manifest, /^FAILED {2}broken\.jpg - .+ \(1 attempt\(s\)\)$/m);
+        assert.match(manifest, /^FAILED {2}down\.jpg - CDN responded with 503 \(3 attempt\(s\)\)$/m);
+        assert.match(manifest, /^2 file\(s\) could not be downloaded/m);
+    } finally {
+        await cdn.close();
+    }
+});
+
+test('buildManifest adds no warning when every file is there', () => {
+    const manifest = purchaseArchive.buildManifest([
+        { name: 'a.jpg', productId: 'a', ok: true, attempts: 1, error: null }
+    ], 'cs_test_archive');
+
+    assert.match(manifest, /^OK {6}a\.jpg$/m);
+    assert.doesNotMatch(manifest, /FAILED|could not be downloaded/);
+});
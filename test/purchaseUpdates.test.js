@@ -0,0 +1,76 @@
+/**
+ * Purchase record updates (api/db.js updatePurchase, markRefunded)
+ * Refund, dispute and payment events for one purchase often arrive together - none may undo another
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useMemoryRedis } = require('./helpers/memoryRedis');
+
+useMemoryRedis();
+const db = require('../api/db');
+
+// The logs are noise here
+for (const method of ['log', 'warn', 'error']) {
+    console[method] = () => {};
+}
+
+let purchaseCount = 0;
+
+// Helper: Save a purchase of photos
+async function createPurchase(productIds) {
+    const sessionId = `cs_test_updates_${++purchaseCount}`;
+    const items = productIds.map(productId => ({ productId: productId, title: productId, quantity: 1 }));
+    await db.savePurchase(sessionId, {
+        sessionId: sessionId,
+        products: items,
+        purchased_items: items,
+        payment_status: 'unpaid',
+        createdAt: new Date().toISOString()
+    });
+    return sessionId;
+}
+
+// Helper: A refund of some photos
+function createRefund(refundId, productIds) {
+    return { refundId: refundId, chargeId: 'ch_test', amount: 1000, currency: 'aud', reason: null, productIds: productIds };
+}
+
+test('parallel refunds, a dispute and the payment status are all kept', async () => {
+    const sessionId = await createPurchase(['full-moon', 'sydney-tower', 'alai-minar']);
+
+    const results = await Promise.all([
+        db.markRefunded(sessionId, createRefund('re_1', ['full-moon'])),
+        db.markRefunded(sessionId, createRefund('re_2', ['sydney-tower'])),
+        db.updatePurchase(sessionId, { dispute: { disputeId: 'dp_1', status: 'needs_response' } }),
+        db.updatePurchase(sessionId, { payment_status: 'paid', paymentSettledAt: '2026-01-01T00:00:00.000Z' })
+    ]);
+    assert.deepEqual(results, [true, true, true, true]);
+
+    const purchase = await db.getPurchase(sessionId);
+    assert.deepEqual(purchase.refunds.map(refund => refund.refundId).sort(), ['re_1', 're_2']);
+    assert.deepEqual(purchase.products.map(item => !!item.refunded), [true, true, false]);
+    assert.deepEqual(purchase.purchased_items.map(item => !!item.refunded), [true, true, false]);
+    assert.equal(purchase.refunded, undefined);
+    assert.equal(purchase.dispute.disputeId, 'dp_1');
+    assert.equal(purchase.payment_status, 'paid');
+});
+
+test('a refund recorded twice in parallel is kept once', async () => {
+    const sessionId = await createPurchase(['full-moon']);
+
+    const results = await Promise.all([
+        db.markRefunded(sessionId, createRefund('re_1', null)),
+        db.markRefunded(sessionId, createRefund('re_1', null))
+    ]);
+    assert.deepEqual(results, [true, true]);
+
+    const purchase = await db.getPurchase(sessionId);
+    assert.equal(purchase.refunds.length, 1);
+    assert.equal(purchase.refunded, true);
+});
+
+test('updates to a missing purchase are refused', async () => {
+    assert.equal(await db.updatePurchase('cs_test_missing', { dispute: null }), false);
+    assert.equal(await db.markRefunded('cs_test_missing', createRefund('re_1', null)), false);
+});
@@ -0,0 +1,112 @@
+/**
+ * Forensic watermarks (lib/watermark.js, trace-leak.js)
+ * Marks a small generated photo and reads the mark back
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { useMemoryRedis } = require('./helpers/memoryRedis');
+
+process.env.WATERMARK_SECRET = 'test_watermark_secret';
+
+useMemoryRedis();
+const db = require('../api/db');
+const watermark = require('../lib/watermark');
+const { traceLeak } = require('../trace-leak');
+
+// The logs are noise here
+for (const method of ['log', 'warn', 'error']) {
+    console[method] = () => {};
+}
+
+const WIDTH = 768;
+const HEIGHT = 512;
+
+// Helper: A photo - gradients with a ripple, as a JPEG
+function createPhoto() {
+    const pixels = Buffer.alloc(WIDTH * HEIGHT * 3);
+    for (let y = 0; y < HEIGHT; y++) {
+        for (let x = 0; x < WIDTH; x++) {
+            const offset = (y * WIDTH + x) * 3;
+            pixels[offset] = 60 + x * 120 / WIDTH;
+            pixels[offset + 1] = 80 + y * 100 / HEIGHT + 20 * Math.sin(x / 9);
+            pixels[offset + 2] = 140;
+        }
+    }
+    return sharp(pixels, { raw: { width: WIDTH, height: HEIGHT, channels: 3 } }).jpeg({ quality: 90 }).toBuffer();
+}
+
+// Helper: Pixels of an image
+function getPixels(image) {
+    return sharp(image).raw().toBuffer();
+}
+
+test('a marked photo is traced back to its purchase', async () => {
+    const markId = watermark.createMarkId('cs_test_leak', 'sydney-tower');
+    assert.match(markId, /^[a-f0-9]{8}$/);
+    await db.savePurchase('cs_test_leak', { sessionId: 'cs_test_leak', customer_email: 'buyer@example.com', createdAt: new Date().toISOString() });
+    await db.saveWatermark(markId, 'cs_test_leak', 'sydney-tower');
+
+    const photo = await createPhoto();
+    const marked = await watermark.embedWatermark(photo, markId);
+    const metadata = await sharp(marked).metadata();
+    assert.equal(metadata.format, 'jpeg');
+    assert.equal(metadata.width, WIDTH);
+    assert.equal(metadata.height, HEIGHT);
+    assert.ok(marked.equals(await watermark.embedWatermark(photo, markId)), 'marking is repeatable');
+
+    assert.equal((await watermark.readWatermark(marked)).markId, markId);
+    assert.equal(await watermark.readWatermark(photo), null);
+
+    // A resized copy found online
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'leak-'));
+    try {
+        const copyPath = path.join(directory, 'copy.png');
+        fs.writeFileSync(copyPath, await sharp(marked).resize(WIDTH * 3 / 4).png().toBuffer());
+
+        const traced = await traceLeak(copyPath);
+        assert.equal(traced.markId, markId);
+        assert.deepEqual(traced.deliveries.map(delivery => [delivery.sessionId, delivery.productId]), [['cs_test_leak', 'sydney-tower']]);
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
+
+test('a mark that fails its CRC is not reported', async () => {
+    const photo = await createPhoto();
+    const [first, second, third] = await Promise.all(['full-moon', 'sydney-tower', 'alai-minar'].map(productId =>
+        watermark.embedWatermark(photo, watermark.createMarkId('cs_test_crc', productId))));
+    const [original, a, b, c] = await Promise.all([photo, first, second, third].map(getPixels));
+
+    // Adding marks a and b and taking away mark c leaves a strong mark: each bit is a's where a and b agree and
+    // the opposite of c's where they don't. The ID and CRC bits no longer belong together
+    const mix = (x, y, z) => {
+        const pixels = Buffer.alloc(original.length);
+        for (let i = 0; i < pixels.length; i++) {
+            pixels[i] = Math.max(0, Math.min(255, original[i] + (x[i] - original[i]) + (y[i] - original[i]) - (z[i] - original[i])));
+        }
+        return sharp(pixels, { raw: { width: WIDTH, height: HEIGHT, channels: 3 } }).png().toBuffer();
+    };
+
+    // Mixed so the bits are a's, it still reads as a...
+    const readable = await watermark.readWatermark(await mix(a, a, b));
+    assert.equal(readable.markId, watermark.createMarkId('cs_test_crc', 'full-moon'));
+
+    // ...mixed into bits that match no mark, it is refused
+    assert.equal(await watermark.readWatermark(await mix(a, b, c)), null);
+});
+
+test('marks made with another secret are not read', async () => {
+    const marked = await watermark.embedWatermark(await createPhoto(), watermark.createMarkId('cs_test_secret', 'full-moon'));
+
+    process.env.WATERMARK_SECRET = 'another_watermark_secret';
+    try {
+        assert.equal(await watermark.readWatermark(marked), null);
+    } finally {
+        process.env.WATERMARK_SECRET = 'test_watermark_secret';
+    }
+});
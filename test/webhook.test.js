@@ -0,0 +1,96 @@
+/**
+ * Webhook (api/webhook.js)
+ * Runs checkouts through the fake payment provider (PAYMENT_PROVIDER=fake) against an in-memory Redis
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useMemoryRedis } = require('./helpers/memoryRedis');
+const { createResponse, createRequest } = require('./helpers/mockResponse');
+
+process.env.PAYMENT_PROVIDER = 'fake';
+
+const redis = useMemoryRedis();
+const db = require('../api/db');
+const fakePaymentProvider = require('../lib/fakePaymentProvider');
+const createCheckoutSession = require('../api/create-checkout-session');
+const webhook = require('../api/webhook');
+
+// The logs are noise here
+for (const method of ['log', 'warn', 'error']) {
+    console[method] = () => {};
+}
+
+// Helper: Run a handler and wait for the response
+async function run(handler, options) {
+    const res = createResponse();
+    await handler(createRequest(options), res);
+    await res.finished;
+    return res;
+}
+
+// Helper: Start a checkout for a photo (returns the session ID)
+async function startCheckout() {
+    const res = await run(createCheckoutSession, {
+        method: 'POST',
+        body: { items: [{ productId: 'full-moon' }], customer_email: 'buyer@example.com' }
+    });
+    assert.equal(res.statusCode, 200);
+    return res.jsonBody.id;
+}
+
+// Helper: Deliver a signed webhook event
+function deliver(event) {
+    return run(webhook, { method: 'POST', headers: { 'stripe-signature': event.signature }, body: event.payload });
+}
+
+test('a purchase that could not be saved fails the event so the redelivery records it', async () => {
+    const sessionId = await startCheckout();
+    const event = fakePaymentProvider.completeCheckout(sessionId, { email: 'buyer@example.com' });
+    const eventId = JSON.parse(event.payload).id;
+
+    const set = redis.set;
+    redis.set = async (key, ...args) => {
+        if (key === `purchase:${sessionId}`) throw new Error('Redis unavailable');
+        return set(key, ...args);
+    };
+    let res;
+    try {
+        res = await deliver(event);
+    } finally {
+        redis.set = set;
+    }
+
+    assert.equal(res.statusCode, 500);
+    assert.equal(await db.getPurchase(sessionId), null);
+    assert.equal((await db.getWebhookEvent(eventId)).status, 'failed');
+
+    res = await deliver(event);
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.jsonBody.duplicate, undefined);
+    assert.equal((await db.getPurchase(sessionId)).products[0].productId, 'full-moon');
+    assert.equal((await db.getWebhookEvent(eventId)).status, 'processed');
+});
+
+test('the webhook check needs the admin API key', async () => {
+    process.env.ADMIN_API_KEY = 'test_admin_key';
+    try {
+        const sessionId = await startCheckout();
+        await deliver(fakePaymentProvider.completeCheckout(sessionId, { email: 'buyer@example.com' }));
+
+        const anonymous = await run(webhook, { query: { session_id: sessionId } });
+        assert.equal(anonymous.statusCode, 401);
+        assert.equal(anonymous.jsonBody.purchase, undefined);
+
+        const admin = await run(webhook, { query: { action: 'check', session_id: sessionId }, headers: { authorization: 'Bearer test_admin_key' } });
+        assert.equal(admin.statusCode, 200);
+        assert.equal(admin.jsonBody.purchase.customer_email, 'buyer@example.com');
+
+        // No query at all is not a check
+        const res = createResponse();
+        await webhook({ method: 'GET', headers: {} }, res);
+        assert.equal(res.statusCode, 405);
+    } finally {
+        delete process.env.ADMIN_API_KEY;
+    }
+});
@@ -0,0 +1,96 @@
+/**
+ * Leak Tracer
+ * Reads the forensic watermark (lib/watermark.js) from a copy of a photo found online and reports the purchase it
+ * was delivered for. Needs the same WATERMARK_SECRET as the site, and the Redis database set by
+ * UPSTASH_REDIS_REST_URL / UPSTASH_REDIS_REST_TOKEN.
+ *
+ * A whole copy (resized or recompressed) can be read on its own. For a cropped copy, pass the photo's productId
+ * (the original is fetched from the CDN) or the original file.
+ *
+ * Usage: node trace-leak.js <copy> [productId | original file]
+ * Example: node trace-leak.js ~/Downloads/wallpaper.jpg full-moon
+ */
+
+const fs = require('fs');
+const watermark = require('./lib/watermark');
+const catalog = require('./lib/catalog');
+const purchaseArchive = require('./lib/purchaseArchive');
+const db = require('./api/db');
+
+// Helper: Original photo - a local file, or the product's HQ file from the CDN
+async function loadOriginal(productOrFile) {
+    if (fs.existsSync(productOrFile)) return fs.readFileSync(productOrFile);
+
+    const product = catalog.getProduct(productOrFile);
+    if (!product) {
+        throw new Error(`${productOrFile} is neither a file nor a product in the catalog`);
+    }
+
+    console.log(`📥 Fetching the original: ${product.imageHQ}`);
+    const { response } = await purchaseArchive.fetchWithRetry(product.imageHQ);
+    const chunks = [];
+    for await (const chunk of response) chunks.push(chunk);
+    return Buffer.concat(chunks);
+}
+
+// Trace a leaked copy
+async function traceLeak(copyPath, productOrFile) {
+    if (!watermark.isConfigured()) {
+        throw new Error('WATERMARK_SECRET is not set - use the same secret as the site');
+    }
+
+    const copy = fs.readFileSync(copyPath);
+    const original = productOrFile ? await loadOriginal(productOrFile) : null;
+
+    const found = await watermark.readWatermark(copy, original);
+    if (!found) {
+        console.log(original
+            ? '⚠️ No watermark found - the copy may not come from a purchase, or it was rotated, mirrored or cropped too far.'
+            : '⚠️ No watermark found - if the copy is cropped, pass its productId (or the original file) as well.');
+        return null;
+    }
+
+    console.log(`🔑 Mark ${found.markId} (confidence ${found.confidence})`);
+    if (found.region) {
+        console.log(`📐 The copy is this part of the original: ${found.region.width}x${found.region.height} at ${found.region.x},${found.region.y}`);
+    }
+
+    const deliveries = await db.getWatermarkPurchases(found.markId);
+    if (!deliveries) {
+        throw new Error('Could not look up the mark in Redis');
+    }
+    if (deliveries.length === 0) {
+        console.log('⚠️ No delivery recorded for this mark (made with another WATERMARK_SECRET or database?)');
+        return found;
+    }
+
+    for (const delivery of deliveries) {
+        const purchase = await db.getPurchase(delivery.sessionId);
+        console.log(`\n🧾 Purchase ${delivery.sessionId}`);
+        console.log(`   Photo: ${catalog.getProductTitle(delivery.productId)} (${delivery.productId})`);
+        console.log(`   Last delivered: ${delivery.markedAt}`);
+        if (purchase) {
+            console.log(`   Customer: ${purchase.gift?.recipientEmail || purchase.customer_email || purchase.email || 'unknown'}${purchase.gift ? ` (gift from ${purchase.gift.purchaseSessionId})` : ''}`);
+            console.log(`   Purchased: ${purchase.timestamp || purchase.createdAt || 'unknown'}`);
+        } else {
+            console.log('   ⚠️ The purchase record is gone');
+        }
+    }
+    return { ...found, deliveries };
+}
+
+// Run
+if (require.main === module) {
+    const [copyPath, productOrFile] = process.argv.slice(2);
+    if (!copyPath) {
+        console.error('Usage: node trace-leak.js <copy> [productId | original file]');
+        process.exit(1);
+    }
+
+    traceLeak(copyPath, productOrFile).catch(error => {
+        console.error('❌ Trace failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { traceLeak };